@@ -0,0 +1,113 @@
+const recipeSchema = require('../schemas/recipe');
+const recipeV2Schema = require('../schemas/recipeV2');
+const { registerRepresentation } = require('../openapi/representations');
+const { NotAcceptableError } = require('../errors');
+const { toV2Recipe, fromV2Recipe } = require('./recipeV2');
+const UsageCounter = require('./usageCounter');
+
+/**
+ * API versions
+ *
+ *   1  documents as they are stored; what the unversioned routes have
+ *      always returned
+ *   2  the richer recipe model (lib/schemas/recipeV2.js)
+ *
+ * A client picks a version with the path (/api/v2/recipes) or, on the
+ * unversioned path, with "Accept: application/vnd.foodrecipe.v2+json" or
+ * "Accept: application/json; version=2". Unversioned calls without either
+ * get version 1 with Deprecation and Sunset headers, and are counted.
+ */
+const API_VERSIONS = [1, 2];
+const LATEST_VERSION = API_VERSIONS[API_VERSIONS.length - 1];
+
+// What unversioned calls get until they are removed
+const UNVERSIONED_VERSION = 1;
+
+const VENDOR_TYPE = /^application\/vnd\.foodrecipe\.v(\d+)\+json$/i;
+
+registerRepresentation(recipeSchema, 2, { schema: recipeV2Schema, toVersion: toV2Recipe, fromVersion: fromV2Recipe });
+
+/**
+ * Version asked for in an Accept header.
+ * @param {string|undefined} accept
+ * @returns {number|null} null when the header names no version
+ */
+function acceptedVersion(accept) {
+  const asked = [];
+  for (const range of (accept || '').split(',')) {
+    const [type, ...parameters] = range.split(';').map(part => part.trim());
+    const vendor = VENDOR_TYPE.exec(type);
+    if (vendor) asked.push(Number(vendor[1]));
+    const parameter = parameters.find(part => /^version=/i.test(part));
+    if (parameter) asked.push(Number(parameter.slice('version='.length)));
+  }
+  if (asked.length === 0) return null;
+  const version = asked.find(number => API_VERSIONS.includes(number));
+  if (version === undefined) {
+    throw new NotAcceptableError(`API version ${asked[0]} does not exist. Versions: ${API_VERSIONS.join(', ')}`);
+  }
+  return version;
+}
+
+/**
+ * Express middleware for /api picking the version of each call. Sets
+ * req.apiVersion and req.apiBase, the path versioned links start with, and
+ * takes the version out of the path so the routes only exist once.
+ * @param {Object} options
+ * @param {string} options.deprecatedAt - Date the unversioned routes were deprecated
+ * @param {string} options.sunsetAt - Date they will be removed
+ * @param {UsageCounter} options.usage - Counter for unversioned calls
+ */
+function negotiateVersion({ deprecatedAt, sunsetAt, usage }) {
+  // RFC 9745 and RFC 8594
+  const deprecation = `@${Math.floor(Date.parse(deprecatedAt) / 1000)}`;
+  const sunset = new Date(sunsetAt).toUTCString();
+
+  return (req, res, next) => {
+    const inPath = /^\/v(\d+)(?=\/|\?|$)/.exec(req.url);
+    if (inPath) {
+      const version = Number(inPath[1]);
+      // Unknown versions fall through to the API's 404
+      if (!API_VERSIONS.includes(version)) return next();
+      req.url = req.url.slice(inPath[0].length) || '/';
+      req.apiVersion = version;
+      req.apiBase = `/api/v${version}`;
+    } else {
+      res.vary('Accept');
+      const version = acceptedVersion(req.get('Accept'));
+      if (version !== null) {
+        req.apiVersion = version;
+        req.apiBase = `/api/v${version}`;
+      } else {
+        req.apiVersion = UNVERSIONED_VERSION;
+        req.apiBase = '/api';
+        res.set({ Deprecation: deprecation, Sunset: sunset });
+        res.append('Link', `</api/v${UNVERSIONED_VERSION}${req.path}>; rel="successor-version"`);
+        // The route is only known once the call has been routed
+        res.on('finish', () => {
+          if (req.route) usage.record(`${req.method} ${req.route.path}`, { userAgent: req.get('User-Agent') });
+        });
+      }
+    }
+    res.set('API-Version', String(req.apiVersion));
+    next();
+  };
+}
+
+/**
+ * Path of an API resource in the version of the current call.
+ * @param {Object} req
+ * @param {string} path - Path after /api, e.g. "/recipes/1"
+ * @returns {string}
+ */
+function apiUrl(req, path) {
+  return `${req.apiBase || '/api'}${path}`;
+}
+
+module.exports = {
+  API_VERSIONS,
+  LATEST_VERSION,
+  UsageCounter,
+  apiUrl,
+  negotiateVersion
+};
@@ -0,0 +1,67 @@
+const { parseIngredient } = require('../../shared/ingredientParser');
+const { cookTimeMinutes, servingsCount } = require('../recipeQuery');
+
+/**
+ * A recipe in the version 2 shape (lib/schemas/recipeV2.js). Only the fields
+ * the recipe carries are converted, so projected list items keep their
+ * shape; fields the shape does not know, such as search scores, pass
+ * through.
+ * @param {Object} recipe - Stored recipe, or a view of one
+ * @param {Object} context
+ * @param {string} context.base - API path the links start with, e.g. "/api/v2"
+ * @returns {Object}
+ */
+function toV2Recipe(recipe, { base }) {
+  const { parsedIngredients, ...result } = recipe;
+
+  if (Array.isArray(recipe.ingredients)) {
+    result.ingredients = recipe.ingredients.map((text, index) => {
+      // Scaled and converted views carry their own text next to the parts
+      const { original, text: viewText, ...parts } = (parsedIngredients && parsedIngredients[index]) || parseIngredient(text);
+      return { text, ...parts };
+    });
+  }
+  if (Array.isArray(recipe.instructions)) {
+    result.instructions = recipe.instructions.map((text, index) => ({ step: index + 1, text }));
+  }
+  if (typeof recipe.cookTime === 'string') {
+    result.cookTime = { text: recipe.cookTime, minutes: cookTimeMinutes(recipe.cookTime) };
+  }
+  if (typeof recipe.servings === 'string') {
+    result.servings = { text: recipe.servings, count: servingsCount(recipe.servings) };
+  }
+  if (recipe.id !== undefined) {
+    result.links = {
+      self: `${base}/recipes/${recipe.id}`,
+      nutrition: `${base}/recipes/${recipe.id}/nutrition`,
+      revisions: `${base}/recipes/${recipe.id}/revisions`
+    };
+  }
+  return result;
+}
+
+// The text of a { text } object, or the value as it was
+function textOf(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && 'text' in value ? value.text : value;
+}
+
+/**
+ * A version 2 recipe body in the stored shape, ready to be validated. What
+ * the server computes (parts, step numbers, links) is dropped, so a recipe
+ * read from version 2 can be written back as it is.
+ * @param {*} body - Untrusted request body
+ * @returns {*}
+ */
+function fromV2Recipe(body) {
+  if (body === null || typeof body !== 'object' || Array.isArray(body)) return body;
+  const { links, ...recipe } = body;
+  ['cookTime', 'servings'].forEach(field => {
+    if (recipe[field] !== undefined) recipe[field] = textOf(recipe[field]);
+  });
+  ['ingredients', 'instructions'].forEach(field => {
+    if (Array.isArray(recipe[field])) recipe[field] = recipe[field].map(textOf);
+  });
+  return recipe;
+}
+
+module.exports = { toV2Recipe, fromV2Recipe };
@@ -0,0 +1,77 @@
+/**
+ * Calls to the deprecated unversioned /api routes, counted per route in the
+ * "apiUsage" collection so we can tell when nobody uses them any more.
+ * Counts are gathered in memory and written out by flush(), so a busy route
+ * does not cost a storage write per request; counts since the last flush
+ * are lost if the server stops.
+ */
+class UsageCounter {
+  constructor() {
+    this.repository = null;
+    this.pending = new Map();
+    // Flushes run one at a time, so a route is never inserted twice
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * @param {Object} storage - Storage from createStorage()
+   */
+  async open(storage) {
+    this.repository = await storage.open('apiUsage');
+  }
+
+  /**
+   * Count one call.
+   * @param {string} route - e.g. "GET /api/recipes/:id"
+   * @param {Object} [options]
+   * @param {string} [options.userAgent] - Who made it, to find the caller
+   */
+  record(route, { userAgent } = {}) {
+    const now = new Date().toISOString();
+    const entry = this.pending.get(route) || { count: 0, firstSeen: now };
+    entry.count += 1;
+    entry.lastSeen = now;
+    entry.lastUserAgent = userAgent || null;
+    this.pending.set(route, entry);
+  }
+
+  /**
+   * Add the counts gathered since the last flush to the stored ones.
+   */
+  flush() {
+    const pending = this.pending;
+    this.pending = new Map();
+    const result = this.writes.then(() => this.write(pending));
+    this.writes = result.catch(() => {});
+    return result;
+  }
+
+  async write(pending) {
+    if (pending.size === 0) return;
+    const stored = await this.repository.list();
+    for (const [route, entry] of pending) {
+      const existing = stored.find(usage => usage.route === route);
+      if (existing) {
+        await this.repository.update(existing.id, {
+          ...existing,
+          count: existing.count + entry.count,
+          lastSeen: entry.lastSeen,
+          lastUserAgent: entry.lastUserAgent
+        });
+      } else {
+        await this.repository.insert({ route, ...entry });
+      }
+    }
+  }
+
+  /**
+   * @returns {Promise<Array>} Every route called so far, most used first
+   */
+  async list() {
+    await this.flush();
+    const usage = await this.repository.list();
+    return usage.sort((a, b) => b.count - a.count);
+  }
+}
+
+module.exports = UsageCounter;
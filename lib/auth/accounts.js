@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const { hashPassword, verifyPassword } = require('./passwords');
+const { DEFAULT_ROLE, roleOf } = require('../../shared/roles');
+const { ConflictError, NotFoundError } = require('../errors');
+
+// Session tokens are random; only their SHA-256 is stored, so a copy of the
+// sessions collection cannot be used to sign in
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * A user as the API shows it, without the password hash.
+ * @param {Object} user - Stored user
+ * @returns {Object}
+ */
+function publicUser(user) {
+  const { passwordHash, ...rest } = user;
+  return { ...rest, role: roleOf(user) };
+}
+
+/**
+ * User accounts and their login sessions, stored in the "users" and
+ * "sessions" collections. Sessions are also kept in memory by token hash so
+ * authenticating a request does not scan the collection.
+ */
+class Accounts {
+  /**
+   * @param {Object} options
+   * @param {number} options.sessionMaxAgeMs - How long a login lasts
+   */
+  constructor({ sessionMaxAgeMs }) {
+    this.sessionMaxAgeMs = sessionMaxAgeMs;
+    this.users = null;
+    this.sessions = null;
+    this.sessionsByHash = new Map();
+    // Account writes run one at a time, so two registrations cannot claim
+    // the same name and two role changes cannot demote the last admin
+    this.userWrites = Promise.resolve();
+    // Compared against when the username is unknown, so a failed login takes
+    // as long whether or not the account exists
+    this.unknownUserHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+  }
+
+  /**
+   * Open the collections and drop sessions that expired while the server
+   * was down.
+   * @param {Object} storage - Storage from createStorage()
+   */
+  async open(storage) {
+    this.users = await storage.open('users');
+    this.sessions = await storage.open('sessions');
+
+    const now = Date.now();
+    for (const session of await this.sessions.list()) {
+      if (Date.parse(session.expiresAt) <= now) {
+        await this.sessions.remove(session.id);
+      } else {
+        this.sessionsByHash.set(session.tokenHash, session);
+      }
+    }
+  }
+
+  async findById(userId) {
+    return this.users.get(userId);
+  }
+
+  async findByUsername(username) {
+    const key = username.toLowerCase();
+    const users = await this.users.list();
+    return users.find(user => user.username.toLowerCase() === key) || null;
+  }
+
+  // Run an account write after the ones already queued
+  serialize(write) {
+    const result = this.userWrites.then(write);
+    this.userWrites = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Create an account. Usernames are unique regardless of case. The first
+   * account becomes an admin so someone can hand out roles; everyone after
+   * that starts as a contributor.
+   * @param {{ username: string, displayName?: string, password: string }} fields
+   * @returns {Promise<Object>} The stored user
+   */
+  register({ username, displayName, password }) {
+    return this.serialize(async () => {
+      if (await this.findByUsername(username)) {
+        throw new ConflictError('That username is taken', [
+          { field: 'username', message: 'That username is taken' }
+        ]);
+      }
+      const isFirst = (await this.users.list()).length === 0;
+      return this.users.insert({
+        username,
+        displayName: displayName || username,
+        role: isFirst ? 'admin' : DEFAULT_ROLE,
+        passwordHash: await hashPassword(password),
+        createdAt: new Date().toISOString()
+      });
+    });
+  }
+
+  async listUsers() {
+    return this.users.list();
+  }
+
+  /**
+   * Change a user's role. The last admin cannot be demoted, or nobody could
+   * manage roles any more.
+   * @param {number} userId
+   * @param {string} role
+   * @returns {Promise<Object>} The updated user
+   */
+  setRole(userId, role) {
+    return this.serialize(async () => {
+      const user = await this.users.get(userId);
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      if (roleOf(user) === 'admin' && role !== 'admin') {
+        const admins = (await this.users.list()).filter(other => roleOf(other) === 'admin');
+        if (admins.length === 1) {
+          throw new ConflictError('The last admin cannot be demoted', [
+            { field: 'role', message: 'Make someone else an admin first' }
+          ]);
+        }
+      }
+      return this.users.update(userId, { ...user, role, updatedAt: new Date().toISOString() });
+    });
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The user, or null if the username or
+   *   password is wrong
+   */
+  async checkPassword(username, password) {
+    const user = await this.findByUsername(username);
+    const matches = await verifyPassword(password, user ? user.passwordHash : await this.unknownUserHash);
+    return user && matches ? user : null;
+  }
+
+  /**
+   * Start a session for a user.
+   * @returns {Promise<{ token: string, expiresAt: string }>} The token is
+   *   only ever returned here
+   */
+  async startSession(user) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const session = await this.sessions.insert({
+      tokenHash: hashToken(token),
+      userId: user.id,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.sessionMaxAgeMs).toISOString()
+    });
+    this.sessionsByHash.set(session.tokenHash, session);
+    return { token, expiresAt: session.expiresAt };
+  }
+
+  /**
+   * @param {string} [token]
+   * @returns {Promise<Object|null>} The signed-in user, or null if the token
+   *   is unknown or expired
+   */
+  async userForToken(token) {
+    if (!token) return null;
+    const session = this.sessionsByHash.get(hashToken(token));
+    if (!session) return null;
+    if (Date.parse(session.expiresAt) <= Date.now()) {
+      await this.endSession(token);
+      return null;
+    }
+    return this.users.get(session.userId);
+  }
+
+  async endSession(token) {
+    const tokenHash = hashToken(token);
+    const session = this.sessionsByHash.get(tokenHash);
+    if (!session) return;
+    this.sessionsByHash.delete(tokenHash);
+    await this.sessions.remove(session.id);
+  }
+}
+
+module.exports = { Accounts, publicUser };
@@ -0,0 +1,27 @@
+const { Accounts, publicUser } = require('./accounts');
+const { hashPassword, verifyPassword } = require('./passwords');
+const {
+  SESSION_COOKIE,
+  assertRole,
+  authenticate,
+  authenticateSocket,
+  authorizeSocketEvents,
+  readToken,
+  requireRole,
+  requireRoleForWrites
+} = require('./middleware');
+
+module.exports = {
+  Accounts,
+  SESSION_COOKIE,
+  assertRole,
+  authenticate,
+  authenticateSocket,
+  authorizeSocketEvents,
+  hashPassword,
+  publicUser,
+  readToken,
+  requireRole,
+  requireRoleForWrites,
+  verifyPassword
+};
@@ -0,0 +1,145 @@
+const { hasRole, roleOf } = require('../../shared/roles');
+const { ForbiddenError, UnauthorizedError } = require('../errors');
+
+const SESSION_COOKIE = 'sid';
+
+// Methods that only read, and so never need a signed-in user
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Read one cookie from a raw Cookie header.
+ * @param {string|undefined} header
+ * @param {string} name
+ * @returns {string|null}
+ */
+function readCookie(header, name) {
+  for (const pair of (header || '').split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator !== -1 && pair.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(pair.slice(separator + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Session token sent with a request: an "Authorization: Bearer" header for
+ * API clients, or the session cookie set by the login route for browsers.
+ * @param {Object} headers - Request or Socket.IO handshake headers
+ * @returns {string|null}
+ */
+function readToken(headers) {
+  const match = /^Bearer\s+(\S+)$/i.exec(headers.authorization || '');
+  if (match) return match[1];
+  return readCookie(headers.cookie, SESSION_COOKIE);
+}
+
+/**
+ * Express middleware that sets req.user to the signed-in user, or null.
+ * Requests with an unknown or expired token are treated as anonymous.
+ * @param {Accounts} accounts
+ */
+function authenticate(accounts) {
+  return async (req, res, next) => {
+    req.sessionToken = readToken(req.headers);
+    req.user = await accounts.userForToken(req.sessionToken);
+    next();
+  };
+}
+
+/**
+ * Fail unless the user has at least the given role: 401 when nobody is
+ * signed in, 403 when the role is too low.
+ * @param {Object|null} user
+ * @param {string} role
+ */
+function assertRole(user, role) {
+  if (!user) {
+    throw new UnauthorizedError();
+  }
+  if (!hasRole(user, role)) {
+    throw new ForbiddenError(`This needs the ${role} role; you are a ${roleOf(user)}`);
+  }
+}
+
+/**
+ * Express middleware requiring at least the given role.
+ * @param {string} role
+ */
+function requireRole(role) {
+  const middleware = (req, res, next) => {
+    assertRole(req.user, role);
+    next();
+  };
+  // Read by the OpenAPI document, which lists the role each route needs
+  middleware.role = role;
+  return middleware;
+}
+
+/**
+ * Express middleware that lets anyone read but requires at least the given
+ * role for every other method.
+ * @param {string} role
+ */
+function requireRoleForWrites(role) {
+  const middleware = (req, res, next) => {
+    if (!SAFE_METHODS.includes(req.method)) assertRole(req.user, role);
+    next();
+  };
+  middleware.role = role;
+  middleware.forWrites = true;
+  return middleware;
+}
+
+/**
+ * Socket.IO middleware: the same token as the HTTP API, from the handshake
+ * cookie or `auth: { token }`. Anonymous sockets are accepted and only
+ * receive broadcasts; socket.data.user is null for them.
+ * @param {Accounts} accounts
+ */
+function authenticateSocket(accounts) {
+  return (socket, next) => {
+    const { auth, headers } = socket.handshake;
+    const token = (auth && auth.token) || readToken(headers);
+    accounts.userForToken(token).then(user => {
+      socket.data.sessionToken = token;
+      socket.data.user = user;
+      next();
+    }, next);
+  };
+}
+
+/**
+ * Socket.IO per-socket middleware (socket.use) checking the role needed
+ * for each incoming event. A null role lets anyone send the event; events
+ * missing from the table need an admin, so a new handler is closed until it
+ * is listed. Refused events surface as an "error" event on the socket.
+ * @param {Object} socket
+ * @param {Object<string, string|null>} eventRoles
+ */
+function authorizeSocketEvents(socket, eventRoles) {
+  return ([event], next) => {
+    const role = Object.prototype.hasOwnProperty.call(eventRoles, event) ? eventRoles[event] : 'admin';
+    try {
+      if (role !== null) assertRole(socket.data.user, role);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  assertRole,
+  authenticate,
+  authenticateSocket,
+  authorizeSocketEvents,
+  readToken,
+  requireRole,
+  requireRoleForWrites
+};
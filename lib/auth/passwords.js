@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters. They are stored with every hash, so raising them
+// later does not lock out existing accounts.
+const COST = { N: 16384, r: 8, p: 1 };
+const KEY_BYTES = 64;
+const SALT_BYTES = 16;
+
+/**
+ * Hash a password with a fresh random salt.
+ * @param {string} password
+ * @returns {Promise<string>} "scrypt$N$r$p$salt$key", salt and key in base64
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_BYTES, COST);
+  return ['scrypt', COST.N, COST.r, COST.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time.
+ * @param {string} password
+ * @param {string} stored - Output of hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [algorithm, N, r, p, salt, key] = String(stored).split('$');
+  if (algorithm !== 'scrypt' || !salt || !key) return false;
+
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,47 @@
+const { HttpError, NotFoundError } = require('./errors');
+
+/**
+ * Build the JSON error envelope shared by every API error response.
+ * @param {HttpError} error
+ * @returns {Object}
+ */
+function errorEnvelope(error) {
+  const body = { status: error.status, code: error.code, message: error.message };
+  if (error.details) body.details = error.details;
+  return { error: body };
+}
+
+/**
+ * Catch-all for /api paths no route matched, so API clients get JSON
+ * instead of Express's HTML 404 page.
+ */
+function apiNotFound(req, res, next) {
+  next(new NotFoundError(`No API route for ${req.method} ${req.originalUrl}`));
+}
+
+/**
+ * Express error middleware. Known errors keep their status and code,
+ * body-parser failures become 400s, everything else is logged and reported
+ * as a 500 without leaking internals.
+ */
+function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  let httpError = error;
+  if (!(error instanceof HttpError)) {
+    if (error.type === 'entity.parse.failed') {
+      httpError = new HttpError(400, 'INVALID_JSON', 'Request body is not valid JSON');
+    } else if (error.status >= 400 && error.status < 500 && error.expose) {
+      httpError = new HttpError(error.status, 'BAD_REQUEST', error.message);
+    } else {
+      console.error('Unhandled error:', error);
+      httpError = new HttpError(500, 'INTERNAL_ERROR', 'Something went wrong');
+    }
+  }
+
+  res.status(httpError.status)
+    .set(httpError.headers || {})
+    .json(errorEnvelope(httpError));
+}
+
+module.exports = { errorEnvelope, errorHandler, apiNotFound };
@@ -0,0 +1,117 @@
+/**
+ * HTTP errors with a stable machine-readable code.
+ *
+ * Route handlers throw these; the error handler middleware turns them into
+ * the JSON error envelope:
+ *   { "error": { "status": 404, "code": "NOT_FOUND", "message": "...", "details": [...] } }
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Machine-readable error code
+   * @param {string} message - Human-readable message
+   * @param {Array} [details] - Per-field problems, { field, message }
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.headers = {};
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message, details) {
+    super(400, 'BAD_REQUEST', message, details);
+    this.name = 'BadRequestError';
+  }
+}
+
+class ValidationError extends HttpError {
+  /**
+   * @param {Array<{ field: string, message: string }>} details - Schema errors
+   * @param {string} [message]
+   */
+  constructor(details, message = 'Some fields are invalid') {
+    super(422, 'VALIDATION_FAILED', message, details);
+    this.name = 'ValidationError';
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message = 'Sign in to continue') {
+    super(401, 'UNAUTHORIZED', message);
+    this.name = 'UnauthorizedError';
+    this.headers['WWW-Authenticate'] = 'Bearer';
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message = 'You are not allowed to do that') {
+    super(403, 'FORBIDDEN', message);
+    this.name = 'ForbiddenError';
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message = 'Not found') {
+    super(404, 'NOT_FOUND', message);
+    this.name = 'NotFoundError';
+  }
+}
+
+class NotAcceptableError extends HttpError {
+  constructor(message = 'None of the accepted representations is available') {
+    super(406, 'NOT_ACCEPTABLE', message);
+    this.name = 'NotAcceptableError';
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message, details) {
+    super(409, 'CONFLICT', message, details);
+    this.name = 'ConflictError';
+  }
+}
+
+class PreconditionFailedError extends HttpError {
+  /**
+   * @param {string} message
+   * @param {string} [etag] - Current ETag, sent back so the client can retry
+   */
+  constructor(message, etag) {
+    super(412, 'PRECONDITION_FAILED', message);
+    this.name = 'PreconditionFailedError';
+    if (etag) this.headers.ETag = etag;
+  }
+}
+
+class PayloadTooLargeError extends HttpError {
+  constructor(message = 'Upload is too large') {
+    super(413, 'PAYLOAD_TOO_LARGE', message);
+    this.name = 'PayloadTooLargeError';
+  }
+}
+
+class UnsupportedMediaTypeError extends HttpError {
+  constructor(message = 'Unsupported file type') {
+    super(415, 'UNSUPPORTED_MEDIA_TYPE', message);
+    this.name = 'UnsupportedMediaTypeError';
+  }
+}
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  NotAcceptableError,
+  ConflictError,
+  PreconditionFailedError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError
+};
@@ -0,0 +1,34 @@
+/**
+ * Entity tags for versioned documents.
+ *
+ * A document's ETag is derived from its id and version, so it changes on
+ * every write and can be checked against If-Match without hashing the body.
+ */
+
+/**
+ * @param {Object} document - Stored document with id and version
+ * @returns {string} Strong ETag, quotes included
+ */
+function etagFor(document) {
+  return `"${document.id}-${document.version || 1}"`;
+}
+
+/**
+ * Evaluate an If-Match header against the stored document.
+ * Weak tags never match, as If-Match requires strong comparison.
+ * @param {string|undefined} header - Raw If-Match header
+ * @param {Object} document - Currently stored document
+ * @returns {boolean} True when the request may proceed
+ */
+function ifMatchSatisfied(header, document) {
+  if (header === undefined) return true;
+  if (header.trim() === '*') return true;
+
+  const current = etagFor(document);
+  return header
+    .split(',')
+    .map(tag => tag.trim())
+    .some(tag => tag === current);
+}
+
+module.exports = { etagFor, ifMatchSatisfied };
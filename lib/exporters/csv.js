@@ -0,0 +1,48 @@
+// Columns of the CSV export, one row per recipe. Ingredients and steps are
+// kept in one cell each, one per line, so the file opens cleanly in a
+// spreadsheet.
+const COLUMNS = [
+  ['id', recipe => recipe.id],
+  ['title', recipe => recipe.title],
+  ['description', recipe => recipe.description],
+  ['category', recipe => recipe.category],
+  ['cookTime', recipe => recipe.cookTime],
+  ['servings', recipe => recipe.servings],
+  ['ingredients', recipe => recipe.ingredients.join('\n')],
+  ['instructions', recipe => recipe.instructions.join('\n')],
+  ['author', (recipe, { authors }) => {
+    const author = authors.get(recipe.createdBy);
+    return author && author.displayName;
+  }],
+  ['sourceUrl', recipe => recipe.sourceUrl],
+  ['imageUrl', recipe => recipe.imageUrl],
+  ['createdAt', recipe => recipe.createdAt],
+  ['updatedAt', recipe => recipe.updatedAt]
+];
+
+/**
+ * One CSV cell (RFC 4180). Text that a spreadsheet would run as a formula
+ * is prefixed with an apostrophe.
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV rendering of recipes with a header row, lines ending in CRLF.
+ * @param {Array<Object>} recipes
+ * @param {{ authors: Map<number, Object> }} context
+ * @returns {string}
+ */
+function toCsv(recipes, context) {
+  const rows = [COLUMNS.map(([name]) => name)];
+  recipes.forEach(recipe => rows.push(COLUMNS.map(([, read]) => read(recipe, context))));
+  return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { csvCell, toCsv };
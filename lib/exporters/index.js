@@ -0,0 +1,82 @@
+const { BadRequestError } = require('../errors');
+const { toJsonLd, toSchemaOrg } = require('./schemaOrg');
+const { toMarkdown, toText } = require('./text');
+const { csvCell, toCsv } = require('./csv');
+
+// Recipe exports, chosen with ?format=. Every renderer takes the recipes and
+// { baseUrl, authors } and returns the whole file.
+const EXPORT_FORMATS = {
+  jsonld: { render: toJsonLd, type: 'application/ld+json', extension: 'jsonld' },
+  markdown: { render: toMarkdown, type: 'text/markdown', extension: 'md' },
+  text: { render: toText, type: 'text/plain', extension: 'txt' },
+  csv: { render: toCsv, type: 'text/csv', extension: 'csv' }
+};
+
+/**
+ * Read the required ?format= parameter of the export routes.
+ * @param {Object} query - req.query
+ * @returns {{ name: string, render: Function, type: string, extension: string }}
+ */
+function parseExportFormat(query) {
+  if (typeof query.format !== 'string' || !Object.hasOwn(EXPORT_FORMATS, query.format)) {
+    throw new BadRequestError('Invalid query parameters', [
+      { field: 'format', message: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` }
+    ]);
+  }
+  return { name: query.format, ...EXPORT_FORMATS[query.format] };
+}
+
+/**
+ * Read which recipes GET /api/export should include: the matches of a
+ * search (?q=, ?category=), optionally narrowed to ?ids=1,2,3.
+ * @param {Object} query - req.query
+ * @returns {{ q: string, category: string|null, ids: Array<number>|null }}
+ */
+function parseExportQuery(query) {
+  let ids = null;
+  if (query.ids !== undefined) {
+    ids = String(query.ids).split(',').map(id => Number(id.trim()));
+    if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+      throw new BadRequestError('Invalid query parameters', [
+        { field: 'ids', message: 'ids must be a comma-separated list of recipe ids' }
+      ]);
+    }
+  }
+  return {
+    q: String(query.q || ''),
+    category: query.category ? String(query.category) : null,
+    ids
+  };
+}
+
+/**
+ * File name for an export, from a title or label: "Banana Bread!" ->
+ * "banana-bread.md".
+ * @param {string} label
+ * @param {{ extension: string }} format
+ * @returns {string}
+ */
+function exportFilename(label, format) {
+  const slug = label
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+  return `${slug || 'recipes'}.${format.extension}`;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  csvCell,
+  exportFilename,
+  parseExportFormat,
+  parseExportQuery,
+  toCsv,
+  toJsonLd,
+  toMarkdown,
+  toSchemaOrg,
+  toText
+};
@@ -0,0 +1,55 @@
+const { cookTimeMinutes } = require('../recipeQuery');
+const { toIsoDuration } = require('../importers/duration');
+
+/**
+ * A recipe as a schema.org Recipe node, the same shape the importer reads,
+ * so an export can be imported again.
+ * @param {Object} recipe - Stored recipe
+ * @param {Object} context
+ * @param {string} context.baseUrl - Origin of this server, for absolute URLs
+ * @param {Map<number, Object>} context.authors - Authors by user id
+ * @returns {Object}
+ */
+function toSchemaOrg(recipe, { baseUrl, authors }) {
+  const node = {
+    '@type': 'Recipe',
+    '@id': `${baseUrl}/api/recipes/${recipe.id}`,
+    name: recipe.title,
+    description: recipe.description,
+    recipeCategory: recipe.category,
+    recipeIngredient: recipe.ingredients,
+    recipeInstructions: recipe.instructions.map(text => ({ '@type': 'HowToStep', text }))
+  };
+
+  const minutes = cookTimeMinutes(recipe.cookTime);
+  if (minutes !== null) node.totalTime = toIsoDuration(minutes);
+  if (recipe.servings) node.recipeYield = recipe.servings;
+
+  const images = (recipe.photos || []).map(photo => `${baseUrl}${photo.url}`);
+  if (recipe.imageUrl) images.push(recipe.imageUrl);
+  if (images.length > 0) node.image = images;
+
+  if (recipe.sourceUrl) node.url = recipe.sourceUrl;
+  const author = authors.get(recipe.createdBy);
+  if (author) node.author = { '@type': 'Person', name: author.displayName };
+  if (recipe.createdAt) node.dateCreated = recipe.createdAt;
+  if (recipe.updatedAt) node.dateModified = recipe.updatedAt;
+  return node;
+}
+
+/**
+ * JSON-LD document: a single Recipe, or an @graph of them for a set.
+ * @param {Array<Object>} recipes
+ * @param {Object} context - See toSchemaOrg
+ * @param {{ single?: boolean }} [options]
+ * @returns {string}
+ */
+function toJsonLd(recipes, context, { single = false } = {}) {
+  const nodes = recipes.map(recipe => toSchemaOrg(recipe, context));
+  const document = single
+    ? { '@context': 'https://schema.org', ...nodes[0] }
+    : { '@context': 'https://schema.org', '@graph': nodes };
+  return JSON.stringify(document, null, 2) + '\n';
+}
+
+module.exports = { toSchemaOrg, toJsonLd };
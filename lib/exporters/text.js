@@ -0,0 +1,52 @@
+// Recipe details shown under the title, in both text formats
+function details(recipe, { authors }) {
+  const author = authors.get(recipe.createdBy);
+  return [
+    ['Category', recipe.category],
+    ['Cook time', recipe.cookTime],
+    ['Servings', recipe.servings],
+    ['By', author && author.displayName],
+    ['Source', recipe.sourceUrl]
+  ].filter(([, value]) => value);
+}
+
+/**
+ * Markdown rendering of recipes, separated by horizontal rules.
+ * @param {Array<Object>} recipes
+ * @param {{ authors: Map<number, Object> }} context
+ * @returns {string}
+ */
+function toMarkdown(recipes, context) {
+  const escape = text => String(text).replace(/([\\`*_[\]#|<>])/g, '\\$1');
+  return recipes.map(recipe => {
+    const lines = [`# ${escape(recipe.title)}`, '', escape(recipe.description), ''];
+    details(recipe, context).forEach(([label, value]) => {
+      lines.push(label === 'Source' ? `- **${label}:** <${value}>` : `- **${label}:** ${escape(value)}`);
+    });
+    lines.push('', '## Ingredients', '');
+    recipe.ingredients.forEach(ingredient => lines.push(`- ${escape(ingredient)}`));
+    lines.push('', '## Instructions', '');
+    recipe.instructions.forEach((step, index) => lines.push(`${index + 1}. ${escape(step)}`));
+    return lines.join('\n');
+  }).join('\n\n---\n\n') + '\n';
+}
+
+/**
+ * Plain text rendering of recipes, for printing or pasting into an email.
+ * @param {Array<Object>} recipes
+ * @param {{ authors: Map<number, Object> }} context
+ * @returns {string}
+ */
+function toText(recipes, context) {
+  return recipes.map(recipe => {
+    const lines = [recipe.title, '='.repeat(recipe.title.length), '', recipe.description, ''];
+    details(recipe, context).forEach(([label, value]) => lines.push(`${label}: ${value}`));
+    lines.push('', 'Ingredients', '-----------');
+    recipe.ingredients.forEach(ingredient => lines.push(`* ${ingredient}`));
+    lines.push('', 'Instructions', '------------');
+    recipe.instructions.forEach((step, index) => lines.push(`${index + 1}. ${step}`));
+    return lines.join('\n');
+  }).join('\n\n\n') + '\n';
+}
+
+module.exports = { toMarkdown, toText };
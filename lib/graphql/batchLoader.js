@@ -0,0 +1,51 @@
+/**
+ * Collects the keys asked for while a GraphQL result is being resolved and
+ * loads them with one call, so a list of 50 recipes asks for their authors
+ * once rather than 50 times. Results are cached by key for the lifetime of
+ * the loader, which is one GraphQL operation.
+ */
+class BatchLoader {
+  /**
+   * @param {Function} loadMany - (keys) => Promise of the values in the same
+   *   order, null for keys that have none
+   */
+  constructor(loadMany) {
+    this.loadMany = loadMany;
+    this.cache = new Map();
+    this.queue = null;
+  }
+
+  /**
+   * @param {*} key
+   * @returns {Promise<*>}
+   */
+  load(key) {
+    if (!this.cache.has(key)) {
+      if (!this.queue) {
+        this.queue = [];
+        // Resolvers on the same level run in the same tick; load them together
+        process.nextTick(() => this.dispatch());
+      }
+      const value = new Promise((resolve, reject) => this.queue.push({ key, resolve, reject }));
+      this.cache.set(key, value);
+    }
+    return this.cache.get(key);
+  }
+
+  async dispatch() {
+    const queue = this.queue;
+    this.queue = null;
+    try {
+      const values = await this.loadMany(queue.map(entry => entry.key));
+      queue.forEach((entry, index) => entry.resolve(values[index] === undefined ? null : values[index]));
+    } catch (error) {
+      queue.forEach(entry => {
+        // Let the next operation try again rather than cache the failure
+        this.cache.delete(entry.key);
+        entry.reject(error);
+      });
+    }
+  }
+}
+
+module.exports = BatchLoader;
@@ -0,0 +1,168 @@
+const { WebSocketServer } = require('ws');
+const { useServer } = require('graphql-ws/use/ws');
+const { GraphQLError, buildSchema, execute, getOperationAST, parse, validate } = require('graphql');
+const { readToken } = require('../auth');
+const { HttpError } = require('../errors');
+const { errorEnvelope } = require('../errorHandler');
+const typeDefs = require('./typeDefs');
+const { createLoaders } = require('./loaders');
+const { createResolvers } = require('./resolvers');
+const { RecipeEvents, RECIPE_EVENTS } = require('./recipeEvents');
+
+/**
+ * GraphQL endpoint over recipes, categories and search.
+ *
+ * Queries and mutations are served over HTTP (POST, or GET for queries) and
+ * subscriptions over WebSocket with the graphql-ws protocol, both at the
+ * same path. Callers sign in with the same session token as the REST API:
+ * the cookie or "Authorization: Bearer", or for WebSockets
+ * connectionParams.token. Errors the REST API would answer with an HTTP
+ * status carry its code, status and details in extensions.
+ */
+
+// Attach resolvers to the fields of a schema built from SDL
+function makeSchema(source, resolvers) {
+  const schema = buildSchema(source);
+  for (const [typeName, fieldResolvers] of Object.entries(resolvers)) {
+    const fields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolver] of Object.entries(fieldResolvers)) {
+      if (typeof resolver === 'function') {
+        fields[fieldName].resolve = resolver;
+      } else {
+        Object.assign(fields[fieldName], resolver);
+      }
+    }
+  }
+  return schema;
+}
+
+/**
+ * A GraphQL error as sent to clients. Errors thrown by resolvers that are
+ * not HttpErrors are logged and reported without their message, as the REST
+ * error handler does.
+ * @param {GraphQLError} error
+ * @returns {Object}
+ */
+function formatError(error) {
+  const { originalError } = error;
+  if (!originalError || originalError instanceof GraphQLError) {
+    return error.toJSON();
+  }
+
+  let httpError = originalError;
+  if (!(originalError instanceof HttpError)) {
+    console.error('Unhandled GraphQL error:', originalError);
+    httpError = new HttpError(500, 'INTERNAL_ERROR', 'Something went wrong');
+  }
+  const { error: body } = errorEnvelope(httpError);
+  const { message, ...extensions } = body;
+  return { ...error.toJSON(), message, extensions };
+}
+
+function formatResult(result) {
+  return result.errors ? { ...result, errors: result.errors.map(formatError) } : result;
+}
+
+/**
+ * @param {Object} services - What GraphQL may do, supplied by the server
+ * @param {Function} services.listRecipes - () => every stored recipe
+ * @param {Function} services.getRecipe - (id) => the recipe or null
+ * @param {Function} services.listUsers - () => every account
+ * @param {Function} services.getUser - (id) => the account or null
+ * @param {Function} services.search - (q, { category, limit }) => the search index's results
+ * @param {Function} services.createRecipe - (fields, user) => the new recipe
+ * @param {Function} services.updateRecipe - (recipe, changes, user) => the changed recipe
+ * @param {Function} services.trashRecipe - (recipe, user) => the recipe moved to the trash
+ * @param {RecipeEvents} services.events - Recipe events to feed subscriptions
+ * @param {Accounts} services.accounts - Signs in WebSocket connections
+ * @returns {{ schema: Object, handleRequest: Function, attachSubscriptions: Function }}
+ */
+function createGraphqlApi(services) {
+  const schema = makeSchema(typeDefs, createResolvers(services));
+
+  function createContext(user) {
+    return { user, loaders: createLoaders(services) };
+  }
+
+  /**
+   * Express handler for queries and mutations. Requests that cannot be run
+   * at all get a 4xx; once an operation runs the answer is a 200 with its
+   * data and errors, as GraphQL clients expect.
+   */
+  async function handleRequest(req, res) {
+    const params = req.method === 'GET' ? req.query : req.body || {};
+    const { query, operationName } = params;
+    let { variables } = params;
+
+    const fail = (status, message) => res.status(status).json({ errors: [{ message }] });
+    if (typeof query !== 'string' || query.trim() === '') {
+      return fail(400, 'Send the operation as "query"');
+    }
+    if (typeof variables === 'string') {
+      try {
+        variables = JSON.parse(variables);
+      } catch {
+        return fail(400, '"variables" is not valid JSON');
+      }
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return res.status(400).json({ errors: [error.toJSON()] });
+    }
+    const errors = validate(schema, document);
+    if (errors.length > 0) {
+      return res.status(400).json({ errors: errors.map(error => error.toJSON()) });
+    }
+
+    const operation = getOperationAST(document, operationName);
+    if (!operation) {
+      return fail(400, 'Name the operation to run with "operationName"');
+    }
+    if (operation.operation === 'subscription') {
+      return fail(400, 'Subscriptions are served over WebSocket at this path');
+    }
+    if (operation.operation === 'mutation' && req.method === 'GET') {
+      res.set('Allow', 'POST');
+      return fail(405, 'Mutations must be sent with POST');
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      operationName,
+      variableValues: variables,
+      contextValue: createContext(req.user)
+    });
+    res.json(formatResult(result));
+  }
+
+  /**
+   * Serve subscriptions on an HTTP server's WebSocket upgrades for a path.
+   * @param {http.Server} server
+   * @param {string} path
+   */
+  function attachSubscriptions(server, path) {
+    // Not { server, path }: ws would refuse the upgrades meant for Socket.IO
+    const wsServer = new WebSocketServer({ noServer: true });
+    server.on('upgrade', (req, socket, head) => {
+      if (req.url.split('?')[0] !== path) return;
+      wsServer.handleUpgrade(req, socket, head, webSocket => wsServer.emit('connection', webSocket, req));
+    });
+    useServer({
+      schema,
+      context: async ({ connectionParams, extra }) => {
+        const token = (connectionParams && connectionParams.token) || readToken(extra.request.headers);
+        return createContext(await services.accounts.userForToken(token));
+      },
+      onNext: (ctx, id, payload, args, result) => formatResult(result)
+    }, wsServer);
+    return wsServer;
+  }
+
+  return { schema, handleRequest, attachSubscriptions };
+}
+
+module.exports = { createGraphqlApi, RecipeEvents, RECIPE_EVENTS };
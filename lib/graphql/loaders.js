@@ -0,0 +1,31 @@
+const BatchLoader = require('./batchLoader');
+
+// The repositories have no multi-get, so a batch of more than one id reads
+// the collection once instead of once per id
+function loadById(getOne, listAll) {
+  return new BatchLoader(async ids => {
+    if (ids.length === 1) return [await getOne(ids[0])];
+    const documents = new Map((await listAll()).map(document => [document.id, document]));
+    return ids.map(id => documents.get(id));
+  });
+}
+
+/**
+ * Loaders for one GraphQL operation, so nothing is cached between them.
+ * @param {Object} services - See createGraphqlApi()
+ * @returns {{ listRecipes: Function, recipes: BatchLoader, users: BatchLoader }}
+ */
+function createLoaders(services) {
+  let recipes = null;
+  const listRecipes = () => {
+    if (!recipes) recipes = services.listRecipes();
+    return recipes;
+  };
+  return {
+    listRecipes,
+    recipes: loadById(services.getRecipe, listRecipes),
+    users: loadById(services.getUser, services.listUsers)
+  };
+}
+
+module.exports = { createLoaders };
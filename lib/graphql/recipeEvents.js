@@ -0,0 +1,40 @@
+const { EventEmitter, on } = require('events');
+
+// Events a subscription can follow, as emitted to Socket.IO clients
+const RECIPE_EVENTS = ['recipeAdded', 'recipeUpdated', 'recipeDeleted'];
+
+/**
+ * Recipe events for GraphQL subscriptions. The server publishes each event
+ * where it emits the Socket.IO event of the same name, so both kinds of
+ * client hear about the same changes.
+ */
+class RecipeEvents {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open subscription
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * @param {string} event - One of RECIPE_EVENTS
+   * @param {*} payload - What Socket.IO clients are sent
+   */
+  publish(event, payload) {
+    this.emitter.emit(event, payload);
+  }
+
+  /**
+   * Events from now on, until the iterator is returned. Each value is the
+   * list of arguments published, i.e. [payload].
+   * @param {string} event - One of RECIPE_EVENTS
+   * @returns {AsyncIterator<Array>}
+   */
+  subscribe(event) {
+    if (!RECIPE_EVENTS.includes(event)) {
+      throw new Error(`Unknown recipe event "${event}"`);
+    }
+    return on(this.emitter, event);
+  }
+}
+
+module.exports = { RecipeEvents, RECIPE_EVENTS };
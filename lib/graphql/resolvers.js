@@ -0,0 +1,148 @@
+const { validate } = require('../schema');
+const recipeSchema = require('../schemas/recipe');
+const { assertRole } = require('../auth');
+const { etagFor } = require('../etag');
+const { cookTimeMinutes, servingsCount, parseListQuery, parseSearchQuery, paginateRecipes } = require('../recipeQuery');
+const { ForbiddenError, NotFoundError, PreconditionFailedError, ValidationError } = require('../errors');
+const { parseIngredient } = require('../../shared/ingredientParser');
+const { canEditRecipe } = require('../../shared/roles');
+const { createLoaders } = require('./loaders');
+const { RECIPE_EVENTS } = require('./recipeEvents');
+
+// Where recipes stored before categories were required are listed
+const DEFAULT_CATEGORY = recipeSchema.properties.category.default;
+
+// Check a recipe from a mutation against the schema the REST routes use
+function checkRecipe(input, { partial = false } = {}) {
+  // GraphQL input objects have no prototype; the validator wants plain ones
+  const { value, errors } = validate(recipeSchema, { ...input }, { partial });
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return value;
+}
+
+function checkCanEdit(user, recipe) {
+  if (!canEditRecipe(user, recipe)) {
+    throw new ForbiddenError('Only the author of this recipe or an editor can change it');
+  }
+}
+
+// The GraphQL counterpart of If-Match
+function checkExpectedVersion(recipe, expectedVersion) {
+  if (expectedVersion !== null && expectedVersion !== undefined && expectedVersion !== recipe.version) {
+    throw new PreconditionFailedError('Recipe was modified by someone else', etagFor(recipe));
+  }
+}
+
+/**
+ * Resolvers for the schema in typeDefs.js.
+ * @param {Object} services - What the server lets GraphQL do; see
+ *   createGraphqlApi() in index.js
+ * @returns {Object} Resolvers by type and field
+ */
+function createResolvers(services) {
+  async function findRecipe(id, loaders) {
+    const recipe = await loaders.recipes.load(id);
+    if (!recipe) {
+      throw new NotFoundError('Recipe not found');
+    }
+    return recipe;
+  }
+
+  const subscriptions = Object.fromEntries(RECIPE_EVENTS.map(event => [event, {
+    subscribe: () => services.events.subscribe(event),
+    // Each event arrives as the list of arguments it was published with.
+    // The context lasts as long as the subscription, so each event reads
+    // the documents it refers to afresh.
+    resolve: ([payload], args, context) => {
+      context.loaders = createLoaders(services);
+      return payload;
+    }
+  }]));
+
+  return {
+    Query: {
+      recipe: (parent, { id }, { loaders }) => loaders.recipes.load(id),
+
+      recipes: async (parent, { category, sort, first, after }, { loaders }) => {
+        const options = parseListQuery({
+          limit: first,
+          sort: sort ? `${sort.direction === 'desc' ? '-' : ''}${sort.field}` : undefined,
+          cursor: after || undefined,
+          category: category || undefined
+        }, []);
+        const { items, total, nextCursor } = paginateRecipes(await loaders.listRecipes(), options);
+        return { items, total, nextCursor };
+      },
+
+      // Grouped here rather than per category, so there is one read in all
+      categories: async (parent, args, { loaders }) => {
+        const byName = new Map();
+        for (const recipe of await loaders.listRecipes()) {
+          const name = recipe.category || DEFAULT_CATEGORY;
+          if (!byName.has(name)) byName.set(name, []);
+          byName.get(name).push(recipe);
+        }
+        return [...byName].map(([name, recipes]) => ({ name, recipes }));
+      },
+
+      // The index filters by category itself; the other filters need the
+      // recipes, so with them every hit is read before the page is cut
+      search: async (parent, { query, filter, first }, { loaders }) => {
+        const { category = null, maxCookMinutes = null, authorId = null } = filter || {};
+        const { q, limit } = parseSearchQuery({ q: query, category, limit: first });
+        const filtered = maxCookMinutes !== null || authorId !== null;
+        const { total, results } = services.search(q, { category, limit: filtered ? Infinity : limit });
+
+        const hits = await Promise.all(results.map(async result => ({ ...result, recipe: await loaders.recipes.load(result.id) })));
+        const matching = hits.filter(({ recipe }) => recipe &&
+          (maxCookMinutes === null || cookTimeMinutes(recipe.cookTime) !== null && cookTimeMinutes(recipe.cookTime) <= maxCookMinutes) &&
+          (authorId === null || recipe.createdBy === authorId));
+        return { total: filtered ? matching.length : total, results: matching.slice(0, limit) };
+      }
+    },
+
+    Mutation: {
+      createRecipe: async (parent, { recipe }, { user }) => {
+        assertRole(user, 'contributor');
+        return services.createRecipe(checkRecipe(recipe), user);
+      },
+
+      updateRecipe: async (parent, { id, changes, expectedVersion }, { user, loaders }) => {
+        assertRole(user, 'contributor');
+        const recipe = await findRecipe(id, loaders);
+        checkCanEdit(user, recipe);
+        checkExpectedVersion(recipe, expectedVersion);
+        return services.updateRecipe(recipe, checkRecipe(changes, { partial: true }), user);
+      },
+
+      deleteRecipe: async (parent, { id, expectedVersion }, { user, loaders }) => {
+        assertRole(user, 'contributor');
+        const recipe = await findRecipe(id, loaders);
+        checkCanEdit(user, recipe);
+        checkExpectedVersion(recipe, expectedVersion);
+        return services.trashRecipe(recipe, user);
+      }
+    },
+
+    Subscription: subscriptions,
+
+    Recipe: {
+      category: recipe => recipe.category || DEFAULT_CATEGORY,
+      cookMinutes: recipe => cookTimeMinutes(recipe.cookTime),
+      servingsCount: recipe => recipe.servings ? servingsCount(recipe.servings) : null,
+      parsedIngredients: recipe => recipe.parsedIngredients || recipe.ingredients.map(parseIngredient),
+      photos: recipe => recipe.photos || [],
+      author: (recipe, args, { loaders }) => recipe.createdBy === undefined ? null : loaders.users.load(recipe.createdBy),
+      lastEditor: (recipe, args, { loaders }) => recipe.updatedBy === undefined ? null : loaders.users.load(recipe.updatedBy)
+    },
+
+    Category: {
+      recipeCount: category => category.recipes.length,
+      recipes: (category, { first }) => category.recipes.slice(0, Math.max(first, 0))
+    }
+  };
+}
+
+module.exports = { createResolvers };
@@ -0,0 +1,176 @@
+/**
+ * GraphQL schema of /graphql. Recipes have the fields of the REST API's
+ * version 1 (lib/schemas/recipe.js); writes are validated against that
+ * schema, so both APIs accept and refuse the same recipes.
+ */
+const typeDefs = `
+"""
+A recipe. Fields are as stored; cookMinutes and servingsCount are read from
+the free-text cookTime and servings.
+"""
+type Recipe {
+  id: Int!
+  title: String!
+  description: String!
+  category: String!
+  cookTime: String
+  cookMinutes: Float
+  servings: String
+  servingsCount: Float
+  sourceUrl: String
+  imageUrl: String
+  ingredients: [String!]!
+  "The ingredients split into quantity, unit and item, in the same order"
+  parsedIngredients: [ParsedIngredient!]!
+  instructions: [String!]!
+  photos: [Photo!]!
+  "Bumped by every write; pass it as expectedVersion to refuse a stale change"
+  version: Int!
+  createdAt: String
+  updatedAt: String
+  "Who added the recipe, null for recipes from before accounts existed"
+  author: User
+  "Who changed it last"
+  lastEditor: User
+}
+
+type ParsedIngredient {
+  quantity: Float
+  "Upper bound of a range such as 2-3"
+  quantityMax: Float
+  unit: String
+  item: String
+  preparation: String
+  note: String
+  optional: Boolean!
+  toTaste: Boolean!
+}
+
+type Photo {
+  url: String!
+  contentType: String
+  size: Int
+}
+
+"Public profile of an account"
+type User {
+  id: Int!
+  username: String!
+  displayName: String!
+}
+
+type Category {
+  name: String!
+  recipeCount: Int!
+  recipes(first: Int = 20): [Recipe!]!
+}
+
+enum RecipeSortField {
+  id
+  title
+  createdAt
+  cookTime
+  servings
+}
+
+enum SortDirection {
+  asc
+  desc
+}
+
+input RecipeSort {
+  field: RecipeSortField!
+  direction: SortDirection = asc
+}
+
+"One page of recipes; pass nextCursor as after for the next one"
+type RecipePage {
+  items: [Recipe!]!
+  total: Int!
+  nextCursor: String
+}
+
+input SearchFilter {
+  category: String
+  maxCookMinutes: Float
+  authorId: Int
+}
+
+"HTML snippets of the fields a recipe matched in, with matched words in <mark>"
+type Highlights {
+  title: String
+  description: String
+  ingredients: [String!]
+}
+
+type SearchResult {
+  score: Float!
+  highlights: Highlights!
+  recipe: Recipe!
+}
+
+type SearchResults {
+  total: Int!
+  results: [SearchResult!]!
+}
+
+type Query {
+  recipe(id: Int!): Recipe
+  "Recipes in pages of at most 100, in the same order as GET /api/v1/recipes"
+  recipes(category: String, sort: RecipeSort, first: Int = 20, after: String): RecipePage!
+  "Every category in use"
+  categories: [Category!]!
+  "Best matches first; without words, every recipe the filter lets through"
+  search(query: String!, filter: SearchFilter, first: Int = 50): SearchResults!
+}
+
+"""
+A new recipe. Fields are checked as on POST /api/v1/recipes; a refused
+recipe fails with extensions.code VALIDATION_FAILED and the offending fields
+in extensions.details.
+"""
+input RecipeInput {
+  title: String!
+  description: String!
+  category: String
+  cookTime: String
+  servings: String
+  sourceUrl: String
+  imageUrl: String
+  ingredients: [String!]!
+  instructions: [String!]!
+}
+
+"Fields to change; those left out keep their value"
+input RecipeChanges {
+  title: String
+  description: String
+  category: String
+  cookTime: String
+  servings: String
+  sourceUrl: String
+  imageUrl: String
+  ingredients: [String!]
+  instructions: [String!]
+}
+
+type Mutation {
+  "Needs the contributor role"
+  createRecipe(recipe: RecipeInput!): Recipe!
+  "Needs the author of the recipe or an editor. A stale expectedVersion fails with PRECONDITION_FAILED."
+  updateRecipe(id: Int!, changes: RecipeChanges!, expectedVersion: Int): Recipe!
+  "Moves the recipe to the trash, as DELETE /api/v1/recipes/{id} does"
+  deleteRecipe(id: Int!, expectedVersion: Int): Recipe!
+}
+
+type Subscription {
+  "A recipe was added, imported or restored from the trash"
+  recipeAdded: Recipe!
+  "A recipe was changed"
+  recipeUpdated: Recipe!
+  "The id of a recipe moved to the trash"
+  recipeDeleted: Int!
+}
+`;
+
+module.exports = typeDefs;
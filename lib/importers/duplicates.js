@@ -0,0 +1,37 @@
+// Titles compared without case, accents, punctuation or extra spaces
+function titleKey(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find imported recipes that look like one already stored, or like an
+ * earlier recipe in the same import: the same title, or the same source URL.
+ * @param {Array<Object>} recipes - Recipes about to be imported
+ * @param {Array<Object>} existing - Stored recipes
+ * @returns {Array<Object|null>} For each imported recipe, { id, title } of
+ *   the stored recipe or { index, title } of the earlier imported one it
+ *   matches, or null
+ */
+function findDuplicates(recipes, existing) {
+  const byTitle = new Map();
+  const bySource = new Map();
+  const remember = (recipe, match) => {
+    const key = titleKey(recipe.title);
+    if (key && !byTitle.has(key)) byTitle.set(key, match);
+    if (recipe.sourceUrl && !bySource.has(recipe.sourceUrl)) bySource.set(recipe.sourceUrl, match);
+  };
+  existing.forEach(recipe => remember(recipe, { id: recipe.id, title: recipe.title }));
+
+  return recipes.map((recipe, index) => {
+    const match = byTitle.get(titleKey(recipe.title)) || (recipe.sourceUrl && bySource.get(recipe.sourceUrl)) || null;
+    if (!match) remember(recipe, { index, title: recipe.title });
+    return match;
+  });
+}
+
+module.exports = { findDuplicates, titleKey };
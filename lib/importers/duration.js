@@ -0,0 +1,42 @@
+/**
+ * Minutes in an ISO 8601 duration as used by schema.org: "PT1H30M",
+ * "PT90M", "P1DT2H", "PT0.5H".
+ * @param {string} text
+ * @returns {number|null} Minutes, or null if the text is not a duration
+ */
+function parseIsoDuration(text) {
+  const match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i
+    .exec(String(text || '').trim());
+  if (!match || match.slice(1).every(part => part === undefined)) return null;
+  const [days, hours, minutes, seconds] = match.slice(1).map(part => parseFloat(part || 0));
+  return Math.round(days * 24 * 60 + hours * 60 + minutes + seconds / 60);
+}
+
+/**
+ * Write minutes the way recipes in this app do: "25 minutes",
+ * "1 hour 15 minutes", "2 hours".
+ * @param {number} minutes
+ * @returns {string}
+ */
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  const parts = [];
+  if (hours > 0) parts.push(`${hours} ${hours === 1 ? 'hour' : 'hours'}`);
+  if (rest > 0 || hours === 0) parts.push(`${rest} ${rest === 1 ? 'minute' : 'minutes'}`);
+  return parts.join(' ');
+}
+
+/**
+ * ISO 8601 duration for a number of minutes, e.g. 75 -> "PT1H15M".
+ * @param {number} minutes
+ * @returns {string}
+ */
+function toIsoDuration(minutes) {
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60);
+  const rest = rounded % 60;
+  return `PT${hours > 0 ? `${hours}H` : ''}${rest > 0 || hours === 0 ? `${rest}M` : ''}`;
+}
+
+module.exports = { parseIsoDuration, formatMinutes, toIsoDuration };
@@ -0,0 +1,65 @@
+const { decodeEntities } = require('./text');
+
+const JSON_LD_SCRIPT = /<script\b[^>]*\btype\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script\s*>/gi;
+
+// Attributes of a single start tag, names lowercased, values decoded
+function tagAttributes(tag) {
+  const attributes = {};
+  const pattern = /([^\s"'<>\/=]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+))/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    attributes[match[1].toLowerCase()] = decodeEntities(match[2] ?? match[3] ?? match[4]);
+  }
+  return attributes;
+}
+
+/**
+ * Parse every JSON-LD block of a saved page.
+ * @param {string} html
+ * @returns {{ documents: Array, warnings: Array<string> }} Blocks that are
+ *   not valid JSON are reported as warnings and skipped
+ */
+function extractJsonLd(html) {
+  const documents = [];
+  const warnings = [];
+  let index = 0;
+  for (const match of html.matchAll(JSON_LD_SCRIPT)) {
+    index++;
+    const source = match[1]
+      .trim()
+      .replace(/^<!--|-->$/g, '')
+      .replace(/^\s*\/\/\s*<!\[CDATA\[|\/\/\s*\]\]>\s*$/g, '')
+      .trim();
+    if (!source) continue;
+    try {
+      documents.push(JSON.parse(source));
+    } catch (error) {
+      warnings.push(`JSON-LD block ${index} is not valid JSON: ${error.message}`);
+    }
+  }
+  return { documents, warnings };
+}
+
+/**
+ * Page address and picture from <link rel="canonical"> and Open Graph
+ * tags, used when the recipe data leaves them out.
+ * @param {string} html
+ * @returns {{ url: string|null, image: string|null }}
+ */
+function pageMetadata(html) {
+  const metadata = { url: null, image: null };
+  for (const [tag] of html.matchAll(/<(?:link|meta)\b[^>]*>/gi)) {
+    const attributes = tagAttributes(tag);
+    const property = (attributes.property || attributes.name || '').toLowerCase();
+    if ((attributes.rel || '').toLowerCase() === 'canonical' && attributes.href) {
+      metadata.url = attributes.href;
+    } else if (property === 'og:url' && attributes.content && !metadata.url) {
+      metadata.url = attributes.content;
+    } else if (property === 'og:image' && attributes.content && !metadata.image) {
+      metadata.image = attributes.content;
+    }
+  }
+  return metadata;
+}
+
+module.exports = { extractJsonLd, pageMetadata };
@@ -0,0 +1,159 @@
+const path = require('path');
+const multer = require('multer');
+const { validate } = require('../schema');
+const recipeSchema = require('../schemas/recipe');
+const { BadRequestError, PayloadTooLargeError, UnsupportedMediaTypeError } = require('../errors');
+const { findDuplicates } = require('./duplicates');
+const mealMaster = require('./mealMaster');
+const paprika = require('./paprika');
+const schemaOrg = require('./schemaOrg');
+
+// Importers by name. Each one reads a whole uploaded file:
+//   name            picks it explicitly with ?format=
+//   label           what the format is called in the UI
+//   extensions      file names it is tried for before the others
+//   detect(source)  whether the content looks like its format
+//   read(source)    { recipes: [{ recipe, warnings, photo? }], warnings?, failures? }
+// Failures are the parts of a file that could not be read at all, as
+// { line, text, message } or { entry, message } for archives. read() throws
+// an HttpError when the file as a whole cannot be read.
+const importers = new Map();
+
+function registerImporter(importer) {
+  importers.set(importer.name, importer);
+}
+
+// Binary formats first; schema.org takes anything that looks like markup
+[paprika, mealMaster, schemaOrg].forEach(registerImporter);
+
+function listImporters() {
+  return [...importers.values()].map(({ name, label, extensions }) => ({ name, label, extensions }));
+}
+
+// The importer for a file: one whose extension matches and that recognises
+// the content, otherwise the first that recognises it
+function findImporter(source) {
+  const candidates = [...importers.values()];
+  const extension = source.filename ? path.extname(source.filename).toLowerCase() : null;
+  const importer = candidates.find(candidate => candidate.extensions.includes(extension) && candidate.detect(source))
+    || candidates.find(candidate => candidate.detect(source));
+  if (!importer) {
+    throw new UnsupportedMediaTypeError(`This file is not in a format that can be imported. Supported: ${candidates.map(candidate => candidate.label).join(', ')}`);
+  }
+  return importer;
+}
+
+/**
+ * Read the options of the import routes: ?format= to skip detection and
+ * ?duplicates=skip|import for recipes that look like ones already stored.
+ * @param {Object} query - req.query
+ * @returns {{ format: string|null, duplicates: string }}
+ */
+function parseImportOptions(query) {
+  const details = [];
+  const format = query.format === undefined ? null : String(query.format);
+  if (format !== null && !importers.has(format)) {
+    details.push({ field: 'format', message: `format must be one of: ${[...importers.keys()].join(', ')}` });
+  }
+  const duplicates = query.duplicates === undefined ? 'skip' : String(query.duplicates);
+  if (!['skip', 'import'].includes(duplicates)) {
+    details.push({ field: 'duplicates', message: 'duplicates must be skip or import' });
+  }
+  if (details.length > 0) {
+    throw new BadRequestError('Invalid query parameters', details);
+  }
+  return { format, duplicates };
+}
+
+/**
+ * Read recipes from an uploaded file with the importer for its format.
+ * Nothing is fetched from the network and nothing is stored.
+ * @param {{ buffer: Buffer, filename?: string }} source
+ * @param {{ format?: string|null }} [options]
+ * @returns {{ format: string, recipes: Array, warnings: Array<string>, failures: Array<Object> }}
+ */
+function readImport(source, { format = null } = {}) {
+  const importer = format ? importers.get(format) : findImporter(source);
+  const { recipes, warnings = [], failures = [] } = importer.read(source);
+  return { format: importer.name, recipes, warnings, failures };
+}
+
+/**
+ * Dry-run report of an import: every recipe read is checked against the
+ * schema and the stored recipes, and given the action the import would
+ * take: "create", or skip as "invalid" or "duplicate".
+ * @param {Object} imported - From readImport
+ * @param {Array<Object>} existing - Stored recipes
+ * @param {{ duplicates: string }} options - From parseImportOptions
+ * @returns {Object} { format, summary, recipes, warnings, failures }
+ */
+function planImport(imported, existing, { duplicates }) {
+  const checked = imported.recipes.map(entry => validate(recipeSchema, entry.recipe));
+  const duplicateOf = findDuplicates(checked.map(({ value }) => value), existing);
+
+  const recipes = imported.recipes.map((entry, index) => {
+    const { value, errors } = checked[index];
+    let action = 'create';
+    if (errors.length > 0) action = 'invalid';
+    else if (duplicateOf[index] && duplicates === 'skip') action = 'duplicate';
+    return {
+      index,
+      action,
+      recipe: value,
+      warnings: entry.warnings,
+      errors,
+      duplicateOf: duplicateOf[index],
+      hasPhoto: Boolean(entry.photo)
+    };
+  });
+
+  const count = action => recipes.filter(entry => entry.action === action).length;
+  return {
+    format: imported.format,
+    summary: {
+      found: recipes.length,
+      create: count('create'),
+      duplicates: count('duplicate'),
+      invalid: count('invalid'),
+      failures: imported.failures.length
+    },
+    recipes,
+    warnings: imported.warnings,
+    failures: imported.failures
+  };
+}
+
+/**
+ * Multipart upload of a single import file in a "file" field.
+ * @param {Object} options
+ * @param {number} options.maxBytes - Largest accepted file
+ * @returns {Function} receive(req, res) resolving to the uploaded file
+ */
+function createImportReceiver({ maxBytes }) {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 }
+  }).single('file');
+
+  return (req, res) => new Promise((resolve, reject) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return reject(error.code === 'LIMIT_FILE_SIZE'
+          ? new PayloadTooLargeError(`Import files may be at most ${Math.round(maxBytes / 1024 / 1024 * 10) / 10} MB`)
+          : new BadRequestError(`Upload failed: ${error.message}`));
+      }
+      if (error) return reject(error);
+      if (!req.file) return reject(new BadRequestError('Send the file as multipart/form-data in a field named "file"'));
+      resolve(req.file);
+    });
+  });
+}
+
+module.exports = {
+  createImportReceiver,
+  listImporters,
+  parseImportOptions,
+  planImport,
+  readImport,
+  registerImporter
+};
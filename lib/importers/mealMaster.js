@@ -0,0 +1,241 @@
+const { buildRecipe } = require('./recipeFields');
+
+// "MMMMM----- Recipe via Meal-Master (tm) v8.05", or with dashes instead
+// of the Ms in older versions
+const START_PATTERN = /^(?:M{5}|-{5})-*\s*Recipe via Meal-?Master/i;
+const END_PATTERN = /^(?:M{5}|-{5})\s*$/;
+// "MMMMM---------------FOR THE SAUCE---------------"
+const HEADING_PATTERN = /^(?:M{5}|-{5})-*([^-].*?)-*\s*$/;
+const QUANTITY_PATTERN = /^[\d\s/.-]*$/;
+
+// MealMaster's two-letter unit codes and how to write them out, singular
+// and plural. Empty units ("x" per serving, "ea" each) are left out.
+const UNITS = {
+  x: ['', ''], ea: ['', ''],
+  sm: ['small', 'small'], md: ['medium', 'medium'], lg: ['large', 'large'],
+  cn: ['can', 'cans'], pk: ['package', 'packages'], ct: ['carton', 'cartons'],
+  pn: ['pinch', 'pinches'], dr: ['drop', 'drops'], ds: ['dash', 'dashes'],
+  bn: ['bunch', 'bunches'], sl: ['slice', 'slices'],
+  t: ['tsp', 'tsp'], ts: ['tsp', 'tsp'], T: ['tbsp', 'tbsp'], tb: ['tbsp', 'tbsp'],
+  fl: ['fl oz', 'fl oz'], c: ['cup', 'cups'], pt: ['pint', 'pints'],
+  qt: ['quart', 'quarts'], ga: ['gallon', 'gallons'],
+  oz: ['oz', 'oz'], lb: ['lb', 'lb'],
+  ml: ['ml', 'ml'], cb: ['cc', 'cc'], cl: ['cl', 'cl'], dl: ['dl', 'dl'], l: ['l', 'l'],
+  mg: ['mg', 'mg'], cg: ['cg', 'cg'], dg: ['dg', 'dg'], g: ['g', 'g'], kg: ['kg', 'kg']
+};
+
+// Files from the MealMaster era are usually in a DOS code page rather than
+// UTF-8; Latin-1 keeps their plain text readable
+function decode(buffer) {
+  const text = buffer.toString('utf8');
+  return text.includes('\uFFFD') ? buffer.toString('latin1') : text.replace(/^\uFEFF/, '');
+}
+
+// Value of a quantity like "1 1/2" or "2-3" (the lower bound), to pick
+// singular or plural units
+function quantityValue(text) {
+  return text.split('-')[0].trim().split(/\s+/).reduce((sum, part) => {
+    const [numerator, denominator] = part.split('/').map(Number);
+    return sum + (denominator ? numerator / denominator : numerator || 0);
+  }, 0);
+}
+
+/**
+ * Read one ingredient in MealMaster's fixed columns: a 7 character
+ * quantity, a space, a 2 character unit code, a space and the text.
+ * @param {string} segment - A line, or one column of a two-column line
+ * @returns {{ quantity: string, unit: string, text: string }|null}
+ */
+function readIngredientColumns(segment) {
+  const quantity = segment.slice(0, 7);
+  const unit = segment.slice(8, 10).trim();
+  if (!QUANTITY_PATTERN.test(quantity) || segment[7] !== ' ') return null;
+  if (unit && !Object.prototype.hasOwnProperty.call(UNITS, unit)) return null;
+  if (segment.length > 10 && segment[10] !== ' ') return null;
+  return { quantity: quantity.trim(), unit, text: segment.slice(11).trim() };
+}
+
+function ingredientText({ quantity, unit, text }) {
+  const names = UNITS[unit] || ['', ''];
+  const unitName = quantity && quantityValue(quantity) > 1 ? names[1] : names[0];
+  return [quantity, unitName, text].filter(Boolean).join(' ');
+}
+
+// The entries on one ingredient line: one, or two when the recipe was
+// written in two columns (the second starting at column 41)
+function readIngredientLine(line) {
+  const left = readIngredientColumns(line);
+  if (!left) return null;
+  if (line.length > 41 && line.slice(39, 41).trim() === '') {
+    const right = readIngredientColumns(line.slice(41));
+    if (right && (right.quantity || right.text)) {
+      return [readIngredientColumns(line.slice(0, 39)), right];
+    }
+  }
+  return [left];
+}
+
+/**
+ * Turn the lines of one recipe, between its start and end lines, into a
+ * recipe. Ingredient lines that do not fit the columns are reported as
+ * failures and left out.
+ * @param {Array<{ number: number, text: string }>} lines
+ * @param {Array<Object>} failures - Receives { line, text, message }
+ * @returns {{ recipe: Object, warnings: Array<string> }}
+ */
+function readRecipe(lines, failures) {
+  const warnings = [];
+  const fields = { ingredients: [], instructions: [] };
+  // Ingredients are read a block at a time so two-column blocks keep their
+  // order: down the left column, then down the right one
+  let block = { left: [], right: [] };
+  let section = 'header';
+  let afterBreak = true;
+  let heading = null;
+  let paragraph = [];
+
+  const endBlock = () => {
+    const entries = [...block.left, ...block.right];
+    fields.ingredients.push(...entries.map(ingredientText));
+    block = { left: [], right: [] };
+  };
+  const endParagraph = () => {
+    if (paragraph.length > 0) fields.instructions.push(paragraph.join(' '));
+    paragraph = [];
+  };
+
+  for (const { number, text } of lines) {
+    const trimmed = text.trim();
+
+    if (section === 'header') {
+      const field = /^(Title|Categories|Yield|Servings)\s*:\s*(.*)$/i.exec(trimmed);
+      if (field) {
+        const [, name, value] = field;
+        if (/^title$/i.test(name)) fields.title = value.trim();
+        if (/^categories$/i.test(name)) fields.category = value.split(',').map(item => item.trim()).find(Boolean);
+        if (/^yield$/i.test(name)) fields.servings = value.trim();
+        if (/^servings$/i.test(name)) fields.servings = /^\d+$/.test(value.trim()) ? `${value.trim()} servings` : value.trim();
+        continue;
+      }
+      if (!trimmed) continue;
+      section = 'ingredients';
+    }
+
+    if (section === 'ingredients') {
+      if (!trimmed) {
+        endBlock();
+        afterBreak = true;
+        continue;
+      }
+      const headingMatch = HEADING_PATTERN.exec(trimmed);
+      if (headingMatch) {
+        endBlock();
+        heading = headingMatch[1].trim();
+        afterBreak = true;
+        continue;
+      }
+      const entries = readIngredientLine(text);
+      if (entries) {
+        if (heading) warnings.push(`The ingredient heading "${heading}" was left out`);
+        heading = null;
+        afterBreak = false;
+        entries.forEach((entry, column) => {
+          const target = column === 0 ? block.left : block.right;
+          const previous = target[target.length - 1] || block.left[block.left.length - 1];
+          // "-chopped" under an ingredient continues its text
+          if (!entry.quantity && !entry.unit && entry.text.startsWith('-') && previous) {
+            previous.text = `${previous.text} ${entry.text.slice(1).trim()}`;
+          } else if (entry.quantity || entry.unit || entry.text) {
+            target.push(entry);
+          }
+        });
+        continue;
+      }
+      if (!afterBreak) {
+        failures.push({ line: number, text: trimmed, message: 'Not a MealMaster ingredient line' });
+        continue;
+      }
+      endBlock();
+      section = 'directions';
+      if (heading) fields.instructions.push(`${heading.replace(/:$/, '')}:`);
+      heading = null;
+    }
+
+    // Directions: paragraphs separated by blank lines, each one a step
+    if (!trimmed) {
+      endParagraph();
+      continue;
+    }
+    const headingMatch = HEADING_PATTERN.exec(trimmed);
+    if (headingMatch) {
+      endParagraph();
+      fields.instructions.push(`${headingMatch[1].trim().replace(/:$/, '')}:`);
+      continue;
+    }
+    paragraph.push(trimmed);
+  }
+  endBlock();
+  endParagraph();
+
+  return buildRecipe(fields, warnings);
+}
+
+/**
+ * Read a MealMaster export: any number of recipes, each between a
+ * "Recipe via Meal-Master" line and a line of five Ms (or dashes). Text
+ * between recipes, such as mail headers, is skipped.
+ * @param {{ buffer: Buffer }} source
+ */
+function read({ buffer }) {
+  const lines = decode(buffer).split(/\r?\n/).map((text, index) => ({ number: index + 1, text: text.replace(/\s+$/, '') }));
+  const recipes = [];
+  const warnings = [];
+  const failures = [];
+  let current = null;
+  let skipped = 0;
+
+  const finish = () => {
+    if (current.lines.some(({ text }) => /^\s*Title\s*:\s*\S/i.test(text))) {
+      recipes.push(readRecipe(current.lines, failures));
+    } else {
+      failures.push({ line: current.start.number, text: current.start.text.trim(), message: 'This recipe has no title and was skipped' });
+    }
+    current = null;
+  };
+
+  for (const line of lines) {
+    if (START_PATTERN.test(line.text.trim())) {
+      if (current) {
+        failures.push({ line: line.number - 1, text: '', message: 'The recipe before this line has no end line' });
+        finish();
+      }
+      current = { start: line, lines: [] };
+    } else if (current && END_PATTERN.test(line.text.trim())) {
+      finish();
+    } else if (current) {
+      current.lines.push(line);
+    } else if (line.text.trim()) {
+      skipped++;
+    }
+  }
+  if (current) {
+    failures.push({ line: lines.length, text: '', message: 'The last recipe has no end line; the file may be cut off' });
+    finish();
+  }
+
+  if (skipped > 0) warnings.push(`Skipped ${skipped} line(s) outside recipes`);
+  if (recipes.length === 0 && failures.length === 0) warnings.push('No MealMaster recipes were found');
+  return { recipes, warnings, failures };
+}
+
+function detect({ buffer }) {
+  return decode(buffer.subarray(0, 64 * 1024)).split(/\r?\n/).some(line => START_PATTERN.test(line.trim()));
+}
+
+module.exports = {
+  name: 'mealmaster',
+  label: 'MealMaster (.mmf)',
+  extensions: ['.mmf', '.mm', '.mmx', '.txt'],
+  detect,
+  read
+};
@@ -0,0 +1,135 @@
+const zlib = require('zlib');
+const { BadRequestError, PayloadTooLargeError } = require('../errors');
+const { buildRecipe } = require('./recipeFields');
+const { isZip, readZip } = require('./zip');
+
+// Largest single recipe accepted once unpacked: its JSON is a few KB, the
+// rest is the photo
+const MAX_RECIPE_BYTES = 20 * 1024 * 1024;
+
+// Limits for a whole archive. An upload is at most importMaxBytes, but its
+// files can unpack to far more, and every photo stays in memory until the
+// import is stored.
+const MAX_ARCHIVE_BYTES = 100 * 1024 * 1024;
+const MAX_ARCHIVE_ENTRIES = 5000;
+
+function isGzip(buffer) {
+  return buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+// A .paprikarecipe file is the recipe's JSON, gzipped
+function unpackRecipeFile(buffer, maxBytes = MAX_RECIPE_BYTES) {
+  return zlib.gunzipSync(buffer, { maxOutputLength: maxBytes });
+}
+
+function parseRecipeFile(unpacked) {
+  return JSON.parse(unpacked.toString('utf8'));
+}
+
+/**
+ * Map a Paprika recipe onto the server's recipe shape. The embedded photo,
+ * if any, is returned alongside as `photo` for the import to store.
+ * @param {Object} data - Parsed JSON of a .paprikarecipe file
+ * @returns {{ recipe: Object, warnings: Array<string>, photo?: Buffer }}
+ */
+function mapRecipe(data) {
+  const warnings = [];
+  if (text(data.notes)) warnings.push('The notes were left out');
+
+  const { recipe } = buildRecipe({
+    title: text(data.name),
+    description: text(data.description),
+    category: [].concat(data.categories || []).map(text).find(Boolean),
+    ingredients: text(data.ingredients).split(/\r?\n/),
+    instructions: text(data.directions).split(/\r?\n/),
+    cookTime: text(data.total_time) || text(data.cook_time),
+    servings: text(data.servings),
+    imageUrl: data.image_url,
+    sourceUrl: data.source_url
+  }, warnings);
+
+  const entry = { recipe, warnings };
+  if (text(data.photo_data)) entry.photo = Buffer.from(data.photo_data, 'base64');
+  return entry;
+}
+
+/**
+ * Read a Paprika export: a .paprikarecipes archive (a zip of
+ * .paprikarecipe files) or a single .paprikarecipe. Archive entries that
+ * cannot be unpacked are reported as failures; the rest still import. An
+ * archive with more than MAX_ARCHIVE_ENTRIES files, or whose recipes unpack
+ * to more than MAX_ARCHIVE_BYTES in all, is refused with a 413.
+ * @param {{ buffer: Buffer }} source
+ */
+function read({ buffer }) {
+  if (isGzip(buffer)) {
+    try {
+      return { recipes: [mapRecipe(parseRecipeFile(unpackRecipeFile(buffer)))] };
+    } catch (error) {
+      throw new BadRequestError('The Paprika recipe could not be read', [
+        { field: 'file', message: error.message }
+      ]);
+    }
+  }
+
+  let entries;
+  try {
+    entries = readZip(buffer);
+  } catch (error) {
+    throw new BadRequestError('The Paprika archive could not be read', [
+      { field: 'file', message: error.message }
+    ]);
+  }
+
+  if (entries.length > MAX_ARCHIVE_ENTRIES) {
+    throw new PayloadTooLargeError(`Archives may hold at most ${MAX_ARCHIVE_ENTRIES} files`);
+  }
+
+  const recipes = [];
+  const failures = [];
+  const others = entries.filter(entry => !entry.name.endsWith('.paprikarecipe') && !entry.name.endsWith('/'));
+  const tooLarge = () => new PayloadTooLargeError(`Archives may unpack to at most ${MAX_ARCHIVE_BYTES / 1024 / 1024} MB`);
+  let unpackedBytes = 0;
+  for (const entry of entries.filter(candidate => candidate.name.endsWith('.paprikarecipe'))) {
+    // Each recipe may use what the archive has left, up to its own limit
+    const maxBytes = Math.min(MAX_RECIPE_BYTES, MAX_ARCHIVE_BYTES - unpackedBytes);
+    if (maxBytes <= 0) throw tooLarge();
+    try {
+      const packed = entry.read(maxBytes);
+      const unpacked = unpackRecipeFile(packed, maxBytes);
+      unpackedBytes += packed.length + unpacked.length;
+      recipes.push(mapRecipe(parseRecipeFile(unpacked)));
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE' && maxBytes < MAX_RECIPE_BYTES) throw tooLarge();
+      failures.push({ entry: entry.name, message: `Could not be read: ${error.message}` });
+    }
+  }
+
+  const warnings = [];
+  if (others.length > 0) {
+    warnings.push(`Skipped ${others.length} file(s) in the archive that are not Paprika recipes`);
+  }
+  if (recipes.length === 0 && failures.length === 0) {
+    warnings.push('The archive contains no Paprika recipes');
+  }
+  return { recipes, warnings, failures };
+}
+
+function detect({ buffer }) {
+  return isZip(buffer) || isGzip(buffer);
+}
+
+module.exports = {
+  name: 'paprika',
+  label: 'Paprika (.paprikarecipes)',
+  extensions: ['.paprikarecipes', '.paprikarecipe'],
+  detect,
+  read,
+  mapRecipe,
+  MAX_ARCHIVE_BYTES,
+  MAX_ARCHIVE_ENTRIES
+};
@@ -0,0 +1,58 @@
+const recipeSchema = require('../schemas/recipe');
+const { isWebUrl } = require('../schema');
+const { truncate } = require('./text');
+
+const LIMITS = recipeSchema.properties;
+
+// Keep a list within the schema's limits, noting anything that was cut
+function fitList(lines, schema, label, warnings) {
+  let fitted = lines.map(line => truncate(line, schema.items.maxLength));
+  if (fitted.some((line, index) => line !== lines[index])) {
+    warnings.push(`Some ${label} were shortened to ${schema.items.maxLength} characters`);
+  }
+  if (fitted.length > schema.maxItems) {
+    warnings.push(`Only the first ${schema.maxItems} ${label} were kept`);
+    fitted = fitted.slice(0, schema.maxItems);
+  }
+  return fitted;
+}
+
+function fitText(text, schema, label, warnings) {
+  const fitted = truncate(text, schema.maxLength);
+  if (fitted !== text) warnings.push(`The ${label} was shortened to ${schema.maxLength} characters`);
+  return fitted;
+}
+
+/**
+ * Build a recipe in the server's shape from the fields an importer read,
+ * fitting text into the schema's limits. The result is not validated here;
+ * empty required fields are left empty and show up when the recipe is
+ * checked against the schema.
+ * @param {Object} fields - title, description, category, cookTime and
+ *   servings as plain text (empty when missing), ingredients and
+ *   instructions as lists of lines, imageUrl and sourceUrl
+ * @param {Array<string>} [warnings] - Warnings the importer already has
+ * @returns {{ recipe: Object, warnings: Array<string> }}
+ */
+function buildRecipe(fields, warnings = []) {
+  const lines = list => (list || []).map(line => line.trim()).filter(Boolean);
+  const title = fitText(fields.title || '', LIMITS.title, 'title', warnings);
+  const recipe = {
+    title,
+    description: fitText(fields.description || title, LIMITS.description, 'description', warnings),
+    category: fitText(fields.category || 'Other', LIMITS.category, 'category', warnings),
+    ingredients: fitList(lines(fields.ingredients), LIMITS.ingredients, 'ingredients', warnings),
+    instructions: fitList(lines(fields.instructions), LIMITS.instructions, 'instructions', warnings)
+  };
+
+  if (fields.cookTime) recipe.cookTime = fitText(fields.cookTime, LIMITS.cookTime, 'cook time', warnings);
+  if (fields.servings) recipe.servings = fitText(fields.servings, LIMITS.servings, 'yield', warnings);
+  if (isWebUrl(fields.imageUrl)) recipe.imageUrl = fields.imageUrl.trim();
+  if (isWebUrl(fields.sourceUrl)) recipe.sourceUrl = fields.sourceUrl.trim();
+
+  if (recipe.ingredients.length === 0) warnings.push('No ingredients were found');
+  if (recipe.instructions.length === 0) warnings.push('No instructions were found');
+  return { recipe, warnings };
+}
+
+module.exports = { buildRecipe, isWebUrl };
@@ -0,0 +1,163 @@
+const { BadRequestError } = require('../errors');
+const { parseIsoDuration, formatMinutes } = require('./duration');
+const { extractJsonLd, pageMetadata } = require('./html');
+const { buildRecipe, isWebUrl } = require('./recipeFields');
+const { plainText } = require('./text');
+
+const MAX_DEPTH = 12;
+
+// "@type" may be a string or a list, written as "Recipe", "schema:Recipe"
+// or "http://schema.org/Recipe"
+function hasType(node, type) {
+  return [].concat(node['@type'] || []).some(value =>
+    typeof value === 'string' && value.replace(/^.*[/:#]/, '') === type
+  );
+}
+
+/**
+ * Every schema.org Recipe in parsed JSON-LD, wherever it sits: at the top,
+ * in an @graph, under mainEntity or in a list.
+ * @param {*} value - Parsed JSON-LD document(s)
+ * @returns {Array<Object>}
+ */
+function findRecipeNodes(value, depth = 0, found = []) {
+  if (depth > MAX_DEPTH || value === null || typeof value !== 'object') return found;
+  if (Array.isArray(value)) {
+    value.forEach(item => findRecipeNodes(item, depth + 1, found));
+  } else if (hasType(value, 'Recipe')) {
+    found.push(value);
+  } else {
+    Object.values(value).forEach(item => findRecipeNodes(item, depth + 1, found));
+  }
+  return found;
+}
+
+function firstText(value) {
+  const first = [].concat(value ?? []).map(plainText).find(text => text.length > 0);
+  return first || '';
+}
+
+// image may be a URL, an ImageObject or a list of either
+function firstImageUrl(value) {
+  for (const image of [].concat(value ?? [])) {
+    const url = typeof image === 'string' ? image : image && (image.url || image.contentUrl);
+    if (isWebUrl(url)) return url.trim();
+  }
+  return null;
+}
+
+// recipeYield is often given twice, e.g. ["4", "4 servings"]; prefer the
+// one that says what is being counted
+function yieldText(value) {
+  const yields = [].concat(value ?? []).map(item => plainText(item)).filter(Boolean);
+  const described = yields.find(text => /\d/.test(text) && /[a-z]/i.test(text));
+  const chosen = described || yields[0];
+  if (!chosen) return '';
+  return /^\d+(?:\.\d+)?$/.test(chosen) ? `${chosen} servings` : chosen;
+}
+
+// totalTime when given, otherwise prep and cook time added up
+function timeText(node) {
+  const total = parseIsoDuration(node.totalTime);
+  if (total) return formatMinutes(total);
+  const parts = [node.prepTime, node.cookTime].map(parseIsoDuration).filter(Boolean);
+  return parts.length > 0 ? formatMinutes(parts.reduce((sum, minutes) => sum + minutes, 0)) : '';
+}
+
+/**
+ * Instruction lines from recipeInstructions: a block of text, a list of
+ * strings or HowToStep objects, or HowToSection groups of steps. A section
+ * becomes a "Name:" line followed by its steps.
+ * @returns {Array<string>}
+ */
+function instructionLines(value, depth = 0) {
+  if (depth > MAX_DEPTH || value === undefined || value === null) return [];
+  if (typeof value === 'string') {
+    return plainText(value).split('\n').map(line => line.trim()).filter(Boolean);
+  }
+  if (Array.isArray(value)) {
+    return value.flatMap(item => instructionLines(item, depth + 1));
+  }
+  if (typeof value !== 'object') return [];
+
+  if (value.itemListElement !== undefined) {
+    const steps = instructionLines(value.itemListElement, depth + 1);
+    const name = hasType(value, 'HowToSection') ? plainText(value.name) : '';
+    return name ? [`${name.replace(/:$/, '')}:`, ...steps] : steps;
+  }
+  return instructionLines(value.text ?? value.name, depth + 1);
+}
+
+/**
+ * Map a schema.org Recipe onto the server's recipe shape.
+ * @param {Object} node - A Recipe node from findRecipeNodes
+ * @param {{ url?: string|null, image?: string|null }} [page] - Page metadata
+ * @returns {{ recipe: Object, warnings: Array<string> }}
+ */
+function mapRecipe(node, page = {}) {
+  return buildRecipe({
+    title: firstText(node.name || node.headline),
+    description: firstText(node.description),
+    category: firstText(node.recipeCategory),
+    ingredients: [].concat(node.recipeIngredient || node.ingredients || []).flatMap(item => plainText(item).split('\n')),
+    instructions: instructionLines(node.recipeInstructions),
+    cookTime: timeText(node),
+    servings: yieldText(node.recipeYield),
+    imageUrl: firstImageUrl(node.image) || page.image,
+    sourceUrl: [].concat(node.url || []).find(isWebUrl) || page.url
+  });
+}
+
+function sourceText(buffer) {
+  return buffer.toString('utf8').replace(/^\uFEFF/, '').trim();
+}
+
+/**
+ * Read recipes from a saved web page or a JSON-LD document. Nothing is
+ * fetched from the network: image and source URLs are kept as links.
+ * @param {{ buffer: Buffer }} source
+ * @returns {{ recipes: Array<{ recipe: Object, warnings: Array<string> }>, warnings: Array<string> }}
+ */
+function read({ buffer }) {
+  const text = sourceText(buffer);
+  const warnings = [];
+  let documents;
+  let page = {};
+
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      documents = [JSON.parse(text)];
+    } catch (error) {
+      throw new BadRequestError('The JSON-LD could not be read', [
+        { field: 'file', message: `Not valid JSON: ${error.message}` }
+      ]);
+    }
+  } else {
+    const extracted = extractJsonLd(text);
+    documents = extracted.documents;
+    warnings.push(...extracted.warnings);
+    page = pageMetadata(text);
+  }
+
+  const nodes = findRecipeNodes(documents);
+  if (nodes.length === 0) {
+    warnings.push('No schema.org Recipe data was found');
+  }
+  return { recipes: nodes.map(node => mapRecipe(node, page)), warnings };
+}
+
+// JSON, or markup that may carry JSON-LD
+function detect({ buffer }) {
+  return /^[{[<]/.test(sourceText(buffer.subarray(0, 1024)));
+}
+
+module.exports = {
+  name: 'schema.org',
+  label: 'Web page or JSON-LD (schema.org)',
+  extensions: ['.html', '.htm', '.json', '.jsonld'],
+  detect,
+  read,
+  findRecipeNodes,
+  mapRecipe,
+  hasType
+};
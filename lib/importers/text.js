@@ -0,0 +1,54 @@
+// Named entities common in recipe pages; numeric ones are decoded generically
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  frac12: '½', frac14: '¼', frac34: '¾', frac13: '⅓', frac23: '⅔', frac18: '⅛',
+  deg: '°', ndash: '–', mdash: '—', hellip: '…', rsquo: '’', lsquo: '‘',
+  rdquo: '”', ldquo: '“', times: '×', eacute: 'é', egrave: 'è', ntilde: 'ñ'
+};
+
+/**
+ * Decode HTML character references ("&amp;", "&#189;", "&#x2153;").
+ * Unknown named references are left as they are.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (reference, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : reference;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? reference;
+  });
+}
+
+/**
+ * Plain text from a string that may contain markup, as recipe sites often
+ * put HTML inside JSON-LD values. Block-level breaks become newlines.
+ * @param {*} value
+ * @returns {string}
+ */
+function plainText(value) {
+  if (value === undefined || value === null) return '';
+  return decodeEntities(String(value)
+    .replace(/<br\s*\/?>|<\/(?:p|div|li|h[1-6])>/gi, '\n')
+    .replace(/<[^>]*>/g, ''))
+    .replace(/[ \t ]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .trim();
+}
+
+/**
+ * Cut text to a maximum length at a word boundary, marking the cut.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+module.exports = { decodeEntities, plainText, truncate };
@@ -0,0 +1,79 @@
+const zlib = require('zlib');
+
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+const UTF8_NAMES = 0x800;
+
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === LOCAL_HEADER;
+}
+
+// The end of central directory record sits in the last 22 bytes, followed
+// by a comment of up to 64 KB
+function findEndOfDirectory(buffer) {
+  const last = buffer.length - 22;
+  for (let offset = last; offset >= Math.max(0, last - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === END_OF_DIRECTORY) return offset;
+  }
+  return -1;
+}
+
+/**
+ * Entries of a zip archive, listed from its central directory. Contents are
+ * only inflated when read. Stored and deflated entries are supported, which
+ * is what recipe apps write; ZIP64 archives are not.
+ * @param {Buffer} buffer
+ * @returns {Array<{ name: string, size: number, read: function(number): Buffer }>}
+ *   read(maxBytes) throws when the entry is damaged or larger than maxBytes;
+ *   in the second case the error's code is ERR_BUFFER_TOO_LARGE, as zlib's
+ * @throws {Error} When the buffer is not a readable zip archive
+ */
+function readZip(buffer) {
+  const end = findEndOfDirectory(buffer);
+  if (end === -1) {
+    throw new Error('Not a zip archive');
+  }
+
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = [];
+  for (let index = 0; index < count; index++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== DIRECTORY_ENTRY) {
+      throw new Error('The zip directory is damaged');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString(flags & UTF8_NAMES ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+    entries.push({
+      name,
+      size,
+      read: maxBytes => readEntry(buffer, { method, compressedSize, size, headerOffset }, maxBytes)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function readEntry(buffer, { method, compressedSize, size, headerOffset }, maxBytes) {
+  if (size > maxBytes) {
+    throw Object.assign(new RangeError(`Larger than ${maxBytes} bytes`), { code: 'ERR_BUFFER_TOO_LARGE' });
+  }
+  if (headerOffset + 30 > buffer.length || buffer.readUInt32LE(headerOffset) !== LOCAL_HEADER) {
+    throw new Error('The zip entry is damaged');
+  }
+  const start = headerOffset + 30 + buffer.readUInt16LE(headerOffset + 26) + buffer.readUInt16LE(headerOffset + 28);
+  const data = buffer.subarray(start, start + compressedSize);
+  if (method === 0) return data;
+  if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: maxBytes });
+  throw new Error(`Compression method ${method} is not supported`);
+}
+
+module.exports = { isZip, readZip };
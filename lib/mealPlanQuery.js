@@ -0,0 +1,126 @@
+const { BadRequestError } = require('./errors');
+const { MEAL_SLOTS } = require('./schemas/mealPlanEntry');
+
+// Longest range a single ?from=&to= query may cover
+const MAX_RANGE_DAYS = 92;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseDay(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+  const date = new Date(`${text}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text ? null : date;
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date.
+ * @param {string} day
+ * @param {number} days - May be negative
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(day, days) {
+  return formatDay(new Date(parseDay(day).getTime() + days * DAY_MS));
+}
+
+/**
+ * Monday of the ISO week a date falls in.
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+function startOfWeek(day) {
+  const weekday = (parseDay(day).getUTCDay() + 6) % 7;
+  return addDays(day, -weekday);
+}
+
+/**
+ * ISO 8601 week ("2026-W43") containing a date.
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string}
+ */
+function isoWeekOf(day) {
+  const thursday = addDays(startOfWeek(day), 3);
+  const year = Number(thursday.slice(0, 4));
+  const week = Math.floor((parseDay(thursday) - Date.UTC(year, 0, 1)) / DAY_MS / 7) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+// Monday of an ISO week; week 1 is the one containing January 4th
+function weekStart(year, week) {
+  return addDays(startOfWeek(`${year}-01-04`), (week - 1) * 7);
+}
+
+function invalid(field, message) {
+  return new BadRequestError('Invalid query parameters', [{ field, message }]);
+}
+
+/**
+ * Read the date range of a meal plan query: ?week=2026-W43, ?month=2026-10
+ * or ?from=2026-10-19&to=2026-10-25. Without any of them the current week
+ * is returned.
+ * @param {Object} query - req.query
+ * @param {Date} [now]
+ * @returns {{ from: string, to: string }} Inclusive YYYY-MM-DD bounds
+ */
+function parsePlanRange(query, now = new Date()) {
+  if (query.week !== undefined) {
+    const match = /^(\d{4})-W(\d{2})$/.exec(String(query.week));
+    const week = match && Number(match[2]);
+    if (!match || week < 1 || week > 53 || isoWeekOf(weekStart(Number(match[1]), week)) !== query.week) {
+      throw invalid('week', 'week must be an ISO week such as 2026-W43');
+    }
+    const from = weekStart(Number(match[1]), week);
+    return { from, to: addDays(from, 6) };
+  }
+
+  if (query.month !== undefined) {
+    const match = /^(\d{4})-(\d{2})$/.exec(String(query.month));
+    if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+      throw invalid('month', 'month must be a month such as 2026-10');
+    }
+    const from = `${query.month}-01`;
+    const nextMonth = formatDay(new Date(Date.UTC(Number(match[1]), Number(match[2]), 1)));
+    return { from, to: addDays(nextMonth, -1) };
+  }
+
+  if (query.from !== undefined || query.to !== undefined) {
+    const from = parseDay(String(query.from || ''));
+    const to = parseDay(String(query.to || ''));
+    if (!from) throw invalid('from', 'from must be a date (YYYY-MM-DD)');
+    if (!to) throw invalid('to', 'to must be a date (YYYY-MM-DD)');
+    if (to < from) throw invalid('to', 'to must not be before from');
+    if ((to - from) / DAY_MS >= MAX_RANGE_DAYS) {
+      throw invalid('to', `A range may cover at most ${MAX_RANGE_DAYS} days`);
+    }
+    return { from: formatDay(from), to: formatDay(to) };
+  }
+
+  const from = startOfWeek(formatDay(now));
+  return { from, to: addDays(from, 6) };
+}
+
+/**
+ * Entries that fall within a range, by date and then by meal in the order
+ * of the day.
+ * @param {Array} entries - Meal plan entries
+ * @param {{ from: string, to: string }} range
+ * @returns {Array}
+ */
+function entriesInRange(entries, { from, to }) {
+  return entries
+    .filter(entry => entry.date >= from && entry.date <= to)
+    .sort((a, b) => a.date.localeCompare(b.date) ||
+      MEAL_SLOTS.indexOf(a.slot) - MEAL_SLOTS.indexOf(b.slot) ||
+      a.id - b.id);
+}
+
+module.exports = {
+  addDays,
+  startOfWeek,
+  isoWeekOf,
+  parsePlanRange,
+  entriesInRange
+};
@@ -0,0 +1,76 @@
+const { validate } = require('../schema');
+const { ValidationError } = require('../errors');
+const { present, representationOf } = require('./representations');
+
+// JSON schema of a documented response, if it has one
+function responseSchema(response) {
+  if (!response || typeof response !== 'object') return null;
+  return response.schema || (response.content && response.content['application/json']) || null;
+}
+
+/**
+ * Document a route for the OpenAPI document and validate its request body.
+ * Returns Express middleware to put before the route's handler:
+ *
+ *   app.put('/api/recipes/:id', describe({
+ *     tags: ['Recipes'],
+ *     summary: 'Change a recipe',
+ *     params: { id: 'Recipe id' },
+ *     body: { schema: recipeSchema, partial: true },
+ *     conditional: true,
+ *     responses: { 200: { description: 'The changed recipe', schema: recipeSchema } }
+ *   }), async (req, res) => { ... });
+ *
+ * A JSON body with a schema is checked against it before the handler runs,
+ * failing with a 422, and req.body is replaced by the cleaned value. Bodies
+ * described only by `content` (uploads) are documented, not checked.
+ *
+ * In API versions that represent a schema differently (see
+ * representations.js), the body is first converted to the stored shape and
+ * JSON responses documented with the schema are converted to the version's.
+ *
+ * @param {Object} operation
+ * @param {string[]} operation.tags - Sections of the API reference
+ * @param {string} operation.summary
+ * @param {string} [operation.description]
+ * @param {Object<string, string|Object>} [operation.params] - Path parameters
+ *   by name: a description, or { description, schema }
+ * @param {Object<string, string|Object>} [operation.query] - Query parameters
+ *   by name: a description, or { description, schema, required }
+ * @param {Object} [operation.body] - A schema, or { schema, partial, required }
+ *   for JSON bodies, or { description, content } with schemas by media type
+ * @param {Object<string, string|Object>} [operation.responses] - By status:
+ *   a description, or { description, schema, content, headers }; a schema
+ *   in an array ([recipeSchema]) stands for a list of them
+ * @param {string} [operation.role] - Least role, when the handler checks it
+ *   itself rather than through requireRole
+ * @param {boolean} [operation.conditional] - The route honours If-Match
+ * @returns {Function} Express middleware carrying the operation as .openapi
+ */
+function describe(operation) {
+  const body = operation.body && operation.body.type ? { schema: operation.body } : operation.body;
+  const documented = { ...operation, body };
+
+  const middleware = (req, res, next) => {
+    const version = req.apiVersion || 1;
+    if (body && body.schema) {
+      const representation = representationOf(body.schema, version);
+      let input = req.body === undefined && body.required === false ? {} : req.body;
+      if (representation && representation.fromVersion) input = representation.fromVersion(input);
+      const { value, errors } = validate(body.schema, input, { partial: Boolean(body.partial) });
+      if (errors.length > 0) {
+        throw new ValidationError(errors);
+      }
+      req.body = value;
+    }
+    if (version > 1 && operation.responses) {
+      const send = res.json.bind(res);
+      res.json = payload => send(present(responseSchema(operation.responses[res.statusCode]), payload, version, { base: req.apiBase }));
+    }
+    next();
+  };
+  middleware.openapi = documented;
+  return middleware;
+}
+
+module.exports = { describe };
@@ -0,0 +1,306 @@
+const { ROLES } = require('../../shared/roles');
+const { SESSION_COOKIE } = require('../auth');
+const { errorSchema } = require('../schemas/responses');
+const { representationOf } = require('./representations');
+
+/**
+ * OpenAPI 3.1 document built from the routes registered on an Express app.
+ *
+ * Routes are found by walking the app's router. Each route's describe()
+ * middleware supplies its documentation; the roles it needs come from the
+ * requireRole/requireRoleForWrites middleware in front of it, so the document
+ * says what the server actually enforces. Schemas passed in `schemas` become
+ * components and are referenced wherever the same object is used; for an API
+ * version that represents a schema differently, its representation is
+ * published in its place.
+ */
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+const SAFE_METHODS = ['get', 'head', 'options'];
+
+// Error responses added to operations where they can happen
+const ERROR_RESPONSES = {
+  Unauthorized: { status: 401, description: 'Nobody is signed in' },
+  Forbidden: { status: 403, description: 'The signed-in user may not do this' },
+  NotFound: { status: 404, description: 'Not found' },
+  PreconditionFailed: { status: 412, description: 'If-Match does not name the current version; the ETag header carries it' },
+  ValidationFailed: { status: 422, description: 'The request body is invalid; details lists the offending fields' }
+};
+
+const SECURITY_SCHEMES = {
+  bearerAuth: { type: 'http', scheme: 'bearer', description: 'The token returned by login or registration' },
+  sessionCookie: { type: 'apiKey', in: 'cookie', name: SESSION_COOKIE, description: 'Set by login or registration' }
+};
+
+function componentName(schema) {
+  return schema.title.split(/[^A-Za-z0-9]+/).filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join('');
+}
+
+// Express "/api/recipes/:id" to OpenAPI "/api/recipes/{id}"
+function toOpenApiPath(expressPath) {
+  return expressPath.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParams(expressPath) {
+  return [...expressPath.matchAll(/:(\w+)/g)].map(match => match[1]);
+}
+
+function highestRole(roles) {
+  return roles.filter(Boolean).reduce((highest, role) =>
+    highest && ROLES.indexOf(highest) >= ROLES.indexOf(role) ? highest : role, null);
+}
+
+/**
+ * Routes under a prefix, in registration order, with the roles enforced in
+ * front of them and the operation their describe() middleware documents.
+ * @param {Object} app - Express application
+ * @param {string} prefix
+ * @returns {Array<{ path: string, method: string, role: string|null, operation: Object|null }>}
+ */
+function listRoutes(app, prefix) {
+  const routes = [];
+  const guards = [];
+
+  for (const layer of app.router.stack) {
+    if (!layer.route) {
+      if (layer.handle.role) guards.push(layer);
+      continue;
+    }
+    const { path, stack } = layer.route;
+    if (typeof path !== 'string' || !path.startsWith(prefix)) continue;
+
+    const operation = (stack.find(routeLayer => routeLayer.handle.openapi) || { handle: {} }).handle.openapi || null;
+    for (const method of Object.keys(layer.route.methods).filter(name => METHODS.includes(name))) {
+      const roles = guards
+        .filter(guard => guard.match(path) && !(guard.handle.forWrites && SAFE_METHODS.includes(method)))
+        .map(guard => guard.handle.role);
+      stack.filter(routeLayer => routeLayer.handle.role).forEach(routeLayer => roles.push(routeLayer.handle.role));
+      if (operation) roles.push(operation.role);
+      routes.push({ path, method, role: highestRole(roles), operation });
+    }
+  }
+  return routes;
+}
+
+/**
+ * Routes under a prefix that have no describe() middleware.
+ * @param {Object} app - Express application
+ * @param {string} [prefix]
+ * @returns {string[]} e.g. "GET /api/things"
+ */
+function findUndocumentedRoutes(app, prefix = '/api') {
+  return listRoutes(app, prefix)
+    .filter(route => !route.operation)
+    .map(route => `${route.method.toUpperCase()} ${route.path}`);
+}
+
+/**
+ * Build the document.
+ * @param {Object} app - Express application, with every route registered
+ * @param {Object} options
+ * @param {Object} options.info - OpenAPI info object ({ title, version })
+ * @param {string} [options.prefix] - Only routes under this path are listed
+ * @param {number} [options.version] - API version the document describes
+ * @param {string} [options.server] - URL the routes are served under, in place
+ *   of the prefix; paths are then listed relative to it
+ * @param {Array<{ name: string, description: string }>} [options.tags] - Sections, in order
+ * @param {Object[]} [options.schemas] - Schemas to publish as components
+ * @param {Object} [options.socketEvents] - { path, server, client, roles, namespaces }:
+ *   events the server sends and those clients may send, by name, as
+ *   { description, payload }; roles is the table the socket server enforces.
+ *   namespaces lists other namespaces by name as { description, role,
+ *   server, client }, role being what a socket needs to join at all.
+ *   Payloads are always in the stored shape.
+ * @returns {Object}
+ */
+function buildOpenApiDocument(app, { info, prefix = '/api', version = 1, server, tags = [], schemas = [], socketEvents } = {}) {
+  const names = new Map([[errorSchema, 'Error'], ...schemas.map(schema => [schema, componentName(schema)])]);
+  const componentSchemas = {};
+
+  // The shape of a schema in this version
+  function shapeOf(schema) {
+    const representation = representationOf(schema, version);
+    return representation ? representation.schema : schema;
+  }
+
+  // Schemas with registered parts replaced by $refs. Stored shapes that this
+  // version represents differently are written out in place.
+  function toJsonSchema(schema, stored = false) {
+    if (Array.isArray(schema)) return { type: 'array', items: toJsonSchema(schema[0], stored) };
+    if (stored && shapeOf(schema) !== schema) return expand(schema, true);
+    if (names.has(schema)) return { $ref: `#/components/schemas/${names.get(schema)}` };
+    return expand(stored ? schema : shapeOf(schema), stored);
+  }
+
+  function expand(schema, stored = false) {
+    const convert = value => toJsonSchema(value, stored);
+    const result = { ...schema };
+    if (schema.properties) {
+      result.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, value]) => [key, convert(value)]));
+    }
+    if (schema.items) result.items = convert(schema.items);
+    if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      result.additionalProperties = convert(schema.additionalProperties);
+    }
+    ['allOf', 'anyOf', 'oneOf'].forEach(keyword => {
+      if (schema[keyword]) result[keyword] = schema[keyword].map(convert);
+    });
+    return result;
+  }
+
+  // A partial update body: the same fields, none required and no defaults
+  function changesSchema(schema) {
+    const name = `${names.get(schema) || componentName(schema)}Changes`;
+    if (!componentSchemas[name]) {
+      const { required, ...rest } = expand(shapeOf(schema));
+      componentSchemas[name] = {
+        ...rest,
+        title: `${schema.title} changes`,
+        properties: Object.fromEntries(Object.entries(rest.properties).map(([key, { default: omitted, ...property }]) => [key, property]))
+      };
+    }
+    return { $ref: `#/components/schemas/${name}` };
+  }
+
+  function parameter(name, location, spec, required) {
+    const { description, schema = { type: 'string' }, required: isRequired = required } = typeof spec === 'string' ? { description: spec } : spec || {};
+    return { name, in: location, required: isRequired, description, schema: toJsonSchema(schema) };
+  }
+
+  function response(status, spec) {
+    const { description, schema, content, headers } = typeof spec === 'string' ? { description: spec } : spec;
+    const result = { description };
+    if (schema) {
+      result.content = { 'application/json': { schema: toJsonSchema(schema) } };
+    } else if (content) {
+      result.content = Object.fromEntries(Object.entries(content).map(([type, mediaSchema]) =>
+        [type, mediaSchema ? { schema: toJsonSchema(mediaSchema) } : {}]));
+    } else if (Number(status) >= 400) {
+      result.content = { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } };
+    }
+    if (headers) {
+      result.headers = Object.fromEntries(Object.entries(headers).map(([name, headerDescription]) =>
+        [name, { description: headerDescription, schema: { type: 'string' } }]));
+    }
+    return result;
+  }
+
+  function requestBody(body) {
+    if (body.content) {
+      return {
+        description: body.description,
+        required: body.required !== false,
+        content: Object.fromEntries(Object.entries(body.content).map(([type, mediaSchema]) =>
+          [type, mediaSchema ? { schema: toJsonSchema(mediaSchema) } : {}]))
+      };
+    }
+    return {
+      description: body.description,
+      required: body.required !== false,
+      content: { 'application/json': { schema: body.partial ? changesSchema(body.schema) : toJsonSchema(body.schema) } }
+    };
+  }
+
+  function operationFor(route) {
+    const { operation, role } = route;
+    if (!operation) {
+      return { tags: ['Undocumented'], summary: `${route.method.toUpperCase()} ${route.path}`, 'x-undocumented': true, responses: { default: { $ref: '#/components/responses/Error' } } };
+    }
+
+    const params = pathParams(route.path);
+    const parameters = [
+      ...params.map(name => parameter(name, 'path', (operation.params || {})[name], true)),
+      ...Object.entries(operation.query || {}).map(([name, spec]) => parameter(name, 'query', spec, false))
+    ];
+    if (operation.conditional) {
+      parameters.push({
+        name: 'If-Match',
+        in: 'header',
+        required: false,
+        description: 'ETag of the version this change is based on; refused with a 412 if it is no longer current',
+        schema: { type: 'string' }
+      });
+    }
+
+    const responses = Object.fromEntries(Object.entries(operation.responses || {}).map(([status, spec]) => [status, response(status, spec)]));
+    const addError = name => {
+      const { status } = ERROR_RESPONSES[name];
+      if (!responses[status]) responses[status] = { $ref: `#/components/responses/${name}` };
+    };
+    if (role) addError('Unauthorized');
+    // Everyone signed in has at least the lowest role
+    if (role && role !== ROLES[0]) addError('Forbidden');
+    if (params.length > 0) addError('NotFound');
+    if (operation.conditional) addError('PreconditionFailed');
+    if (operation.body && operation.body.schema) addError('ValidationFailed');
+    responses.default = { $ref: '#/components/responses/Error' };
+
+    const result = { tags: operation.tags, summary: operation.summary };
+    if (operation.description) result.description = operation.description;
+    if (parameters.length > 0) result.parameters = parameters;
+    if (operation.body) result.requestBody = requestBody(operation.body);
+    result.responses = responses;
+    if (role) {
+      result.security = Object.keys(SECURITY_SCHEMES).map(scheme => ({ [scheme]: [] }));
+      result['x-role'] = role;
+    }
+    return result;
+  }
+
+  const paths = {};
+  for (const route of listRoutes(app, prefix)) {
+    const path = toOpenApiPath(server ? route.path.slice(prefix.length) || '/' : route.path);
+    paths[path] = { ...paths[path], [route.method]: operationFor(route) };
+  }
+
+  const document = {
+    openapi: '3.1.0',
+    info,
+    tags,
+    paths,
+    components: {
+      schemas: {},
+      responses: {
+        Error: response(500, 'Something went wrong'),
+        ...Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([name, { status, description }]) => [name, response(status, description)]))
+      },
+      securitySchemes: SECURITY_SCHEMES
+    }
+  };
+
+  if (server) document.servers = [{ url: server }];
+
+  if (socketEvents) {
+    const { path = '/socket.io', server = {}, client = {}, roles = {}, namespaces = {} } = socketEvents;
+    // roleOf gives the role needed to send an event, for client events
+    const events = (table, roleOf) => Object.fromEntries(Object.entries(table).map(([name, { description, payload }]) => {
+      const event = { description };
+      if (payload) event.payload = toJsonSchema(payload, true);
+      if (roleOf) event.role = roleOf(name);
+      return [name, event];
+    }));
+    document['x-socket-io'] = {
+      path,
+      description: 'Socket.IO events. Sockets sign in with the same session token as the HTTP API, as the cookie or `auth: { token }`; anonymous sockets receive every broadcast. Payloads are documents as stored, whatever the API version.',
+      serverEvents: events(server),
+      clientEvents: events(client, name => Object.prototype.hasOwnProperty.call(roles, name) ? roles[name] : 'admin'),
+      namespaces: Object.fromEntries(Object.entries(namespaces).map(([name, namespace]) => [name, {
+        description: namespace.description,
+        role: namespace.role,
+        serverEvents: events(namespace.server || {}),
+        clientEvents: events(namespace.client || {}, () => namespace.role)
+      }]))
+    };
+  }
+
+  // Components last, so every schema referenced above is in the table
+  for (const [schema, name] of names) {
+    document.components.schemas[name] = expand(shapeOf(schema));
+  }
+  Object.assign(document.components.schemas, componentSchemas);
+  return document;
+}
+
+module.exports = { buildOpenApiDocument, findUndocumentedRoutes };
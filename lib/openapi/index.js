@@ -0,0 +1,4 @@
+const { describe } = require('./describe');
+const { buildOpenApiDocument, findUndocumentedRoutes } = require('./document');
+
+module.exports = { buildOpenApiDocument, describe, findUndocumentedRoutes };
@@ -0,0 +1,70 @@
+/**
+ * Other shapes of a schema in later API versions.
+ *
+ * Version 1 sends documents as they are stored. A later version that
+ * changes a document's shape registers a representation for its schema;
+ * describe() then converts responses documented with that schema, and
+ * request bodies validated against it, and the OpenAPI document for the
+ * version publishes the representation's schema in its place.
+ */
+
+// schema -> Map(version -> { schema, toVersion, fromVersion })
+const representations = new Map();
+
+/**
+ * @param {Object} schema - The stored shape, as used by the routes
+ * @param {number} version
+ * @param {Object} representation
+ * @param {Object} representation.schema - The shape in that version
+ * @param {Function} representation.toVersion - (stored, context) => shape in that version
+ * @param {Function} [representation.fromVersion] - (body) => body in the stored shape,
+ *   before it is validated
+ */
+function registerRepresentation(schema, version, representation) {
+  if (!representations.has(schema)) representations.set(schema, new Map());
+  representations.get(schema).set(version, representation);
+}
+
+/**
+ * @returns {Object|null} The representation of a schema in a version, if it
+ *   has its own
+ */
+function representationOf(schema, version) {
+  const versions = representations.get(schema);
+  return (versions && versions.get(version)) || null;
+}
+
+/**
+ * Convert a value documented by a schema into its shape in a version. Only
+ * the parts whose schema has a representation in that version change.
+ * @param {Object|Array} schema - A schema, or [schema] for a list of them
+ * @param {*} value
+ * @param {number} version
+ * @param {Object} context - Passed on to toVersion, e.g. { base }
+ * @returns {*}
+ */
+function present(schema, value, version, context) {
+  if (!schema || value === null || value === undefined) return value;
+  if (Array.isArray(schema)) {
+    return Array.isArray(value) ? value.map(item => present(schema[0], item, version, context)) : value;
+  }
+
+  const representation = representationOf(schema, version);
+  if (representation) return representation.toVersion(value, context);
+  if (schema.allOf) {
+    return schema.allOf.reduce((result, part) => present(part, result, version, context), value);
+  }
+  if (schema.items && Array.isArray(value)) {
+    return value.map(item => present(schema.items, item, version, context));
+  }
+  if (schema.properties && typeof value === 'object' && !Array.isArray(value)) {
+    const result = { ...value };
+    Object.entries(schema.properties).forEach(([key, property]) => {
+      if (result[key] !== undefined) result[key] = present(property, result[key], version, context);
+    });
+    return result;
+  }
+  return value;
+}
+
+module.exports = { registerRepresentation, representationOf, present };
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { writeFileAtomic } = require('./storage/atomicWrite');
+const { BadRequestError, PayloadTooLargeError, UnsupportedMediaTypeError } = require('./errors');
+
+// Image types accepted for recipe photos, recognised by their leading bytes
+// so a renamed file cannot pass as an image
+const IMAGE_TYPES = [
+  { type: 'image/jpeg', extension: 'jpg', matches: bytes => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff },
+  { type: 'image/png', extension: 'png', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', extension: 'gif', matches: bytes => bytes.subarray(0, 4).toString('latin1') === 'GIF8' },
+  { type: 'image/webp', extension: 'webp', matches: bytes => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+const FILENAME_PATTERN = /^[0-9a-f]{64}\.(?:jpg|png|gif|webp)$/;
+
+/**
+ * Recipe photos on disk under <FilesDirectory>/photos, served at
+ * /files/photos. Files are named by the SHA-256 of their content, so the
+ * same picture uploaded twice is stored once and a name never points at
+ * different bytes.
+ */
+class PhotoStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.directory - The FilesDirectory served at /files
+   * @param {number} options.maxBytes - Largest accepted upload
+   */
+  constructor({ directory, maxBytes }) {
+    this.directory = path.join(directory, 'photos');
+    this.maxBytes = maxBytes;
+    this.upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: maxBytes, files: 1 },
+      fileFilter: (req, file, accept) => {
+        if (IMAGE_TYPES.some(image => image.type === file.mimetype)) return accept(null, true);
+        accept(new UnsupportedMediaTypeError(`Photos must be ${IMAGE_TYPES.map(image => image.extension.toUpperCase()).join(', ')} images`));
+      }
+    }).single('photo');
+  }
+
+  /**
+   * Read the "photo" field of a multipart request, turning multer's
+   * failures into API errors.
+   * @returns {Promise<Object>} The uploaded file (buffer, mimetype, size)
+   */
+  receive(req, res) {
+    return new Promise((resolve, reject) => {
+      this.upload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+          return reject(error.code === 'LIMIT_FILE_SIZE'
+            ? new PayloadTooLargeError(`Photos may be at most ${Math.round(this.maxBytes / 1024 / 1024 * 10) / 10} MB`)
+            : new BadRequestError(`Upload failed: ${error.message}`));
+        }
+        if (error) return reject(error);
+        if (!req.file) return reject(new BadRequestError('Send the image as multipart/form-data in a field named "photo"'));
+        resolve(req.file);
+      });
+    });
+  }
+
+  /**
+   * Check an uploaded file's content and store it under its content hash.
+   * @param {Object} file - File from receive()
+   * @returns {Promise<Object>} Photo record: filename, url, contentType, size
+   */
+  async save(file) {
+    const image = IMAGE_TYPES.find(candidate => candidate.matches(file.buffer));
+    if (!image) {
+      throw new UnsupportedMediaTypeError('File content is not a supported image');
+    }
+
+    const hash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    const filename = `${hash}.${image.extension}`;
+    const filePath = path.join(this.directory, filename);
+    if (!fs.existsSync(filePath)) {
+      await writeFileAtomic(filePath, file.buffer);
+    }
+
+    return {
+      filename,
+      url: `/files/photos/${filename}`,
+      contentType: image.type,
+      size: file.buffer.length
+    };
+  }
+
+  /**
+   * Delete a stored photo. Unknown or malformed names are ignored.
+   * @param {string} filename
+   */
+  async remove(filename) {
+    if (!FILENAME_PATTERN.test(filename)) return;
+    await fs.promises.rm(path.join(this.directory, filename), { force: true });
+  }
+}
+
+module.exports = PhotoStore;
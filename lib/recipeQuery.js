@@ -0,0 +1,235 @@
+const { BadRequestError } = require('./errors');
+const { SYSTEMS: UNIT_SYSTEMS } = require('../shared/unitConverter');
+
+const DEFAULT_LIMIT = 20;
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_LIMIT = 100;
+const MAX_SERVINGS = 1000;
+
+/**
+ * Minutes in a free-text cook time such as "25 minutes", "1 hour 15 mins"
+ * or "1h30m". Bare numbers count as minutes.
+ * @param {string} text
+ * @returns {number|null} Minutes, or null when nothing could be read
+ */
+function cookTimeMinutes(text) {
+  if (!text) return null;
+  const source = String(text).toLowerCase();
+  let minutes = 0;
+  let found = false;
+  const pattern = /(\d+(?:\.\d+)?)\s*(hours?|hrs?|h|minutes?|mins?|m)?(?![a-z])/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const value = parseFloat(match[1]);
+    minutes += match[2] && match[2].startsWith('h') ? value * 60 : value;
+    found = true;
+  }
+  return found ? minutes : null;
+}
+
+/**
+ * Leading number of a free-text servings value ("48 cookies", "6-8 people").
+ * For a range the lower bound is used.
+ * @param {string|number} text
+ * @returns {number|null}
+ */
+function servingsCount(text) {
+  if (typeof text === 'number') return text;
+  const match = /\d+(?:\.\d+)?/.exec(text || '');
+  return match ? parseFloat(match[0]) : null;
+}
+
+// Sortable fields and how to read their value from a recipe
+const SORT_KEYS = {
+  id: recipe => recipe.id,
+  title: recipe => (recipe.title || '').toLowerCase(),
+  createdAt: recipe => recipe.createdAt || null,
+  cookTime: recipe => cookTimeMinutes(recipe.cookTime),
+  servings: recipe => servingsCount(recipe.servings)
+};
+
+function encodeCursor(sort, recipe) {
+  const payload = [sort.field, sort.direction, SORT_KEYS[sort.field](recipe), recipe.id];
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [field, direction, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return { field, direction, value, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Order by the sort key (missing values last), then by id for a stable order
+function compareEntries(sort, a, b) {
+  if (a.value !== b.value) {
+    if (a.value === null) return 1;
+    if (b.value === null) return -1;
+    const order = a.value < b.value ? -1 : 1;
+    return sort.direction === 'desc' ? -order : order;
+  }
+  return a.id - b.id;
+}
+
+/**
+ * Read and check the list query string of GET /api/recipes.
+ * @param {Object} query - req.query
+ * @param {Array<string>} fieldNames - Fields a client may select
+ * @returns {{ limit: number, cursor: Object|null, sort: Object, fields: Array<string>|null, category: string|null }}
+ */
+function parseListQuery(query, fieldNames) {
+  const details = [];
+
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      details.push({ field: 'limit', message: `limit must be a whole number between 1 and ${MAX_LIMIT}` });
+    }
+  }
+
+  const sortParam = String(query.sort || 'id');
+  const sort = {
+    field: sortParam.replace(/^-/, ''),
+    direction: sortParam.startsWith('-') ? 'desc' : 'asc'
+  };
+  if (!Object.hasOwn(SORT_KEYS, sort.field)) {
+    details.push({ field: 'sort', message: `sort must be one of: ${Object.keys(SORT_KEYS).join(', ')} (prefix with - for descending)` });
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor));
+    if (!cursor || cursor.field !== sort.field || cursor.direction !== sort.direction) {
+      details.push({ field: 'cursor', message: 'cursor is invalid or belongs to a different sort order' });
+    }
+  }
+
+  let fields = null;
+  if (query.fields) {
+    fields = String(query.fields).split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = fields.filter(field => !fieldNames.includes(field));
+    if (unknown.length > 0) {
+      details.push({ field: 'fields', message: `Unknown fields: ${unknown.join(', ')}` });
+    }
+  }
+
+  if (details.length > 0) {
+    throw new BadRequestError('Invalid query parameters', details);
+  }
+
+  const category = query.category ? String(query.category).toLowerCase() : null;
+  return { limit, cursor, sort, fields, category };
+}
+
+/**
+ * Read and check the query string of GET /api/search.
+ * @param {Object} query - req.query
+ * @returns {{ q: string, category: string|null, limit: number }}
+ */
+function parseSearchQuery(query) {
+  let limit = DEFAULT_SEARCH_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new BadRequestError('Invalid query parameters', [
+        { field: 'limit', message: `limit must be a whole number between 1 and ${MAX_LIMIT}` }
+      ]);
+    }
+  }
+  return {
+    q: String(query.q || ''),
+    category: query.category ? String(query.category) : null,
+    limit
+  };
+}
+
+/**
+ * Read the optional ?servings= parameter of GET /api/recipes/:id.
+ * @param {Object} query - req.query
+ * @returns {number|null} Servings wanted, or null to keep the recipe as is
+ */
+function parseServingsParam(query) {
+  if (query.servings === undefined) return null;
+  const servings = Number(query.servings);
+  if (!Number.isFinite(servings) || servings <= 0 || servings > MAX_SERVINGS) {
+    throw new BadRequestError('Invalid query parameters', [
+      { field: 'servings', message: `servings must be a number above 0 and at most ${MAX_SERVINGS}` }
+    ]);
+  }
+  return servings;
+}
+
+/**
+ * Read the optional ?units= parameter of the recipe endpoints.
+ * @param {Object} query - req.query
+ * @returns {string|null} "metric" or "us", or null to keep the recipe's own units
+ */
+function parseUnitsParam(query) {
+  if (query.units === undefined) return null;
+  const units = String(query.units).toLowerCase();
+  if (!UNIT_SYSTEMS.includes(units)) {
+    throw new BadRequestError('Invalid query parameters', [
+      { field: 'units', message: `units must be one of: ${UNIT_SYSTEMS.join(', ')}` }
+    ]);
+  }
+  return units;
+}
+
+/**
+ * Keep only the selected fields of a recipe. The id is always kept so the
+ * client can link to the full recipe.
+ * @param {Object} recipe
+ * @param {Array<string>|null} fields
+ */
+function projectRecipe(recipe, fields) {
+  if (!fields) return recipe;
+  const projected = { id: recipe.id };
+  fields.forEach(field => {
+    if (recipe[field] !== undefined) projected[field] = recipe[field];
+  });
+  return projected;
+}
+
+/**
+ * Filter, sort and slice recipes into one page using keyset pagination, so
+ * pages stay consistent while recipes are added or removed.
+ * @param {Array} recipes - Every recipe in the collection
+ * @param {Object} options - Result of parseListQuery
+ * @returns {{ items: Array, total: number, nextCursor: string|null }}
+ */
+function paginateRecipes(recipes, { limit, cursor, sort, fields, category }) {
+  const matching = category
+    ? recipes.filter(recipe => (recipe.category || '').toLowerCase() === category)
+    : recipes;
+
+  const entries = matching
+    .map(recipe => ({ recipe, id: recipe.id, value: SORT_KEYS[sort.field](recipe) }))
+    .sort((a, b) => compareEntries(sort, a, b));
+
+  const start = cursor
+    ? entries.findIndex(entry => compareEntries(sort, entry, cursor) > 0)
+    : 0;
+  const page = start === -1 ? [] : entries.slice(start, start + limit);
+  const hasMore = start !== -1 && start + limit < entries.length;
+
+  return {
+    items: page.map(entry => projectRecipe(entry.recipe, fields)),
+    total: matching.length,
+    nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1].recipe) : null
+  };
+}
+
+module.exports = {
+  cookTimeMinutes,
+  servingsCount,
+  parseListQuery,
+  parseSearchQuery,
+  parseServingsParam,
+  parseUnitsParam,
+  paginateRecipes,
+  projectRecipe,
+  SORT_KEYS
+};
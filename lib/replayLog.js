@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+/**
+ * The most recent Socket.IO broadcasts, numbered, so a client that lost its
+ * connection can be sent what it missed.
+ *
+ * Every broadcast gets the next sequence number. The log keeps the last
+ * `capacity` of them in memory, so it starts empty with each server run;
+ * the epoch names the run, and a client resuming from another run has to
+ * reload instead.
+ */
+class ReplayLog {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.capacity] - Broadcasts kept for replay
+   */
+  constructor({ capacity = 500 } = {}) {
+    this.capacity = capacity;
+    this.epoch = crypto.randomUUID();
+    this.seq = 0;
+    // Ring buffer; the entry with sequence number n is at n % capacity
+    this.entries = new Array(capacity);
+  }
+
+  /**
+   * Number and remember a broadcast.
+   * @param {string} event
+   * @param {*} payload
+   * @returns {number} Its sequence number
+   */
+  append(event, payload) {
+    this.seq += 1;
+    this.entries[this.seq % this.capacity] = { seq: this.seq, event, payload };
+    return this.seq;
+  }
+
+  /**
+   * Broadcasts after the one a client saw last.
+   * @param {string} epoch - Epoch the client's sequence number is from
+   * @param {number} lastSeq - Last sequence number the client saw
+   * @returns {{ events: Array<{ seq: number, event: string, payload: * }> }|{ reason: string }}
+   *   The missed broadcasts, oldest first, or why they cannot be replayed
+   */
+  since(epoch, lastSeq) {
+    if (epoch !== this.epoch) {
+      return { reason: 'The server restarted' };
+    }
+    if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > this.seq) {
+      return { reason: 'Unknown sequence number' };
+    }
+    if (this.seq - lastSeq > this.capacity) {
+      return { reason: 'Too many changes were missed' };
+    }
+    const events = [];
+    for (let seq = lastSeq + 1; seq <= this.seq; seq++) {
+      events.push(this.entries[seq % this.capacity]);
+    }
+    return { events };
+  }
+}
+
+module.exports = ReplayLog;
@@ -0,0 +1,31 @@
+const { isDeepStrictEqual } = require('util');
+
+/**
+ * Field-level differences between two recipe snapshots.
+ *
+ * List fields (ingredients, instructions) also say which lines were added
+ * and removed, so a reader does not have to compare two long lists by eye.
+ * @param {Object} from - Older snapshot
+ * @param {Object} to - Newer snapshot
+ * @returns {Array<{ field: string, from: *, to: *, added?: Array, removed?: Array }>}
+ *   One entry per changed field; fields missing on one side are undefined there
+ */
+function diffSnapshots(from, to) {
+  const fields = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+  return fields
+    .filter(field => !isDeepStrictEqual(from[field], to[field]))
+    .map(field => {
+      const change = { field, from: from[field], to: to[field] };
+      if (isStringList(from[field]) && isStringList(to[field])) {
+        change.added = to[field].filter(line => !from[field].includes(line));
+        change.removed = from[field].filter(line => !to[field].includes(line));
+      }
+      return change;
+    });
+}
+
+function isStringList(value) {
+  return Array.isArray(value) && value.every(item => typeof item === 'string');
+}
+
+module.exports = { diffSnapshots };
@@ -0,0 +1,27 @@
+const { BadRequestError } = require('../errors');
+const { diffSnapshots } = require('./diff');
+const { RevisionLog, TRACKED_FIELDS, snapshotOf } = require('./revisionLog');
+
+/**
+ * Read a revision number from a route or query parameter.
+ * @param {string} value
+ * @param {string} field - Parameter name, for the error details
+ * @returns {number}
+ */
+function parseRevisionNumber(value, field) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new BadRequestError('Invalid revision', [
+      { field, message: `${field} must be a revision number (1 or more)` }
+    ]);
+  }
+  return number;
+}
+
+module.exports = {
+  RevisionLog,
+  TRACKED_FIELDS,
+  diffSnapshots,
+  parseRevisionNumber,
+  snapshotOf
+};
@@ -0,0 +1,144 @@
+const recipeSchema = require('../schemas/recipe');
+const { diffSnapshots } = require('./diff');
+
+// Fields kept in a revision: everything a client can write, plus the photos.
+// Ids, versions, timestamps and derived data such as parsedIngredients are
+// either on the revision itself or recomputed.
+const TRACKED_FIELDS = [
+  ...Object.keys(recipeSchema.properties).filter(field => !recipeSchema.properties[field].readOnly),
+  'photos'
+];
+
+/**
+ * The tracked fields of a recipe.
+ * @param {Object} recipe
+ * @returns {Object}
+ */
+function snapshotOf(recipe) {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    if (recipe[field] !== undefined) snapshot[field] = structuredClone(recipe[field]);
+  });
+  return snapshot;
+}
+
+/**
+ * Revision history of every recipe, one document per write in the
+ * "recipeRevisions" collection. Revisions are only ever inserted; a revert
+ * is recorded as a new revision, never by rewriting old ones. The ids of
+ * each recipe's revisions are also kept in memory, so reading or adding to
+ * a recipe's history does not scan the collection.
+ *
+ * A revision is numbered by the recipe version it produced, so revision N is
+ * the recipe as it was when its ETag was "<id>-N".
+ */
+class RevisionLog {
+  constructor() {
+    this.repository = null;
+    // recipeId -> Map of revision number -> stored id
+    this.idsByRecipe = new Map();
+  }
+
+  /**
+   * @param {Object} storage - Storage from createStorage()
+   */
+  async open(storage) {
+    this.repository = await storage.open('recipeRevisions');
+    this.idsByRecipe.clear();
+    for (const revision of await this.repository.list()) {
+      this.index(revision);
+    }
+  }
+
+  index(revision) {
+    if (!this.idsByRecipe.has(revision.recipeId)) {
+      this.idsByRecipe.set(revision.recipeId, new Map());
+    }
+    this.idsByRecipe.get(revision.recipeId).set(revision.revision, revision.id);
+  }
+
+  // Revision numbers of a recipe, oldest first
+  numbers(recipeId) {
+    const ids = this.idsByRecipe.get(recipeId);
+    return ids ? [...ids.keys()].sort((a, b) => a - b) : [];
+  }
+
+  /**
+   * Record the state a write left a recipe in.
+   * @param {Object} recipe - The recipe after the write
+   * @param {Object} options
+   * @param {string} options.action - "create", "update", "revert" or "restore"
+   * @param {number|null} [options.authorId] - Who made the write
+   * @param {number} [options.revertedTo] - For reverts, the revision restored
+   * @returns {Promise<Object>} The stored revision
+   */
+  async record(recipe, { action, authorId = null, revertedTo }) {
+    const snapshot = snapshotOf(recipe);
+    const previous = await this.latest(recipe.id);
+    const changedFields = previous
+      ? diffSnapshots(previous.recipe, snapshot).map(change => change.field)
+      : Object.keys(snapshot);
+
+    const revision = {
+      recipeId: recipe.id,
+      revision: recipe.version || 1,
+      action,
+      authorId,
+      createdAt: recipe.updatedAt || recipe.createdAt || new Date().toISOString(),
+      changedFields,
+      recipe: snapshot
+    };
+    if (revertedTo !== undefined) revision.revertedTo = revertedTo;
+    const stored = await this.repository.insert(revision);
+    this.index(stored);
+    return stored;
+  }
+
+  /**
+   * @param {number} recipeId
+   * @returns {Promise<Array>} The recipe's revisions, oldest first
+   */
+  async list(recipeId) {
+    const revisions = await Promise.all(this.numbers(recipeId).map(number => this.get(recipeId, number)));
+    return revisions.filter(Boolean);
+  }
+
+  async get(recipeId, number) {
+    const ids = this.idsByRecipe.get(recipeId);
+    const id = ids && ids.get(number);
+    return id === undefined ? null : this.repository.get(id);
+  }
+
+  async latest(recipeId) {
+    const numbers = this.numbers(recipeId);
+    return numbers.length > 0 ? this.get(recipeId, numbers[numbers.length - 1]) : null;
+  }
+
+  /**
+   * Give recipes stored before revisions existed a first revision, so
+   * their current state can be compared against and reverted to.
+   * @param {Array} recipes
+   */
+  async backfill(recipes) {
+    for (const recipe of recipes) {
+      if (!this.idsByRecipe.has(recipe.id)) {
+        await this.record(recipe, { action: 'create', authorId: recipe.createdBy ?? null });
+      }
+    }
+  }
+
+  /**
+   * Forget a recipe's history, when the recipe itself is gone for good.
+   * @param {number} recipeId
+   */
+  async removeAll(recipeId) {
+    const ids = this.idsByRecipe.get(recipeId);
+    if (!ids) return;
+    for (const id of ids.values()) {
+      await this.repository.remove(id);
+    }
+    this.idsByRecipe.delete(recipeId);
+  }
+}
+
+module.exports = { RevisionLog, TRACKED_FIELDS, snapshotOf };
@@ -0,0 +1,197 @@
+/**
+ * Schema validation for request bodies.
+ *
+ * Schemas are written as a subset of JSON Schema (type, properties, required,
+ * additionalProperties, items, minLength/maxLength, minimum/maximum,
+ * minItems/maxItems, enum, pattern, format "date", "uri" and "password", default,
+ * readOnly, writeOnly) so the same objects are published as the OpenAPI
+ * document at /api/openapi.json.
+ *
+ * Validation never throws. It returns a cleaned copy of the input (strings
+ * trimmed except passwords, read-only fields dropped, defaults filled in)
+ * together with a list of { field, message } errors, one per offending field.
+ */
+
+const TYPE_NAMES = {
+  string: 'text',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object'
+};
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return true;
+  }
+}
+
+// A real calendar day written as YYYY-MM-DD
+function isDate(text) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return false;
+  const date = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === text;
+}
+
+/**
+ * An absolute http or https address. Quotes, angle brackets, backslashes and
+ * whitespace are refused even where URLs allow them, so a stored address
+ * can be put in an HTML attribute as it is.
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isWebUrl(text) {
+  if (typeof text !== 'string') return false;
+  const trimmed = text.trim();
+  if (!/^https?:\/\//i.test(trimmed) || /["'`<>\\\s]/.test(trimmed)) return false;
+  try {
+    const url = new URL(trimmed);
+    return (url.protocol === 'http:' || url.protocol === 'https:') && url.hostname !== '';
+  } catch {
+    return false;
+  }
+}
+
+function checkString(schema, value, field, label, errors) {
+  const text = value.trim();
+  if (schema.minLength !== undefined && text.length < schema.minLength) {
+    errors.push({ field, message: schema.minLength === 1 ? `${label} must not be empty` : `${label} must be at least ${schema.minLength} characters` });
+  } else if (schema.maxLength !== undefined && text.length > schema.maxLength) {
+    errors.push({ field, message: `${label} must be at most ${schema.maxLength} characters` });
+  } else if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(text)) {
+    errors.push({ field, message: `${label} has an invalid format` });
+  } else if (schema.format === 'date' && !isDate(text)) {
+    errors.push({ field, message: `${label} must be a date (YYYY-MM-DD)` });
+  } else if (schema.format === 'uri' && !isWebUrl(text)) {
+    errors.push({ field, message: `${label} must be an http or https address without spaces, quotes or angle brackets` });
+  }
+  // Passwords are used exactly as typed; only their length ignores spaces
+  return schema.format === 'password' ? value : text;
+}
+
+function checkNumber(schema, value, field, label, errors) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ field, message: `${label} must be at least ${schema.minimum}` });
+  } else if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push({ field, message: `${label} must be at most ${schema.maximum}` });
+  }
+  return value;
+}
+
+function checkArray(schema, value, field, label, errors, options) {
+  if (schema.minItems !== undefined && value.length < schema.minItems) {
+    errors.push({ field, message: schema.minItems === 1 ? `${label} must have at least one entry` : `${label} must have at least ${schema.minItems} entries` });
+  } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+    errors.push({ field, message: `${label} must have at most ${schema.maxItems} entries` });
+  }
+  if (!schema.items) return value.slice();
+
+  const itemLabel = schema.items.title || 'Entry';
+  return value.map((item, index) =>
+    checkValue(schema.items, item, `${field}[${index}]`, `${itemLabel} ${index + 1}`, errors, options)
+  );
+}
+
+function checkObject(schema, value, field, errors, options) {
+  const properties = schema.properties || {};
+  const result = {};
+  const prefix = field ? `${field}.` : '';
+
+  Object.keys(value).forEach(key => {
+    if (!properties[key] && schema.additionalProperties === false) {
+      errors.push({ field: `${prefix}${key}`, message: `Unknown field "${key}"` });
+    }
+  });
+
+  Object.entries(properties).forEach(([key, propertySchema]) => {
+    if (propertySchema.readOnly) return;
+
+    const label = propertySchema.title || key;
+    if (value[key] === undefined || value[key] === null) {
+      // A partial update leaves absent fields alone. Null clears a field:
+      // it goes back to its default, or stays null for mergeChanges() to
+      // remove.
+      if (options.partial && value[key] === undefined) return;
+      if (propertySchema.default !== undefined) {
+        result[key] = structuredClone(propertySchema.default);
+      } else if ((schema.required || []).includes(key)) {
+        errors.push({ field: `${prefix}${key}`, message: `${label} is required` });
+      } else if (options.partial) {
+        result[key] = null;
+      }
+      return;
+    }
+    result[key] = checkValue(propertySchema, value[key], `${prefix}${key}`, label, errors, { ...options, partial: false });
+  });
+
+  if (schema.additionalProperties !== false) {
+    Object.keys(value).forEach(key => {
+      if (!properties[key]) result[key] = value[key];
+    });
+  }
+  return result;
+}
+
+function checkValue(schema, value, field, label, errors, options) {
+  const types = [].concat(schema.type || []);
+  const type = types.find(t => matchesType(t, value));
+  if (types.length > 0 && !type) {
+    errors.push({ field, message: `${label} must be ${types.map(t => TYPE_NAMES[t] || t).join(' or ')}` });
+    return value;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `${label} must be one of: ${schema.enum.join(', ')}` });
+    return value;
+  }
+
+  switch (type) {
+    case 'string': return checkString(schema, value, field, label, errors);
+    case 'number':
+    case 'integer': return checkNumber(schema, value, field, label, errors);
+    case 'array': return checkArray(schema, value, field, label, errors, options);
+    case 'object': return checkObject(schema, value, field, errors, options);
+    default: return value;
+  }
+}
+
+/**
+ * Apply changes validated with { partial: true } to a document. Fields the
+ * changes set to null are removed; the others are replaced.
+ * @param {Object} document
+ * @param {Object} changes
+ * @returns {Object} A new document
+ */
+function mergeChanges(document, changes) {
+  const merged = { ...document, ...changes };
+  Object.keys(changes).forEach(key => {
+    if (changes[key] === null) delete merged[key];
+  });
+  return merged;
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {Object} schema - JSON Schema subset describing the value
+ * @param {*} value - Untrusted input, usually req.body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Skip absent fields at the top level,
+ *   for merge-style updates; apply the result with mergeChanges()
+ * @returns {{ value: *, errors: Array<{ field: string, message: string }> }}
+ */
+function validate(schema, value, options = {}) {
+  const errors = [];
+  if (schema.type === 'object' && !matchesType('object', value)) {
+    return { value, errors: [{ field: '', message: 'Request body must be a JSON object' }] };
+  }
+  const cleaned = checkValue(schema, value, '', schema.title || 'Value', errors, { partial: Boolean(options.partial) });
+  return { value: cleaned, errors };
+}
+
+module.exports = { validate, isWebUrl, mergeChanges };
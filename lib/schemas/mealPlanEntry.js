@@ -0,0 +1,24 @@
+const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+/**
+ * Meal plan entry schema - one recipe planned for a meal on a given day.
+ */
+const mealPlanEntrySchema = {
+  title: 'Meal plan entry',
+  type: 'object',
+  additionalProperties: false,
+  required: ['date', 'slot', 'recipeId'],
+  properties: {
+    id: { type: 'integer', readOnly: true },
+    version: { type: 'integer', readOnly: true },
+    createdAt: { type: 'string', readOnly: true },
+    updatedAt: { type: 'string', readOnly: true },
+    date: { title: 'Date', type: 'string', format: 'date' },
+    slot: { title: 'Meal', type: 'string', enum: MEAL_SLOTS },
+    recipeId: { title: 'Recipe id', type: 'integer', minimum: 1 },
+    servings: { title: 'Servings', type: 'number', minimum: 0.25, maximum: 1000 },
+    note: { title: 'Note', type: 'string', maxLength: 200 }
+  }
+};
+
+module.exports = { mealPlanEntrySchema, MEAL_SLOTS };
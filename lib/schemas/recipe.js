@@ -0,0 +1,43 @@
+/**
+ * Recipe schema - the shape every recipe write must satisfy.
+ * Read-only fields are managed by the server and ignored on input.
+ */
+const recipeSchema = {
+  title: 'Recipe',
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'description', 'ingredients', 'instructions'],
+  properties: {
+    id: { type: 'integer', readOnly: true },
+    version: { type: 'integer', readOnly: true },
+    createdAt: { type: 'string', readOnly: true },
+    updatedAt: { type: 'string', readOnly: true },
+    parsedIngredients: { type: 'array', readOnly: true },
+    photos: { type: 'array', readOnly: true },
+    createdBy: { type: 'integer', readOnly: true },
+    updatedBy: { type: 'integer', readOnly: true },
+    title: { title: 'Title', type: 'string', minLength: 1, maxLength: 120 },
+    description: { title: 'Description', type: 'string', minLength: 1, maxLength: 1000 },
+    category: { title: 'Category', type: 'string', minLength: 1, maxLength: 40, default: 'Other' },
+    cookTime: { title: 'Cook time', type: 'string', maxLength: 40 },
+    servings: { title: 'Servings', type: 'string', maxLength: 40 },
+    sourceUrl: { title: 'Source URL', type: 'string', maxLength: 2000, format: 'uri' },
+    imageUrl: { title: 'Image URL', type: 'string', maxLength: 2000, format: 'uri' },
+    ingredients: {
+      title: 'Ingredients',
+      type: 'array',
+      minItems: 1,
+      maxItems: 100,
+      items: { title: 'Ingredient', type: 'string', minLength: 1, maxLength: 200 }
+    },
+    instructions: {
+      title: 'Instructions',
+      type: 'array',
+      minItems: 1,
+      maxItems: 100,
+      items: { title: 'Step', type: 'string', minLength: 1, maxLength: 1000 }
+    }
+  }
+};
+
+module.exports = recipeSchema;
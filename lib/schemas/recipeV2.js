@@ -0,0 +1,80 @@
+const recipeSchema = require('./recipe');
+
+const { parsedIngredients, ingredients, instructions, cookTime, servings, ...fields } = recipeSchema.properties;
+
+/**
+ * Recipe schema in API version 2 - the richer model. Ingredients carry their
+ * parsed quantity, unit and item next to the text, steps are numbered, cook
+ * time and servings also come as numbers, and links lead to the recipe's
+ * other resources. Writes take the same shape: the read-only parts are
+ * ignored, and plain strings still work wherever a { text } object does.
+ */
+const recipeV2Schema = {
+  title: 'Recipe',
+  type: 'object',
+  additionalProperties: false,
+  required: recipeSchema.required,
+  properties: {
+    ...fields,
+    cookTime: {
+      title: 'Cook time',
+      type: ['object', 'string'],
+      required: ['text'],
+      properties: {
+        text: cookTime,
+        minutes: { type: ['number', 'null'], readOnly: true }
+      }
+    },
+    servings: {
+      title: 'Servings',
+      type: ['object', 'string'],
+      required: ['text'],
+      properties: {
+        text: servings,
+        count: { type: ['number', 'null'], readOnly: true, description: 'The lower bound for ranges such as "6-8"' }
+      }
+    },
+    ingredients: {
+      ...ingredients,
+      items: {
+        title: 'Ingredient',
+        type: ['object', 'string'],
+        required: ['text'],
+        properties: {
+          text: ingredients.items,
+          quantity: { type: ['number', 'null'], readOnly: true },
+          quantityMax: { type: ['number', 'null'], readOnly: true, description: 'Upper bound of a range such as "2-3"' },
+          unit: { type: ['string', 'null'], readOnly: true },
+          item: { type: 'string', readOnly: true },
+          preparation: { type: ['string', 'null'], readOnly: true },
+          note: { type: ['string', 'null'], readOnly: true },
+          optional: { type: 'boolean', readOnly: true },
+          toTaste: { type: 'boolean', readOnly: true }
+        }
+      }
+    },
+    instructions: {
+      ...instructions,
+      items: {
+        title: 'Step',
+        type: ['object', 'string'],
+        required: ['text'],
+        properties: {
+          step: { type: 'integer', readOnly: true },
+          text: instructions.items
+        }
+      }
+    },
+    links: {
+      type: 'object',
+      readOnly: true,
+      properties: {
+        self: { type: 'string' },
+        nutrition: { type: 'string' },
+        revisions: { type: 'string' }
+      }
+    }
+  }
+};
+
+module.exports = recipeV2Schema;
@@ -0,0 +1,347 @@
+const recipeSchema = require('./recipe');
+const { mealPlanEntrySchema } = require('./mealPlanEntry');
+const { userSchema } = require('./user');
+const { WEBHOOK_EVENTS } = require('./webhook');
+
+/**
+ * Response schemas - shapes the API sends but never accepts, published in
+ * the OpenAPI document next to the request schemas. Nothing validates
+ * against them.
+ */
+
+// The envelope errorEnvelope() in lib/errorHandler.js sends for every error
+const errorSchema = {
+  title: 'Error',
+  type: 'object',
+  properties: {
+    error: {
+      type: 'object',
+      required: ['status', 'code', 'message'],
+      properties: {
+        status: { type: 'integer' },
+        code: { type: 'string' },
+        message: { type: 'string' },
+        details: {
+          type: 'array',
+          description: 'One entry per offending field, for validation errors',
+          items: {
+            type: 'object',
+            properties: { field: { type: 'string' }, message: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }
+};
+
+const authorSchema = {
+  title: 'Author',
+  type: ['object', 'null'],
+  properties: {
+    id: { type: 'integer' },
+    username: { type: 'string' },
+    displayName: { type: 'string' }
+  }
+};
+
+const sessionSchema = {
+  title: 'Session',
+  type: 'object',
+  properties: {
+    user: userSchema,
+    token: { type: 'string', description: 'Send as "Authorization: Bearer <token>"; browsers get it as a cookie too' },
+    expiresAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const revisionSchema = {
+  title: 'Revision',
+  type: 'object',
+  properties: {
+    recipeId: { type: 'integer' },
+    revision: { type: 'integer', description: 'The recipe version this write produced' },
+    action: { type: 'string', enum: ['create', 'update', 'revert', 'restore'] },
+    authorId: { type: ['integer', 'null'] },
+    author: authorSchema,
+    createdAt: { type: 'string', format: 'date-time' },
+    changedFields: { type: 'array', items: { type: 'string' } },
+    revertedTo: { type: 'integer', description: 'For reverts, the revision restored' },
+    recipe: { type: 'object', description: 'The recipe fields as they were; only when asking for one revision' }
+  }
+};
+
+const recipeDiffSchema = {
+  title: 'Recipe diff',
+  type: 'object',
+  properties: {
+    recipeId: { type: 'integer' },
+    from: { type: 'integer' },
+    to: { type: 'integer' },
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string' },
+          from: {},
+          to: {},
+          added: { type: 'array', items: { type: 'string' }, description: 'For list fields, the lines added' },
+          removed: { type: 'array', items: { type: 'string' }, description: 'For list fields, the lines removed' }
+        }
+      }
+    }
+  }
+};
+
+const trashEntrySchema = {
+  title: 'Trash entry',
+  type: 'object',
+  properties: {
+    id: { type: 'integer', description: 'The id the recipe had and gets back when restored' },
+    recipe: recipeSchema,
+    deletedAt: { type: 'string', format: 'date-time' },
+    deletedBy: { type: 'integer' },
+    purgeAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const nutrientsSchema = {
+  type: 'object',
+  additionalProperties: { type: 'number' },
+  description: 'Calories (kcal), sodium (mg) and the other nutrients in grams'
+};
+
+const nutritionSchema = {
+  title: 'Nutrition',
+  type: 'object',
+  properties: {
+    recipeId: { type: 'integer' },
+    servings: { type: ['number', 'null'] },
+    perServing: { ...nutrientsSchema, type: ['object', 'null'] },
+    total: nutrientsSchema,
+    ingredients: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          food: { type: ['string', 'null'] },
+          grams: { type: ['number', 'null'] }
+        }
+      }
+    },
+    unmatched: { type: 'array', items: { type: 'string' }, description: 'Ingredients left out of the totals' }
+  }
+};
+
+const searchResultSchema = {
+  title: 'Search result',
+  allOf: [recipeSchema, {
+    type: 'object',
+    properties: {
+      score: { type: 'number' },
+      highlights: {
+        type: 'object',
+        additionalProperties: { type: 'string' },
+        description: 'HTML snippets by field, matched words wrapped in <mark>'
+      }
+    }
+  }]
+};
+
+const plannedMealSchema = {
+  title: 'Planned meal',
+  allOf: [mealPlanEntrySchema, {
+    type: 'object',
+    properties: {
+      recipe: {
+        type: ['object', 'null'],
+        description: 'Summary of the recipe, or null once it has been deleted',
+        properties: {
+          id: { type: 'integer' },
+          title: { type: 'string' },
+          category: { type: 'string' },
+          servings: { type: 'string' }
+        }
+      }
+    }
+  }]
+};
+
+const mealPlanSchema = {
+  title: 'Meal plan',
+  type: 'object',
+  properties: {
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' },
+    entries: { type: 'array', items: plannedMealSchema }
+  }
+};
+
+const importFormatSchema = {
+  title: 'Import format',
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    label: { type: 'string' },
+    extensions: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const fieldErrorsSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: { field: { type: 'string' }, message: { type: 'string' } }
+  }
+};
+
+const importFailuresSchema = {
+  type: 'array',
+  description: 'Parts of the file that could not be read at all',
+  items: { type: 'object', properties: { message: { type: 'string' } } }
+};
+
+const importPlanSchema = {
+  title: 'Import plan',
+  type: 'object',
+  properties: {
+    format: { type: 'string' },
+    summary: {
+      type: 'object',
+      properties: {
+        found: { type: 'integer' },
+        create: { type: 'integer' },
+        duplicates: { type: 'integer' },
+        invalid: { type: 'integer' },
+        failures: { type: 'integer' }
+      }
+    },
+    recipes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          action: { type: 'string', enum: ['create', 'duplicate', 'invalid'] },
+          recipe: { type: 'object', description: 'The recipe as it would be stored' },
+          warnings: { type: 'array', items: { type: 'string' } },
+          errors: fieldErrorsSchema,
+          duplicateOf: { type: 'object', properties: { id: { type: 'integer' }, title: { type: 'string' } } },
+          hasPhoto: { type: 'boolean' }
+        }
+      }
+    },
+    warnings: { type: 'array', items: { type: 'string' } },
+    failures: importFailuresSchema
+  }
+};
+
+const importReportSchema = {
+  title: 'Import report',
+  type: 'object',
+  properties: {
+    format: { type: 'string' },
+    summary: { type: 'object', description: 'The plan summary with the number actually created' },
+    created: { type: 'array', items: recipeSchema },
+    skipped: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          reason: { type: 'string', enum: ['duplicate', 'invalid'] },
+          title: { type: 'string' },
+          errors: fieldErrorsSchema,
+          duplicateOf: { type: 'object' }
+        }
+      }
+    },
+    warnings: { type: 'array', items: { type: 'string' } },
+    failures: importFailuresSchema
+  }
+};
+
+// The body POSTed to a webhook's URL
+const webhookEventSchema = {
+  title: 'Webhook event',
+  type: 'object',
+  properties: {
+    id: { type: 'string', format: 'uuid', description: 'The delivery; the same for every attempt at it' },
+    event: { type: 'string', enum: [...WEBHOOK_EVENTS, 'ping'] },
+    createdAt: { type: 'string', format: 'date-time' },
+    data: {
+      type: 'object',
+      description: 'The recipe, as it was after the change or when it was deleted; for ping, the webhook',
+      properties: { recipe: recipeSchema, webhook: { type: 'object' } }
+    }
+  }
+};
+
+const webhookDeliverySchema = {
+  title: 'Webhook delivery',
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    webhookId: { type: 'integer' },
+    deliveryId: { type: 'string', format: 'uuid', description: 'Sent as X-Webhook-Delivery' },
+    event: { type: 'string' },
+    status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+    createdAt: { type: 'string', format: 'date-time' },
+    nextAttemptAt: { type: ['string', 'null'], format: 'date-time', description: 'When a pending delivery is tried again' },
+    attempts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          at: { type: 'string', format: 'date-time' },
+          status: { type: ['integer', 'null'], description: 'HTTP status of the answer, null without one' },
+          error: { type: ['string', 'null'] },
+          response: { type: ['string', 'null'], description: 'Start of the answer body' },
+          durationMs: { type: 'integer' }
+        }
+      }
+    },
+    payload: webhookEventSchema
+  }
+};
+
+const apiUsageSchema = {
+  title: 'API usage',
+  type: 'object',
+  properties: {
+    deprecatedAt: { type: 'string', format: 'date' },
+    sunsetAt: { type: 'string', format: 'date' },
+    routes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          route: { type: 'string', description: 'Method and path, e.g. "GET /api/recipes/:id"' },
+          count: { type: 'integer' },
+          firstSeen: { type: 'string', format: 'date-time' },
+          lastSeen: { type: 'string', format: 'date-time' },
+          lastUserAgent: { type: ['string', 'null'] }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  errorSchema,
+  sessionSchema,
+  revisionSchema,
+  recipeDiffSchema,
+  trashEntrySchema,
+  nutritionSchema,
+  searchResultSchema,
+  plannedMealSchema,
+  mealPlanSchema,
+  importFormatSchema,
+  importPlanSchema,
+  importReportSchema,
+  apiUsageSchema,
+  webhookEventSchema,
+  webhookDeliverySchema
+};
@@ -0,0 +1,43 @@
+// Levels of the server log, least severe first
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Log filter schema - which server log entries an admin watching the log
+ * is sent.
+ */
+const logFilterSchema = {
+  title: 'Log filter',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    level: { title: 'Level', type: 'string', enum: LOG_LEVELS, default: 'debug', description: 'Least severe level to show' },
+    sources: {
+      title: 'Sources',
+      type: 'array',
+      maxItems: 20,
+      description: 'Only entries from these sources; empty for every source',
+      items: { title: 'Source', type: 'string', minLength: 1, maxLength: 40 },
+      default: []
+    },
+    contains: { title: 'Contains', type: 'string', maxLength: 200, description: 'Only entries whose text contains this, compared without case', default: '' },
+    limit: { title: 'Limit', type: 'integer', minimum: 1, maximum: 1000, description: 'Most entries sent as history', default: 200 }
+  }
+};
+
+/**
+ * Log entry schema - one line of the server log.
+ */
+const logEntrySchema = {
+  title: 'Log entry',
+  type: 'object',
+  properties: {
+    seq: { type: 'integer', description: 'Numbers entries in the order they were logged' },
+    at: { type: 'string', description: 'When it was logged' },
+    level: { type: 'string', enum: LOG_LEVELS },
+    source: { type: 'string', description: 'What logged it; "console" for captured console output' },
+    message: { type: 'string', description: 'The text, without terminal colours when useTerminalOutputAnsiStrip is on' },
+    html: { type: 'string', description: 'The text as HTML with colours as styled spans; only when useTerminalOutputToHtml is on' }
+  }
+};
+
+module.exports = { logFilterSchema, logEntrySchema, LOG_LEVELS };
@@ -0,0 +1,64 @@
+const MAX_SERVINGS = 1000;
+
+/**
+ * Shopping list schema - the recipes a list is built from.
+ * The items are computed by the server from those recipes.
+ */
+const shoppingListSchema = {
+  title: 'Shopping list',
+  type: 'object',
+  additionalProperties: false,
+  required: ['recipes'],
+  properties: {
+    id: { type: 'integer', readOnly: true },
+    version: { type: 'integer', readOnly: true },
+    createdAt: { type: 'string', readOnly: true },
+    updatedAt: { type: 'string', readOnly: true },
+    items: { type: 'array', readOnly: true },
+    name: { title: 'Name', type: 'string', minLength: 1, maxLength: 120, default: 'Shopping list' },
+    recipes: {
+      title: 'Recipes',
+      type: 'array',
+      minItems: 1,
+      maxItems: 200,
+      items: {
+        title: 'Recipe',
+        type: 'object',
+        additionalProperties: false,
+        required: ['recipeId'],
+        properties: {
+          recipeId: { title: 'Recipe id', type: 'integer', minimum: 1 },
+          servings: { title: 'Servings', type: 'number', minimum: 0.25, maximum: MAX_SERVINGS }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Check-off of a single item: PATCH /api/shopping-lists/:id/items/:itemId
+ */
+const shoppingListItemSchema = {
+  title: 'Shopping list item',
+  type: 'object',
+  additionalProperties: false,
+  required: ['checked'],
+  properties: {
+    checked: { title: 'Checked', type: 'boolean' }
+  }
+};
+
+/**
+ * The optional body of POST /api/meal-plan/shopping-list. Without a name the
+ * list is named after the planned range.
+ */
+const mealPlanShoppingListSchema = {
+  title: 'Meal plan shopping list',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    name: { title: 'Name', type: 'string', maxLength: 120 }
+  }
+};
+
+module.exports = { shoppingListSchema, shoppingListItemSchema, mealPlanShoppingListSchema };
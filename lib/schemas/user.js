@@ -0,0 +1,66 @@
+const { ROLES } = require('../../shared/roles');
+
+const USERNAME_PATTERN = '^[A-Za-z0-9_.-]+$';
+
+/**
+ * User schema - an account as the API returns it. The password hash is
+ * stored with the user but never sent.
+ */
+const userSchema = {
+  title: 'User',
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    id: { type: 'integer', readOnly: true },
+    version: { type: 'integer', readOnly: true },
+    createdAt: { type: 'string', readOnly: true },
+    username: { title: 'Username', type: 'string', readOnly: true },
+    displayName: { title: 'Display name', type: 'string', readOnly: true },
+    role: { title: 'Role', type: 'string', enum: ROLES }
+  }
+};
+
+/**
+ * The body of PATCH /api/users/:id, the only change an admin makes to
+ * someone else's account.
+ */
+const userRoleSchema = {
+  title: 'User role',
+  type: 'object',
+  additionalProperties: false,
+  required: ['role'],
+  properties: {
+    role: userSchema.properties.role
+  }
+};
+
+/**
+ * Registration schema - the body of POST /api/auth/register.
+ */
+const registrationSchema = {
+  title: 'Registration',
+  type: 'object',
+  additionalProperties: false,
+  required: ['username', 'password'],
+  properties: {
+    username: { title: 'Username', type: 'string', minLength: 3, maxLength: 32, pattern: USERNAME_PATTERN },
+    displayName: { title: 'Display name', type: 'string', maxLength: 60 },
+    password: { title: 'Password', type: 'string', format: 'password', writeOnly: true, minLength: 8, maxLength: 200 }
+  }
+};
+
+/**
+ * Login schema - the body of POST /api/auth/login.
+ */
+const loginSchema = {
+  title: 'Login',
+  type: 'object',
+  additionalProperties: false,
+  required: ['username', 'password'],
+  properties: {
+    username: { title: 'Username', type: 'string', minLength: 1, maxLength: 32 },
+    password: { title: 'Password', type: 'string', format: 'password', writeOnly: true, minLength: 1, maxLength: 200 }
+  }
+};
+
+module.exports = { userSchema, userRoleSchema, registrationSchema, loginSchema };
@@ -0,0 +1,43 @@
+// Recipe events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['recipe.created', 'recipe.updated', 'recipe.deleted'];
+
+/**
+ * Webhook schema - an outgoing subscription to recipe events. The secret
+ * deliveries are signed with is made by the server and only shown in the
+ * response that creates the webhook.
+ */
+const webhookSchema = {
+  title: 'Webhook',
+  type: 'object',
+  additionalProperties: false,
+  required: ['url'],
+  properties: {
+    id: { type: 'integer', readOnly: true },
+    version: { type: 'integer', readOnly: true },
+    createdAt: { type: 'string', readOnly: true },
+    updatedAt: { type: 'string', readOnly: true },
+    createdBy: { type: 'integer', readOnly: true },
+    secret: { type: 'string', readOnly: true, description: 'Key of the X-Webhook-Signature HMAC; only returned when the webhook is created' },
+    url: { title: 'URL', type: 'string', maxLength: 2000, pattern: '^https?://\\S+$' },
+    description: { title: 'Description', type: 'string', maxLength: 200 },
+    events: {
+      title: 'Events',
+      type: 'array',
+      minItems: 1,
+      maxItems: WEBHOOK_EVENTS.length,
+      items: { title: 'Event', type: 'string', enum: WEBHOOK_EVENTS },
+      default: WEBHOOK_EVENTS
+    },
+    categories: {
+      title: 'Categories',
+      type: 'array',
+      maxItems: 50,
+      description: 'Only recipes in these categories, compared without case; empty for every recipe',
+      items: { title: 'Category', type: 'string', minLength: 1, maxLength: 40 },
+      default: []
+    },
+    active: { title: 'Active', type: 'boolean', default: true }
+  }
+};
+
+module.exports = { webhookSchema, WEBHOOK_EVENTS };
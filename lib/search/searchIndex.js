@@ -0,0 +1,290 @@
+const { tokenize } = require('./tokenizer');
+
+// Relative importance of a match in each field
+const FIELD_WEIGHTS = { title: 3, ingredients: 2, description: 1 };
+const FIELDS = Object.keys(FIELD_WEIGHTS);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Score multipliers for words that only approximately match the query
+const PREFIX_FACTOR = 0.7;
+const FUZZY_FACTORS = [1, 0.6, 0.4];
+
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Edit distance with adjacent transpositions (optimal string alignment),
+ * giving up as soon as it must exceed maxDistance.
+ * @returns {number} Distance, or maxDistance + 1 when it is larger
+ */
+function boundedEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed for a query word of this length
+function allowedTypos(word) {
+  if (word.length < 4 || /^\d+$/.test(word)) return 0;
+  return word.length < 8 ? 1 : 2;
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+}
+
+/**
+ * Wrap the tokens of text whose stem matched in <mark>, escaping everything
+ * else. Only the [from, to) slice of the text is rendered.
+ */
+function highlight(text, matchedStems, from = 0, to = text.length) {
+  let html = '';
+  let position = from;
+  tokenize(text).forEach(token => {
+    if (token.start < from || token.end > to || !matchedStems.has(token.stem)) return;
+    html += escapeHtml(text.slice(position, token.start)) + '<mark>' + escapeHtml(text.slice(token.start, token.end)) + '</mark>';
+    position = token.end;
+  });
+  return html + escapeHtml(text.slice(position, to));
+}
+
+/**
+ * Cut a window of text around the first match and highlight it.
+ */
+function snippet(text, matchedStems) {
+  if (text.length <= SNIPPET_LENGTH) return highlight(text, matchedStems);
+
+  const first = tokenize(text).find(token => matchedStems.has(token.stem));
+  let start = first ? Math.max(0, first.start - SNIPPET_LENGTH / 3) : 0;
+  if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  return (start > 0 ? '…' : '') + highlight(text, matchedStems, start, end) + (end < text.length ? '…' : '');
+}
+
+/**
+ * SearchIndex - an in-memory inverted index over recipe titles, ingredients
+ * and descriptions.
+ *
+ * Words are stemmed before indexing. Each query word matches the same stem,
+ * indexed words it is a prefix of, and indexed words within one or two typos.
+ * Results are ranked with BM25, weighted by field, and every query word must
+ * match for a recipe to be returned.
+ */
+class SearchIndex {
+  constructor() {
+    // stem -> Map(recipeId -> { title, ingredients, description } term counts)
+    this.postings = new Map();
+    // surface word -> { stem, count } across all indexed recipes
+    this.words = new Map();
+    // recipeId -> indexed text, field lengths and stems
+    this.documents = new Map();
+    this.totalLengths = { title: 0, ingredients: 0, description: 0 };
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * Index a recipe, replacing any previous version of it.
+   * @param {Object} recipe
+   */
+  add(recipe) {
+    this.remove(recipe.id);
+
+    const texts = {
+      title: recipe.title || '',
+      ingredients: (recipe.ingredients || []).join('\n'),
+      description: recipe.description || ''
+    };
+    const lengths = {};
+    const stems = new Set();
+    const words = [];
+
+    FIELDS.forEach(field => {
+      const tokens = tokenize(texts[field]);
+      lengths[field] = tokens.length;
+      this.totalLengths[field] += tokens.length;
+
+      tokens.forEach(token => {
+        if (!this.postings.has(token.stem)) this.postings.set(token.stem, new Map());
+        const posting = this.postings.get(token.stem);
+        if (!posting.has(recipe.id)) posting.set(recipe.id, { title: 0, ingredients: 0, description: 0 });
+        posting.get(recipe.id)[field]++;
+        stems.add(token.stem);
+
+        const entry = this.words.get(token.word) || { stem: token.stem, count: 0 };
+        entry.count++;
+        this.words.set(token.word, entry);
+        words.push(token.word);
+      });
+    });
+
+    this.documents.set(recipe.id, {
+      title: texts.title,
+      description: texts.description,
+      ingredients: recipe.ingredients || [],
+      category: (recipe.category || '').toLowerCase(),
+      lengths,
+      stems,
+      words
+    });
+  }
+
+  /**
+   * Drop a recipe from the index.
+   * @param {*} id - Recipe id
+   */
+  remove(id) {
+    const doc = this.documents.get(id);
+    if (!doc) return;
+
+    doc.stems.forEach(stemmed => {
+      const posting = this.postings.get(stemmed);
+      posting.delete(id);
+      if (posting.size === 0) this.postings.delete(stemmed);
+    });
+    doc.words.forEach(word => {
+      const entry = this.words.get(word);
+      if (--entry.count === 0) this.words.delete(word);
+    });
+    FIELDS.forEach(field => {
+      this.totalLengths[field] -= doc.lengths[field];
+    });
+    this.documents.delete(id);
+  }
+
+  /**
+   * Stems a query word may stand for, each with a score multiplier.
+   * @returns {Map<string, number>}
+   */
+  expand(token) {
+    const candidates = new Map();
+    if (this.postings.has(token.stem)) candidates.set(token.stem, 1);
+
+    const maxTypos = allowedTypos(token.word);
+    this.words.forEach(({ stem: stemmed }, word) => {
+      let factor = 0;
+      if (token.word.length >= 3 && word.startsWith(token.word)) {
+        factor = word === token.word ? 1 : PREFIX_FACTOR;
+      } else if (maxTypos > 0) {
+        const distance = boundedEditDistance(token.word, word, maxTypos);
+        if (distance <= maxTypos) factor = FUZZY_FACTORS[distance];
+      }
+      if (factor > (candidates.get(stemmed) || 0)) candidates.set(stemmed, factor);
+    });
+    return candidates;
+  }
+
+  // BM25 weight of a stem across the collection
+  inverseDocumentFrequency(stemmed) {
+    const frequency = this.postings.get(stemmed).size;
+    return Math.log(1 + (this.documents.size - frequency + 0.5) / (frequency + 0.5));
+  }
+
+  // BM25 contribution of one stem to one recipe, summed over weighted fields
+  scoreStem(idf, counts, doc, averageLengths) {
+    let total = 0;
+    for (const field of FIELDS) {
+      const tf = counts[field];
+      if (tf === 0) continue;
+      const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.lengths[field] / averageLengths[field]));
+      total += FIELD_WEIGHTS[field] * idf * norm;
+    }
+    return total;
+  }
+
+  /**
+   * Search the index.
+   * @param {string} query - Free text typed by the user
+   * @param {Object} [options]
+   * @param {string} [options.category] - Only return recipes in this category
+   * @param {number} [options.limit] - Maximum number of results
+   * @returns {{ total: number, results: Array<{ id: *, score: number, highlights: Object }> }}
+   */
+  search(query, { category = null, limit = 50 } = {}) {
+    const wanted = category ? category.toLowerCase() : null;
+    const inCategory = (doc) => !wanted || doc.category === wanted;
+
+    // Without search words, list the (filtered) collection in index order
+    const queryTokens = tokenize(query);
+    if (queryTokens.length === 0) {
+      const ids = [...this.documents.entries()].filter(([, doc]) => inCategory(doc)).map(([id]) => id);
+      return { total: ids.length, results: ids.slice(0, limit).map(id => ({ id, score: 0, highlights: {} })) };
+    }
+
+    // Every query word must match: score each word separately, keep the
+    // recipes matched by all of them
+    const averageLengths = {};
+    FIELDS.forEach(field => {
+      averageLengths[field] = this.totalLengths[field] / this.documents.size || 1;
+    });
+
+    let scores = null;
+    const matchedStems = new Map();
+    queryTokens.forEach(token => {
+      const wordScores = new Map();
+      this.expand(token).forEach((factor, stemmed) => {
+        const idf = this.inverseDocumentFrequency(stemmed);
+        this.postings.get(stemmed).forEach((counts, id) => {
+          if (scores && !scores.has(id)) return;
+          const doc = this.documents.get(id);
+          if (!inCategory(doc)) return;
+
+          const score = factor * this.scoreStem(idf, counts, doc, averageLengths);
+          if (score > (wordScores.get(id) || 0)) wordScores.set(id, score);
+          if (!matchedStems.has(id)) matchedStems.set(id, new Set());
+          matchedStems.get(id).add(stemmed);
+        });
+      });
+      scores = new Map([...wordScores].map(([id, score]) => [id, score + ((scores && scores.get(id)) || 0)]));
+    });
+
+    const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+    return {
+      total: ranked.length,
+      results: ranked.slice(0, limit).map(([id, score]) => ({
+        id,
+        score: Math.round(score * 1000) / 1000,
+        highlights: this.highlights(id, matchedStems.get(id))
+      }))
+    };
+  }
+
+  /**
+   * Highlighted snippets of the fields a recipe matched in.
+   */
+  highlights(id, stems) {
+    const doc = this.documents.get(id);
+    const result = {};
+    const matches = (text) => tokenize(text).some(token => stems.has(token.stem));
+
+    if (matches(doc.title)) result.title = highlight(doc.title, stems);
+    const ingredients = doc.ingredients.filter(matches);
+    if (ingredients.length > 0) result.ingredients = ingredients.map(line => highlight(line, stems));
+    if (matches(doc.description)) result.description = snippet(doc.description, stems);
+    return result;
+  }
+}
+
+module.exports = SearchIndex;
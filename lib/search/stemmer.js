@@ -0,0 +1,102 @@
+/**
+ * Porter stemmer (M.F. Porter, "An algorithm for suffix stripping", 1980).
+ * Reduces English words to a common stem so "baking", "baked" and "bakes"
+ * all index as "bake".
+ */
+
+const step2Suffixes = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize',
+  bli: 'ble', alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous',
+  ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive',
+  fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble',
+  logi: 'log'
+};
+
+const step3Suffixes = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+const consonant = '[^aeiou]';
+const vowel = '[aeiouy]';
+const consonantSeq = consonant + '[^aeiouy]*';
+const vowelSeq = vowel + '[aeiou]*';
+
+const measureGt0 = new RegExp('^(' + consonantSeq + ')?' + vowelSeq + consonantSeq);
+const measureEq1 = new RegExp('^(' + consonantSeq + ')?' + vowelSeq + consonantSeq + '(' + vowelSeq + ')?$');
+const measureGt1 = new RegExp('^(' + consonantSeq + ')?' + vowelSeq + consonantSeq + vowelSeq + consonantSeq);
+const hasVowel = new RegExp('^(' + consonantSeq + ')?' + vowel);
+const endsCvc = new RegExp('^' + consonantSeq + vowel + '[^aeiouwxy]$');
+
+/**
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length < 3) return word;
+
+  let w = word;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) w = 'Y' + w.slice(1);
+
+  // Step 1a: plurals
+  if (/^(.+?)(ss|i)es$/.test(w)) {
+    w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+  } else if (/^(.+?)([^s])s$/.test(w)) {
+    w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+  }
+
+  // Step 1b: -eed, -ed, -ing
+  let match;
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (measureGt0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w))) {
+    if (hasVowel.test(match[1])) {
+      w = match[1];
+      if (/(at|bl|iz)$/.test(w)) {
+        w += 'e';
+      } else if (/([^aeiouylsz])\1$/.test(w)) {
+        w = w.slice(0, -1);
+      } else if (endsCvc.test(w)) {
+        w += 'e';
+      }
+    }
+  }
+
+  // Step 1c: y -> i
+  if ((match = /^(.+?)y$/.exec(w)) && hasVowel.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2: double suffixes
+  match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+  if (match && measureGt0.test(match[1])) {
+    w = match[1] + step2Suffixes[match[2]];
+  }
+
+  // Step 3: -ic-, -full, -ness
+  match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+  if (match && measureGt0.test(match[1])) {
+    w = match[1] + step3Suffixes[match[2]];
+  }
+
+  // Step 4: remaining suffixes
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (measureGt1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (measureGt1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5: trailing e and double l
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (measureGt1.test(base) || (measureEq1.test(base) && !endsCvc.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && measureGt1.test(w)) {
+    w = w.slice(0, -1);
+  }
+
+  if (startsWithY) w = 'y' + w.slice(1);
+  return w;
+}
+
+module.exports = { stem };
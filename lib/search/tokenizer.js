@@ -0,0 +1,35 @@
+const { stem } = require('./stemmer');
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'into',
+  'is', 'it', 'of', 'on', 'or', 'the', 'then', 'to', 'until', 'with'
+]);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lowercase a word and strip accents, so "Crème" matches "creme".
+ * @param {string} word
+ * @returns {string}
+ */
+function normalize(word) {
+  return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Split text into indexable tokens. Offsets point into the original text so
+ * matches can be highlighted later. Stop words are dropped.
+ * @param {string} text
+ * @returns {Array<{ word: string, stem: string, start: number, end: number }>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(WORD_PATTERN)) {
+    const word = normalize(match[0]);
+    if (STOP_WORDS.has(word)) continue;
+    tokens.push({ word, stem: stem(word), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+module.exports = { tokenize, normalize, STOP_WORDS };
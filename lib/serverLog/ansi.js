@@ -0,0 +1,110 @@
+// Escape sequences terminals understand: SGR (colours and styles, ending in
+// "m") and the other CSI sequences, which only move the cursor or clear, and
+// OSC sequences (window titles, hyperlinks), ended by BEL or ST ("\x1b\\")
+const ESCAPE_PATTERN = /\x1b\[([0-9;?]*)([@-~])|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)/g;
+
+const COLOURS = ['black', 'red', 'green', 'yellow', 'blue', 'magenta', 'cyan', 'white'];
+const BRIGHT_COLOURS = ['gray', '#ff5555', '#55ff55', '#ffff55', '#5555ff', '#ff55ff', '#55ffff', '#ffffff'];
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The text without terminal escape sequences
+ */
+function stripAnsi(text) {
+  return text.replace(ESCAPE_PATTERN, '');
+}
+
+// Apply one SGR sequence's codes to the current style
+function applyCodes(style, codes) {
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+    if (code === 0) {
+      Object.assign(style, { color: null, background: null, bold: false, italic: false, underline: false });
+    } else if (code === 1) {
+      style.bold = true;
+    } else if (code === 3) {
+      style.italic = true;
+    } else if (code === 4) {
+      style.underline = true;
+    } else if (code === 22) {
+      style.bold = false;
+    } else if (code === 23) {
+      style.italic = false;
+    } else if (code === 24) {
+      style.underline = false;
+    } else if (code >= 30 && code <= 37) {
+      style.color = COLOURS[code - 30];
+    } else if (code === 39) {
+      style.color = null;
+    } else if (code >= 40 && code <= 47) {
+      style.background = COLOURS[code - 40];
+    } else if (code === 49) {
+      style.background = null;
+    } else if (code >= 90 && code <= 97) {
+      style.color = BRIGHT_COLOURS[code - 90];
+    } else if (code >= 100 && code <= 107) {
+      style.background = BRIGHT_COLOURS[code - 100];
+    } else if ((code === 38 || code === 48) && codes[i + 1] === 5) {
+      // 256-colour codes take two more numbers; only the first 16 are mapped
+      const index = codes[i + 2];
+      const colour = index < 8 ? COLOURS[index] : index < 16 ? BRIGHT_COLOURS[index - 8] : null;
+      style[code === 38 ? 'color' : 'background'] = colour;
+      i += 2;
+    } else if ((code === 38 || code === 48) && codes[i + 1] === 2) {
+      const [r, g, b] = codes.slice(i + 2, i + 5);
+      style[code === 38 ? 'color' : 'background'] = `rgb(${r}, ${g}, ${b})`;
+      i += 4;
+    }
+  }
+}
+
+function cssOf(style) {
+  const rules = [];
+  if (style.color) rules.push(`color: ${style.color}`);
+  if (style.background) rules.push(`background-color: ${style.background}`);
+  if (style.bold) rules.push('font-weight: bold');
+  if (style.italic) rules.push('font-style: italic');
+  if (style.underline) rules.push('text-decoration: underline');
+  return rules.join('; ');
+}
+
+/**
+ * Terminal text as HTML: special characters escaped, colours and styles as
+ * styled spans, line breaks as <br>. Other escape sequences are dropped.
+ * @param {string} text
+ * @returns {string}
+ */
+function ansiToHtml(text) {
+  const style = { color: null, background: null, bold: false, italic: false, underline: false };
+  let html = '';
+  let open = false;
+  let last = 0;
+
+  const addText = chunk => {
+    html += escapeHtml(chunk).replace(/\r?\n/g, '<br>');
+  };
+
+  for (const match of text.matchAll(ESCAPE_PATTERN)) {
+    addText(text.slice(last, match.index));
+    last = match.index + match[0].length;
+    if (match[2] !== 'm') continue;
+
+    const codes = match[1] === '' ? [0] : match[1].split(';').map(Number);
+    applyCodes(style, codes);
+    if (open) html += '</span>';
+    const css = cssOf(style);
+    open = css !== '';
+    if (open) html += `<span style="${css}">`;
+  }
+  addText(text.slice(last));
+  if (open) html += '</span>';
+  return html;
+}
+
+module.exports = { ansiToHtml, escapeHtml, stripAnsi };
@@ -0,0 +1,12 @@
+const { LogStream, matchesFilter } = require('./logStream');
+const { attachLogNamespace, closeUnauthorizedSockets } = require('./namespace');
+const { ansiToHtml, stripAnsi } = require('./ansi');
+
+module.exports = {
+  LogStream,
+  ansiToHtml,
+  attachLogNamespace,
+  closeUnauthorizedSockets,
+  matchesFilter,
+  stripAnsi
+};
@@ -0,0 +1,129 @@
+const util = require('util');
+const { LOG_LEVELS } = require('../schemas/serverLog');
+const { ansiToHtml, stripAnsi } = require('./ansi');
+
+// Level recorded for each console method captureConsole() takes over
+const CONSOLE_LEVELS = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+/**
+ * Whether a log entry passes a filter (see logFilterSchema).
+ * @param {Object} entry
+ * @param {Object} filter
+ * @returns {boolean}
+ */
+function matchesFilter(entry, { level = 'debug', sources = [], contains = '' }) {
+  if (LOG_LEVELS.indexOf(entry.level) < LOG_LEVELS.indexOf(level)) return false;
+  if (sources.length > 0 && !sources.includes(entry.source)) return false;
+  return contains === '' || stripAnsi(entry.message).toLowerCase().includes(contains.toLowerCase());
+}
+
+/**
+ * The server log: the last `capacity` entries in memory, each with its
+ * level, time and source, and listeners told about new ones as they come.
+ *
+ * Entries come from loggers made with logger(source) and, once
+ * captureConsole() has run, from console output. Either way the line is
+ * still printed to the terminal. ansiStrip and toHtml are the
+ * useTerminalOutputAnsiStrip and useTerminalOutputToHtml settings.
+ */
+class LogStream {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.capacity] - Entries kept
+   * @param {boolean} [options.ansiStrip] - Drop terminal colours from messages
+   * @param {boolean} [options.toHtml] - Add each message as HTML
+   */
+  constructor({ capacity = 1000, ansiStrip = false, toHtml = false } = {}) {
+    this.capacity = capacity;
+    this.ansiStrip = ansiStrip;
+    this.toHtml = toHtml;
+    this.seq = 0;
+    // Ring buffer; the entry with sequence number n is at n % capacity
+    this.entries = new Array(capacity);
+    this.listeners = new Set();
+    // Where lines are printed, kept from before captureConsole()
+    this.terminal = Object.fromEntries(Object.keys(CONSOLE_LEVELS).map(method => [method, console[method].bind(console)]));
+    // Set while listeners run, so a listener that logs does not loop
+    this.notifying = false;
+  }
+
+  /**
+   * Add an entry and tell the listeners.
+   * @param {string} level - One of LOG_LEVELS
+   * @param {string} source
+   * @param {Array} args - As passed to console.log
+   * @returns {Object} The entry
+   */
+  record(level, source, args) {
+    const formatted = util.format(...args);
+    const message = this.ansiStrip ? stripAnsi(formatted) : formatted;
+    this.seq += 1;
+    const entry = { seq: this.seq, at: new Date().toISOString(), level, source, message };
+    if (this.toHtml) entry.html = ansiToHtml(message);
+    this.entries[this.seq % this.capacity] = entry;
+
+    if (!this.notifying) {
+      this.notifying = true;
+      try {
+        for (const listener of this.listeners) listener(entry);
+      } finally {
+        this.notifying = false;
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * A console-like logger whose lines are printed and recorded under a source.
+   * @param {string} source
+   * @returns {{ debug: Function, info: Function, warn: Function, error: Function }}
+   */
+  logger(source) {
+    return Object.fromEntries(LOG_LEVELS.map(level => [level, (...args) => {
+      this.terminal[level](...args);
+      this.record(level, source, args);
+    }]));
+  }
+
+  /**
+   * Record console output as well as printing it, under the source "console".
+   * @param {Object} [target] - The console to take over
+   * @returns {Function} Puts the console back as it was
+   */
+  captureConsole(target = console) {
+    const originals = {};
+    for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+      originals[method] = target[method];
+      target[method] = (...args) => {
+        originals[method].apply(target, args);
+        this.record(level, 'console', args);
+      };
+    }
+    return () => Object.assign(target, originals);
+  }
+
+  /**
+   * @param {Function} listener - Called with each new entry
+   * @returns {Function} Stops calling it
+   */
+  onEntry(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Kept entries that pass a filter, oldest first.
+   * @param {Object} filter - As validated against logFilterSchema
+   * @returns {Array<Object>} At most filter.limit of the newest matches
+   */
+  query(filter) {
+    const matches = [];
+    for (let seq = Math.max(1, this.seq - this.capacity + 1); seq <= this.seq; seq++) {
+      const entry = this.entries[seq % this.capacity];
+      if (matchesFilter(entry, filter)) matches.push(entry);
+    }
+    return matches.slice(-filter.limit);
+  }
+}
+
+module.exports = { LogStream, matchesFilter };
@@ -0,0 +1,106 @@
+const { assertRole, authenticateSocket } = require('../auth');
+const { validate } = require('../schema');
+const { logFilterSchema } = require('../schemas/serverLog');
+const { HttpError, ValidationError } = require('../errors');
+const { errorEnvelope } = require('../errorHandler');
+const { hasRole } = require('../../shared/roles');
+const { matchesFilter } = require('./logStream');
+
+// Sockets keep the user they joined with, but the server replaces it when
+// that user signs out or changes role, so access is checked on every send
+function mayWatch(socket) {
+  return hasRole(socket.data.user, 'admin');
+}
+
+/**
+ * Disconnect the sockets of a log namespace whose user may no longer watch,
+ * e.g. after signing out or losing the admin role.
+ * @param {Namespace} namespace - As returned by attachLogNamespace()
+ */
+function closeUnauthorizedSockets(namespace) {
+  for (const socket of namespace.sockets.values()) {
+    if (!mayWatch(socket)) socket.disconnect(true);
+  }
+}
+
+function parseFilter(raw) {
+  const { value, errors } = validate(logFilterSchema, raw || {});
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return value;
+}
+
+/**
+ * Stream the server log to admins on a Socket.IO namespace.
+ *
+ * Sockets sign in as on the main namespace and are refused unless they are
+ * admins; the refusal's error envelope is the connect_error's data. Each
+ * socket starts with the history its filter lets through, then gets new
+ * entries as logEntry. setFilter, pause and resume are each answered with
+ * logHistory; a paused socket is sent nothing new until it resumes. A
+ * socket whose user is no longer an admin is disconnected.
+ * @param {Server} io - The Socket.IO server
+ * @param {LogStream} logStream
+ * @param {Object} options
+ * @param {Accounts} options.accounts - Signs in sockets
+ * @param {string} [options.name] - Namespace name
+ * @returns {Namespace}
+ */
+function attachLogNamespace(io, logStream, { accounts, name = '/admin/logs' }) {
+  const namespace = io.of(name);
+  namespace.use(authenticateSocket(accounts));
+  namespace.use((socket, next) => {
+    try {
+      assertRole(socket.data.user, 'admin');
+      next();
+    } catch (error) {
+      if (error instanceof HttpError) error.data = errorEnvelope(error);
+      next(error);
+    }
+  });
+
+  function sendHistory(socket) {
+    const { filter, paused } = socket.data;
+    socket.emit('logHistory', { filter, paused, entries: logStream.query(filter) });
+  }
+
+  namespace.on('connection', (socket) => {
+    socket.data.filter = parseFilter({});
+    socket.data.paused = false;
+    sendHistory(socket);
+
+    const handle = (event, action) => socket.on(event, (payload) => {
+      try {
+        assertRole(socket.data.user, 'admin');
+        action(payload);
+        sendHistory(socket);
+      } catch (error) {
+        socket.emit('requestFailed', errorEnvelope(error));
+      }
+    });
+    handle('setFilter', (filter) => {
+      socket.data.filter = parseFilter(filter);
+    });
+    handle('pause', () => {
+      socket.data.paused = true;
+    });
+    handle('resume', () => {
+      socket.data.paused = false;
+    });
+  });
+
+  logStream.onEntry((entry) => {
+    for (const socket of namespace.sockets.values()) {
+      if (!mayWatch(socket)) {
+        socket.disconnect(true);
+      } else if (!socket.data.paused && matchesFilter(entry, socket.data.filter)) {
+        socket.emit('logEntry', entry);
+      }
+    }
+  });
+
+  return namespace;
+}
+
+module.exports = { attachLogNamespace, closeUnauthorizedSockets };
@@ -0,0 +1,80 @@
+/**
+ * Store aisles, in the order a typical shop is walked through, with the
+ * ingredient words that belong in each. The most specific keyword wins, so
+ * "peanut butter" lands in Pantry while "butter" lands in Dairy & Eggs.
+ */
+const AISLES = [
+  {
+    name: 'Produce',
+    keywords: ['onion', 'garlic', 'shallot', 'tomato', 'potato', 'carrot', 'celery', 'bell pepper',
+      'jalapeno', 'chili', 'lettuce', 'spinach', 'kale', 'cabbage', 'cucumber', 'zucchini', 'squash', 'eggplant',
+      'mushroom', 'broccoli', 'cauliflower', 'pea', 'green bean', 'corn', 'avocado', 'lemon', 'lime', 'orange',
+      'apple', 'banana', 'berry', 'strawberry', 'blueberry', 'grape', 'ginger', 'basil', 'parsley', 'cilantro',
+      'mint', 'dill', 'rosemary', 'thyme', 'scallion', 'green onion', 'leek', 'herb']
+  },
+  {
+    name: 'Meat & Seafood',
+    keywords: ['chicken', 'beef', 'pork', 'lamb', 'turkey', 'bacon', 'sausage', 'ham', 'mince', 'ground beef',
+      'steak', 'fish', 'salmon', 'tuna', 'cod', 'shrimp', 'prawn', 'crab', 'mussel', 'anchovy']
+  },
+  {
+    name: 'Dairy & Eggs',
+    keywords: ['milk', 'buttermilk', 'butter', 'cream', 'sour cream', 'cheese', 'cheddar', 'mozzarella', 'parmesan',
+      'feta', 'ricotta', 'yogurt', 'yoghurt', 'egg']
+  },
+  {
+    name: 'Bakery',
+    keywords: ['bread', 'baguette', 'bun', 'roll', 'tortilla', 'pita', 'naan']
+  },
+  {
+    name: 'Baking',
+    keywords: ['flour', 'sugar', 'brown sugar', 'powdered sugar', 'baking soda', 'baking powder', 'yeast',
+      'vanilla', 'vanilla extract', 'cocoa', 'chocolate', 'chocolate chips', 'cornstarch', 'honey', 'syrup',
+      'maple syrup']
+  },
+  {
+    name: 'Spices & Seasonings',
+    keywords: ['salt', 'black pepper', 'pepper', 'oregano', 'paprika', 'cumin', 'cinnamon', 'nutmeg', 'turmeric',
+      'chili powder', 'curry', 'bay leaf', 'cayenne', 'spice', 'seasoning']
+  },
+  {
+    name: 'Pantry',
+    keywords: ['pasta', 'spaghetti', 'noodle', 'rice', 'oats', 'quinoa', 'lentil', 'bean', 'chickpea', 'oil',
+      'olive oil', 'vinegar', 'red wine vinegar', 'soy sauce', 'stock', 'broth', 'peanut butter', 'nut', 'walnut',
+      'almond', 'pecan', 'raisin', 'breadcrumb', 'olive', 'kalamata olive', 'mustard', 'ketchup', 'mayonnaise']
+  },
+  {
+    name: 'Canned & Jarred',
+    keywords: ['canned', 'diced tomato', 'tomato paste', 'tomato sauce', 'coconut milk', 'jar']
+  },
+  {
+    name: 'Frozen',
+    keywords: ['frozen', 'ice cream']
+  },
+  {
+    name: 'Beverages',
+    keywords: ['wine', 'beer', 'juice', 'coffee', 'tea', 'water']
+  }
+];
+
+const OTHER_AISLE = 'Other';
+const AISLE_NAMES = [...AISLES.map(aisle => aisle.name), OTHER_AISLE];
+
+/**
+ * Aisle an ingredient is found in.
+ * @param {string} name - Normalized ingredient name, e.g. "cherry tomato"
+ * @returns {string} Aisle name, "Other" when nothing matches
+ */
+function aisleFor(name) {
+  let best = OTHER_AISLE;
+  let bestLength = 0;
+  AISLES.forEach(aisle => aisle.keywords.forEach(keyword => {
+    if (keyword.length > bestLength && new RegExp(`\\b${keyword}(?:e?s)?\\b`).test(name)) {
+      best = aisle.name;
+      bestLength = keyword.length;
+    }
+  }));
+  return best;
+}
+
+module.exports = { AISLES, AISLE_NAMES, OTHER_AISLE, aisleFor };
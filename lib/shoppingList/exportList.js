@@ -0,0 +1,50 @@
+const { AISLE_NAMES } = require('./aisles');
+
+/**
+ * Items of a list grouped by aisle, in aisle order, empty aisles left out.
+ * @param {Array} items - Shopping list items
+ * @returns {Array<{ aisle: string, items: Array }>}
+ */
+function groupByAisle(items) {
+  return AISLE_NAMES
+    .map(aisle => ({ aisle, items: items.filter(item => item.aisle === aisle) }))
+    .filter(group => group.items.length > 0);
+}
+
+function describeRecipes(list) {
+  return list.recipes
+    .map(recipe => recipe.servingsLabel ? `${recipe.title} (${recipe.servingsLabel})` : recipe.title)
+    .join(', ');
+}
+
+/**
+ * Plain text rendering of a shopping list, one "[ ]" line per item.
+ * @param {Object} list - Stored shopping list
+ * @returns {string}
+ */
+function toText(list) {
+  const lines = [list.name, '='.repeat(list.name.length), `For: ${describeRecipes(list)}`];
+  groupByAisle(list.items).forEach(({ aisle, items }) => {
+    lines.push('', aisle);
+    items.forEach(item => lines.push(`[${item.checked ? 'x' : ' '}] ${item.text}`));
+  });
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Markdown rendering of a shopping list, using task list items so checked
+ * items stay checked when pasted into a notes app.
+ * @param {Object} list - Stored shopping list
+ * @returns {string}
+ */
+function toMarkdown(list) {
+  const escape = text => String(text).replace(/([\\`*_[\]#|])/g, '\\$1');
+  const lines = [`# ${escape(list.name)}`, '', `_For: ${escape(describeRecipes(list))}_`];
+  groupByAisle(list.items).forEach(({ aisle, items }) => {
+    lines.push('', `## ${escape(aisle)}`, '');
+    items.forEach(item => lines.push(`- [${item.checked ? 'x' : ' '}] ${escape(item.text)}`));
+  });
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { groupByAisle, toText, toMarkdown };
@@ -0,0 +1,26 @@
+const { mergeIngredients, ingredientKey } = require('./mergeIngredients');
+const { groupByAisle, toText, toMarkdown } = require('./exportList');
+const { AISLES, aisleFor } = require('./aisles');
+
+/**
+ * Build the items of a shopping list, keeping the checked state of items
+ * that were already on the list before it was rebuilt.
+ * @param {Array<{ recipe: Object, parsedIngredients: Array }>} entries
+ * @param {Array} [previousItems] - Items of the list being rebuilt
+ * @returns {Array} Shopping list items
+ */
+function buildItems(entries, previousItems = []) {
+  const checked = new Set(previousItems.filter(item => item.checked).map(item => item.id));
+  return mergeIngredients(entries).map(item => ({ ...item, checked: checked.has(item.id) }));
+}
+
+module.exports = {
+  AISLES,
+  aisleFor,
+  buildItems,
+  groupByAisle,
+  ingredientKey,
+  mergeIngredients,
+  toText,
+  toMarkdown
+};
@@ -0,0 +1,181 @@
+const { getUnit, formatMeasurement } = require('../../shared/ingredientParser');
+const { roundToKitchenFraction } = require('../../shared/recipeScaler');
+const { fromBase, volumeToMass, isMetricUnit } = require('../../shared/unitConverter');
+const { AISLE_NAMES, aisleFor } = require('./aisles');
+
+// Words that describe the size or state of an ingredient rather than what to buy
+const DESCRIPTORS = ['extra-large', 'extra large', 'large', 'medium', 'small', 'fresh', 'freshly', 'ripe'];
+
+/**
+ * Singular form of the last word of an ingredient name, good enough to line
+ * up "eggs" with "egg" and "tomatoes" with "tomato".
+ */
+function singularize(name) {
+  return name.replace(/(\w+)$/, word => {
+    if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+    if (/(o|ch|sh|x|ss)es$/.test(word)) return word.slice(0, -2);
+    if (/[^su]s$/.test(word)) return word.slice(0, -1);
+    return word;
+  });
+}
+
+function pluralize(name) {
+  return name.replace(/(\w+)$/, word => {
+    if (/[^aeiou]y$/.test(word)) return word.slice(0, -1) + 'ies';
+    if (/(o|ch|sh|x|s)$/.test(word)) return word + 'es';
+    return word + 's';
+  });
+}
+
+function stripDescriptors(name) {
+  const pattern = new RegExp(`\\b(?:${DESCRIPTORS.join('|')})\\b`, 'g');
+  return name.toLowerCase().replace(pattern, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Key that like ingredients share: "2 Large Eggs" and "1 egg" both give "egg".
+ * @param {string} item - Ingredient name from IngredientParser
+ * @returns {string}
+ */
+function ingredientKey(item) {
+  return singularize(stripDescriptors(item));
+}
+
+function slugify(key) {
+  return key.normalize('NFD').replace(/[̀-ͯ]/g, '')
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// An unmeasured "Salt and pepper to taste" is two things to buy
+function namesOf(parsed) {
+  if (parsed.quantity === null && /\s(?:and|&)\s/i.test(parsed.item)) {
+    return parsed.item.split(/\s(?:and|&)\s/i).map(name => name.trim()).filter(Boolean);
+  }
+  return [parsed.item];
+}
+
+function createGroup(key) {
+  return {
+    key,
+    writtenName: null,
+    millilitres: 0,
+    grams: 0,
+    counts: new Map(),
+    metricVotes: 0,
+    usVotes: 0,
+    unmeasured: false,
+    toTaste: false,
+    sources: []
+  };
+}
+
+// Add one ingredient line to its group. Ranges count at their upper end,
+// since a shopping list should buy enough.
+function addToGroup(group, parsed, name) {
+  if (parsed.toTaste) group.toTaste = true;
+  if (parsed.quantity === null) {
+    if (!parsed.toTaste) group.unmeasured = true;
+    return;
+  }
+
+  const amount = parsed.quantityMax !== null ? parsed.quantityMax : parsed.quantity;
+  const unit = parsed.unit ? getUnit(parsed.unit) : null;
+  if (!group.writtenName && unit && unit.type !== 'count') {
+    group.writtenName = stripDescriptors(name);
+  }
+
+  if (unit && unit.type === 'volume') {
+    group.millilitres += amount * unit.factor;
+  } else if (unit && unit.type === 'mass') {
+    group.grams += amount * unit.factor;
+  } else {
+    const unitName = parsed.unit || '';
+    group.counts.set(unitName, (group.counts.get(unitName) || 0) + amount);
+    return;
+  }
+  if (isMetricUnit(parsed.unit)) group.metricVotes++;
+  else group.usVotes++;
+}
+
+/**
+ * Amounts to buy for a group, in whichever system most of its lines used.
+ * Volumes of ingredients that are also bought by weight are folded into the
+ * weight through the density table ("1 cup butter" + "100 g butter").
+ */
+function groupAmounts(group) {
+  const system = group.metricVotes > group.usVotes ? 'metric' : 'us';
+  let { millilitres, grams } = group;
+  if (millilitres > 0 && grams > 0) {
+    const folded = volumeToMass(millilitres, group.key);
+    if (folded !== null) {
+      grams += folded;
+      millilitres = 0;
+    }
+  }
+
+  const amounts = [];
+  if (grams > 0) amounts.push(fromBase(grams, 'mass', system));
+  if (millilitres > 0) amounts.push(fromBase(millilitres, 'volume', system));
+  group.counts.forEach((quantity, unit) => amounts.push({ quantity, unit: unit || null }));
+  return amounts.map(({ quantity, unit }) => ({ quantity: roundToKitchenFraction(quantity, unit), unit }));
+}
+
+function describeItem(name, amounts, toTaste) {
+  const measured = amounts
+    .map(({ quantity, unit }) => formatMeasurement({ quantity, quantityMax: null, unit }))
+    .join(' + ');
+  if (!measured) return toTaste ? `${name} (to taste)` : name;
+  return toTaste ? `${measured} ${name}, plus more to taste` : `${measured} ${name}`;
+}
+
+function toItem(group) {
+  const amounts = groupAmounts(group);
+  const countOnly = amounts.length > 0 && amounts.every(amount => !amount.unit);
+  const total = countOnly ? amounts.reduce((sum, amount) => sum + amount.quantity, 0) : 0;
+  const name = countOnly
+    ? (total > 1 ? pluralize(group.key) : group.key)
+    : group.writtenName || group.key;
+
+  return {
+    id: slugify(group.key),
+    name,
+    aisle: aisleFor(group.key),
+    amounts,
+    toTaste: group.toTaste,
+    text: describeItem(name, amounts, group.toTaste),
+    checked: false,
+    sources: group.sources
+  };
+}
+
+/**
+ * Merge the ingredients of several recipes into shopping list items, one
+ * per distinct ingredient, sorted by aisle and then by name.
+ * @param {Array<{ recipe: Object, parsedIngredients: Array }>} entries -
+ *   Recipes with their (possibly scaled) parsed ingredients
+ * @returns {Array<Object>} Items with id, name, aisle, amounts, text,
+ *   checked and the recipe lines they came from
+ */
+function mergeIngredients(entries) {
+  const groups = new Map();
+
+  entries.forEach(({ recipe, parsedIngredients }) => {
+    parsedIngredients.forEach(parsed => {
+      namesOf(parsed).forEach(name => {
+        const key = ingredientKey(name);
+        if (!key) return;
+        if (!groups.has(key)) groups.set(key, createGroup(key));
+
+        const group = groups.get(key);
+        addToGroup(group, parsed, name);
+        group.sources.push({ recipeId: recipe.id, title: recipe.title, text: parsed.text || parsed.original });
+      });
+    });
+  });
+
+  return [...groups.values()]
+    .map(toItem)
+    .sort((a, b) => AISLE_NAMES.indexOf(a.aisle) - AISLE_NAMES.indexOf(b.aisle) || a.name.localeCompare(b.name));
+}
+
+module.exports = { mergeIngredients, ingredientKey };
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Write a file atomically. The data is written and fsynced to a temporary
+ * sibling first and then renamed over the target, so a crash mid-write never
+ * leaves a truncated file behind.
+ * @param {string} filePath - Destination file
+ * @param {string|Uint8Array} data - File contents
+ */
+async function writeFileAtomic(filePath, data) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    const handle = await fs.promises.open(tempPath, 'w');
+    try {
+      await handle.writeFile(data);
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.promises.rm(tempPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Create a queue that runs async tasks one after another, so overlapping
+ * writes to the same file are applied in order.
+ * @returns {Function} enqueue(task) returning the task's promise
+ */
+function createSerialQueue() {
+  let tail = Promise.resolve();
+  return (task) => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+module.exports = { writeFileAtomic, createSerialQueue };
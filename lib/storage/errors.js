@@ -0,0 +1,20 @@
+/**
+ * Raised when a conditional write finds a newer version of the document
+ * than the one the caller based its changes on.
+ */
+class VersionConflictError extends Error {
+  /**
+   * @param {*} id - Document id
+   * @param {number} expectedVersion - Version the caller expected
+   * @param {number} currentVersion - Version actually stored
+   */
+  constructor(id, expectedVersion, currentVersion) {
+    super(`Document ${id} is at version ${currentVersion}, expected ${expectedVersion}`);
+    this.name = 'VersionConflictError';
+    this.id = id;
+    this.expectedVersion = expectedVersion;
+    this.currentVersion = currentVersion;
+  }
+}
+
+module.exports = { VersionConflictError };
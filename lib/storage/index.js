@@ -0,0 +1,68 @@
+const path = require('path');
+const MemoryRepository = require('./memoryRepository');
+const JsonFileRepository = require('./jsonFileRepository');
+const SqlDatabase = require('./sqlDatabase');
+const SqlRepository = require('./sqlRepository');
+const { VersionConflictError } = require('./errors');
+
+const BACKENDS = ['memory', 'json', 'sqlite'];
+
+/**
+ * Create the storage layer selected in the settings file.
+ *
+ * Every backend exposes the same async repository interface:
+ * initialize(seed), list(), get(id), insert(doc, options),
+ * update(id, doc, options), remove(id, options). Inserted documents without an id get one from a
+ * never-reused sequence, and every write bumps the document's version.
+ *
+ * @param {Object} options
+ * @param {string} options.backend - "memory", "json" or "sqlite"
+ * @param {string} options.directory - Directory for the json/sqlite files
+ * @returns {Promise<Object>} Storage with open(name, seed) and close()
+ */
+async function createStorage({ backend = 'json', directory = 'data' } = {}) {
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown storage backend "${backend}" (expected one of: ${BACKENDS.join(', ')})`);
+  }
+
+  let database = null;
+  if (backend === 'sqlite') {
+    database = await SqlDatabase.open(path.join(directory, 'foodrecipe.sqlite'));
+  }
+
+  const createRepository = (name) => {
+    switch (backend) {
+      case 'memory':
+        return new MemoryRepository();
+      case 'json':
+        return new JsonFileRepository(path.join(directory, `${name}.json`));
+      case 'sqlite':
+        return new SqlRepository(database, name);
+    }
+  };
+
+  const repositories = new Map();
+
+  return {
+    backend,
+
+    /**
+     * Get the repository for a collection, initializing it on first use.
+     * @param {string} name - Collection name
+     * @param {Array} seedDocuments - Documents for a brand new collection
+     */
+    async open(name, seedDocuments = []) {
+      if (!repositories.has(name)) {
+        const repository = createRepository(name);
+        repositories.set(name, repository.initialize(seedDocuments).then(() => repository));
+      }
+      return repositories.get(name);
+    },
+
+    async close() {
+      if (database) await database.close();
+    }
+  };
+}
+
+module.exports = { createStorage, BACKENDS, VersionConflictError };
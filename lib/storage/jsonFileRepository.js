@@ -0,0 +1,105 @@
+const fs = require('fs');
+const { writeFileAtomic, createSerialQueue } = require('./atomicWrite');
+const { assertVersion, firstFreeId, asFirstVersion, asNextVersion } = require('./versioning');
+
+/**
+ * JsonFileRepository - one JSON file per collection.
+ * The whole collection is held in memory and every write replaces the file
+ * atomically, so the file on disk is always a complete snapshot. The file
+ * also records the collection's id sequence.
+ */
+class JsonFileRepository {
+  /**
+   * @param {string} filePath - JSON file backing this collection
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.documents = [];
+    this.nextId = 1;
+    this.enqueue = createSerialQueue();
+  }
+
+  /**
+   * Load the collection from disk, or create the file with the seed
+   * documents when it does not exist yet.
+   * @param {Array} seedDocuments - Documents for a brand new collection
+   */
+  async initialize(seedDocuments = []) {
+    try {
+      const contents = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      // Files written before ids were sequenced hold a bare array
+      this.documents = Array.isArray(contents) ? contents : contents.documents;
+      this.nextId = contents.nextId || firstFreeId(this.documents);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      await this.commit(seedDocuments.map(doc => asFirstVersion(doc)), firstFreeId(seedDocuments));
+    }
+  }
+
+  /**
+   * Persist a new version of the collection and make it current only once
+   * it is safely on disk.
+   * @param {Array} documents - Complete collection contents
+   * @param {number} nextId - Next value of the id sequence
+   */
+  async commit(documents, nextId = this.nextId) {
+    await writeFileAtomic(this.filePath, JSON.stringify({ nextId, documents }, null, 2));
+    this.documents = documents;
+    this.nextId = nextId;
+  }
+
+  async list() {
+    return structuredClone(this.documents);
+  }
+
+  async get(id) {
+    const doc = this.documents.find(d => d.id === id);
+    return doc ? structuredClone(doc) : null;
+  }
+
+  /**
+   * Store a new document. Documents without an id get the next value of the
+   * collection's sequence; ids are never handed out twice.
+   * @param {number} [options.version] - Version to store instead of 1, for
+   *   documents moved back from another collection
+   */
+  async insert(document, { version } = {}) {
+    return this.enqueue(async () => {
+      const assignId = document.id === undefined;
+      const stored = asFirstVersion({ ...document, id: assignId ? this.nextId : document.id }, version);
+      await this.commit([...this.documents, stored], assignId ? this.nextId + 1 : this.nextId);
+      return structuredClone(stored);
+    });
+  }
+
+  /**
+   * Replace a document and bump its version.
+   * @param {Object} [options.expectedVersion] - Fail unless this is the stored version
+   */
+  async update(id, document, { expectedVersion } = {}) {
+    return this.enqueue(async () => {
+      const index = this.documents.findIndex(d => d.id === id);
+      if (index === -1) return null;
+      assertVersion(this.documents[index], expectedVersion);
+
+      const stored = asNextVersion(this.documents[index], document);
+      const documents = [...this.documents];
+      documents[index] = stored;
+      await this.commit(documents);
+      return structuredClone(stored);
+    });
+  }
+
+  async remove(id, { expectedVersion } = {}) {
+    return this.enqueue(async () => {
+      const doc = this.documents.find(d => d.id === id);
+      if (!doc) return null;
+      assertVersion(doc, expectedVersion);
+
+      await this.commit(this.documents.filter(d => d.id !== id));
+      return doc;
+    });
+  }
+}
+
+module.exports = JsonFileRepository;
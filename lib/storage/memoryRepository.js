@@ -0,0 +1,68 @@
+const { assertVersion, firstFreeId, asFirstVersion, asNextVersion } = require('./versioning');
+
+/**
+ * MemoryRepository - keeps documents in a Map for the lifetime of the process.
+ * Nothing is persisted, which makes it the backend of choice for tests.
+ */
+class MemoryRepository {
+  constructor() {
+    this.documents = new Map();
+    this.nextId = 1;
+  }
+
+  /**
+   * Prepare the repository. A fresh memory store is always empty, so the
+   * seed documents are loaded every time.
+   * @param {Array} seedDocuments - Documents to start with
+   */
+  async initialize(seedDocuments = []) {
+    this.documents = new Map(seedDocuments.map(doc => [doc.id, asFirstVersion(doc)]));
+    this.nextId = firstFreeId(seedDocuments);
+  }
+
+  async list() {
+    return [...this.documents.values()].map(doc => structuredClone(doc));
+  }
+
+  async get(id) {
+    const doc = this.documents.get(id);
+    return doc ? structuredClone(doc) : null;
+  }
+
+  /**
+   * Store a new document. Documents without an id get the next value of the
+   * collection's sequence; ids are never handed out twice.
+   * @param {number} [options.version] - Version to store instead of 1, for
+   *   documents moved back from another collection
+   */
+  async insert(document, { version } = {}) {
+    const stored = asFirstVersion({ ...document, id: document.id ?? this.nextId++ }, version);
+    this.documents.set(stored.id, stored);
+    return structuredClone(stored);
+  }
+
+  /**
+   * Replace a document and bump its version.
+   * @param {Object} [options.expectedVersion] - Fail unless this is the stored version
+   */
+  async update(id, document, { expectedVersion } = {}) {
+    const current = this.documents.get(id);
+    if (!current) return null;
+    assertVersion(current, expectedVersion);
+
+    const stored = asNextVersion(current, document);
+    this.documents.set(id, stored);
+    return structuredClone(stored);
+  }
+
+  async remove(id, { expectedVersion } = {}) {
+    const doc = this.documents.get(id);
+    if (!doc) return null;
+    assertVersion(doc, expectedVersion);
+
+    this.documents.delete(id);
+    return doc;
+  }
+}
+
+module.exports = MemoryRepository;
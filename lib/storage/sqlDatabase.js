@@ -0,0 +1,98 @@
+const fs = require('fs');
+const initSqlJs = require('sql.js');
+const { writeFileAtomic, createSerialQueue } = require('./atomicWrite');
+
+/**
+ * SqlDatabase - an embedded SQLite database (sql.js) mirrored to a file.
+ * sql.js runs entirely in memory, so after every write the database image is
+ * exported and written atomically to disk.
+ */
+class SqlDatabase {
+  /**
+   * @param {Object} SQL - The initialised sql.js module
+   * @param {Object} db - sql.js Database instance
+   * @param {string} filePath - Database file on disk
+   */
+  constructor(SQL, db, filePath) {
+    this.SQL = SQL;
+    this.db = db;
+    this.filePath = filePath;
+    this.enqueue = createSerialQueue();
+  }
+
+  /**
+   * Open the database file, creating an empty database if it is missing.
+   * @param {string} filePath - Database file on disk
+   * @returns {Promise<SqlDatabase>}
+   */
+  static async open(filePath) {
+    const SQL = await initSqlJs();
+    const db = fs.existsSync(filePath)
+      ? new SQL.Database(fs.readFileSync(filePath))
+      : new SQL.Database();
+    return new SqlDatabase(SQL, db, filePath);
+  }
+
+  /**
+   * Run a statement that does not return rows.
+   * @returns {number} Number of rows modified
+   */
+  run(sql, params = []) {
+    this.db.run(sql, params);
+    return this.db.getRowsModified();
+  }
+
+  /**
+   * Run a query and return every row as a plain object.
+   * @returns {Array<Object>}
+   */
+  all(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  /**
+   * Apply a batch of writes inside a transaction and persist the result.
+   * If the file cannot be written, the database goes back to how it was
+   * before the writes, so memory never holds what the disk does not.
+   * @param {Function} work - Synchronous function performing the writes
+   * @returns {Promise<*>} Whatever work returned
+   */
+  transaction(work) {
+    return this.enqueue(async () => {
+      const before = this.db.export();
+      this.db.run('BEGIN');
+      let result;
+      try {
+        result = work();
+        this.db.run('COMMIT');
+      } catch (error) {
+        this.db.run('ROLLBACK');
+        throw error;
+      }
+      try {
+        await writeFileAtomic(this.filePath, this.db.export());
+      } catch (error) {
+        this.db.close();
+        this.db = new this.SQL.Database(before);
+        throw error;
+      }
+      return result;
+    });
+  }
+
+  async close() {
+    await this.enqueue(async () => this.db.close());
+  }
+}
+
+module.exports = SqlDatabase;
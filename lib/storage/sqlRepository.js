@@ -0,0 +1,120 @@
+const { assertVersion, firstFreeId, asFirstVersion, asNextVersion } = require('./versioning');
+
+const SEQUENCES_TABLE = '__sequences';
+
+/**
+ * SqlRepository - stores a collection as JSON documents in a SQLite table.
+ * Rows keep their insertion order through SQLite's rowid, and id sequences
+ * live in a shared sequences table.
+ */
+class SqlRepository {
+  /**
+   * @param {SqlDatabase} database - Shared embedded database
+   * @param {string} table - Table name for this collection
+   */
+  constructor(database, table) {
+    if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(table)) {
+      throw new Error(`Invalid collection name "${table}"`);
+    }
+    this.database = database;
+    this.table = table;
+  }
+
+  /**
+   * Create the table on first use and fill it with the seed documents.
+   * @param {Array} seedDocuments - Documents for a brand new collection
+   */
+  async initialize(seedDocuments = []) {
+    const existing = this.database.all(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [this.table]
+    );
+
+    await this.database.transaction(() => {
+      this.database.run(`CREATE TABLE IF NOT EXISTS "${SEQUENCES_TABLE}" (name TEXT PRIMARY KEY, next_id INTEGER NOT NULL)`);
+      if (existing.length > 0) return;
+
+      this.database.run(`CREATE TABLE "${this.table}" (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+      seedDocuments.forEach(doc => this.insertRow(asFirstVersion(doc)));
+      this.database.run(`INSERT OR REPLACE INTO "${SEQUENCES_TABLE}" (name, next_id) VALUES (?, ?)`, [this.table, firstFreeId(seedDocuments)]);
+    });
+  }
+
+  insertRow(document) {
+    this.database.run(`INSERT INTO "${this.table}" (id, data) VALUES (?, ?)`, [String(document.id), JSON.stringify(document)]);
+  }
+
+  readRow(id) {
+    const [row] = this.database.all(`SELECT data FROM "${this.table}" WHERE id = ?`, [String(id)]);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Take the next value of this collection's sequence. Must run inside a
+   * transaction so the increment is persisted with the insert.
+   */
+  takeNextId() {
+    const [row] = this.database.all(`SELECT next_id FROM "${SEQUENCES_TABLE}" WHERE name = ?`, [this.table]);
+    // Tables created before sequences existed start after their highest id
+    const nextId = row ? row.next_id : firstFreeId(this.readAll());
+    this.database.run(`INSERT OR REPLACE INTO "${SEQUENCES_TABLE}" (name, next_id) VALUES (?, ?)`, [this.table, nextId + 1]);
+    return nextId;
+  }
+
+  readAll() {
+    return this.database
+      .all(`SELECT data FROM "${this.table}" ORDER BY rowid`)
+      .map(row => JSON.parse(row.data));
+  }
+
+  async list() {
+    return this.readAll();
+  }
+
+  async get(id) {
+    return this.readRow(id);
+  }
+
+  /**
+   * Store a new document. Documents without an id get the next value of the
+   * collection's sequence; ids are never handed out twice.
+   * @param {number} [options.version] - Version to store instead of 1, for
+   *   documents moved back from another collection
+   */
+  async insert(document, { version } = {}) {
+    return this.database.transaction(() => {
+      const stored = asFirstVersion({ ...document, id: document.id ?? this.takeNextId() }, version);
+      this.insertRow(stored);
+      return stored;
+    });
+  }
+
+  /**
+   * Replace a document and bump its version.
+   * @param {Object} [options.expectedVersion] - Fail unless this is the stored version
+   */
+  async update(id, document, { expectedVersion } = {}) {
+    return this.database.transaction(() => {
+      const current = this.readRow(id);
+      if (!current) return null;
+      assertVersion(current, expectedVersion);
+
+      const stored = asNextVersion(current, document);
+      this.database.run(`UPDATE "${this.table}" SET data = ? WHERE id = ?`, [JSON.stringify(stored), String(id)]);
+      return stored;
+    });
+  }
+
+  async remove(id, { expectedVersion } = {}) {
+    return this.database.transaction(() => {
+      const doc = this.readRow(id);
+      if (!doc) return null;
+      assertVersion(doc, expectedVersion);
+
+      this.database.run(`DELETE FROM "${this.table}" WHERE id = ?`, [String(id)]);
+      return doc;
+    });
+  }
+}
+
+module.exports = SqlRepository;
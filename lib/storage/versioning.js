@@ -0,0 +1,52 @@
+const { VersionConflictError } = require('./errors');
+
+/**
+ * Version of a stored document. Documents written before versioning was
+ * introduced count as version 1.
+ * @param {Object} document
+ * @returns {number}
+ */
+function versionOf(document) {
+  return document.version || 1;
+}
+
+/**
+ * Throw a VersionConflictError if the caller asked for a specific version
+ * and the stored document has moved on. The expected version is read like
+ * a stored one, so a copy of a document without a version (or with the 0
+ * that seeded JSON files once got) matches it.
+ * @param {Object} document - Currently stored document
+ * @param {number} [expectedVersion] - Version the write is based on
+ */
+function assertVersion(document, expectedVersion) {
+  if (expectedVersion !== undefined && versionOf(document) !== (expectedVersion || 1)) {
+    throw new VersionConflictError(document.id, expectedVersion, versionOf(document));
+  }
+}
+
+/**
+ * First id a sequence may hand out without colliding with existing
+ * numeric ids.
+ * @param {Array} documents
+ * @returns {number}
+ */
+function firstFreeId(documents) {
+  return documents.reduce((next, doc) => (Number.isInteger(doc.id) && doc.id >= next ? doc.id + 1 : next), 1);
+}
+
+/**
+ * Copy a document for storage as a brand new version 1, or as the given
+ * version when a document keeps its history across collections.
+ */
+function asFirstVersion(document, version = 1) {
+  return { id: document.id, ...structuredClone(document), version };
+}
+
+/**
+ * Copy a document for storage as the version after the current one.
+ */
+function asNextVersion(current, document) {
+  return { ...structuredClone(document), id: current.id, version: versionOf(current) + 1 };
+}
+
+module.exports = { versionOf, assertVersion, firstFreeId, asFirstVersion, asNextVersion };
@@ -0,0 +1,67 @@
+/**
+ * Deleted recipes, kept in the "trash" collection under the recipe's own id
+ * until they are restored or purged. Each entry records when it may be
+ * purged; the purge job in server.js removes entries past that time.
+ */
+class TrashBin {
+  /**
+   * @param {Object} options
+   * @param {number} options.retentionMs - How long deleted recipes are kept
+   */
+  constructor({ retentionMs }) {
+    this.retentionMs = retentionMs;
+    this.repository = null;
+  }
+
+  /**
+   * @param {Object} storage - Storage from createStorage()
+   */
+  async open(storage) {
+    this.repository = await storage.open('trash');
+  }
+
+  /**
+   * Put a recipe in the trash.
+   * @param {Object} recipe - The recipe as it was stored
+   * @param {Object} options
+   * @param {number} options.deletedBy - Id of the user deleting it
+   * @returns {Promise<Object>} The trash entry
+   */
+  async add(recipe, { deletedBy }) {
+    const now = Date.now();
+    return this.repository.insert({
+      id: recipe.id,
+      recipe,
+      deletedAt: new Date(now).toISOString(),
+      deletedBy,
+      purgeAt: new Date(now + this.retentionMs).toISOString()
+    });
+  }
+
+  async list() {
+    return this.repository.list();
+  }
+
+  async get(id) {
+    return this.repository.get(id);
+  }
+
+  /**
+   * Take an entry out of the trash.
+   * @returns {Promise<Object|null>} The entry, or null if it was already gone
+   */
+  async remove(id) {
+    return this.repository.remove(id);
+  }
+
+  /**
+   * @param {Date} [now]
+   * @returns {Promise<Array>} Entries whose retention period is over
+   */
+  async expired(now = new Date()) {
+    const entries = await this.repository.list();
+    return entries.filter(entry => Date.parse(entry.purgeAt) <= now.getTime());
+  }
+}
+
+module.exports = TrashBin;
@@ -0,0 +1,30 @@
+const Webhooks = require('./webhooks');
+const { signatureHeader, verifySignature } = require('./signature');
+
+/**
+ * A webhook as the API shows it after creation: without its secret.
+ * @param {Object} webhook
+ * @returns {Object}
+ */
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+/**
+ * A delivery as the API shows it, with the body it sent parsed.
+ * @param {Object} delivery
+ * @returns {Object}
+ */
+function describeDelivery(delivery) {
+  const { body, ...rest } = delivery;
+  return { ...rest, payload: JSON.parse(body) };
+}
+
+module.exports = {
+  Webhooks,
+  describeDelivery,
+  publicWebhook,
+  signatureHeader,
+  verifySignature
+};
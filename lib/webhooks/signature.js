@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+/**
+ * Webhook signatures. Every delivery carries
+ *
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * keyed with the webhook's secret. A receiver recomputes the HMAC over the
+ * raw request body, compares it in constant time and refuses old
+ * timestamps, so a captured delivery cannot be replayed later.
+ */
+
+function createSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function hmac(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * @param {string} secret
+ * @param {string} body - The exact bytes sent
+ * @param {number} [now] - Milliseconds since the epoch
+ * @returns {string} Value of the X-Webhook-Signature header
+ */
+function signatureHeader(secret, body, now = Date.now()) {
+  const timestamp = Math.floor(now / 1000);
+  return `t=${timestamp},v1=${hmac(secret, timestamp, body)}`;
+}
+
+/**
+ * Check a signature the way a receiver should.
+ * @param {string} secret
+ * @param {string} body - The raw request body
+ * @param {string} header - The X-Webhook-Signature header
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSeconds] - Oldest timestamp accepted
+ * @param {number} [options.now]
+ * @returns {boolean}
+ */
+function verifySignature(secret, body, header, { toleranceSeconds = 300, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(hmac(secret, timestamp, body), 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = { createSecret, signatureHeader, verifySignature };
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+const { mergeChanges } = require('../schema');
+const { createSecret, signatureHeader } = require('./signature');
+
+// What a failed attempt keeps of the receiver's answer
+const MAX_RESPONSE_CHARS = 1000;
+
+/**
+ * Outgoing webhooks: subscriptions in the "webhooks" collection and their
+ * delivery log in "webhookDeliveries".
+ *
+ * Each matching event becomes a delivery, POSTed as JSON with a signature
+ * (see signature.js). A delivery that fails - a network error, a timeout or
+ * a status outside 2xx - is tried again after retryBaseMs, then twice as
+ * long each time, until it succeeds or maxAttempts is reached. Pending
+ * retries are kept in storage and picked up again by open(), so a restart
+ * does not lose them. Each webhook keeps its last logLimit finished
+ * deliveries.
+ */
+class Webhooks {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.retryBaseMs] - Wait before the first retry
+   * @param {number} [options.maxAttempts] - Attempts before a delivery fails for good
+   * @param {number} [options.timeoutMs] - How long to wait for a receiver
+   * @param {number} [options.logLimit] - Finished deliveries kept per webhook
+   */
+  constructor({ retryBaseMs = 30 * 1000, maxAttempts = 6, timeoutMs = 10 * 1000, logLimit = 100 } = {}) {
+    this.retryBaseMs = retryBaseMs;
+    this.maxAttempts = maxAttempts;
+    this.timeoutMs = timeoutMs;
+    this.logLimit = logLimit;
+    this.repository = null;
+    this.deliveries = null;
+    // Delivery id -> timer of its next retry
+    this.retries = new Map();
+  }
+
+  /**
+   * Open the collections and schedule the retries that were pending when
+   * the server stopped.
+   * @param {Object} storage - Storage from createStorage()
+   */
+  async open(storage) {
+    this.repository = await storage.open('webhooks');
+    this.deliveries = await storage.open('webhookDeliveries');
+    for (const delivery of await this.deliveries.list()) {
+      if (delivery.status === 'pending') this.scheduleRetry(delivery);
+    }
+  }
+
+  async list() {
+    return this.repository.list();
+  }
+
+  async get(id) {
+    return this.repository.get(id);
+  }
+
+  /**
+   * @param {Object} fields - Validated against webhookSchema
+   * @param {Object} options
+   * @param {number} options.createdBy - Id of the user adding it
+   * @returns {Promise<Object>} The stored webhook, with its secret
+   */
+  async create(fields, { createdBy }) {
+    return this.repository.insert({
+      ...fields,
+      secret: createSecret(),
+      createdAt: new Date().toISOString(),
+      createdBy
+    });
+  }
+
+  /**
+   * @returns {Promise<Object|null>} The changed webhook, or null if it is gone
+   */
+  async update(webhook, changes) {
+    return this.repository.update(webhook.id, {
+      ...mergeChanges(webhook, changes),
+      updatedAt: new Date().toISOString()
+    }, { expectedVersion: webhook.version });
+  }
+
+  /**
+   * Delete a webhook together with its delivery log and pending retries.
+   * @returns {Promise<Object|null>} The deleted webhook, or null if it was already gone
+   */
+  async remove(webhook) {
+    const removed = await this.repository.remove(webhook.id, { expectedVersion: webhook.version });
+    if (removed) {
+      for (const delivery of await this.deliveriesOf(webhook.id)) {
+        clearTimeout(this.retries.get(delivery.id));
+        this.retries.delete(delivery.id);
+        await this.deliveries.remove(delivery.id);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * @returns {Promise<Array>} Deliveries of a webhook, newest first
+   */
+  async deliveriesOf(webhookId) {
+    const deliveries = await this.deliveries.list();
+    return deliveries
+      .filter(delivery => delivery.webhookId === webhookId)
+      .sort((a, b) => b.id - a.id);
+  }
+
+  /**
+   * Whether a webhook wants an event about a recipe.
+   * @param {Object} webhook
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} recipe
+   * @returns {boolean}
+   */
+  matches(webhook, event, recipe) {
+    if (!webhook.active || !webhook.events.includes(event)) return false;
+    if (!webhook.categories || webhook.categories.length === 0) return true;
+    const category = (recipe.category || '').toLowerCase();
+    return webhook.categories.some(wanted => wanted.toLowerCase() === category);
+  }
+
+  /**
+   * Deliver a recipe event to every webhook that wants it. The first
+   * attempts run in the background; failures are only logged.
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} recipe - The recipe as stored; for deletions, as it was
+   */
+  async dispatch(event, recipe) {
+    const webhooks = (await this.repository.list()).filter(webhook => this.matches(webhook, event, recipe));
+    for (const webhook of webhooks) {
+      const delivery = await this.enqueue(webhook, event, { recipe });
+      this.attempt(delivery.id).catch(error => console.error('Webhook delivery failed:', error));
+    }
+  }
+
+  /**
+   * Send a "ping" event to a webhook now, to check that its receiver is
+   * reachable and verifies signatures.
+   * @returns {Promise<Object>} The delivery after its first attempt
+   */
+  async ping(webhook) {
+    const delivery = await this.enqueue(webhook, 'ping', { webhook: { id: webhook.id, url: webhook.url, events: webhook.events } });
+    return this.attempt(delivery.id);
+  }
+
+  // Store a delivery with the exact body every attempt will send
+  async enqueue(webhook, event, data) {
+    const now = new Date().toISOString();
+    const deliveryId = crypto.randomUUID();
+    const delivery = await this.deliveries.insert({
+      webhookId: webhook.id,
+      deliveryId,
+      event,
+      body: JSON.stringify({ id: deliveryId, event, createdAt: now, data }),
+      status: 'pending',
+      attempts: [],
+      createdAt: now,
+      nextAttemptAt: now
+    });
+    await this.trimLog(webhook.id);
+    return delivery;
+  }
+
+  // Drop the oldest finished deliveries beyond logLimit
+  async trimLog(webhookId) {
+    const finished = (await this.deliveriesOf(webhookId)).filter(delivery => delivery.status !== 'pending');
+    for (const delivery of finished.slice(this.logLimit)) {
+      await this.deliveries.remove(delivery.id);
+    }
+  }
+
+  /**
+   * Make one attempt at a delivery and record it.
+   * @returns {Promise<Object|null>} The delivery afterwards, or null if it
+   *   or its webhook no longer exists
+   */
+  async attempt(id) {
+    this.retries.delete(id);
+    const delivery = await this.deliveries.get(id);
+    const webhook = delivery && await this.repository.get(delivery.webhookId);
+    if (!delivery || !webhook || delivery.status !== 'pending') return null;
+
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString(), status: null, error: null, response: null, durationMs: 0 };
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'FoodRecipeHub-Webhooks/1.0',
+          'X-Webhook-Id': String(webhook.id),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.deliveryId,
+          'X-Webhook-Signature': signatureHeader(webhook.secret, delivery.body, startedAt)
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      attempt.status = response.status;
+      attempt.response = (await response.text()).slice(0, MAX_RESPONSE_CHARS);
+      if (!response.ok) attempt.error = `Receiver answered ${response.status}`;
+    } catch (error) {
+      // fetch() reports network errors as "fetch failed" with the reason as the cause
+      attempt.error = error.name === 'TimeoutError' ? `No answer within ${this.timeoutMs} ms` : (error.cause || error).message;
+    }
+    attempt.durationMs = Date.now() - startedAt;
+
+    const attempts = [...delivery.attempts, attempt];
+    let status = 'pending';
+    let nextAttemptAt = null;
+    if (!attempt.error) {
+      status = 'succeeded';
+    } else if (attempts.length >= this.maxAttempts) {
+      status = 'failed';
+    } else {
+      nextAttemptAt = new Date(Date.now() + this.retryBaseMs * 2 ** (attempts.length - 1)).toISOString();
+    }
+
+    const updated = await this.deliveries.update(id, { ...delivery, attempts, status, nextAttemptAt });
+    if (updated && status === 'pending') this.scheduleRetry(updated);
+    return updated;
+  }
+
+  scheduleRetry(delivery) {
+    const wait = Math.max(0, Date.parse(delivery.nextAttemptAt) - Date.now());
+    const timer = setTimeout(() => {
+      this.attempt(delivery.id).catch(error => console.error('Webhook delivery failed:', error));
+    }, wait);
+    // Pending retries are in storage, so they need not keep the process alive
+    timer.unref();
+    this.retries.set(delivery.id, timer);
+  }
+}
+
+module.exports = Webhooks;
@@ -0,0 +1,466 @@
+// API reference page
+// Renders /api/v<version>/openapi.json: operations grouped by tag, each with
+// a form to try it against this server, then the Socket.IO events and the
+// schemas. Requests are sent with the browser's session cookie, so they run
+// as the user signed in to the app.
+
+// DOM Elements
+const apiIntro = document.getElementById('apiIntro');
+const apiContents = document.getElementById('apiContents');
+const apiOperations = document.getElementById('apiOperations');
+const apiSocketEvents = document.getElementById('apiSocketEvents');
+const apiSchemas = document.getElementById('apiSchemas');
+const apiVersionSelect = document.getElementById('apiVersionSelect');
+const openApiLink = document.getElementById('openApiLink');
+
+// State
+let apiDocument = null;
+let operations = [];
+// The version shown, from ?version= so it survives a reload
+let apiVersion = new URLSearchParams(location.search).get('version') || apiVersionSelect.value;
+
+document.addEventListener('DOMContentLoaded', () => {
+    apiVersionSelect.value = apiVersion;
+    apiVersionSelect.addEventListener('change', handleVersionChange);
+    loadReference();
+});
+
+function handleVersionChange() {
+    location.search = `?version=${apiVersionSelect.value}`;
+}
+
+// Where the document's paths are served, e.g. "/api/v2"
+function serverUrl() {
+    return apiDocument && apiDocument.servers ? apiDocument.servers[0].url : '';
+}
+
+async function loadReference() {
+    const documentUrl = `/api/v${encodeURIComponent(apiVersion)}/openapi.json`;
+    openApiLink.href = documentUrl;
+    try {
+        const response = await fetch(documentUrl);
+        if (!response.ok) throw new Error('Failed to load the OpenAPI document');
+        apiDocument = await response.json();
+    } catch (error) {
+        console.error('Error loading API reference:', error);
+        apiIntro.innerHTML = '<p class="field-error">The API reference could not be loaded.</p>';
+        return;
+    }
+
+    operations = collectOperations(apiDocument);
+    renderIntro(apiDocument);
+    renderContents(apiDocument);
+    renderOperations(apiDocument);
+    renderSocketEvents(apiDocument['x-socket-io']);
+    renderSchemas(apiDocument.components.schemas);
+
+    // Jump to the section in the URL now that it exists
+    if (location.hash) {
+        const target = document.getElementById(location.hash.slice(1));
+        if (target) target.scrollIntoView();
+    }
+}
+
+// Every operation with its path and method, in document order
+function collectOperations(doc) {
+    return Object.entries(doc.paths).flatMap(([path, methods]) =>
+        Object.entries(methods).map(([method, operation]) => ({ path, method, operation }))
+    );
+}
+
+// Turn a $ref into the object it names
+function resolveRef(value) {
+    if (!value || !value.$ref) return value;
+    return value.$ref.slice(2).split('/').reduce((node, key) => node[key], apiDocument);
+}
+
+function refName(ref) {
+    return ref.split('/').pop();
+}
+
+function slug(text) {
+    return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Intro and contents
+function renderIntro(doc) {
+    const { title, version, description } = doc.info;
+    apiIntro.innerHTML = `
+        <h2>${escapeHtml(title)} <span class="api-version">${escapeHtml(version)}</span></h2>
+        ${description ? `<p>${escapeHtml(description)}</p>` : ''}
+        <p class="form-hint">
+            Requests below run as the user signed in to the app. API clients send the token from
+            <code>POST ${escapeHtml(serverUrl())}/auth/login</code> as <code>Authorization: Bearer &lt;token&gt;</code>.
+            Changes to a document send its <code>ETag</code> back as <code>If-Match</code>.
+        </p>
+    `;
+}
+
+function renderContents(doc) {
+    const links = doc.tags
+        .filter(tag => operations.some(({ operation }) => operation.tags.includes(tag.name)))
+        .map(tag => `<a href="#tag-${slug(tag.name)}">${escapeHtml(tag.name)}</a>`);
+    if (doc['x-socket-io']) links.push('<a href="#socket-events">Socket.IO events</a>');
+    links.push('<a href="#schemas">Schemas</a>');
+    apiContents.innerHTML = links.join('');
+    apiContents.hidden = false;
+}
+
+// Operations
+function renderOperations(doc) {
+    const tags = [...doc.tags];
+    operations.forEach(({ operation }) => {
+        operation.tags.forEach(name => {
+            if (!tags.some(tag => tag.name === name)) tags.push({ name });
+        });
+    });
+
+    apiOperations.innerHTML = tags.map(tag => {
+        const entries = operations
+            .map((entry, index) => ({ ...entry, index }))
+            .filter(({ operation }) => operation.tags.includes(tag.name));
+        if (entries.length === 0) return '';
+        return `
+            <section class="api-section" id="tag-${slug(tag.name)}">
+                <h3>${escapeHtml(tag.name)}</h3>
+                ${tag.description ? `<p class="api-description">${escapeHtml(tag.description)}</p>` : ''}
+                ${entries.map(renderOperation).join('')}
+            </section>
+        `;
+    }).join('');
+}
+
+function renderOperation({ path, method, operation, index }) {
+    const parameters = operation.parameters || [];
+    const role = operation['x-role'];
+    return `
+        <details class="api-operation" id="op-${method}-${slug(path)}">
+            <summary>
+                <span class="api-method ${method}">${method.toUpperCase()}</span>
+                <code class="api-path">${escapeHtml(serverUrl() + path)}</code>
+                <span class="api-summary">${escapeHtml(operation.summary || '')}</span>
+                ${role ? `<span class="api-role">${escapeHtml(role)}</span>` : ''}
+            </summary>
+            <div class="api-operation-body">
+                ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+                ${role ? `<p class="form-hint">Needs a signed-in user with at least the ${escapeHtml(role)} role.</p>` : ''}
+                ${parameters.length > 0 ? renderParameters(parameters) : ''}
+                ${operation.requestBody ? renderRequestBody(operation.requestBody) : ''}
+                ${renderResponses(operation.responses)}
+                ${renderTryIt(operation, index)}
+            </div>
+        </details>
+    `;
+}
+
+function renderParameters(parameters) {
+    return `
+        <h4>Parameters</h4>
+        <table class="api-table">
+            <tbody>
+                ${parameters.map(parameter => `
+                    <tr>
+                        <td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' <span class="api-required">required</span>' : ''}</td>
+                        <td>${parameter.in}</td>
+                        <td>${describeType(parameter.schema)}</td>
+                        <td>${escapeHtml(parameter.description || '')}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function renderRequestBody(body) {
+    return `
+        <h4>Request body${body.required ? '' : ' (optional)'}</h4>
+        ${body.description ? `<p>${escapeHtml(body.description)}</p>` : ''}
+        ${renderContent(body.content)}
+    `;
+}
+
+function renderResponses(responses) {
+    return `
+        <h4>Responses</h4>
+        <dl class="api-responses">
+            ${Object.entries(responses).map(([status, value]) => {
+                const response = resolveRef(value);
+                const headers = Object.keys(response.headers || {});
+                return `
+                    <dt class="api-status status-${status[0]}">${escapeHtml(status)}</dt>
+                    <dd>
+                        ${escapeHtml(response.description || '')}
+                        ${headers.length > 0 ? `<div class="form-hint">Headers: ${headers.map(name => `<code>${escapeHtml(name)}</code>`).join(', ')}</div>` : ''}
+                        ${status.startsWith('2') && response.content ? renderContent(response.content) : ''}
+                    </dd>
+                `;
+            }).join('')}
+        </dl>
+    `;
+}
+
+// Media types with their schemas
+function renderContent(content) {
+    return Object.entries(content).map(([type, media]) => `
+        <div class="api-media">
+            <code class="api-media-type">${escapeHtml(type)}</code>
+            ${media.schema ? renderSchema(media.schema) : ''}
+        </div>
+    `).join('');
+}
+
+// Schemas
+// Short name of a schema's type, with a link for references
+function describeType(schema) {
+    if (!schema) return 'any';
+    if (schema.$ref) {
+        const name = refName(schema.$ref);
+        return `<a href="#schema-${escapeHtml(name)}">${escapeHtml(name)}</a>`;
+    }
+    if (schema.allOf) return schema.allOf.map(describeType).join(' + ');
+    const types = [].concat(schema.type || 'any');
+    return types.map(type => type === 'array' ? `list of ${describeType(schema.items)}` : escapeHtml(type)).join(' or ');
+}
+
+// Rules a value must follow, as a short phrase
+function describeConstraints(schema) {
+    const rules = [];
+    if (schema.enum) rules.push(`one of ${schema.enum.map(value => `<code>${escapeHtml(String(value))}</code>`).join(', ')}`);
+    if (schema.format) rules.push(escapeHtml(schema.format));
+    if (schema.pattern) rules.push(`matches <code>${escapeHtml(schema.pattern)}</code>`);
+    if (schema.minLength !== undefined) rules.push(`at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined) rules.push(`at most ${schema.maxLength} characters`);
+    if (schema.minimum !== undefined) rules.push(`at least ${schema.minimum}`);
+    if (schema.maximum !== undefined) rules.push(`at most ${schema.maximum}`);
+    if (schema.minItems !== undefined) rules.push(`at least ${schema.minItems} entries`);
+    if (schema.maxItems !== undefined) rules.push(`at most ${schema.maxItems} entries`);
+    if (schema.default !== undefined) rules.push(`default <code>${escapeHtml(JSON.stringify(schema.default))}</code>`);
+    if (schema.readOnly) rules.push('read-only');
+    if (schema.writeOnly) rules.push('write-only');
+    return rules.join(', ');
+}
+
+// A schema as a nested list of its properties. References stay links, so
+// recursive and shared schemas are shown once, under Schemas.
+function renderSchema(schema) {
+    if (schema.$ref || !schema.properties && !schema.allOf && !(schema.items && !schema.items.$ref)) {
+        const constraints = describeConstraints(schema);
+        return `<div class="api-schema">${describeType(schema)}${constraints ? ` <span class="form-hint">${constraints}</span>` : ''}</div>`;
+    }
+    if (schema.allOf) {
+        return `<div class="api-schema">${schema.allOf.map(renderSchema).join('<div class="form-hint">and</div>')}</div>`;
+    }
+    if (!schema.properties) {
+        return `<div class="api-schema">list of ${renderSchema(schema.items)}</div>`;
+    }
+
+    const required = schema.required || [];
+    return `
+        <ul class="api-schema">
+            ${schema.description ? `<li class="form-hint">${escapeHtml(schema.description)}</li>` : ''}
+            ${Object.entries(schema.properties).map(([name, property]) => {
+                const nested = property.properties || property.allOf || (property.items && property.items.properties);
+                const constraints = describeConstraints(property);
+                return `
+                    <li>
+                        <code>${escapeHtml(name)}</code>
+                        ${required.includes(name) ? '<span class="api-required">required</span>' : ''}
+                        <span class="api-type">${describeType(property)}</span>
+                        ${constraints ? `<span class="form-hint">${constraints}</span>` : ''}
+                        ${property.description ? `<div class="form-hint">${escapeHtml(property.description)}</div>` : ''}
+                        ${nested ? renderSchema(property.properties || property.allOf ? property : property.items) : ''}
+                    </li>
+                `;
+            }).join('')}
+        </ul>
+    `;
+}
+
+function renderSchemas(schemas) {
+    apiSchemas.id = 'schemas';
+    apiSchemas.innerHTML = `
+        <h3>Schemas</h3>
+        ${Object.entries(schemas).map(([name, schema]) => `
+            <details class="api-operation" id="schema-${escapeHtml(name)}">
+                <summary><code>${escapeHtml(name)}</code> <span class="api-summary">${escapeHtml(schema.title || '')}</span></summary>
+                <div class="api-operation-body">${renderSchema(schema)}</div>
+            </details>
+        `).join('')}
+    `;
+    apiSchemas.hidden = false;
+
+    // Following a link to a schema opens it
+    document.querySelectorAll('a[href^="#schema-"]').forEach(link => {
+        link.addEventListener('click', () => {
+            const target = document.getElementById(link.getAttribute('href').slice(1));
+            if (target) target.open = true;
+        });
+    });
+}
+
+// Socket.IO events
+function renderSocketEvents(socketIo) {
+    if (!socketIo) return;
+    const rows = (events, withRole) => Object.entries(events).map(([name, event]) => `
+        <tr>
+            <td><code>${escapeHtml(name)}</code></td>
+            <td>${event.payload ? describeType(event.payload) : '-'}</td>
+            ${withRole ? `<td>${event.role === null ? 'anyone' : escapeHtml(event.role)}</td>` : ''}
+            <td>${escapeHtml(event.description || '')}</td>
+        </tr>
+    `).join('');
+
+    const tables = (serverEvents, clientEvents) => `
+        <h4>Sent by the server</h4>
+        <table class="api-table">
+            <thead><tr><th>Event</th><th>Payload</th><th></th></tr></thead>
+            <tbody>${rows(serverEvents, false)}</tbody>
+        </table>
+        <h4>Sent by clients</h4>
+        <table class="api-table">
+            <thead><tr><th>Event</th><th>Payload</th><th>Who may send it</th><th></th></tr></thead>
+            <tbody>${rows(clientEvents, true)}</tbody>
+        </table>
+    `;
+    // Other namespaces, each open to one role
+    const namespaces = Object.entries(socketIo.namespaces || {}).map(([name, namespace]) => `
+        <h3>Namespace <code>${escapeHtml(name)}</code></h3>
+        <p class="api-description">${escapeHtml(namespace.description || '')} Needs the ${escapeHtml(namespace.role)} role.</p>
+        ${tables(namespace.serverEvents, namespace.clientEvents)}
+    `).join('');
+
+    apiSocketEvents.id = 'socket-events';
+    apiSocketEvents.innerHTML = `
+        <h3>Socket.IO events</h3>
+        <p class="api-description">${escapeHtml(socketIo.description || '')} Path: <code>${escapeHtml(socketIo.path)}</code></p>
+        ${tables(socketIo.serverEvents, socketIo.clientEvents)}
+        ${namespaces}
+    `;
+    apiSocketEvents.hidden = false;
+}
+
+// Try it
+// A starting value for a JSON body: every writable field, filled with its
+// default or a placeholder of the right type
+function exampleFor(schema, depth = 0) {
+    schema = resolveRef(schema);
+    if (!schema || depth > 4) return null;
+    if (schema.default !== undefined) return schema.default;
+    if (schema.enum) return schema.enum[0];
+    if (schema.allOf) return Object.assign({}, ...schema.allOf.map(part => exampleFor(part, depth + 1)));
+
+    switch ([].concat(schema.type)[0]) {
+        case 'object':
+            return Object.fromEntries(Object.entries(schema.properties || {})
+                .filter(([, property]) => !resolveRef(property).readOnly)
+                .map(([name, property]) => [name, exampleFor(property, depth + 1)]));
+        case 'array': return schema.items ? [exampleFor(schema.items, depth + 1)] : [];
+        case 'integer':
+        case 'number': return schema.minimum !== undefined ? schema.minimum : 1;
+        case 'boolean': return false;
+        case 'string': return schema.format === 'date' ? new Date().toISOString().slice(0, 10) : '';
+        default: return null;
+    }
+}
+
+function renderTryIt(operation, index) {
+    const parameters = operation.parameters || [];
+    const content = operation.requestBody ? operation.requestBody.content : {};
+    const json = content['application/json'];
+    const upload = content['multipart/form-data'];
+
+    const fields = parameters.map(parameter => `
+        <div class="form-group">
+            <label>${escapeHtml(parameter.name)} <span class="form-hint">${parameter.in}</span></label>
+            ${parameter.schema && parameter.schema.enum
+                ? `<select name="${parameter.in}:${escapeHtml(parameter.name)}">
+                       ${parameter.required ? '' : '<option value=""></option>'}
+                       ${parameter.schema.enum.map(value => `<option>${escapeHtml(String(value))}</option>`).join('')}
+                   </select>`
+                : `<input type="text" name="${parameter.in}:${escapeHtml(parameter.name)}"${parameter.required && parameter.in === 'path' ? ' required' : ''}>`}
+        </div>
+    `);
+    if (json) {
+        fields.push(`
+            <div class="form-group">
+                <label>Body <span class="form-hint">application/json</span></label>
+                <textarea name="body" rows="8" spellcheck="false">${escapeHtml(JSON.stringify(exampleFor(json.schema), null, 2))}</textarea>
+            </div>
+        `);
+    } else if (upload) {
+        const name = Object.keys(resolveRef(upload.schema).properties)[0];
+        fields.push(`
+            <div class="form-group">
+                <label>${escapeHtml(name)} <span class="form-hint">multipart/form-data</span></label>
+                <input type="file" name="file:${escapeHtml(name)}">
+            </div>
+        `);
+    }
+
+    return `
+        <form class="api-try" onsubmit="sendTryIt(event, ${index})">
+            <h4>Try it</h4>
+            ${fields.join('')}
+            <div class="form-actions">
+                <button type="submit" class="btn btn-primary">Send</button>
+            </div>
+            <pre class="api-result" hidden></pre>
+        </form>
+    `;
+}
+
+async function sendTryIt(event, index) {
+    event.preventDefault();
+    const form = event.target;
+    const result = form.querySelector('.api-result');
+    const { path, method } = operations[index];
+
+    const query = new URLSearchParams();
+    const headers = {};
+    let url = serverUrl() + path;
+    let body;
+    for (const element of form.elements) {
+        if (!element.name || element.type === 'file' && element.files.length === 0) continue;
+        const [location, name] = element.name.split(':');
+        const value = element.value.trim();
+        if (location === 'path') {
+            url = url.replace(`{${name}}`, encodeURIComponent(value));
+        } else if (location === 'query' && value !== '') {
+            query.set(name, value);
+        } else if (location === 'header' && value !== '') {
+            headers[name] = value;
+        } else if (location === 'body' && value !== '') {
+            headers['Content-Type'] = 'application/json';
+            body = value;
+        } else if (location === 'file') {
+            body = new FormData();
+            body.append(name, element.files[0]);
+        }
+    }
+    if (query.toString()) url += `?${query}`;
+
+    result.hidden = false;
+    result.textContent = `${method.toUpperCase()} ${url}\n\nSending...`;
+    try {
+        const response = await fetch(url, { method: method.toUpperCase(), headers, body });
+        const type = response.headers.get('Content-Type') || '';
+        let text = await response.text();
+        if (type.includes('json') && text) {
+            text = JSON.stringify(JSON.parse(text), null, 2);
+        }
+        const shownHeaders = ['ETag', 'Location', 'X-Total-Count', 'Link', 'Content-Disposition']
+            .filter(name => response.headers.has(name))
+            .map(name => `${name}: ${response.headers.get(name)}\n`)
+            .join('');
+        result.textContent = `${method.toUpperCase()} ${url}\n\n${response.status} ${response.statusText}\n${shownHeaders}\n${text}`;
+    } catch (error) {
+        result.textContent = `${method.toUpperCase()} ${url}\n\nThe request failed: ${error.message}`;
+    }
+}
+
+// Utility functions
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
@@ -1,5 +1,16 @@
+// Where this page is in the server's numbered broadcasts. The handshake
+// sends them back on every reconnect, so the server can replay what was
+// missed while the connection was down.
+let broadcastEpoch = null;
+let lastBroadcastSeq = null;
+
 // Initialize Socket.IO connection
-const socket = io();
+const socket = io({
+    auth: (cb) => cb(lastBroadcastSeq === null ? {} : { epoch: broadcastEpoch, lastSeq: lastBroadcastSeq })
+});
+
+// Version of the HTTP API this page is written against
+const API_BASE = '/api/v1';
 
 // DOM Elements
 const addRecipeBtn = document.getElementById('addRecipeBtn');
@@ -11,24 +22,65 @@ const searchBtn = document.getElementById('searchBtn');
 const recipeGrid = document.getElementById('recipeGrid');
 const categoryFilters = document.getElementById('categoryFilters');
 const connectionStatus = document.getElementById('connectionStatus');
+const unitSystemSelect = document.getElementById('unitSystemSelect');
+const plannerBtn = document.getElementById('plannerBtn');
+const mealPlanner = document.getElementById('mealPlanner');
+const plannerGrid = document.getElementById('plannerGrid');
+const shoppingListModal = document.getElementById('shoppingListModal');
+const authModal = document.getElementById('authModal');
+const authForm = document.getElementById('authForm');
+const importModal = document.getElementById('importModal');
+const importForm = document.getElementById('importForm');
 
 // State
 let allRecipes = [];
-let filteredRecipes = [];
 let currentCategory = '';
+let nextPageUrl = null;
+let isLoadingPage = false;
+let gridObserver = null;
+
+// Recipe shown in the detail modal and the servings it is scaled to
+let detailRecipe = null;
+let detailServings = null;
+
+// Preferred unit system ("metric", "us" or "" for the recipe's own units)
+let unitSystem = localStorage.getItem('unitSystem') || '';
+
+// Meal planner: the Monday of the week shown and its planned entries
+const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner', 'snack'];
+let plannerWeekStart = getWeekStart(new Date());
+let plannerEntries = [];
+
+// Shopping list shown in the shopping list modal
+let shoppingList = null;
+
+// Signed-in user from /api/me, or null; the login modal is in "login" or "register" mode
+let currentUser = null;
+let authMode = 'login';
+
+// The card grid only needs these fields from GET /api/recipes
+const PAGE_SIZE = 12;
+const CARD_FIELDS = 'title,description,category,cookTime,servings,photos,imageUrl';
+
+// Matches photoMaxBytes in webServerApiSettings.json
+const PHOTO_MAX_BYTES = 5 * 1024 * 1024;
 
 // Initialize the app
 document.addEventListener('DOMContentLoaded', function() {
+    loadCurrentUser();
     loadRecipes();
     loadCategories();
     setupEventListeners();
     setupSocketListeners();
+    setupInfiniteScroll();
 });
 
 // Setup event listeners
 function setupEventListeners() {
     // Modal controls
-    addRecipeBtn.addEventListener('click', () => openModal(addRecipeModal));
+    addRecipeBtn.addEventListener('click', () => {
+        if (requireSignIn()) openModal(addRecipeModal);
+    });
     
     // Close modal buttons
     document.querySelectorAll('.close').forEach(closeBtn => {
@@ -39,6 +91,8 @@ function setupEventListeners() {
     
     // Cancel button
     document.getElementById('cancelBtn').addEventListener('click', () => {
+        clearFieldErrors();
+        clearPhotoPreview();
         closeModal(addRecipeModal);
     });
     
@@ -47,10 +101,28 @@ function setupEventListeners() {
         if (e.target.classList.contains('modal')) {
             closeModal(e.target);
         }
+        document.querySelectorAll('.export-menu[open]').forEach(menu => {
+            if (!menu.contains(e.target)) menu.open = false;
+        });
     });
     
     // Form submission
     addRecipeForm.addEventListener('submit', handleAddRecipe);
+    document.getElementById('recipePhoto').addEventListener('change', handlePhotoSelected);
+    
+    // Import
+    document.getElementById('importRecipeBtn').addEventListener('click', () => {
+        if (requireSignIn()) openModal(importModal);
+    });
+    document.getElementById('importCancelBtn').addEventListener('click', () => {
+        resetImportForm();
+        closeModal(importModal);
+    });
+    importForm.addEventListener('submit', handleImportPreview);
+    document.getElementById('importConfirmBtn').addEventListener('click', handleImportConfirm);
+    document.getElementById('importFile').addEventListener('change', clearImportPreview);
+    document.getElementById('importText').addEventListener('input', clearImportPreview);
+    document.getElementById('importDuplicates').addEventListener('change', clearImportPreview);
     
     // Search functionality
     searchBtn.addEventListener('click', handleSearch);
@@ -62,6 +134,75 @@ function setupEventListeners() {
     
     // Real-time search
     searchInput.addEventListener('input', debounce(handleSearch, 300));
+    
+    // Unit preference
+    unitSystemSelect.value = unitSystem;
+    unitSystemSelect.addEventListener('change', handleUnitSystemChange);
+    
+    // Meal planner
+    plannerBtn.addEventListener('click', toggleMealPlanner);
+    document.getElementById('prevWeekBtn').addEventListener('click', () => changePlannerWeek(-1));
+    document.getElementById('nextWeekBtn').addEventListener('click', () => changePlannerWeek(1));
+    document.getElementById('plannerShoppingBtn').addEventListener('click', createShoppingListFromPlan);
+    
+    // Accounts
+    document.getElementById('loginBtn').addEventListener('click', () => openAuthModal('login'));
+    document.getElementById('logoutBtn').addEventListener('click', handleLogout);
+    document.getElementById('authSwitchLink').addEventListener('click', (e) => {
+        e.preventDefault();
+        setAuthMode(authMode === 'login' ? 'register' : 'login');
+    });
+    authForm.addEventListener('submit', handleAuthSubmit);
+}
+
+// Changes other people make, by the event the server broadcasts them as.
+// Replayed changes are applied without a notification each.
+const broadcastHandlers = {
+    recipeAdded(recipe, replayed) {
+        // New recipes sort last; add it now only if the grid is already at the end
+        if (!nextPageUrl && !searchInput.value.trim() &&
+            (!currentCategory || recipe.category.toLowerCase() === currentCategory)) {
+            allRecipes.push(recipe);
+            displayRecipes(allRecipes);
+        }
+        loadCategories();
+        if (!replayed) showNotification('New recipe added!', 'success');
+    },
+    
+    recipeUpdated(recipe, replayed) {
+        const index = allRecipes.findIndex(r => r.id === recipe.id);
+        if (index !== -1) {
+            allRecipes[index] = recipe;
+            displayRecipes(allRecipes);
+            if (!replayed) showNotification('Recipe updated!', 'info');
+        }
+    },
+    
+    recipeDeleted(recipeId, replayed) {
+        allRecipes = allRecipes.filter(r => r.id !== recipeId);
+        displayRecipes(allRecipes);
+        loadCategories();
+        if (!replayed) showNotification('Recipe deleted!', 'warning');
+    },
+    
+    shoppingListUpdated(list) {
+        if (shoppingList && shoppingList.id === list.id) displayShoppingList(list);
+    }
+};
+
+// Another cook changed the plan; reload the week if it is on screen
+['mealPlanEntryAdded', 'mealPlanEntryUpdated', 'mealPlanEntryDeleted'].forEach(event => {
+    broadcastHandlers[event] = () => {
+        if (!mealPlanner.hidden) loadMealPlan();
+    };
+});
+
+// Apply a numbered broadcast once, whether it came live or in a replay
+function applyBroadcast(event, payload, seq, replayed = false) {
+    if (seq <= lastBroadcastSeq) return;
+    lastBroadcastSeq = seq;
+    const handler = broadcastHandlers[event];
+    if (handler) handler(payload, replayed);
 }
 
 // Setup Socket.IO listeners
@@ -74,53 +215,104 @@ function setupSocketListeners() {
         updateConnectionStatus(false);
     });
     
-    socket.on('recipeAdded', (recipe) => {
-        allRecipes.push(recipe);
-        filterAndDisplayRecipes();
-        loadCategories();
-        showNotification('New recipe added!', 'success');
-    });
-    
-    socket.on('recipeUpdated', (recipe) => {
-        const index = allRecipes.findIndex(r => r.id === recipe.id);
-        if (index !== -1) {
-            allRecipes[index] = recipe;
-            filterAndDisplayRecipes();
-            showNotification('Recipe updated!', 'info');
+    // Sent on connecting, before any live change: those missed while disconnected
+    socket.on('replay', ({ epoch, seq, events }) => {
+        broadcastEpoch = epoch;
+        if (lastBroadcastSeq === null) lastBroadcastSeq = seq;
+        events.forEach(entry => applyBroadcast(entry.event, entry.payload, entry.seq, true));
+        if (events.length > 0) {
+            showNotification(`Caught up on ${events.length} change${events.length === 1 ? '' : 's'} made while you were offline.`, 'info');
         }
     });
     
-    socket.on('recipeDeleted', (recipeId) => {
-        allRecipes = allRecipes.filter(r => r.id !== recipeId);
-        filterAndDisplayRecipes();
-        loadCategories();
-        showNotification('Recipe deleted!', 'warning');
+    // Too much was missed to replay; load everything on screen again
+    socket.on('resync', ({ epoch, seq }) => {
+        broadcastEpoch = epoch;
+        lastBroadcastSeq = seq;
+        resyncPage();
     });
     
-    socket.on('terminalOutput', (output) => {
-        console.log('Terminal Output:', output);
+    Object.keys(broadcastHandlers).forEach(event => {
+        socket.on(event, (payload, meta) => applyBroadcast(event, payload, meta.seq));
     });
 }
 
-// Load all recipes
+// Reload the recipes, the planner and the open shopping list
+async function resyncPage() {
+    loadRecipes();
+    loadCategories();
+    if (!mealPlanner.hidden) loadMealPlan();
+    if (shoppingList && shoppingListModal.style.display === 'block') {
+        try {
+            const response = await fetch(`${API_BASE}/shopping-lists/${shoppingList.id}`);
+            if (response.ok) displayShoppingList(await response.json());
+        } catch (error) {
+            console.error('Error reloading shopping list:', error);
+        }
+    }
+}
+
+// Load the first page of recipes for the current category
 async function loadRecipes() {
+    const params = new URLSearchParams({ limit: PAGE_SIZE, fields: CARD_FIELDS });
+    if (currentCategory) params.set('category', currentCategory);
+    
+    allRecipes = [];
+    nextPageUrl = `${API_BASE}/recipes?${params}`;
+    showLoading();
+    await loadNextPage();
+}
+
+// Append the next page of recipes to the grid
+async function loadNextPage() {
+    if (!nextPageUrl || isLoadingPage) return;
+    
+    isLoadingPage = true;
     try {
-        showLoading();
-        const response = await fetch('/api/recipes');
+        const response = await fetch(nextPageUrl);
         if (!response.ok) throw new Error('Failed to fetch recipes');
         
-        allRecipes = await response.json();
-        filterAndDisplayRecipes();
+        const page = await response.json();
+        allRecipes = allRecipes.concat(page);
+        nextPageUrl = getNextPageUrl(response.headers.get('Link'));
+        displayRecipes(allRecipes);
     } catch (error) {
         console.error('Error loading recipes:', error);
+        nextPageUrl = null;
         showError('Failed to load recipes. Please try again.');
+    } finally {
+        isLoadingPage = false;
+    }
+    
+    // Re-observing reports the sentinel again if the page did not fill the screen
+    if (nextPageUrl && gridObserver) {
+        const sentinel = document.getElementById('recipeGridSentinel');
+        gridObserver.unobserve(sentinel);
+        gridObserver.observe(sentinel);
     }
 }
 
+// Read the rel="next" URL out of a Link header
+function getNextPageUrl(linkHeader) {
+    const match = /<([^>]+)>;\s*rel="next"/.exec(linkHeader || '');
+    return match ? match[1] : null;
+}
+
+// Load more recipes when the end of the grid scrolls into view
+function setupInfiniteScroll() {
+    const sentinel = document.getElementById('recipeGridSentinel');
+    gridObserver = new IntersectionObserver((entries) => {
+        if (entries.some(entry => entry.isIntersecting)) {
+            loadNextPage();
+        }
+    }, { rootMargin: '200px' });
+    gridObserver.observe(sentinel);
+}
+
 // Load categories
 async function loadCategories() {
     try {
-        const response = await fetch('/api/categories');
+        const response = await fetch(`${API_BASE}/categories`);
         if (!response.ok) throw new Error('Failed to fetch categories');
         
         const categories = await response.json();
@@ -156,34 +348,7 @@ function filterByCategory(category) {
         }
     });
     
-    filterAndDisplayRecipes();
-}
-
-// Filter and display recipes
-function filterAndDisplayRecipes() {
-    let recipes = [...allRecipes];
-    
-    // Apply category filter
-    if (currentCategory) {
-        recipes = recipes.filter(recipe => 
-            recipe.category.toLowerCase() === currentCategory
-        );
-    }
-    
-    // Apply search filter
-    const searchTerm = searchInput.value.toLowerCase();
-    if (searchTerm) {
-        recipes = recipes.filter(recipe =>
-            recipe.title.toLowerCase().includes(searchTerm) ||
-            recipe.description.toLowerCase().includes(searchTerm) ||
-            recipe.ingredients.some(ingredient => 
-                ingredient.toLowerCase().includes(searchTerm)
-            )
-        );
-    }
-    
-    filteredRecipes = recipes;
-    displayRecipes(filteredRecipes);
+    handleSearch();
 }
 
 // Display recipes in grid
@@ -204,39 +369,64 @@ function displayRecipes(recipes) {
 
 // Create recipe card HTML
 function createRecipeCard(recipe) {
-    const ingredientsPreview = recipe.ingredients.slice(0, 3).join(', ') + 
-        (recipe.ingredients.length > 3 ? '...' : '');
+    // Search results carry server-escaped snippets with <mark>ed matches
+    const highlights = recipe.highlights || {};
+    const title = highlights.title || escapeHtml(recipe.title);
+    const description = highlights.description || escapeHtml(recipe.description);
+    
+    // Paged cards are fetched without ingredients; search results include them
+    let ingredientsPreview = '';
+    if (highlights.ingredients) {
+        ingredientsPreview = highlights.ingredients.slice(0, 3).join(', ');
+    } else if (recipe.ingredients) {
+        ingredientsPreview = escapeHtml(recipe.ingredients.slice(0, 3).join(', ') +
+            (recipe.ingredients.length > 3 ? '...' : ''));
+    }
+    const ingredientsSection = ingredientsPreview ? `
+                <div class="recipe-ingredients">
+                    <h4>Ingredients:</h4>
+                    <div class="ingredients-preview">${ingredientsPreview}</div>
+                </div>` : '';
+    
+    const photoUrl = getRecipeImageUrl(recipe);
+    const photoSection = photoUrl ? `
+            <img class="recipe-photo" src="${escapeHtml(photoUrl)}" alt="" loading="lazy" draggable="false">` : '';
     
     return `
-        <div class="recipe-card" onclick="showRecipeDetail(${recipe.id})">
+        <div class="recipe-card" onclick="showRecipeDetail(${recipe.id})"
+             draggable="${canMakeChanges()}" ondragstart="handleRecipeDragStart(event, ${recipe.id})">${photoSection}
             <div class="recipe-header">
-                <h3>${escapeHtml(recipe.title)}</h3>
-                <div class="description">${escapeHtml(recipe.description)}</div>
+                <h3>${title}</h3>
+                <div class="description">${description}</div>
             </div>
             <div class="recipe-body">
                 <div class="recipe-meta">
                     <span><i class="fas fa-clock"></i> ${escapeHtml(recipe.cookTime || 'N/A')}</span>
                     <span><i class="fas fa-users"></i> ${escapeHtml(recipe.servings || 'N/A')}</span>
                 </div>
-                <div class="recipe-ingredients">
-                    <h4>Ingredients:</h4>
-                    <div class="ingredients-preview">${escapeHtml(ingredientsPreview)}</div>
-                </div>
+                ${ingredientsSection}
                 <div class="recipe-category">${escapeHtml(recipe.category)}</div>
             </div>
         </div>
     `;
 }
 
+// Uploaded photos come first; imported recipes may link an image on their source site
+function getRecipeImageUrl(recipe) {
+    const photo = recipe.photos && recipe.photos[0];
+    return photo ? photo.url : recipe.imageUrl || null;
+}
+
 // Show recipe detail modal
 async function showRecipeDetail(recipeId) {
     try {
-        const response = await fetch(`/api/recipes/${recipeId}`);
+        const response = await fetch(getRecipeViewUrl(recipeId, null));
         if (!response.ok) throw new Error('Failed to fetch recipe details');
         
         const recipe = await response.json();
         displayRecipeDetail(recipe);
         openModal(recipeDetailModal);
+        loadNutrition(recipeId);
     } catch (error) {
         console.error('Error loading recipe details:', error);
         showError('Failed to load recipe details.');
@@ -247,8 +437,40 @@ async function showRecipeDetail(recipeId) {
 function displayRecipeDetail(recipe) {
     document.getElementById('detailTitle').textContent = recipe.title;
     
+    detailRecipe = recipe;
+    const baseServings = RecipeScaler.parseServings(recipe.servings);
+    detailServings = baseServings ? baseServings.count : null;
+    const servingsControl = baseServings ? `
+                <div class="meta-item servings-control">
+                    <i class="fas fa-users"></i>
+                    <span>Servings:</span>
+                    <button type="button" class="stepper-btn" onclick="changeServings(-1)" aria-label="Fewer servings">&minus;</button>
+                    <span id="detailServings">${escapeHtml(recipe.servings)}</span>
+                    <button type="button" class="stepper-btn" onclick="changeServings(1)" aria-label="More servings">+</button>
+                </div>` : `
+                <div class="meta-item">
+                    <i class="fas fa-users"></i>
+                    <span>Servings: ${escapeHtml(recipe.servings || 'N/A')}</span>
+                </div>`;
+    
+    const photoUrl = getRecipeImageUrl(recipe);
+    const sourceLink = recipe.sourceUrl ? `
+                <div class="meta-item">
+                    <i class="fas fa-link"></i>
+                    <a href="${escapeHtml(recipe.sourceUrl)}" target="_blank" rel="noopener noreferrer">Original recipe</a>
+                </div>` : '';
     const content = `
-        <div class="recipe-detail">
+        <div class="detail-tabs" role="tablist">
+            <button type="button" class="detail-tab active" data-tab="recipe" onclick="showDetailTab('recipe')">
+                <i class="fas fa-book-open"></i> Recipe
+            </button>
+            <button type="button" class="detail-tab" data-tab="history" onclick="showDetailTab('history')">
+                <i class="fas fa-history"></i> History
+            </button>
+        </div>
+        <div id="detailHistory" class="recipe-history" hidden></div>
+        <div class="recipe-detail" id="detailRecipeTab">
+            ${photoUrl ? `<img class="detail-photo" src="${escapeHtml(photoUrl)}" alt="${escapeHtml(recipe.title)}">` : ''}
             <h2>${escapeHtml(recipe.title)}</h2>
             <p style="color: #666; font-size: 1.1rem; margin-bottom: 2rem;">${escapeHtml(recipe.description)}</p>
             
@@ -257,42 +479,332 @@ function displayRecipeDetail(recipe) {
                     <i class="fas fa-clock"></i>
                     <span>Cook Time: ${escapeHtml(recipe.cookTime || 'N/A')}</span>
                 </div>
-                <div class="meta-item">
-                    <i class="fas fa-users"></i>
-                    <span>Servings: ${escapeHtml(recipe.servings || 'N/A')}</span>
-                </div>
+                ${servingsControl}
                 <div class="meta-item">
                     <i class="fas fa-tag"></i>
                     <span>Category: ${escapeHtml(recipe.category)}</span>
-                </div>
+                </div>${sourceLink}
             </div>
             
             <div class="detail-section">
                 <h3><i class="fas fa-list"></i> Ingredients</h3>
-                <ul class="ingredients-list">
-                    ${recipe.ingredients.map(ingredient => 
-                        `<li>${escapeHtml(ingredient)}</li>`
-                    ).join('')}
+                <ul class="ingredients-list" id="detailIngredients">
+                    ${getParsedIngredients(recipe).map(renderIngredient).join('')}
                 </ul>
             </div>
             
             <div class="detail-section">
                 <h3><i class="fas fa-tasks"></i> Instructions</h3>
-                <ol class="instructions-list">
+                <ol class="instructions-list" id="detailInstructions">
                     ${recipe.instructions.map(instruction => 
                         `<li>${escapeHtml(instruction)}</li>`
                     ).join('')}
                 </ol>
             </div>
+            
+            <div class="detail-section">
+                <h3><i class="fas fa-heartbeat"></i> Nutrition</h3>
+                <div id="detailNutrition" class="nutrition-label">
+                    <p class="nutrition-note">Calculating...</p>
+                </div>
+            </div>
+            <div class="form-actions">
+                <details class="export-menu" data-recipe-id="${recipe.id}" ontoggle="fillExportMenu(this)">
+                    <summary class="btn btn-secondary"><i class="fas fa-download"></i> Export</summary>
+                    <div class="export-options"></div>
+                </details>${Roles.canEditRecipe(currentUser, recipe) ? `
+                <button type="button" class="btn btn-danger" onclick="deleteRecipe(${recipe.id})">
+                    <i class="fas fa-trash"></i> Delete Recipe
+                </button>` : ''}
+            </div>
         </div>
     `;
     
     document.getElementById('recipeDetailContent').innerHTML = content;
 }
 
+// Switch the detail modal between the recipe and its revision history
+function showDetailTab(tab) {
+    document.querySelectorAll('.detail-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    document.getElementById('detailRecipeTab').hidden = tab !== 'recipe';
+    document.getElementById('detailHistory').hidden = tab !== 'history';
+    if (tab === 'history') loadRecipeHistory(detailRecipe.id);
+}
+
+const REVISION_ACTIONS = { create: 'Created', update: 'Edited', revert: 'Reverted', restore: 'Restored from the trash' };
+
+// Revisions of the recipe, newest first, each with a diff against the current recipe
+async function loadRecipeHistory(recipeId) {
+    const container = document.getElementById('detailHistory');
+    container.innerHTML = '<p class="nutrition-note">Loading history...</p>';
+    
+    try {
+        const response = await fetch(`${API_BASE}/recipes/${recipeId}/revisions`);
+        if (!response.ok) throw new Error('Failed to load history');
+        const revisions = await response.json();
+        const current = revisions.length > 0 ? revisions[0].revision : null;
+        const canRevert = Roles.canEditRecipe(currentUser, detailRecipe);
+        
+        container.innerHTML = `
+            <ul class="revision-list">
+                ${revisions.map(revision => `
+                    <li class="revision">
+                        <div class="revision-meta">
+                            <strong>Revision ${revision.revision}</strong>
+                            ${revision.revision === current ? '<span class="revision-current">current</span>' : ''}
+                            <span>${REVISION_ACTIONS[revision.action] || escapeHtml(revision.action)}${revision.revertedTo ? ` to revision ${revision.revertedTo}` : ''}
+                                by ${revision.author ? escapeHtml(revision.author.displayName) : 'unknown'}
+                                on ${escapeHtml(new Date(revision.createdAt).toLocaleString())}</span>
+                        </div>
+                        <div class="revision-fields">
+                            ${revision.changedFields.length > 0
+                                ? `Changed: ${revision.changedFields.map(escapeHtml).join(', ')}`
+                                : 'No changes'}
+                        </div>
+                        ${revision.revision === current ? '' : `
+                        <div class="revision-actions">
+                            <button type="button" class="btn btn-secondary" onclick="showRevisionDiff(${recipeId}, ${revision.revision})">Compare with current</button>
+                            ${canRevert ? `<button type="button" class="btn btn-primary" onclick="revertRecipe(${recipeId}, ${revision.revision})">Revert to this</button>` : ''}
+                        </div>
+                        <div class="revision-diff" id="revisionDiff-${revision.revision}"></div>`}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    } catch (error) {
+        console.error('Error loading history:', error);
+        container.innerHTML = '<p class="nutrition-note">History is not available right now.</p>';
+    }
+}
+
+// Show what changed between an old revision and the current recipe
+async function showRevisionDiff(recipeId, revision) {
+    const container = document.getElementById(`revisionDiff-${revision}`);
+    if (container.innerHTML.trim()) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/recipes/${recipeId}/diff?from=${revision}`);
+        if (!response.ok) throw new Error('Failed to load changes');
+        const { changes } = await response.json();
+        container.innerHTML = changes.length === 0 ? '<p>Same as the current recipe.</p>' : changes.map(change => `
+            <div class="diff-field">
+                <h5>${escapeHtml(change.field)}</h5>
+                ${change.added ? `
+                    ${change.added.length + change.removed.length === 0 ? '<p>Same lines in a different order.</p>' : ''}
+                    ${change.removed.map(line => `<del>${escapeHtml(line)}</del>`).join('')}
+                    ${change.added.map(line => `<ins>${escapeHtml(line)}</ins>`).join('')}` : `
+                    ${change.from !== undefined ? `<del>${escapeHtml(formatDiffValue(change.from))}</del>` : ''}
+                    ${change.to !== undefined ? `<ins>${escapeHtml(formatDiffValue(change.to))}</ins>` : ''}`}
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading changes:', error);
+        showError('Failed to load the changes.');
+    }
+}
+
+function formatDiffValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => (typeof item === 'object' ? item.filename || JSON.stringify(item) : item)).join(', ');
+    }
+    return String(value);
+}
+
+// Write an old revision back; the change reaches every client as recipeUpdated
+async function revertRecipe(recipeId, revision) {
+    if (!confirm(`Revert this recipe to revision ${revision}?`)) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/recipes/${recipeId}/revisions/${revision}/revert`, { method: 'POST' });
+        if (!response.ok) {
+            const { error } = await response.json();
+            throw new Error(error ? error.message : 'Failed to revert recipe');
+        }
+        await showRecipeDetail(recipeId);
+        showDetailTab('history');
+        showNotification(`Reverted to revision ${revision}.`, 'success');
+    } catch (error) {
+        console.error('Error reverting recipe:', error);
+        showError(error.message);
+    }
+}
+
+// Move a recipe to the trash; the card goes away with the recipeDeleted broadcast
+async function deleteRecipe(recipeId) {
+    if (!confirm('Move this recipe to the trash?')) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/recipes/${recipeId}`, { method: 'DELETE' });
+        if (!response.ok) {
+            const { error } = await response.json();
+            throw new Error(error ? error.message : 'Failed to delete recipe');
+        }
+        closeModal(recipeDetailModal);
+        showNotification('Recipe moved to the trash.', 'success', {
+            label: 'Undo',
+            onClick: () => restoreRecipe(recipeId)
+        });
+    } catch (error) {
+        console.error('Error deleting recipe:', error);
+        showError(error.message);
+    }
+}
+
+// Take a recipe back out of the trash; it returns with the recipeAdded broadcast
+async function restoreRecipe(recipeId) {
+    try {
+        const response = await fetch(`${API_BASE}/trash/${recipeId}/restore`, { method: 'POST' });
+        if (!response.ok) {
+            const { error } = await response.json();
+            throw new Error(error ? error.message : 'Failed to restore recipe');
+        }
+        showNotification('Recipe restored.', 'success');
+    } catch (error) {
+        console.error('Error restoring recipe:', error);
+        showError(error.message);
+    }
+}
+
+// Nutrition facts come from the server; a failure only affects the label
+async function loadNutrition(recipeId) {
+    const container = document.getElementById('detailNutrition');
+    try {
+        const response = await fetch(`${API_BASE}/recipes/${recipeId}/nutrition`);
+        if (!response.ok) throw new Error('Failed to fetch nutrition');
+        
+        const nutrition = await response.json();
+        if (detailRecipe && detailRecipe.id === nutrition.recipeId) {
+            container.innerHTML = renderNutritionLabel(nutrition);
+        }
+    } catch (error) {
+        console.error('Error loading nutrition:', error);
+        container.innerHTML = '<p class="nutrition-note">Nutrition facts are not available.</p>';
+    }
+}
+
+// Nutrition facts label: per serving when the recipe says how many it
+// serves, otherwise for the whole recipe
+function renderNutritionLabel(nutrition) {
+    const values = nutrition.perServing || nutrition.total;
+    const basis = nutrition.perServing
+        ? `Per serving (1 of ${nutrition.servings})`
+        : 'Whole recipe';
+    const rows = NutrientTable.NUTRIENTS
+        .filter(nutrient => nutrient.key !== 'calories')
+        .map(nutrient => `
+            <div class="nutrition-row${['fiber', 'sugar'].includes(nutrient.key) ? ' sub' : ''}">
+                <span>${escapeHtml(nutrient.label)}</span>
+                <span>${values[nutrient.key]} ${nutrient.unit}</span>
+            </div>`).join('');
+    const unmatched = nutrition.unmatched.length > 0 ? `
+        <p class="nutrition-note">Not included: ${nutrition.unmatched.map(escapeHtml).join('; ')}</p>` : '';
+    
+    return `
+        <div class="nutrition-title">Nutrition Facts</div>
+        <div class="nutrition-basis">${escapeHtml(basis)}</div>
+        <div class="nutrition-calories">
+            <span>Calories</span>
+            <span>${values.calories}</span>
+        </div>
+        ${rows}
+        ${unmatched}
+    `;
+}
+
+// Step size for the servings stepper: one at a time for small yields,
+// bigger steps for batches like "48 cookies"
+function getServingsStep() {
+    const base = RecipeScaler.parseServings(detailRecipe.servings).count;
+    return base > 12 ? Math.round(base / 12) : 1;
+}
+
+// Rescale the ingredients in the detail modal through the API
+async function changeServings(direction) {
+    const step = getServingsStep();
+    const servings = Math.max(step, detailServings + direction * step);
+    if (servings === detailServings) return;
+    
+    try {
+        await refreshRecipeDetail(servings);
+    } catch (error) {
+        console.error('Error scaling recipe:', error);
+        showError('Failed to change servings.');
+    }
+}
+
+// URL of a recipe scaled to a number of servings (null for the recipe's own)
+// and rendered in the preferred unit system
+function getRecipeViewUrl(recipeId, servings) {
+    const params = new URLSearchParams();
+    if (servings !== null) params.set('servings', servings);
+    if (unitSystem) params.set('units', unitSystem);
+    const query = params.toString();
+    return `${API_BASE}/recipes/${recipeId}${query ? `?${query}` : ''}`;
+}
+
+// Fetch the detail recipe again and update its servings, ingredients and steps
+async function refreshRecipeDetail(servings) {
+    const baseServings = RecipeScaler.parseServings(detailRecipe.servings);
+    const isScaled = servings !== null && (!baseServings || servings !== baseServings.count);
+    
+    const response = await fetch(getRecipeViewUrl(detailRecipe.id, isScaled ? servings : null));
+    if (!response.ok) throw new Error('Failed to load recipe');
+    
+    const view = await response.json();
+    detailServings = servings;
+    const servingsLabel = document.getElementById('detailServings');
+    if (servingsLabel) servingsLabel.textContent = view.servings;
+    document.getElementById('detailIngredients').innerHTML =
+        getParsedIngredients(view).map(renderIngredient).join('');
+    document.getElementById('detailInstructions').innerHTML =
+        view.instructions.map(instruction => `<li>${escapeHtml(instruction)}</li>`).join('');
+}
+
+// Remember the unit preference and re-render whatever is on screen
+async function handleUnitSystemChange() {
+    unitSystem = unitSystemSelect.value;
+    localStorage.setItem('unitSystem', unitSystem);
+    
+    if (searchInput.value.trim()) handleSearch();
+    if (detailRecipe && recipeDetailModal.style.display === 'block') {
+        try {
+            await refreshRecipeDetail(detailServings);
+        } catch (error) {
+            console.error('Error converting recipe:', error);
+            showError('Failed to convert units.');
+        }
+    }
+}
+
+// Structured ingredients from the server, or parsed here for older recipes
+function getParsedIngredients(recipe) {
+    return recipe.parsedIngredients ||
+        recipe.ingredients.map(line => IngredientParser.parseIngredient(line));
+}
+
+// Ingredient line with its measurement emphasised
+function renderIngredient(parsed) {
+    const measurement = IngredientParser.formatMeasurement(parsed);
+    if (!measurement || parsed.toTaste) {
+        return `<li>${escapeHtml(parsed.original)}</li>`;
+    }
+    
+    let description = parsed.item;
+    if (parsed.note) description += ` (${parsed.note})`;
+    if (parsed.preparation) description += `, ${parsed.preparation}`;
+    if (parsed.optional) description += ' (optional)';
+    return `<li><strong class="ingredient-measurement">${escapeHtml(measurement)}</strong> ${escapeHtml(description)}</li>`;
+}
+
 // Handle add recipe form submission
 async function handleAddRecipe(e) {
     e.preventDefault();
+    clearFieldErrors();
     
     const formData = new FormData(e.target);
     const recipeData = {
@@ -318,8 +830,14 @@ async function handleAddRecipe(e) {
         return;
     }
     
+    const photoFile = document.getElementById('recipePhoto').files[0];
+    if (photoFile && photoFile.size > PHOTO_MAX_BYTES) {
+        showError('Photos can be at most 5 MB.');
+        return;
+    }
+    
     try {
-        const response = await fetch('/api/recipes', {
+        const response = await fetch(`${API_BASE}/recipes`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json'
@@ -327,21 +845,647 @@ async function handleAddRecipe(e) {
             body: JSON.stringify(recipeData)
         });
         
-        if (!response.ok) throw new Error('Failed to add recipe');
+        if (!response.ok) {
+            const { error } = await response.json();
+            if (error && error.details) {
+                showFieldErrors(error.details);
+                showError(error.message);
+                return;
+            }
+            throw new Error('Failed to add recipe');
+        }
         
         const newRecipe = await response.json();
         closeModal(addRecipeModal);
         addRecipeForm.reset();
+        clearPhotoPreview();
         showNotification('Recipe added successfully!', 'success');
+        
+        if (photoFile) {
+            await uploadRecipePhoto(newRecipe.id, photoFile, response.headers.get('ETag'));
+        }
     } catch (error) {
         console.error('Error adding recipe:', error);
         showError('Failed to add recipe. Please try again.');
     }
 }
 
-// Handle search
-function handleSearch() {
-    filterAndDisplayRecipes();
+// Upload a photo for a saved recipe; the card picks it up from recipeUpdated
+async function uploadRecipePhoto(recipeId, file, etag) {
+    const body = new FormData();
+    body.append('photo', file);
+    
+    try {
+        const response = await fetch(`${API_BASE}/recipes/${recipeId}/photos`, {
+            method: 'POST',
+            headers: etag ? { 'If-Match': etag } : {},
+            body
+        });
+        
+        if (!response.ok) {
+            const { error } = await response.json();
+            throw new Error(error ? error.message : 'Failed to upload photo');
+        }
+    } catch (error) {
+        console.error('Error uploading photo:', error);
+        showError(`The recipe was saved, but its photo was not: ${error.message}`);
+    }
+}
+
+// Preview the chosen photo in the add recipe form
+function handlePhotoSelected(e) {
+    const file = e.target.files[0];
+    const preview = document.getElementById('recipePhotoPreview');
+    if (preview.src) URL.revokeObjectURL(preview.src);
+    
+    if (!file) {
+        clearPhotoPreview();
+        return;
+    }
+    preview.src = URL.createObjectURL(file);
+    preview.hidden = false;
+}
+
+function clearPhotoPreview() {
+    const preview = document.getElementById('recipePhotoPreview');
+    if (preview.src) URL.revokeObjectURL(preview.src);
+    preview.removeAttribute('src');
+    preview.hidden = true;
+    document.getElementById('recipePhoto').value = '';
+}
+
+// Export
+const EXPORT_FORMATS = [
+    ['jsonld', 'JSON-LD (schema.org)'],
+    ['markdown', 'Markdown'],
+    ['text', 'Plain text'],
+    ['csv', 'CSV spreadsheet']
+];
+
+// Fill an export menu with download links as it opens, so they follow the
+// current search, category and unit preference. The detail modal's menu
+// exports its recipe; the one above the grid exports what is listed there.
+function fillExportMenu(menu) {
+    if (!menu.open) return;
+    
+    const recipeId = menu.dataset.recipeId;
+    const params = new URLSearchParams();
+    if (!recipeId) {
+        const query = searchInput.value.trim();
+        if (query) params.set('q', query);
+        if (currentCategory) params.set('category', currentCategory);
+    }
+    if (unitSystem) params.set('units', unitSystem);
+    const url = recipeId ? `${API_BASE}/recipes/${recipeId}/export` : `${API_BASE}/export`;
+    
+    menu.querySelector('.export-options').innerHTML = EXPORT_FORMATS.map(([format, label]) => {
+        params.set('format', format);
+        return `<a href="${escapeHtml(`${url}?${params}`)}" download>${label}</a>`;
+    }).join('');
+}
+
+// Import
+// The chosen file is uploaded as is; pasted text is sent as HTML, JSON-LD or
+// plain text depending on how it starts. The server works out the format.
+function getImportRequest() {
+    const query = document.getElementById('importDuplicates').checked ? '?duplicates=import' : '';
+    const file = document.getElementById('importFile').files[0];
+    if (file) {
+        const body = new FormData();
+        body.append('file', file);
+        return { query, init: { body } };
+    }
+    
+    const text = document.getElementById('importText').value.trim();
+    if (!text) return null;
+    let type = 'text/plain';
+    if (text.startsWith('<')) type = 'text/html';
+    if (text.startsWith('{') || text.startsWith('[')) type = 'application/ld+json';
+    return { query, init: { headers: { 'Content-Type': type }, body: text } };
+}
+
+// Ask the server what the file contains before importing anything
+async function handleImportPreview(e) {
+    e.preventDefault();
+    const request = getImportRequest();
+    if (!request) {
+        showError('Choose a file or paste a page first.');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE}/import/preview${request.query}`, { method: 'POST', ...request.init });
+        if (!response.ok) {
+            const { error } = await response.json();
+            throw new Error(error ? error.message : 'Failed to read the file');
+        }
+        renderImportPreview(await response.json());
+    } catch (error) {
+        console.error('Error previewing import:', error);
+        showError(error.message);
+    }
+}
+
+const IMPORT_ACTIONS = { create: 'Will be created', duplicate: 'Duplicate, skipped', invalid: 'Cannot be imported' };
+
+// The dry run: what will be created, what looks like a duplicate, what
+// stops a recipe importing and which parts of the file could not be read
+function renderImportPreview(plan) {
+    const container = document.getElementById('importPreview');
+    const { summary } = plan;
+    const messages = (items, className) => items.length ? `
+                <ul class="${className}">
+                    ${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+                </ul>` : '';
+    const failures = plan.failures.map(failure => {
+        const where = failure.line ? `Line ${failure.line}` : failure.entry;
+        return failure.text ? `${where}: ${failure.message} ("${failure.text}")` : `${where}: ${failure.message}`;
+    });
+    
+    container.innerHTML = `
+        <p class="import-totals">
+            Found ${summary.found} recipe(s): ${summary.create} to create,
+            ${summary.duplicates} duplicate(s), ${summary.invalid} that cannot be imported,
+            ${summary.failures} part(s) of the file that could not be read
+        </p>
+        ${messages(plan.warnings, 'import-warnings')}
+        ${messages(failures, 'import-errors')}
+        ${plan.recipes.map(entry => `
+            <div class="import-recipe ${entry.action}">
+                <span class="import-action">${IMPORT_ACTIONS[entry.action]}</span>
+                <h4>${escapeHtml(entry.recipe.title || 'Untitled recipe')}</h4>
+                <p class="import-summary">
+                    ${(entry.recipe.ingredients || []).length} ingredients,
+                    ${(entry.recipe.instructions || []).length} steps
+                    ${entry.recipe.cookTime ? `&middot; ${escapeHtml(entry.recipe.cookTime)}` : ''}
+                    ${entry.recipe.servings ? `&middot; ${escapeHtml(entry.recipe.servings)}` : ''}
+                    ${entry.hasPhoto ? '&middot; <i class="fas fa-image"></i> photo' : ''}
+                </p>
+                ${entry.duplicateOf ? `<p class="import-summary">Looks like &ldquo;${escapeHtml(entry.duplicateOf.title)}&rdquo;${entry.duplicateOf.index !== undefined ? ' earlier in this file' : ''}</p>` : ''}
+                ${messages(entry.warnings, 'import-warnings')}
+                ${messages(entry.errors.map(error => `${error.field}: ${error.message}`), 'import-errors')}
+            </div>
+        `).join('')}
+    `;
+    container.hidden = false;
+    
+    const confirmBtn = document.getElementById('importConfirmBtn');
+    confirmBtn.hidden = summary.create === 0;
+    confirmBtn.textContent = summary.create === 1 ? 'Import 1 Recipe' : `Import ${summary.create} Recipes`;
+}
+
+// Create the recipes; their cards arrive with the recipeAdded broadcasts
+async function handleImportConfirm() {
+    const request = getImportRequest();
+    if (!request) return;
+    
+    try {
+        const response = await fetch(`${API_BASE}/import${request.query}`, { method: 'POST', ...request.init });
+        if (!response.ok) {
+            const { error } = await response.json();
+            throw new Error(error ? error.message : 'Failed to import recipes');
+        }
+        
+        const { created, skipped } = await response.json();
+        resetImportForm();
+        closeModal(importModal);
+        const message = created.length === 1 ? 'Imported 1 recipe' : `Imported ${created.length} recipes`;
+        showNotification(skipped.length ? `${message}, skipped ${skipped.length}` : `${message}!`, 'success');
+    } catch (error) {
+        console.error('Error importing recipes:', error);
+        showError(error.message);
+    }
+}
+
+// A new file or new text needs a new preview
+function clearImportPreview() {
+    const container = document.getElementById('importPreview');
+    container.innerHTML = '';
+    container.hidden = true;
+    document.getElementById('importConfirmBtn').hidden = true;
+}
+
+function resetImportForm() {
+    importForm.reset();
+    clearImportPreview();
+}
+
+// Form inputs for each recipe field reported by the API
+const recipeFieldInputs = {
+    title: 'recipeTitle',
+    description: 'recipeDescription',
+    category: 'recipeCategory',
+    cookTime: 'cookTime',
+    servings: 'servings',
+    ingredients: 'ingredients',
+    instructions: 'instructions'
+};
+
+// Show API validation errors next to the matching form inputs
+function showFieldErrors(details) {
+    details.forEach(({ field, message }) => {
+        // "ingredients[2]" belongs to the ingredients textarea
+        const inputId = recipeFieldInputs[field.split(/[.[]/)[0]];
+        const input = inputId && document.getElementById(inputId);
+        if (!input) return;
+        
+        const group = input.closest('.form-group');
+        group.classList.add('has-error');
+        const errorEl = document.createElement('div');
+        errorEl.className = 'field-error';
+        errorEl.textContent = message;
+        group.appendChild(errorEl);
+    });
+}
+
+// Remove validation errors from the add recipe form
+function clearFieldErrors() {
+    addRecipeForm.querySelectorAll('.field-error').forEach(el => el.remove());
+    addRecipeForm.querySelectorAll('.has-error').forEach(el => el.classList.remove('has-error'));
+}
+
+// Handle search: the server searches the whole collection, without paging
+async function handleSearch() {
+    const query = searchInput.value.trim();
+    if (!query) {
+        loadRecipes();
+        return;
+    }
+    
+    const params = new URLSearchParams({ q: query });
+    if (currentCategory) params.set('category', currentCategory);
+    if (unitSystem) params.set('units', unitSystem);
+    nextPageUrl = null;
+    
+    try {
+        const response = await fetch(`${API_BASE}/search?${params}`);
+        if (!response.ok) throw new Error('Failed to search recipes');
+        
+        allRecipes = await response.json();
+        displayRecipes(allRecipes);
+    } catch (error) {
+        console.error('Error searching recipes:', error);
+        showError('Search failed. Please try again.');
+    }
+}
+
+// Meal planner
+// Dates are handled as local YYYY-MM-DD strings, the same form the API uses
+function toIsoDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function addDaysToDate(isoDate, days) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return toIsoDate(new Date(year, month - 1, day + days));
+}
+
+// Monday of the week a date falls in
+function getWeekStart(date) {
+    const weekday = (date.getDay() + 6) % 7;
+    return addDaysToDate(toIsoDate(date), -weekday);
+}
+
+function formatPlannerDay(isoDate) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+function toggleMealPlanner() {
+    mealPlanner.hidden = !mealPlanner.hidden;
+    plannerBtn.classList.toggle('active', !mealPlanner.hidden);
+    if (!mealPlanner.hidden) loadMealPlan();
+}
+
+function changePlannerWeek(direction) {
+    plannerWeekStart = addDaysToDate(plannerWeekStart, direction * 7);
+    loadMealPlan();
+}
+
+function getPlannerRange() {
+    return new URLSearchParams({ from: plannerWeekStart, to: addDaysToDate(plannerWeekStart, 6) });
+}
+
+async function loadMealPlan() {
+    try {
+        const response = await fetch(`${API_BASE}/meal-plan?${getPlannerRange()}`);
+        if (!response.ok) throw new Error('Failed to fetch meal plan');
+        
+        plannerEntries = (await response.json()).entries;
+        renderMealPlanner();
+    } catch (error) {
+        console.error('Error loading meal plan:', error);
+        showError('Failed to load the meal plan.');
+    }
+}
+
+// One column per day, one drop zone per meal
+function renderMealPlanner() {
+    const weekEnd = addDaysToDate(plannerWeekStart, 6);
+    document.getElementById('plannerWeekLabel').textContent =
+        `${formatPlannerDay(plannerWeekStart)} – ${formatPlannerDay(weekEnd)}`;
+    
+    const days = Array.from({ length: 7 }, (_, index) => addDaysToDate(plannerWeekStart, index));
+    plannerGrid.innerHTML = days.map(day => `
+        <div class="planner-day${day === toIsoDate(new Date()) ? ' today' : ''}">
+            <h4>${escapeHtml(formatPlannerDay(day))}</h4>
+            ${MEAL_SLOTS.map(slot => `
+                <div class="planner-slot"
+                     ondragover="handlePlannerDragOver(event)"
+                     ondragleave="this.classList.remove('drag-over')"
+                     ondrop="handlePlannerDrop(event, '${day}', '${slot}')">
+                    <span class="planner-slot-name">${slot}</span>
+                    ${plannerEntries
+                        .filter(entry => entry.date === day && entry.slot === slot)
+                        .map(createPlannerEntry).join('')}
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+}
+
+function createPlannerEntry(entry) {
+    const title = entry.recipe ? escapeHtml(entry.recipe.title) : '<em>Deleted recipe</em>';
+    const open = entry.recipe ? `onclick="showRecipeDetail(${entry.recipeId})"` : '';
+    const servings = entry.servings ? ` <small>(${entry.servings})</small>` : '';
+    const remove = canMakeChanges()
+        ? `<button type="button" class="planner-entry-remove" onclick="removePlanEntry(${entry.id})" aria-label="Remove from plan">&times;</button>`
+        : '';
+    return `
+        <div class="planner-entry" draggable="${canMakeChanges()}" ondragstart="handleEntryDragStart(event, ${entry.id})">
+            <span class="planner-entry-title" ${open}>${title}${servings}</span>
+            ${remove}
+        </div>
+    `;
+}
+
+function handleRecipeDragStart(e, recipeId) {
+    e.dataTransfer.setData('application/x-recipe-id', String(recipeId));
+    e.dataTransfer.effectAllowed = 'copy';
+}
+
+function handleEntryDragStart(e, entryId) {
+    e.dataTransfer.setData('application/x-plan-entry-id', String(entryId));
+    e.dataTransfer.effectAllowed = 'move';
+}
+
+function handlePlannerDragOver(e) {
+    e.preventDefault();
+    e.currentTarget.classList.add('drag-over');
+}
+
+// A dropped recipe card is planned; a dropped entry is moved
+async function handlePlannerDrop(e, date, slot) {
+    e.preventDefault();
+    e.currentTarget.classList.remove('drag-over');
+    if (!requireSignIn()) return;
+    const recipeId = e.dataTransfer.getData('application/x-recipe-id');
+    const entryId = e.dataTransfer.getData('application/x-plan-entry-id');
+    
+    try {
+        let response;
+        if (entryId) {
+            response = await fetch(`${API_BASE}/meal-plan/${entryId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ date, slot })
+            });
+        } else if (recipeId) {
+            response = await fetch(`${API_BASE}/meal-plan`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ date, slot, recipeId: Number(recipeId) })
+            });
+        } else {
+            return;
+        }
+        if (!response.ok) throw new Error('Failed to update meal plan');
+        loadMealPlan();
+    } catch (error) {
+        console.error('Error updating meal plan:', error);
+        showError('Failed to update the meal plan.');
+    }
+}
+
+async function removePlanEntry(entryId) {
+    if (!requireSignIn()) return;
+    try {
+        const response = await fetch(`${API_BASE}/meal-plan/${entryId}`, { method: 'DELETE' });
+        if (!response.ok) throw new Error('Failed to remove meal');
+        loadMealPlan();
+    } catch (error) {
+        console.error('Error removing meal:', error);
+        showError('Failed to remove the meal.');
+    }
+}
+
+// Shopping list for everything planned in the week shown
+async function createShoppingListFromPlan() {
+    if (!requireSignIn()) return;
+    try {
+        const response = await fetch(`${API_BASE}/meal-plan/shopping-list?${getPlannerRange()}`, { method: 'POST' });
+        if (!response.ok) {
+            // e.g. "Nothing is planned between ..." for an empty week
+            const body = await response.json().catch(() => null);
+            const detail = body && body.error && body.error.details ? body.error.details[0].message : null;
+            throw new Error(detail || 'Failed to create shopping list');
+        }
+        
+        displayShoppingList(await response.json());
+        openModal(shoppingListModal);
+    } catch (error) {
+        console.error('Error creating shopping list:', error);
+        showError(error.message);
+    }
+}
+
+// Items arrive sorted by aisle; show one heading per aisle
+function displayShoppingList(list) {
+    shoppingList = list;
+    document.getElementById('shoppingListTitle').textContent = list.name;
+    
+    const aisles = [];
+    list.items.forEach(item => {
+        const last = aisles[aisles.length - 1];
+        if (last && last.name === item.aisle) last.items.push(item);
+        else aisles.push({ name: item.aisle, items: [item] });
+    });
+    
+    document.getElementById('shoppingListContent').innerHTML = `
+        <div class="shopping-list">
+            ${aisles.map(aisle => `
+                <div class="detail-section">
+                    <h3>${escapeHtml(aisle.name)}</h3>
+                    <ul class="shopping-items">
+                        ${aisle.items.map(item => `
+                            <li class="${item.checked ? 'checked' : ''}">
+                                <label>
+                                    <input type="checkbox" ${item.checked ? 'checked' : ''} ${canMakeChanges() ? '' : 'disabled'}
+                                           onchange="toggleShoppingItem('${item.id}', this.checked)">
+                                    ${escapeHtml(item.text)}
+                                </label>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `).join('')}
+            <div class="form-actions">
+                <a class="btn btn-secondary" href="${API_BASE}/shopping-lists/${list.id}?format=text">
+                    <i class="fas fa-file-alt"></i> Text
+                </a>
+                <a class="btn btn-secondary" href="${API_BASE}/shopping-lists/${list.id}?format=markdown">
+                    <i class="fab fa-markdown"></i> Markdown
+                </a>
+            </div>
+        </div>
+    `;
+}
+
+async function toggleShoppingItem(itemId, checked) {
+    if (!requireSignIn()) {
+        // Put the checkbox back the way it was
+        displayShoppingList(shoppingList);
+        return;
+    }
+    try {
+        const response = await fetch(`${API_BASE}/shopping-lists/${shoppingList.id}/items/${encodeURIComponent(itemId)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ checked })
+        });
+        if (!response.ok) throw new Error('Failed to update shopping list');
+        displayShoppingList(await response.json());
+    } catch (error) {
+        console.error('Error updating shopping list:', error);
+        showError('Failed to update the shopping list.');
+    }
+}
+
+// Load the signed-in user, if any; the session cookie goes with every request
+async function loadCurrentUser() {
+    try {
+        const response = await fetch(`${API_BASE}/me`);
+        currentUser = response.ok ? await response.json() : null;
+    } catch (error) {
+        console.error('Error loading user:', error);
+        currentUser = null;
+    }
+    renderUserMenu();
+}
+
+// Show the user's name and the log out button, or the log in button
+function renderUserMenu() {
+    const userName = document.getElementById('userName');
+    userName.hidden = !currentUser;
+    userName.innerHTML = currentUser
+        ? `<i class="fas fa-user"></i> ${escapeHtml(currentUser.displayName)}`
+        : '';
+    document.getElementById('loginBtn').hidden = Boolean(currentUser);
+    document.getElementById('logoutBtn').hidden = !currentUser;
+    
+    // Hide what this user's role does not allow
+    addRecipeBtn.hidden = !canMakeChanges();
+    document.getElementById('importRecipeBtn').hidden = !canMakeChanges();
+    document.getElementById('plannerShoppingBtn').hidden = !canMakeChanges();
+    document.querySelector('.planner-hint').hidden = !canMakeChanges();
+    document.getElementById('serverLogLink').hidden = !Roles.hasRole(currentUser, 'admin');
+    displayRecipes(allRecipes);
+    if (!mealPlanner.hidden) renderMealPlanner();
+}
+
+// Whether to offer changes at all: anonymous users are asked to log in when
+// they try one, viewers are never offered them
+function canMakeChanges() {
+    return !currentUser || Roles.hasRole(currentUser, 'contributor');
+}
+
+// Changes need an account with at least the contributor role; ask the user
+// to log in first
+function requireSignIn() {
+    if (Roles.hasRole(currentUser, 'contributor')) return true;
+    if (currentUser) {
+        showError('Your account can only view recipes.');
+        return false;
+    }
+    showNotification('Please log in to make changes.', 'info');
+    openAuthModal('login');
+    return false;
+}
+
+function openAuthModal(mode) {
+    authForm.reset();
+    setAuthMode(mode);
+    openModal(authModal);
+    document.getElementById('authUsername').focus();
+}
+
+function setAuthMode(mode) {
+    authMode = mode;
+    const registering = mode === 'register';
+    const label = registering ? 'Create Account' : 'Log In';
+    document.getElementById('authTitle').textContent = label;
+    document.getElementById('authSubmitBtn').textContent = label;
+    document.getElementById('authDisplayNameGroup').hidden = !registering;
+    document.getElementById('authPassword').autocomplete = registering ? 'new-password' : 'current-password';
+    document.getElementById('authSwitchText').textContent = registering ? 'Already have an account?' : 'New here?';
+    document.getElementById('authSwitchLink').textContent = registering ? 'Log in' : 'Create an account';
+}
+
+// Log in or register, depending on the mode the modal is in
+async function handleAuthSubmit(e) {
+    e.preventDefault();
+    
+    const credentials = {
+        username: document.getElementById('authUsername').value.trim(),
+        password: document.getElementById('authPassword').value
+    };
+    const displayName = document.getElementById('authDisplayName').value.trim();
+    if (authMode === 'register' && displayName) credentials.displayName = displayName;
+    
+    try {
+        const response = await fetch(`${API_BASE}/auth/${authMode === 'register' ? 'register' : 'login'}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(credentials)
+        });
+        const body = await response.json();
+        if (!response.ok) {
+            const { error } = body;
+            showError(error.details ? error.details.map(detail => detail.message).join('. ') : error.message);
+            return;
+        }
+        
+        currentUser = body.user;
+        renderUserMenu();
+        closeModal(authModal);
+        authForm.reset();
+        reconnectSocket();
+        showNotification(`Welcome, ${currentUser.displayName}!`, 'success');
+    } catch (error) {
+        console.error('Error logging in:', error);
+        showError('Failed to log in. Please try again.');
+    }
+}
+
+async function handleLogout() {
+    try {
+        await fetch(`${API_BASE}/auth/logout`, { method: 'POST' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    currentUser = null;
+    renderUserMenu();
+    reconnectSocket();
+    showNotification('You have been logged out.', 'info');
+}
+
+// The socket signs in with the cookie sent on its handshake, so it has to
+// reconnect to pick up a new login
+function reconnectSocket() {
+    socket.disconnect();
+    socket.connect();
 }
 
 // Modal functions
@@ -387,7 +1531,8 @@ function showError(message) {
 }
 
 // Show notification
-function showNotification(message, type = 'info') {
+// An optional action ({ label, onClick }) adds a button, e.g. "Undo"
+function showNotification(message, type = 'info', action = null) {
     // Create notification element
     const notification = document.createElement('div');
     notification.className = `notification notification-${type}`;
@@ -396,6 +1541,18 @@ function showNotification(message, type = 'info') {
         <span>${escapeHtml(message)}</span>
     `;
     
+    if (action) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'notification-action';
+        button.textContent = action.label;
+        button.addEventListener('click', () => {
+            notification.remove();
+            action.onClick();
+        });
+        notification.appendChild(button);
+    }
+    
     // Add styles
     Object.assign(notification.style, {
         position: 'fixed',
@@ -417,7 +1574,7 @@ function showNotification(message, type = 'info') {
     
     document.body.appendChild(notification);
     
-    // Remove after 5 seconds
+    // Remove after 5 seconds, or 10 when there is something to click
     setTimeout(() => {
         notification.style.animation = 'slideOutRight 0.3s ease';
         setTimeout(() => {
@@ -425,7 +1582,7 @@ function showNotification(message, type = 'info') {
                 notification.parentNode.removeChild(notification);
             }
         }, 300);
-    }, 5000);
+    }, action ? 10000 : 5000);
 }
 
 // Get notification icon
@@ -451,10 +1608,11 @@ function getNotificationColor(type) {
 }
 
 // Utility functions
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Quotes are escaped too, so the result is safe inside attribute values
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text === null || text === undefined ? '' : text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
 }
 
 function debounce(func, wait) {
@@ -0,0 +1,106 @@
+// Server log page
+// Watches the /admin/logs Socket.IO namespace, which only admins may join.
+// The server applies the filter; this page shows what it is sent, newest
+// at the bottom.
+
+// DOM Elements
+const logFilterForm = document.getElementById('logFilterForm');
+const logLevel = document.getElementById('logLevel');
+const logSources = document.getElementById('logSources');
+const logContains = document.getElementById('logContains');
+const logPauseBtn = document.getElementById('logPauseBtn');
+const logClearBtn = document.getElementById('logClearBtn');
+const logStatus = document.getElementById('logStatus');
+const logOutput = document.getElementById('logOutput');
+
+// Lines kept on the page; older ones are dropped as new ones come
+const MAX_LINES = 2000;
+
+// State
+let paused = false;
+
+const socket = io('/admin/logs');
+
+document.addEventListener('DOMContentLoaded', () => {
+    logFilterForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        socket.emit('setFilter', readFilter());
+    });
+    logPauseBtn.addEventListener('click', () => socket.emit(paused ? 'resume' : 'pause'));
+    logClearBtn.addEventListener('click', () => {
+        logOutput.innerHTML = '';
+    });
+});
+
+socket.on('connect_error', (error) => {
+    // Refusals carry the API's error envelope
+    const message = error.data && error.data.error ? error.data.error.message : error.message;
+    logStatus.textContent = `Not connected: ${message}`;
+});
+
+socket.on('disconnect', () => {
+    logStatus.textContent = 'Disconnected; reconnecting...';
+});
+
+// The view as it stands: sent on connecting and after every change to it
+socket.on('logHistory', ({ filter, paused: isPaused, entries }) => {
+    paused = isPaused;
+    showFilter(filter);
+    logOutput.innerHTML = '';
+    entries.forEach(appendEntry);
+    logOutput.scrollTop = logOutput.scrollHeight;
+});
+
+socket.on('logEntry', (entry) => {
+    // Follow new lines only when already at the bottom
+    const atBottom = logOutput.scrollHeight - logOutput.scrollTop - logOutput.clientHeight < 20;
+    appendEntry(entry);
+    while (logOutput.childElementCount > MAX_LINES) logOutput.firstElementChild.remove();
+    if (atBottom) logOutput.scrollTop = logOutput.scrollHeight;
+});
+
+socket.on('requestFailed', ({ error }) => {
+    const details = (error.details || []).map(detail => detail.message).join('; ');
+    logStatus.textContent = details ? `${error.message}: ${details}` : error.message;
+});
+
+function readFilter() {
+    return {
+        level: logLevel.value,
+        sources: logSources.value.split(',').map(source => source.trim()).filter(Boolean),
+        contains: logContains.value.trim()
+    };
+}
+
+function showFilter(filter) {
+    logLevel.value = filter.level;
+    logSources.value = filter.sources.join(', ');
+    logContains.value = filter.contains;
+    logPauseBtn.textContent = paused ? 'Resume' : 'Pause';
+    logStatus.textContent = paused ? 'Paused: new lines are not shown.' : 'Live.';
+}
+
+function appendEntry(entry) {
+    const line = document.createElement('div');
+    line.className = `log-line log-${entry.level}`;
+    line.innerHTML = `
+        <span class="log-time">${escapeHtml(new Date(entry.at).toLocaleTimeString())}</span>
+        <span class="log-level">${escapeHtml(entry.level)}</span>
+        <span class="log-source">${escapeHtml(entry.source)}</span>
+        <span class="log-message"></span>
+    `;
+    // The server escapes the HTML form; without it the text is shown as is
+    const message = line.querySelector('.log-message');
+    if (entry.html !== undefined) {
+        message.innerHTML = entry.html;
+    } else {
+        message.textContent = entry.message;
+    }
+    logOutput.appendChild(line);
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
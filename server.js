@@ -4,9 +4,88 @@ const socketIo = require('socket.io');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const { createStorage, VersionConflictError } = require('./lib/storage');
+const { etagFor, ifMatchSatisfied } = require('./lib/etag');
+const { mergeChanges } = require('./lib/schema');
+const recipeSchema = require('./lib/schemas/recipe');
+const { shoppingListSchema, shoppingListItemSchema, mealPlanShoppingListSchema } = require('./lib/schemas/shoppingList');
+const { mealPlanEntrySchema } = require('./lib/schemas/mealPlanEntry');
+const { userSchema, registrationSchema, loginSchema, userRoleSchema } = require('./lib/schemas/user');
+const { webhookSchema } = require('./lib/schemas/webhook');
+const { logEntrySchema, logFilterSchema } = require('./lib/schemas/serverLog');
+const {
+  errorSchema,
+  sessionSchema,
+  revisionSchema,
+  recipeDiffSchema,
+  trashEntrySchema,
+  nutritionSchema,
+  searchResultSchema,
+  plannedMealSchema,
+  mealPlanSchema,
+  importFormatSchema,
+  importPlanSchema,
+  importReportSchema,
+  apiUsageSchema,
+  webhookEventSchema,
+  webhookDeliverySchema
+} = require('./lib/schemas/responses');
+const { buildOpenApiDocument, describe, findUndocumentedRoutes } = require('./lib/openapi');
+const { API_VERSIONS, UsageCounter, apiUrl, negotiateVersion } = require('./lib/apiVersions');
+const { RecipeEvents, createGraphqlApi } = require('./lib/graphql');
+const { Webhooks, describeDelivery, publicWebhook } = require('./lib/webhooks');
+const { SORT_KEYS, parseListQuery, parseSearchQuery, parseServingsParam, parseUnitsParam, paginateRecipes } = require('./lib/recipeQuery');
+const { parsePlanRange, entriesInRange } = require('./lib/mealPlanQuery');
+const SearchIndex = require('./lib/search/searchIndex');
+const PhotoStore = require('./lib/photoStore');
+const TrashBin = require('./lib/trashBin');
+const ReplayLog = require('./lib/replayLog');
+const { LogStream, attachLogNamespace, closeUnauthorizedSockets } = require('./lib/serverLog');
+const { createImportReceiver, listImporters, parseImportOptions, planImport, readImport } = require('./lib/importers');
+const { EXPORT_FORMATS, exportFilename, parseExportFormat, parseExportQuery } = require('./lib/exporters');
+const { RevisionLog, TRACKED_FIELDS, diffSnapshots, parseRevisionNumber, snapshotOf } = require('./lib/revisions');
+const {
+  Accounts,
+  SESSION_COOKIE,
+  authenticate,
+  authenticateSocket,
+  authorizeSocketEvents,
+  publicUser,
+  requireRole,
+  requireRoleForWrites
+} = require('./lib/auth');
+const { buildItems, toText, toMarkdown } = require('./lib/shoppingList');
+const { parseIngredient } = require('./shared/ingredientParser');
+const { scaleRecipe } = require('./shared/recipeScaler');
+const { convertRecipe } = require('./shared/unitConverter');
+const { calculateNutrition } = require('./shared/nutritionCalculator');
+const { canEditRecipe } = require('./shared/roles');
+const { BadRequestError, ForbiddenError, HttpError, NotFoundError, PreconditionFailedError, UnauthorizedError, UnsupportedMediaTypeError, ValidationError } = require('./lib/errors');
+const { errorEnvelope, errorHandler, apiNotFound } = require('./lib/errorHandler');
 
-// Load configuration
+// Load configuration. PORT, FILES_DIRECTORY and STORAGE_DIRECTORY override
+// the file, as STORAGE_BACKEND does below, so a second copy of the server
+// (such as the one the route tests start) can run beside the first.
 const config = require('./webServerApiSettings.json');
+if (process.env.PORT) {
+  config.webServerPort = Number(process.env.PORT);
+  config.webSocketPort = config.webServerPort;
+}
+config.FilesDirectory = process.env.FILES_DIRECTORY || config.FilesDirectory;
+config.storageDirectory = process.env.STORAGE_DIRECTORY || config.storageDirectory;
+
+// Server log, kept in memory for admins to watch (see "Server log" below).
+// Console output goes in too when useTerminalOutputCapture is on, so it
+// starts here to catch everything the server prints.
+const serverLog = new LogStream({
+  capacity: config.terminalOutputBufferSize || 1000,
+  ansiStrip: config.useTerminalOutputAnsiStrip,
+  toHtml: config.useTerminalOutputToHtml
+});
+if (config.useTerminalOutputCapture) {
+  serverLog.captureConsole();
+}
+const socketLog = serverLog.logger('socket');
 
 const app = express();
 const server = http.createServer(app);
@@ -18,22 +97,34 @@ const io = socketIo(server, {
 });
 
 // Middleware
-app.use(cors());
+app.use(cors({
+  exposedHeaders: ['ETag', 'Location', 'Link', 'X-Total-Count', 'Content-Disposition']
+}));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
 // Serve static files from DesignTool directory
-const filesDirectory = path.join(__dirname, config.FilesDirectory);
+const filesDirectory = path.resolve(__dirname, config.FilesDirectory);
 if (!fs.existsSync(filesDirectory)) {
   fs.mkdirSync(filesDirectory, { recursive: true });
 }
 app.use('/files', express.static(filesDirectory));
 
+// Recipe photos, stored under the files directory by content hash
+const photoStore = new PhotoStore({
+  directory: filesDirectory,
+  maxBytes: config.photoMaxBytes || 5 * 1024 * 1024
+});
+const MAX_PHOTOS_PER_RECIPE = 10;
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
-// In-memory storage for recipes (in a real app, you'd use a database)
-let recipes = [
+// Modules shared between the server and the browser clients
+app.use('/shared', express.static(path.join(__dirname, 'shared')));
+
+// Recipes a brand new store starts with
+const seedRecipes = [
   {
     id: 1,
     title: "Classic Chocolate Chip Cookies",
@@ -92,131 +183,1927 @@ let recipes = [
   }
 ];
 
+// Recipe storage, opened in start() once the backend is ready
+let recipeRepository;
+
+// History of every recipe write, opened in start()
+const revisionLog = new RevisionLog();
+
+// Deleted recipes, kept for trashRetentionDays before they are purged
+const trashBin = new TrashBin({
+  retentionMs: (config.trashRetentionDays || 30) * 24 * 60 * 60 * 1000
+});
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Full-text index over the stored recipes, kept in step with every write
+const searchIndex = new SearchIndex();
+
+// Recipe changes for GraphQL subscriptions, published with the Socket.IO events
+const recipeEvents = new RecipeEvents();
+
+// The last broadcasts, numbered, for clients resuming after a lost connection
+const replayLog = new ReplayLog({ capacity: config.socketReplayLogSize || 500 });
+
+// Outgoing webhooks for recipe events, opened in start()
+const webhooks = new Webhooks({
+  retryBaseMs: (config.webhookRetryBaseSeconds || 30) * 1000,
+  maxAttempts: config.webhookMaxAttempts || 6,
+  timeoutMs: (config.webhookTimeoutSeconds || 10) * 1000
+});
+
+// Shopping list and meal plan storage, opened in start() next to the recipes
+let shoppingListRepository;
+let mealPlanRepository;
+
+// User accounts and login sessions, opened in start()
+const accounts = new Accounts({
+  sessionMaxAgeMs: (config.sessionMaxAgeDays || 30) * 24 * 60 * 60 * 1000
+});
+
+// API reference
+// Every /api route starts with describe(), which documents it for
+// /api/openapi.json and validates its request body against the same schema
+// before the handler runs. These are the pieces routes share.
+const idParam = label => ({ description: `${label} id`, schema: { type: 'integer', minimum: 1 } });
+const ETAG_HEADER = { ETag: 'Current version, to send back as If-Match' };
+const UNITS_QUERY = {
+  units: { description: 'Convert quantities to one unit system', schema: { type: 'string', enum: ['metric', 'us'] } }
+};
+
+// API versions
+// /api/v1 and /api/v2 name a version in the path; calls to plain /api may
+// name one in the Accept header. Unversioned calls get version 1 with
+// Deprecation and Sunset headers until unversionedApiSunsetAt, and are
+// counted so we know who still makes them.
+const apiUsage = new UsageCounter();
+const API_USAGE_FLUSH_INTERVAL_MS = 60 * 1000;
+
+app.use('/api', negotiateVersion({
+  deprecatedAt: config.unversionedApiDeprecatedAt,
+  sunsetAt: config.unversionedApiSunsetAt,
+  usage: apiUsage
+}));
+
+// Accounts and sessions
+// Browsers keep the session token in an HttpOnly cookie. API clients can
+// send the token from the login response as "Authorization: Bearer <token>".
+app.use('/api', authenticate(accounts));
+
+function sendSession(req, res, status, user, session) {
+  res.cookie(SESSION_COOKIE, session.token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: req.secure,
+    path: '/',
+    expires: new Date(session.expiresAt)
+  });
+  res.status(status).json({ user: publicUser(user), token: session.token, expiresAt: session.expiresAt });
+}
+
+app.post('/api/auth/register', describe({
+  tags: ['Accounts'],
+  summary: 'Create an account and sign in',
+  description: 'The first account becomes an admin; everyone after that starts as a contributor.',
+  body: registrationSchema,
+  responses: {
+    201: { description: 'Signed in; browsers also get the session cookie', schema: sessionSchema },
+    409: 'That username is taken'
+  }
+}), async (req, res) => {
+  const user = await accounts.register(req.body);
+  sendSession(req, res, 201, user, await accounts.startSession(user));
+});
+
+app.post('/api/auth/login', describe({
+  tags: ['Accounts'],
+  summary: 'Sign in',
+  body: loginSchema,
+  responses: {
+    200: { description: 'Signed in; browsers also get the session cookie', schema: sessionSchema },
+    401: 'Wrong username or password'
+  }
+}), async (req, res) => {
+  const { username, password } = req.body;
+  const user = await accounts.checkPassword(username, password);
+  if (!user) {
+    throw new UnauthorizedError('Wrong username or password');
+  }
+  sendSession(req, res, 200, user, await accounts.startSession(user));
+});
+
+// Sockets keep the user they signed in with. Replace it on the sockets a
+// test picks out, on every namespace, and close the log sockets that may no
+// longer watch.
+function updateSocketUsers(test, user) {
+  for (const namespace of [io.of('/'), logNamespace]) {
+    for (const socket of namespace.sockets.values()) {
+      if (test(socket)) socket.data.user = user;
+    }
+  }
+  closeUnauthorizedSockets(logNamespace);
+}
+
+app.post('/api/auth/logout', describe({
+  tags: ['Accounts'],
+  summary: 'Sign out',
+  description: 'Ends the session. Sockets opened with it stay connected, but anonymously; those watching the server log are disconnected.',
+  responses: { 204: 'Signed out' }
+}), async (req, res) => {
+  if (req.sessionToken) {
+    await accounts.endSession(req.sessionToken);
+    // Sockets opened with the same session stay connected, but anonymously
+    updateSocketUsers(socket => socket.data.sessionToken === req.sessionToken, null);
+  }
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+  res.status(204).end();
+});
+
+// The signed-in user
+app.get('/api/me', describe({
+  tags: ['Accounts'],
+  summary: 'The signed-in user',
+  role: 'viewer',
+  responses: { 200: { description: 'The signed-in user', schema: userSchema } }
+}), (req, res) => {
+  if (!req.user) {
+    throw new UnauthorizedError();
+  }
+  res.json(publicUser(req.user));
+});
+
+// Anyone may read; changing anything needs at least the contributor role.
+// Routes that need more check it themselves.
+app.use('/api', requireRoleForWrites('contributor'));
+
+// User management, for admins only
+app.get('/api/users', describe({
+  tags: ['Accounts'],
+  summary: 'List user accounts',
+  responses: { 200: { description: 'Every account', schema: [userSchema] } }
+}), requireRole('admin'), async (req, res) => {
+  const users = await accounts.listUsers();
+  res.json(users.map(publicUser));
+});
+
+app.patch('/api/users/:id', describe({
+  tags: ['Accounts'],
+  summary: "Change a user's role",
+  params: { id: idParam('User') },
+  body: userRoleSchema,
+  responses: {
+    200: { description: 'The updated user', schema: userSchema },
+    409: 'The last admin cannot be demoted'
+  }
+}), requireRole('admin'), async (req, res) => {
+  const user = await accounts.setRole(parseInt(req.params.id), req.body.role);
+  
+  // Sockets keep the user they signed in with; give them the new role now
+  updateSocketUsers(socket => socket.data.user && socket.data.user.id === user.id, user);
+  res.json(publicUser(user));
+});
+
 // API Routes
-app.get('/api/recipes', (req, res) => {
-  res.json(recipes);
+// List recipes one page at a time. The body stays a plain array; the total
+// count and the link to the next page travel in headers.
+app.get('/api/recipes', describe({
+  tags: ['Recipes'],
+  summary: 'List recipes',
+  description: 'One page at a time. The total count and the link to the next page are in the headers.',
+  query: {
+    limit: { description: 'Recipes per page (1-100, default 20)', schema: { type: 'integer', minimum: 1, maximum: 100 } },
+    cursor: 'Where the page starts, from the Link header of the previous page',
+    sort: {
+      description: 'Field to sort by; prefix with - for descending',
+      schema: { type: 'string', enum: Object.keys(SORT_KEYS).flatMap(key => [key, `-${key}`]) }
+    },
+    fields: 'Comma-separated fields to return instead of whole recipes',
+    category: 'Only recipes in this category',
+    ...UNITS_QUERY
+  },
+  responses: {
+    200: {
+      description: 'A page of recipes',
+      schema: [recipeSchema],
+      headers: { 'X-Total-Count': 'Number of recipes in all pages', Link: 'The next page, as rel="next"' }
+    },
+    400: 'Invalid query parameters'
+  }
+}), async (req, res) => {
+  const options = parseListQuery(req.query, Object.keys(recipeSchema.properties));
+  const units = parseUnitsParam(req.query);
+  const { items, total, nextCursor } = paginateRecipes(await recipeRepository.list(), options);
+  
+  res.set('X-Total-Count', String(total));
+  if (nextCursor) {
+    const nextQuery = new URLSearchParams({ ...req.query, cursor: nextCursor });
+    res.append('Link', `<${apiUrl(req, '/recipes')}?${nextQuery}>; rel="next"`);
+  }
+  res.json(units ? items.map(recipe => convertRecipe(recipe, units)) : items);
 });
 
-app.get('/api/recipes/:id', (req, res) => {
-  const recipe = recipes.find(r => r.id === parseInt(req.params.id));
+// Look up the recipe named by the :id route parameter or fail with a 404
+async function findRecipe(req) {
+  const recipe = await recipeRepository.get(parseInt(req.params.id));
   if (!recipe) {
-    return res.status(404).json({ error: 'Recipe not found' });
+    throw new NotFoundError('Recipe not found');
+  }
+  return recipe;
+}
+
+// Only the recipe's author or an editor may change it
+function checkCanEditRecipe(req, recipe) {
+  if (!canEditRecipe(req.user, recipe)) {
+    throw new ForbiddenError('Only the author of this recipe or an editor can change it');
+  }
+}
+
+// Refuse a write based on a stale copy of a document (If-Match mismatch)
+function checkPrecondition(req, document, label = 'Recipe') {
+  if (!ifMatchSatisfied(req.get('If-Match'), document)) {
+    throw new PreconditionFailedError(`${label} was modified by someone else`, etagFor(document));
+  }
+}
+
+// Run a conditional repository write, turning version conflicts into 412s
+async function writeDocument(repository, id, write, label = 'Recipe') {
+  try {
+    return await write();
+  } catch (error) {
+    if (error instanceof VersionConflictError) {
+      const current = await repository.get(id);
+      throw new PreconditionFailedError(`${label} was modified by someone else`, current && etagFor(current));
+    }
+    throw error;
+  }
+}
+
+function writeRecipe(recipeId, write) {
+  return writeDocument(recipeRepository, recipeId, write);
+}
+
+// Webhook event for each recipe event
+const WEBHOOK_EVENT_NAMES = {
+  recipeAdded: 'recipe.created',
+  recipeUpdated: 'recipe.updated',
+  recipeDeleted: 'recipe.deleted'
+};
+
+// Send a change to every Socket.IO client. The payload is the first
+// argument, as it always has been; the second is { seq }, the broadcast's
+// number in the replay log, which clients send back when they reconnect.
+function broadcast(event, payload) {
+  const seq = replayLog.append(event, payload);
+  io.emit(event, payload, { seq });
+}
+
+// Tell Socket.IO clients, GraphQL subscribers and webhooks about a recipe
+// change. Deletions are sent to clients as the recipe id, as they always
+// have been; webhooks get the whole recipe so they can filter by category.
+function publishRecipeEvent(event, recipe) {
+  const payload = event === 'recipeDeleted' ? recipe.id : recipe;
+  broadcast(event, payload);
+  recipeEvents.publish(event, payload);
+  webhooks.dispatch(WEBHOOK_EVENT_NAMES[event], recipe).catch(error => console.error('Webhook dispatch failed:', error));
+}
+
+// Store the structured form of each ingredient line next to the original text
+function withParsedIngredients(recipe) {
+  return { ...recipe, parsedIngredients: recipe.ingredients.map(parseIngredient) };
+}
+
+// Parse ingredients of recipes stored before ingredient parsing existed
+async function backfillParsedIngredients() {
+  const recipes = await recipeRepository.list();
+  for (const recipe of recipes) {
+    if (Array.isArray(recipe.ingredients) && !recipe.parsedIngredients) {
+      await recipeRepository.update(recipe.id, withParsedIngredients(recipe));
+    }
   }
-  res.json(recipe);
+}
+
+// ?servings=N returns the recipe scaled to N servings and ?units=metric|us
+// renders it in one unit system. Either gives a view of the recipe, so it
+// carries no ETag that could be used to write it back.
+app.get('/api/recipes/:id', describe({
+  tags: ['Recipes'],
+  summary: 'Get a recipe',
+  description: 'Scaled or converted recipes are views of the recipe and carry no ETag.',
+  params: { id: idParam('Recipe') },
+  query: {
+    servings: { description: 'Scale the recipe to this many servings', schema: { type: 'number', minimum: 0.25, maximum: 1000 } },
+    ...UNITS_QUERY
+  },
+  responses: {
+    200: { description: 'The recipe', schema: recipeSchema, headers: ETAG_HEADER },
+    400: 'Invalid query parameters',
+    422: 'The recipe does not say how many servings it makes'
+  }
+}), async (req, res) => {
+  const recipe = await findRecipe(req);
+  const servings = parseServingsParam(req.query);
+  const units = parseUnitsParam(req.query);
+  if (servings === null && units === null) {
+    res.set('ETag', etagFor(recipe));
+    return res.json(recipe);
+  }
+  
+  let view = recipe;
+  if (servings !== null) {
+    const scaled = scaleRecipe(recipe, servings);
+    if (!scaled) {
+      throw new ValidationError([
+        { field: 'servings', message: 'This recipe does not say how many servings it makes' }
+      ], 'Recipe cannot be scaled');
+    }
+    view = {
+      ...recipe,
+      servings: scaled.servings,
+      ingredients: scaled.ingredients,
+      parsedIngredients: scaled.parsedIngredients,
+      scale: { factor: scaled.factor, originalServings: scaled.originalServings }
+    };
+  }
+  if (units !== null) {
+    view = { ...convertRecipe(view, units), units };
+  }
+  res.json(view);
 });
 
-app.post('/api/recipes', (req, res) => {
-  const newRecipe = {
-    id: recipes.length + 1,
-    ...req.body,
-    createdAt: new Date().toISOString()
-  };
-  recipes.push(newRecipe);
-  res.status(201).json(newRecipe);
+// Nutrition facts per serving and for the whole recipe, computed from the
+// bundled nutrient table. Ingredients it could not match are listed in
+// `unmatched` so the numbers are never silently incomplete.
+app.get('/api/recipes/:id/nutrition', describe({
+  tags: ['Recipes'],
+  summary: 'Nutrition facts of a recipe',
+  params: { id: idParam('Recipe') },
+  responses: { 200: { description: 'Per serving and for the whole recipe', schema: nutritionSchema } }
+}), async (req, res) => {
+  const recipe = await findRecipe(req);
+  res.json({ recipeId: recipe.id, ...calculateNutrition(recipe) });
+});
+
+// Store a new recipe by a user, together with its first revision
+async function insertRecipe(fields, user) {
+  const newRecipe = await recipeRepository.insert(withParsedIngredients({
+    ...fields,
+    createdAt: new Date().toISOString(),
+    createdBy: user.id,
+    updatedBy: user.id
+  }));
+  await revisionLog.record(newRecipe, { action: 'create', authorId: user.id });
+  return newRecipe;
+}
+
+app.post('/api/recipes', describe({
+  tags: ['Recipes'],
+  summary: 'Add a recipe',
+  body: recipeSchema,
+  responses: {
+    201: { description: 'The new recipe', schema: recipeSchema, headers: { ...ETAG_HEADER, Location: 'URL of the recipe' } }
+  }
+}), async (req, res) => {
+  const newRecipe = await insertRecipe(req.body, req.user);
+  res.status(201)
+    .set('ETag', etagFor(newRecipe))
+    .location(apiUrl(req, `/recipes/${newRecipe.id}`))
+    .json(newRecipe);
+  
+  searchIndex.add(newRecipe);
   
   // Emit to all connected clients
-  io.emit('recipeAdded', newRecipe);
+  publishRecipeEvent('recipeAdded', newRecipe);
 });
 
-app.put('/api/recipes/:id', (req, res) => {
-  const index = recipes.findIndex(r => r.id === parseInt(req.params.id));
-  if (index === -1) {
-    return res.status(404).json({ error: 'Recipe not found' });
+// Write changes to a recipe by a user, together with their revision.
+// Changes that leave every tracked field as it was write nothing: the
+// recipe itself comes back, with the same version.
+async function updateRecipe(recipe, changes, user) {
+  const merged = mergeChanges(recipe, changes);
+  if (diffSnapshots(snapshotOf(recipe), snapshotOf(merged)).length === 0) {
+    return recipe;
   }
   
-  recipes[index] = { ...recipes[index], ...req.body };
-  res.json(recipes[index]);
+  const updatedRecipe = await writeRecipe(recipe.id, () => recipeRepository.update(recipe.id, withParsedIngredients({
+    ...merged,
+    updatedAt: new Date().toISOString(),
+    updatedBy: user.id
+  }), { expectedVersion: recipe.version }));
+  if (!updatedRecipe) {
+    throw new NotFoundError('Recipe not found');
+  }
+  await revisionLog.record(updatedRecipe, { action: 'update', authorId: user.id });
+  return updatedRecipe;
+}
+
+app.put('/api/recipes/:id', describe({
+  tags: ['Recipes'],
+  summary: 'Change a recipe',
+  description: 'Only the author of the recipe or an editor may change it. Fields left out keep their value; null removes an optional field and resets category to its default.',
+  params: { id: idParam('Recipe') },
+  body: { schema: recipeSchema, partial: true },
+  conditional: true,
+  responses: { 200: { description: 'The changed recipe', schema: recipeSchema, headers: ETAG_HEADER } }
+}), async (req, res) => {
+  const recipe = await findRecipe(req);
+  checkCanEditRecipe(req, recipe);
+  checkPrecondition(req, recipe);
+  
+  const updatedRecipe = await updateRecipe(recipe, req.body, req.user);
+  res.set('ETag', etagFor(updatedRecipe));
+  res.json(updatedRecipe);
+  if (updatedRecipe === recipe) return;
+  
+  searchIndex.add(updatedRecipe);
   
   // Emit to all connected clients
-  io.emit('recipeUpdated', recipes[index]);
+  publishRecipeEvent('recipeUpdated', updatedRecipe);
 });
 
-app.delete('/api/recipes/:id', (req, res) => {
-  const index = recipes.findIndex(r => r.id === parseInt(req.params.id));
-  if (index === -1) {
-    return res.status(404).json({ error: 'Recipe not found' });
+// Deleting moves the recipe to the trash, where it can be restored until
+// it is purged. The trash entry is written first, so a failed removal
+// leaves the recipe where it was rather than losing it.
+async function trashRecipe(recipe, user) {
+  await trashBin.add(recipe, { deletedBy: user.id });
+  let deletedRecipe;
+  try {
+    deletedRecipe = await writeRecipe(recipe.id, () =>
+      recipeRepository.remove(recipe.id, { expectedVersion: recipe.version })
+    );
+  } catch (error) {
+    await trashBin.remove(recipe.id);
+    throw error;
+  }
+  if (!deletedRecipe) {
+    await trashBin.remove(recipe.id);
+    throw new NotFoundError('Recipe not found');
   }
+  return deletedRecipe;
+}
+
+app.delete('/api/recipes/:id', describe({
+  tags: ['Recipes'],
+  summary: 'Move a recipe to the trash',
+  params: { id: idParam('Recipe') },
+  conditional: true,
+  responses: { 200: { description: 'The deleted recipe', schema: recipeSchema, headers: { Location: 'The recipe in the trash' } } }
+}), async (req, res) => {
+  const recipe = await findRecipe(req);
+  checkCanEditRecipe(req, recipe);
+  checkPrecondition(req, recipe);
   
-  const deletedRecipe = recipes.splice(index, 1)[0];
+  const deletedRecipe = await trashRecipe(recipe, req.user);
+  res.location(apiUrl(req, `/trash/${deletedRecipe.id}`));
   res.json(deletedRecipe);
   
+  searchIndex.remove(deletedRecipe.id);
+  
   // Emit to all connected clients
-  io.emit('recipeDeleted', deletedRecipe.id);
+  publishRecipeEvent('recipeDeleted', deletedRecipe);
 });
 
-// Search recipes
-app.get('/api/search', (req, res) => {
-  const query = req.query.q?.toLowerCase() || '';
-  const category = req.query.category?.toLowerCase();
+// Recipe photos
+// Photos are uploaded one at a time as multipart/form-data in a "photo"
+// field. The same file can belong to several recipes, so a file is only
+// deleted once no recipe refers to it any more.
+
+// Delete photo files that no stored or trashed recipe uses
+async function removeUnusedPhotos(filenames) {
+  if (filenames.length === 0) return;
+  const trashed = (await trashBin.list()).map(entry => entry.recipe);
+  const recipes = [...await recipeRepository.list(), ...trashed];
+  const used = new Set(recipes.flatMap(recipe => (recipe.photos || []).map(photo => photo.filename)));
+  for (const filename of filenames) {
+    if (!used.has(filename)) await photoStore.remove(filename);
+  }
+}
+
+app.post('/api/recipes/:id/photos', describe({
+  tags: ['Recipes'],
+  summary: 'Add a photo to a recipe',
+  params: { id: idParam('Recipe') },
+  body: {
+    description: 'One JPEG, PNG, GIF or WebP image',
+    content: {
+      'multipart/form-data': {
+        type: 'object',
+        required: ['photo'],
+        properties: { photo: { type: 'string', format: 'binary' } }
+      }
+    }
+  },
+  conditional: true,
+  responses: {
+    201: { description: 'The recipe with the photo', schema: recipeSchema, headers: { ...ETAG_HEADER, Location: 'URL of the photo' } },
+    200: { description: 'The recipe already had this photo', schema: recipeSchema, headers: ETAG_HEADER },
+    413: 'The photo is too large',
+    415: 'The file is not an image',
+    422: `The recipe already has ${MAX_PHOTOS_PER_RECIPE} photos`
+  }
+}), async (req, res) => {
+  const recipe = await findRecipe(req);
+  checkCanEditRecipe(req, recipe);
+  checkPrecondition(req, recipe);
+  const photos = recipe.photos || [];
+  if (photos.length >= MAX_PHOTOS_PER_RECIPE) {
+    throw new ValidationError([
+      { field: 'photo', message: `A recipe can have at most ${MAX_PHOTOS_PER_RECIPE} photos` }
+    ]);
+  }
   
-  let filteredRecipes = recipes.filter(recipe => 
-    recipe.title.toLowerCase().includes(query) ||
-    recipe.description.toLowerCase().includes(query) ||
-    recipe.ingredients.some(ingredient => ingredient.toLowerCase().includes(query))
-  );
+  const photo = await photoStore.save(await photoStore.receive(req, res));
+  if (photos.some(existing => existing.filename === photo.filename)) {
+    res.set('ETag', etagFor(recipe));
+    return res.json(recipe);
+  }
+  
+  let updatedRecipe;
+  try {
+    updatedRecipe = await writeRecipe(recipe.id, () => recipeRepository.update(recipe.id, {
+      ...recipe,
+      photos: [...photos, { ...photo, uploadedAt: new Date().toISOString() }],
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.id
+    }, { expectedVersion: recipe.version }));
+  } catch (error) {
+    await removeUnusedPhotos([photo.filename]);
+    throw error;
+  }
+  if (!updatedRecipe) {
+    throw new NotFoundError('Recipe not found');
+  }
+  await revisionLog.record(updatedRecipe, { action: 'update', authorId: req.user.id });
+  res.status(201)
+    .set('ETag', etagFor(updatedRecipe))
+    .location(photo.url)
+    .json(updatedRecipe);
+  
+  // Emit to all connected clients
+  publishRecipeEvent('recipeUpdated', updatedRecipe);
+});
+
+app.delete('/api/recipes/:id/photos/:filename', describe({
+  tags: ['Recipes'],
+  summary: 'Remove a photo from a recipe',
+  params: { id: idParam('Recipe'), filename: 'File name of the photo' },
+  conditional: true,
+  responses: { 200: { description: 'The recipe without the photo', schema: recipeSchema, headers: ETAG_HEADER } }
+}), async (req, res) => {
+  const recipe = await findRecipe(req);
+  checkCanEditRecipe(req, recipe);
+  checkPrecondition(req, recipe);
+  const photos = recipe.photos || [];
+  if (!photos.some(photo => photo.filename === req.params.filename)) {
+    throw new NotFoundError('Photo not found');
+  }
+  
+  const updatedRecipe = await writeRecipe(recipe.id, () => recipeRepository.update(recipe.id, {
+    ...recipe,
+    photos: photos.filter(photo => photo.filename !== req.params.filename),
+    updatedAt: new Date().toISOString(),
+    updatedBy: req.user.id
+  }, { expectedVersion: recipe.version }));
+  if (!updatedRecipe) {
+    throw new NotFoundError('Recipe not found');
+  }
+  await revisionLog.record(updatedRecipe, { action: 'update', authorId: req.user.id });
+  res.set('ETag', etagFor(updatedRecipe));
+  res.json(updatedRecipe);
+  
+  await removeUnusedPhotos([req.params.filename]);
+  
+  // Emit to all connected clients
+  publishRecipeEvent('recipeUpdated', updatedRecipe);
+});
+
+// Recipe revisions
+// Every write records the recipe as it was afterwards, numbered by the
+// version it produced. A revert writes the old fields back as a new
+// revision, so nothing in the history is ever lost.
+
+// Public profile of a revision's author, or null for unknown authors
+async function authorOf(authorId) {
+  const user = authorId === null ? null : await accounts.findById(authorId);
+  return user ? { id: user.id, username: user.username, displayName: user.displayName } : null;
+}
+
+// A revision as the API shows it; lists leave out the stored recipe
+async function describeRevision(revision, { withRecipe = false } = {}) {
+  const { id, version, recipe, ...summary } = revision;
+  const described = { ...summary, author: await authorOf(revision.authorId) };
+  if (withRecipe) described.recipe = recipe;
+  return described;
+}
+
+// Look up a revision of a recipe or fail with a 404
+async function findRevision(recipe, value, field = 'revision') {
+  const number = parseRevisionNumber(value, field);
+  const revision = await revisionLog.get(recipe.id, number);
+  if (!revision) {
+    throw new NotFoundError(`Revision ${number} of this recipe not found`);
+  }
+  return revision;
+}
+
+const revisionParam = { description: 'Revision number', schema: { type: 'integer', minimum: 1 } };
+
+// Newest first
+app.get('/api/recipes/:id/revisions', describe({
+  tags: ['Revisions'],
+  summary: 'Revision history of a recipe',
+  params: { id: idParam('Recipe') },
+  responses: { 200: { description: 'Revisions, newest first, without their recipe fields', schema: [revisionSchema] } }
+}), async (req, res) => {
+  const recipe = await findRecipe(req);
+  const revisions = (await revisionLog.list(recipe.id)).reverse();
+  res.json(await Promise.all(revisions.map(revision => describeRevision(revision))));
+});
+
+app.get('/api/recipes/:id/revisions/:revision', describe({
+  tags: ['Revisions'],
+  summary: 'One revision of a recipe',
+  params: { id: idParam('Recipe'), revision: revisionParam },
+  responses: {
+    200: { description: 'The revision with the recipe fields as they were', schema: revisionSchema },
+    400: 'Invalid revision'
+  }
+}), async (req, res) => {
+  const recipe = await findRecipe(req);
+  const revision = await findRevision(recipe, req.params.revision);
+  res.json(await describeRevision(revision, { withRecipe: true }));
+});
+
+// Field-level changes from revision ?from= to revision ?to=, which defaults
+// to the current one
+app.get('/api/recipes/:id/diff', describe({
+  tags: ['Revisions'],
+  summary: 'Changes between two revisions',
+  params: { id: idParam('Recipe') },
+  query: {
+    from: { ...revisionParam, required: true },
+    to: { ...revisionParam, description: 'Revision number; the current one when left out' }
+  },
+  responses: {
+    200: { description: 'Field-level changes', schema: recipeDiffSchema },
+    400: 'Invalid revision'
+  }
+}), async (req, res) => {
+  const recipe = await findRecipe(req);
+  if (req.query.from === undefined) {
+    throw new BadRequestError('Invalid query parameters', [
+      { field: 'from', message: 'from is required' }
+    ]);
+  }
+  const from = await findRevision(recipe, req.query.from, 'from');
+  const to = req.query.to === undefined
+    ? await revisionLog.latest(recipe.id)
+    : await findRevision(recipe, req.query.to, 'to');
+  res.json({
+    recipeId: recipe.id,
+    from: from.revision,
+    to: to.revision,
+    changes: diffSnapshots(from.recipe, to.recipe)
+  });
+});
+
+// Photos are left as they are: the files of photos removed since may be gone
+app.post('/api/recipes/:id/revisions/:revision/revert', describe({
+  tags: ['Revisions'],
+  summary: 'Revert a recipe to a revision',
+  description: 'Writes the fields of the revision back as a new revision. Photos are left as they are.',
+  params: { id: idParam('Recipe'), revision: revisionParam },
+  conditional: true,
+  responses: {
+    200: { description: 'The reverted recipe', schema: recipeSchema, headers: ETAG_HEADER },
+    400: 'Invalid revision'
+  }
+}), async (req, res) => {
+  const recipe = await findRecipe(req);
+  checkCanEditRecipe(req, recipe);
+  checkPrecondition(req, recipe);
+  const revision = await findRevision(recipe, req.params.revision);
+  
+  const { photos, ...restoredFields } = revision.recipe;
+  const base = { ...recipe };
+  TRACKED_FIELDS.filter(field => field !== 'photos').forEach(field => delete base[field]);
+  const updatedRecipe = await writeRecipe(recipe.id, () => recipeRepository.update(recipe.id, withParsedIngredients({
+    ...base,
+    ...restoredFields,
+    updatedAt: new Date().toISOString(),
+    updatedBy: req.user.id
+  }), { expectedVersion: recipe.version }));
+  if (!updatedRecipe) {
+    throw new NotFoundError('Recipe not found');
+  }
+  await revisionLog.record(updatedRecipe, {
+    action: 'revert',
+    authorId: req.user.id,
+    revertedTo: revision.revision
+  });
+  res.set('ETag', etagFor(updatedRecipe));
+  res.json(updatedRecipe);
+  
+  searchIndex.add(updatedRecipe);
   
-  if (category) {
-    filteredRecipes = filteredRecipes.filter(recipe => 
-      recipe.category.toLowerCase() === category
+  // Emit to all connected clients
+  publishRecipeEvent('recipeUpdated', updatedRecipe);
+});
+
+// Trash
+// Users see the trashed recipes they could edit, and only they may restore
+// or purge them. A purge removes the recipe's revisions and, when no other
+// recipe shares them, its photo files.
+
+// Trash entry as the API shows it
+function trashEntryView(entry) {
+  const { version, ...view } = entry;
+  return view;
+}
+
+// Look up the trash entry named by the :id route parameter, checking the
+// user may edit the recipe in it
+async function findTrashEntry(req) {
+  const entry = await trashBin.get(parseInt(req.params.id));
+  if (!entry) {
+    throw new NotFoundError('Recipe not found in the trash');
+  }
+  checkCanEditRecipe(req, entry.recipe);
+  return entry;
+}
+
+async function purgeTrashEntry(entry) {
+  await trashBin.remove(entry.id);
+  await revisionLog.removeAll(entry.id);
+  await removeUnusedPhotos((entry.recipe.photos || []).map(photo => photo.filename));
+}
+
+// Background job: purge every entry whose retention period is over
+async function purgeExpiredTrash() {
+  const expired = await trashBin.expired();
+  for (const entry of expired) {
+    await purgeTrashEntry(entry);
+  }
+  if (expired.length > 0) {
+    console.log(`🗑️ Purged ${expired.length} recipe(s) from the trash`);
+  }
+}
+
+app.get('/api/trash', describe({
+  tags: ['Trash'],
+  summary: 'List the trash',
+  description: 'Only the trashed recipes the signed-in user could edit.',
+  responses: { 200: { description: 'Trash entries', schema: [trashEntrySchema] } }
+}), requireRole('contributor'), async (req, res) => {
+  const entries = await trashBin.list();
+  res.json(entries
+    .filter(entry => canEditRecipe(req.user, entry.recipe))
+    .map(trashEntryView));
+});
+
+app.get('/api/trash/:id', describe({
+  tags: ['Trash'],
+  summary: 'Get a trashed recipe',
+  params: { id: idParam('Recipe') },
+  responses: { 200: { description: 'The trash entry', schema: trashEntrySchema } }
+}), requireRole('contributor'), async (req, res) => {
+  res.json(trashEntryView(await findTrashEntry(req)));
+});
+
+// Put a recipe back under its old id. Its version carries on from where it
+// was deleted, so ETags from before the delete never match again.
+app.post('/api/trash/:id/restore', describe({
+  tags: ['Trash'],
+  summary: 'Restore a recipe from the trash',
+  params: { id: idParam('Recipe') },
+  responses: {
+    200: { description: 'The restored recipe, under its old id', schema: recipeSchema, headers: { ...ETAG_HEADER, Location: 'URL of the recipe' } }
+  }
+}), async (req, res) => {
+  const entry = await findTrashEntry(req);
+  // Taking the entry out first means two restores cannot both succeed
+  if (!await trashBin.remove(entry.id)) {
+    throw new NotFoundError('Recipe not found in the trash');
+  }
+  
+  const { version, ...recipe } = entry.recipe;
+  let restoredRecipe;
+  try {
+    restoredRecipe = await recipeRepository.insert({
+      ...recipe,
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.user.id
+    }, { version: (version || 1) + 1 });
+  } catch (error) {
+    await trashBin.add(entry.recipe, { deletedBy: entry.deletedBy });
+    throw error;
+  }
+  await revisionLog.record(restoredRecipe, { action: 'restore', authorId: req.user.id });
+  res.set('ETag', etagFor(restoredRecipe))
+    .location(apiUrl(req, `/recipes/${restoredRecipe.id}`))
+    .json(restoredRecipe);
+  
+  searchIndex.add(restoredRecipe);
+  
+  // Emit to all connected clients
+  publishRecipeEvent('recipeAdded', restoredRecipe);
+});
+
+// Purge a recipe for good, without waiting for the retention period
+app.delete('/api/trash/:id', describe({
+  tags: ['Trash'],
+  summary: 'Purge a recipe for good',
+  params: { id: idParam('Recipe') },
+  responses: { 200: { description: 'The purged trash entry', schema: trashEntrySchema } }
+}), async (req, res) => {
+  const entry = await findTrashEntry(req);
+  await purgeTrashEntry(entry);
+  res.json(trashEntryView(entry));
+});
+
+// Recipe import
+// Files from other recipe apps, in any format lib/importers can read,
+// uploaded as a "file" field or sent as the request body. The preview is a
+// dry run reporting what would be created, what looks like a duplicate and
+// what could not be read; the import then stores the recipes in one go.
+const IMPORT_MAX_BYTES = config.importMaxBytes || 50 * 1024 * 1024;
+const receiveImportFile = createImportReceiver({ maxBytes: IMPORT_MAX_BYTES });
+const importBody = [
+  express.text({ type: ['text/html', 'text/plain', 'application/ld+json'], limit: IMPORT_MAX_BYTES }),
+  express.raw({ type: ['application/zip', 'application/gzip', 'application/octet-stream'], limit: IMPORT_MAX_BYTES })
+];
+
+async function readImportSource(req, res) {
+  if (req.is('multipart/form-data')) {
+    const file = await receiveImportFile(req, res);
+    return { buffer: file.buffer, filename: file.originalname };
+  }
+  if (Buffer.isBuffer(req.body)) {
+    return { buffer: req.body };
+  }
+  if (typeof req.body === 'string') {
+    return { buffer: Buffer.from(req.body) };
+  }
+  if (req.is('application/json') && req.body) {
+    return { buffer: Buffer.from(JSON.stringify(req.body)) };
+  }
+  throw new BadRequestError('Upload the file to import in a "file" field, or send it as the request body');
+}
+
+const IMPORT_DOCS = {
+  query: {
+    format: {
+      description: 'Read the file in this format instead of detecting it',
+      schema: { type: 'string', enum: listImporters().map(importer => importer.name) }
+    },
+    duplicates: {
+      description: 'What to do with recipes that look like ones already stored (default skip)',
+      schema: { type: 'string', enum: ['skip', 'import'] }
+    }
+  },
+  body: {
+    description: 'The file, as a "file" field or as the request body',
+    content: {
+      'multipart/form-data': { type: 'object', required: ['file'], properties: { file: { type: 'string', format: 'binary' } } },
+      'text/html': { type: 'string' },
+      'application/ld+json': { type: 'string' },
+      'application/zip': { type: 'string', format: 'binary' },
+      'application/gzip': { type: 'string', format: 'binary' },
+      'text/plain': { type: 'string' }
+    }
+  }
+};
+
+// Read the uploaded file and plan its import against the stored recipes
+async function planUploadedImport(req, res) {
+  const options = parseImportOptions(req.query);
+  const imported = readImport(await readImportSource(req, res), options);
+  return { imported, plan: planImport(imported, await recipeRepository.list(), options) };
+}
+
+// Store the photo embedded in an imported recipe, if there is one. A photo
+// that is too large or not an image is left out with a warning.
+async function storeImportedPhotos(entry, title, warnings) {
+  if (!entry.photo) return [];
+  if (entry.photo.length > photoStore.maxBytes) {
+    warnings.push(`The photo of "${title}" is larger than photos may be and was left out`);
+    return [];
+  }
+  try {
+    const photo = await photoStore.save({ buffer: entry.photo });
+    return [{ ...photo, uploadedAt: new Date().toISOString() }];
+  } catch (error) {
+    if (!(error instanceof UnsupportedMediaTypeError)) throw error;
+    warnings.push(`The photo of "${title}" was left out: ${error.message}`);
+    return [];
+  }
+}
+
+app.get('/api/import/formats', describe({
+  tags: ['Import and export'],
+  summary: 'Formats that can be imported',
+  responses: { 200: { description: 'Importers', schema: [importFormatSchema] } }
+}), (req, res) => {
+  res.json(listImporters());
+});
+
+app.post('/api/import/preview', describe({
+  tags: ['Import and export'],
+  summary: 'Preview an import',
+  description: 'A dry run: reports what would be created, what looks like a duplicate and what could not be read. Nothing is stored.',
+  ...IMPORT_DOCS,
+  responses: {
+    200: { description: 'What the import would do', schema: importPlanSchema },
+    400: 'No file was sent',
+    413: 'The file is too large',
+    415: 'The file is not in a format that can be imported'
+  }
+}), importBody, async (req, res) => {
+  const { plan } = await planUploadedImport(req, res);
+  res.json(plan);
+});
+
+app.post('/api/import', describe({
+  tags: ['Import and export'],
+  summary: 'Import recipes',
+  ...IMPORT_DOCS,
+  responses: {
+    201: { description: 'What was created and what was skipped', schema: importReportSchema },
+    400: 'No file was sent',
+    413: 'The file is too large',
+    415: 'The file is not in a format that can be imported',
+    422: 'None of the recipes found can be imported'
+  }
+}), importBody, async (req, res) => {
+  const { imported, plan } = await planUploadedImport(req, res);
+  const toCreate = plan.recipes.filter(entry => entry.action === 'create');
+  if (toCreate.length === 0) {
+    throw new ValidationError(
+      plan.recipes.flatMap(entry => entry.action === 'duplicate'
+        ? [{ field: `recipes[${entry.index}]`, message: `Looks like a duplicate of "${entry.duplicateOf.title}"` }]
+        : entry.errors.map(error => ({ field: `recipes[${entry.index}].${error.field}`, message: error.message }))),
+      plan.recipes.length === 0 ? 'No recipes were found to import' : 'None of the recipes found can be imported'
     );
   }
   
-  res.json(filteredRecipes);
+  const warnings = [...plan.warnings];
+  const created = [];
+  for (const entry of toCreate) {
+    const photos = await storeImportedPhotos(imported.recipes[entry.index], entry.recipe.title, warnings);
+    created.push(await insertRecipe(photos.length > 0 ? { ...entry.recipe, photos } : entry.recipe, req.user));
+  }
+  res.status(201).json({
+    format: plan.format,
+    summary: { ...plan.summary, created: created.length },
+    created,
+    skipped: plan.recipes
+      .filter(entry => entry.action !== 'create')
+      .map(({ index, action, recipe, errors, duplicateOf }) => ({ index, reason: action, title: recipe.title, errors, duplicateOf })),
+    warnings,
+    failures: plan.failures
+  });
+  
+  created.forEach(recipe => {
+    searchIndex.add(recipe);
+    
+    // Emit to all connected clients
+    publishRecipeEvent('recipeAdded', recipe);
+  });
+});
+
+// Search recipes, best matches first. Each result carries its relevance
+// score and HTML snippets with the matched words wrapped in <mark>.
+app.get('/api/search', describe({
+  tags: ['Recipes'],
+  summary: 'Search recipes',
+  query: {
+    q: 'Words to look for in titles, descriptions and ingredients',
+    category: 'Only recipes in this category',
+    limit: { description: 'Most results to return (default 50)', schema: { type: 'integer', minimum: 1, maximum: 100 } },
+    ...UNITS_QUERY
+  },
+  responses: {
+    200: { description: 'Best matches first', schema: [searchResultSchema], headers: { 'X-Total-Count': 'Number of matches' } },
+    400: 'Invalid query parameters'
+  }
+}), async (req, res) => {
+  const { q, category, limit } = parseSearchQuery(req.query);
+  const units = parseUnitsParam(req.query);
+  const { total, results } = searchIndex.search(q, { category, limit });
+  
+  const recipes = await Promise.all(results.map(async ({ id, score, highlights }) => {
+    const recipe = await recipeRepository.get(id);
+    return recipe && { ...(units ? convertRecipe(recipe, units) : recipe), score, highlights };
+  }));
+  
+  res.set('X-Total-Count', String(total));
+  res.json(recipes.filter(Boolean));
+});
+
+// Recipe export
+// One recipe or a set of them as a download in one of the export formats
+// (?format=jsonld|markdown|text|csv). ?units=metric|us converts the
+// quantities first, as on the other recipe routes.
+
+// Authors of the exported recipes, by user id
+async function exportAuthors(recipes) {
+  const authors = new Map();
+  for (const authorId of new Set(recipes.map(recipe => recipe.createdBy))) {
+    const author = authorId === undefined ? null : await authorOf(authorId);
+    if (author) authors.set(authorId, author);
+  }
+  return authors;
+}
+
+const EXPORT_DOCS = {
+  query: {
+    format: { description: 'File format', required: true, schema: { type: 'string', enum: Object.keys(EXPORT_FORMATS) } },
+    ...UNITS_QUERY
+  },
+  responses: {
+    200: {
+      description: 'The file, as a download',
+      content: Object.fromEntries(Object.values(EXPORT_FORMATS).map(format => [format.type, { type: 'string' }])),
+      headers: { 'Content-Disposition': 'attachment, with the file name' }
+    },
+    400: 'Invalid query parameters'
+  }
+};
+
+async function sendExport(req, res, format, recipes, label, options) {
+  const units = parseUnitsParam(req.query);
+  const exported = units ? recipes.map(recipe => convertRecipe(recipe, units)) : recipes;
+  const context = {
+    baseUrl: `${req.protocol}://${req.get('host')}`,
+    authors: await exportAuthors(exported)
+  };
+  res.attachment(exportFilename(label, format))
+    .type(`${format.type}; charset=utf-8`)
+    .send(format.render(exported, context, options));
+}
+
+app.get('/api/recipes/:id/export', describe({
+  tags: ['Import and export'],
+  summary: 'Export a recipe',
+  params: { id: idParam('Recipe') },
+  ...EXPORT_DOCS
+}), async (req, res) => {
+  const format = parseExportFormat(req.query);
+  const recipe = await findRecipe(req);
+  await sendExport(req, res, format, [recipe], recipe.title, { single: true });
+});
+
+// The recipes a search with the same ?q= and ?category= finds, best matches
+// first and without a limit; ?ids= keeps only the listed recipes. With no
+// parameters besides the format, every recipe is exported.
+app.get('/api/export', describe({
+  tags: ['Import and export'],
+  summary: 'Export a set of recipes',
+  description: 'The recipes a search with the same q and category finds; with neither, every recipe.',
+  ...EXPORT_DOCS,
+  query: {
+    ...EXPORT_DOCS.query,
+    q: 'Search words',
+    category: 'Only recipes in this category',
+    ids: 'Comma-separated ids of the recipes to keep'
+  }
+}), async (req, res) => {
+  const format = parseExportFormat(req.query);
+  const { q, category, ids } = parseExportQuery(req.query);
+  const { results } = searchIndex.search(q, { category, limit: Infinity });
+  const wanted = ids && new Set(ids);
+  
+  const recipes = [];
+  for (const { id } of results) {
+    if (wanted && !wanted.has(id)) continue;
+    const recipe = await recipeRepository.get(id);
+    if (recipe) recipes.push(recipe);
+  }
+  await sendExport(req, res, format, recipes, ['recipes', category, q].filter(Boolean).join(' '));
 });
 
 // Get recipe categories
-app.get('/api/categories', (req, res) => {
+app.get('/api/categories', describe({
+  tags: ['Recipes'],
+  summary: 'Recipe categories',
+  responses: { 200: { description: 'Every category in use', schema: { type: 'array', items: { type: 'string' } } } }
+}), async (req, res) => {
+  const recipes = await recipeRepository.list();
   const categories = [...new Set(recipes.map(recipe => recipe.category))];
   res.json(categories);
 });
 
-// WebSocket connection handling
+// Shopping lists
+// A list is built from a set of recipes and servings. Its items are a
+// snapshot taken when the list is created or its recipes are changed, so
+// later recipe edits never reshuffle a list someone is shopping from.
+
+// Look up the shopping list named by the :id route parameter or fail with a 404
+async function findShoppingList(req) {
+  const list = await shoppingListRepository.get(parseInt(req.params.id));
+  if (!list) {
+    throw new NotFoundError('Shopping list not found');
+  }
+  return list;
+}
+
+// Load the selected recipes, scaled to the servings asked for, and describe
+// them for the list. Unknown or unscalable recipes fail with a 422.
+async function loadListRecipes(selections) {
+  const entries = [];
+  const errors = [];
+  
+  for (const [index, { recipeId, servings }] of selections.entries()) {
+    const recipe = await recipeRepository.get(recipeId);
+    if (!recipe) {
+      errors.push({ field: `recipes[${index}].recipeId`, message: `Recipe ${recipeId} does not exist` });
+      continue;
+    }
+    const scaled = servings !== undefined && servings !== null ? scaleRecipe(recipe, servings) : null;
+    if (servings !== undefined && servings !== null && !scaled) {
+      errors.push({ field: `recipes[${index}].servings`, message: 'This recipe does not say how many servings it makes' });
+      continue;
+    }
+    entries.push({
+      recipe,
+      parsedIngredients: scaled ? scaled.parsedIngredients : recipe.parsedIngredients || recipe.ingredients.map(parseIngredient),
+      summary: {
+        recipeId: recipe.id,
+        title: recipe.title,
+        servings: scaled ? servings : null,
+        servingsLabel: scaled ? scaled.servings : recipe.servings || null
+      }
+    });
+  }
+  
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return entries;
+}
+
+// Shopping list exports, chosen with ?format=
+const SHOPPING_LIST_FORMATS = {
+  text: { render: toText, type: 'text/plain', extension: 'txt' },
+  markdown: { render: toMarkdown, type: 'text/markdown', extension: 'md' }
+};
+
+app.get('/api/shopping-lists', describe({
+  tags: ['Shopping lists'],
+  summary: 'List shopping lists',
+  responses: { 200: { description: 'Every shopping list', schema: [shoppingListSchema] } }
+}), async (req, res) => {
+  res.json(await shoppingListRepository.list());
+});
+
+// ?format=text|markdown downloads the list instead of returning JSON
+app.get('/api/shopping-lists/:id', describe({
+  tags: ['Shopping lists'],
+  summary: 'Get or download a shopping list',
+  params: { id: idParam('Shopping list') },
+  query: {
+    format: { description: 'Download as a file instead', schema: { type: 'string', enum: ['json', ...Object.keys(SHOPPING_LIST_FORMATS)] } }
+  },
+  responses: {
+    200: {
+      description: 'The shopping list; downloads carry no ETag',
+      content: {
+        'application/json': shoppingListSchema,
+        ...Object.fromEntries(Object.values(SHOPPING_LIST_FORMATS).map(format => [format.type, { type: 'string' }]))
+      },
+      headers: ETAG_HEADER
+    },
+    400: 'Invalid query parameters'
+  }
+}), async (req, res) => {
+  const list = await findShoppingList(req);
+  if (req.query.format === undefined || req.query.format === 'json') {
+    res.set('ETag', etagFor(list));
+    return res.json(list);
+  }
+  
+  if (typeof req.query.format !== 'string' || !Object.hasOwn(SHOPPING_LIST_FORMATS, req.query.format)) {
+    throw new BadRequestError('Invalid query parameters', [
+      { field: 'format', message: `format must be one of: json, ${Object.keys(SHOPPING_LIST_FORMATS).join(', ')}` }
+    ]);
+  }
+  const format = SHOPPING_LIST_FORMATS[req.query.format];
+  res.attachment(`shopping-list-${list.id}.${format.extension}`)
+    .type(`${format.type}; charset=utf-8`)
+    .send(format.render(list));
+});
+
+// Build and store a new shopping list from { recipeId, servings } selections
+async function insertShoppingList(name, selections) {
+  const entries = await loadListRecipes(selections);
+  return shoppingListRepository.insert({
+    name,
+    recipes: entries.map(entry => entry.summary),
+    items: buildItems(entries),
+    createdAt: new Date().toISOString()
+  });
+}
+
+app.post('/api/shopping-lists', describe({
+  tags: ['Shopping lists'],
+  summary: 'Make a shopping list from recipes',
+  body: shoppingListSchema,
+  responses: {
+    201: { description: 'The new list', schema: shoppingListSchema, headers: { ...ETAG_HEADER, Location: 'URL of the list' } }
+  }
+}), async (req, res) => {
+  const { name, recipes } = req.body;
+  const newList = await insertShoppingList(name, recipes);
+  res.status(201)
+    .set('ETag', etagFor(newList))
+    .location(apiUrl(req, `/shopping-lists/${newList.id}`))
+    .json(newList);
+  
+  // Emit to all connected clients
+  broadcast('shoppingListAdded', newList);
+});
+
+// Renaming keeps the items; new recipes rebuild them, keeping checked items checked
+app.put('/api/shopping-lists/:id', describe({
+  tags: ['Shopping lists'],
+  summary: 'Rename a shopping list or change its recipes',
+  params: { id: idParam('Shopping list') },
+  body: { schema: shoppingListSchema, partial: true },
+  conditional: true,
+  responses: { 200: { description: 'The changed list', schema: shoppingListSchema, headers: ETAG_HEADER } }
+}), async (req, res) => {
+  const list = await findShoppingList(req);
+  checkPrecondition(req, list, 'Shopping list');
+  
+  const rebuilt = {};
+  if (req.body.recipes) {
+    const entries = await loadListRecipes(req.body.recipes);
+    rebuilt.recipes = entries.map(entry => entry.summary);
+    rebuilt.items = buildItems(entries, list.items);
+  }
+  
+  const updatedList = await writeDocument(shoppingListRepository, list.id, () => shoppingListRepository.update(list.id, {
+    ...mergeChanges(list, req.body),
+    ...rebuilt,
+    updatedAt: new Date().toISOString()
+  }, { expectedVersion: list.version }), 'Shopping list');
+  if (!updatedList) {
+    throw new NotFoundError('Shopping list not found');
+  }
+  res.set('ETag', etagFor(updatedList));
+  res.json(updatedList);
+  
+  // Emit to all connected clients
+  broadcast('shoppingListUpdated', updatedList);
+});
+
+// Check an item off, or back on. Returns the whole list.
+app.patch('/api/shopping-lists/:id/items/:itemId', describe({
+  tags: ['Shopping lists'],
+  summary: 'Check a shopping list item off, or back on',
+  params: { id: idParam('Shopping list'), itemId: 'Item id' },
+  body: shoppingListItemSchema,
+  conditional: true,
+  responses: { 200: { description: 'The whole list', schema: shoppingListSchema, headers: ETAG_HEADER } }
+}), async (req, res) => {
+  const list = await findShoppingList(req);
+  checkPrecondition(req, list, 'Shopping list');
+  if (!list.items.some(item => item.id === req.params.itemId)) {
+    throw new NotFoundError('Shopping list item not found');
+  }
+  
+  const updatedList = await writeDocument(shoppingListRepository, list.id, () => shoppingListRepository.update(list.id, {
+    ...list,
+    items: list.items.map(item => item.id === req.params.itemId ? { ...item, checked: req.body.checked } : item),
+    updatedAt: new Date().toISOString()
+  }, { expectedVersion: list.version }), 'Shopping list');
+  if (!updatedList) {
+    throw new NotFoundError('Shopping list not found');
+  }
+  res.set('ETag', etagFor(updatedList));
+  res.json(updatedList);
+  
+  // Emit to all connected clients
+  broadcast('shoppingListUpdated', updatedList);
+});
+
+app.delete('/api/shopping-lists/:id', describe({
+  tags: ['Shopping lists'],
+  summary: 'Delete a shopping list',
+  params: { id: idParam('Shopping list') },
+  conditional: true,
+  responses: { 200: { description: 'The deleted list', schema: shoppingListSchema } }
+}), async (req, res) => {
+  const list = await findShoppingList(req);
+  checkPrecondition(req, list, 'Shopping list');
+  
+  const deletedList = await writeDocument(shoppingListRepository, list.id, () =>
+    shoppingListRepository.remove(list.id, { expectedVersion: list.version }), 'Shopping list');
+  if (!deletedList) {
+    throw new NotFoundError('Shopping list not found');
+  }
+  
+  res.json(deletedList);
+  
+  // Emit to all connected clients
+  broadcast('shoppingListDeleted', deletedList.id);
+});
+
+// Meal planner
+// Each entry plans one recipe for a meal slot on a day. Calendar views ask
+// for a week (?week=2026-W43), a month (?month=2026-10) or ?from=&to=.
+
+// Look up the meal plan entry named by the :id route parameter or fail with a 404
+async function findPlanEntry(req) {
+  const entry = await mealPlanRepository.get(parseInt(req.params.id));
+  if (!entry) {
+    throw new NotFoundError('Meal plan entry not found');
+  }
+  return entry;
+}
+
+// Fail with a 422 unless the recipe a meal plan entry names exists
+async function checkPlannedRecipe({ recipeId }) {
+  if (recipeId !== undefined && !(await recipeRepository.get(recipeId))) {
+    throw new ValidationError([{ field: 'recipeId', message: `Recipe ${recipeId} does not exist` }]);
+  }
+}
+
+const PLAN_RANGE_QUERY = {
+  week: { description: 'An ISO week', schema: { type: 'string', pattern: '^\\d{4}-W\\d{2}$', examples: ['2026-W43'] } },
+  month: { description: 'A month', schema: { type: 'string', pattern: '^\\d{4}-\\d{2}$', examples: ['2026-10'] } },
+  from: { description: 'First day, with to', schema: { type: 'string', format: 'date' } },
+  to: { description: 'Last day, with from', schema: { type: 'string', format: 'date' } }
+};
+
+// Entry with a summary of its recipe for the calendar, or recipe: null
+// once the recipe has been deleted
+async function withPlannedRecipe(entry) {
+  const recipe = await recipeRepository.get(entry.recipeId);
+  return {
+    ...entry,
+    recipe: recipe && { id: recipe.id, title: recipe.title, category: recipe.category, servings: recipe.servings }
+  };
+}
+
+app.get('/api/meal-plan', describe({
+  tags: ['Meal plan'],
+  summary: 'Planned meals in a range',
+  description: 'Give week, month or from and to; without any of them, the current week.',
+  query: PLAN_RANGE_QUERY,
+  responses: {
+    200: { description: 'The range and the meals planned in it', schema: mealPlanSchema },
+    400: 'Invalid range'
+  }
+}), async (req, res) => {
+  const range = parsePlanRange(req.query);
+  const entries = entriesInRange(await mealPlanRepository.list(), range);
+  res.json({ ...range, entries: await Promise.all(entries.map(withPlannedRecipe)) });
+});
+
+app.get('/api/meal-plan/:id', describe({
+  tags: ['Meal plan'],
+  summary: 'Get a planned meal',
+  params: { id: idParam('Meal plan entry') },
+  responses: { 200: { description: 'The entry with a summary of its recipe', schema: plannedMealSchema, headers: ETAG_HEADER } }
+}), async (req, res) => {
+  const entry = await findPlanEntry(req);
+  res.set('ETag', etagFor(entry));
+  res.json(await withPlannedRecipe(entry));
+});
+
+app.post('/api/meal-plan', describe({
+  tags: ['Meal plan'],
+  summary: 'Plan a meal',
+  body: mealPlanEntrySchema,
+  responses: {
+    201: { description: 'The new entry with a summary of its recipe', schema: plannedMealSchema, headers: { ...ETAG_HEADER, Location: 'URL of the entry' } }
+  }
+}), async (req, res) => {
+  await checkPlannedRecipe(req.body);
+  const newEntry = await mealPlanRepository.insert({
+    ...req.body,
+    createdAt: new Date().toISOString()
+  });
+  res.status(201)
+    .set('ETag', etagFor(newEntry))
+    .location(apiUrl(req, `/meal-plan/${newEntry.id}`))
+    .json(await withPlannedRecipe(newEntry));
+  
+  // Emit to all connected clients
+  broadcast('mealPlanEntryAdded', newEntry);
+});
+
+// Moving an entry to another day or meal is a PUT with the new date/slot
+app.put('/api/meal-plan/:id', describe({
+  tags: ['Meal plan'],
+  summary: 'Change or move a planned meal',
+  params: { id: idParam('Meal plan entry') },
+  body: { schema: mealPlanEntrySchema, partial: true },
+  conditional: true,
+  responses: { 200: { description: 'The changed entry with a summary of its recipe', schema: plannedMealSchema, headers: ETAG_HEADER } }
+}), async (req, res) => {
+  const entry = await findPlanEntry(req);
+  checkPrecondition(req, entry, 'Meal plan entry');
+  await checkPlannedRecipe(req.body);
+  
+  const updatedEntry = await writeDocument(mealPlanRepository, entry.id, () => mealPlanRepository.update(entry.id, {
+    ...mergeChanges(entry, req.body),
+    updatedAt: new Date().toISOString()
+  }, { expectedVersion: entry.version }), 'Meal plan entry');
+  if (!updatedEntry) {
+    throw new NotFoundError('Meal plan entry not found');
+  }
+  res.set('ETag', etagFor(updatedEntry));
+  res.json(await withPlannedRecipe(updatedEntry));
+  
+  // Emit to all connected clients
+  broadcast('mealPlanEntryUpdated', updatedEntry);
+});
+
+app.delete('/api/meal-plan/:id', describe({
+  tags: ['Meal plan'],
+  summary: 'Remove a planned meal',
+  params: { id: idParam('Meal plan entry') },
+  conditional: true,
+  responses: { 200: { description: 'The removed entry', schema: mealPlanEntrySchema } }
+}), async (req, res) => {
+  const entry = await findPlanEntry(req);
+  checkPrecondition(req, entry, 'Meal plan entry');
+  
+  const deletedEntry = await writeDocument(mealPlanRepository, entry.id, () =>
+    mealPlanRepository.remove(entry.id, { expectedVersion: entry.version }), 'Meal plan entry');
+  if (!deletedEntry) {
+    throw new NotFoundError('Meal plan entry not found');
+  }
+  
+  res.json(deletedEntry);
+  
+  // Emit to all connected clients
+  broadcast('mealPlanEntryDeleted', deletedEntry.id);
+});
+
+// Turn the planned meals of a range (same query as GET /api/meal-plan) into
+// a new shopping list. Entries whose recipe was deleted are left out.
+app.post('/api/meal-plan/shopping-list', describe({
+  tags: ['Meal plan'],
+  summary: 'Make a shopping list from planned meals',
+  query: PLAN_RANGE_QUERY,
+  body: { schema: mealPlanShoppingListSchema, required: false },
+  responses: {
+    201: { description: 'The new list', schema: shoppingListSchema, headers: { ...ETAG_HEADER, Location: 'URL of the list' } },
+    400: 'Invalid range',
+    422: 'Nothing is planned in the range'
+  }
+}), async (req, res) => {
+  const range = parsePlanRange(req.query);
+  const planned = [];
+  for (const entry of entriesInRange(await mealPlanRepository.list(), range)) {
+    if (await recipeRepository.get(entry.recipeId)) planned.push(entry);
+  }
+  if (planned.length === 0) {
+    throw new ValidationError([
+      { field: 'range', message: `Nothing is planned between ${range.from} and ${range.to}` }
+    ], 'Nothing to shop for');
+  }
+  
+  const newList = await insertShoppingList(
+    req.body.name || `Meals ${range.from} to ${range.to}`,
+    planned.map(({ recipeId, servings }) => ({ recipeId, servings }))
+  );
+  res.status(201)
+    .set('ETag', etagFor(newList))
+    .location(apiUrl(req, `/shopping-lists/${newList.id}`))
+    .json(newList);
+  
+  // Emit to all connected clients
+  broadcast('shoppingListAdded', newList);
+});
+
+// Webhooks
+// Other services subscribe a URL to recipe events instead of polling. Each
+// delivery is signed with the webhook's secret (lib/webhooks/signature.js)
+// and retried with exponential backoff; the delivery log shows every
+// attempt. Only admins manage webhooks, as they send recipes off the server.
+
+// Look up the webhook named by the :id route parameter or fail with a 404
+async function findWebhook(req) {
+  const webhook = await webhooks.get(parseInt(req.params.id));
+  if (!webhook) {
+    throw new NotFoundError('Webhook not found');
+  }
+  return webhook;
+}
+
+const WEBHOOK_DESCRIPTION = 'Each event is POSTed to the URL as a Webhook event, with X-Webhook-Event, ' +
+  'X-Webhook-Delivery and X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" keyed with the secret>. ' +
+  'Deliveries answered with anything but a 2xx are retried with exponential backoff.';
+
+app.get('/api/webhooks', describe({
+  tags: ['Webhooks'],
+  summary: 'List webhooks',
+  responses: { 200: { description: 'Every webhook, without its secret', schema: [webhookSchema] } }
+}), requireRole('admin'), async (req, res) => {
+  res.json((await webhooks.list()).map(publicWebhook));
+});
+
+app.post('/api/webhooks', describe({
+  tags: ['Webhooks'],
+  summary: 'Subscribe a URL to recipe events',
+  description: WEBHOOK_DESCRIPTION,
+  body: webhookSchema,
+  responses: {
+    201: { description: 'The new webhook with its secret, shown this once', schema: webhookSchema, headers: { ...ETAG_HEADER, Location: 'URL of the webhook' } }
+  }
+}), requireRole('admin'), async (req, res) => {
+  const newWebhook = await webhooks.create(req.body, { createdBy: req.user.id });
+  res.status(201)
+    .set('ETag', etagFor(newWebhook))
+    .location(apiUrl(req, `/webhooks/${newWebhook.id}`))
+    .json(newWebhook);
+});
+
+app.get('/api/webhooks/:id', describe({
+  tags: ['Webhooks'],
+  summary: 'Get a webhook',
+  params: { id: idParam('Webhook') },
+  responses: { 200: { description: 'The webhook, without its secret', schema: webhookSchema, headers: ETAG_HEADER } }
+}), requireRole('admin'), async (req, res) => {
+  const webhook = await findWebhook(req);
+  res.set('ETag', etagFor(webhook));
+  res.json(publicWebhook(webhook));
+});
+
+// Change the URL, events or filters, or pause deliveries with active: false
+app.put('/api/webhooks/:id', describe({
+  tags: ['Webhooks'],
+  summary: 'Change a webhook',
+  params: { id: idParam('Webhook') },
+  body: { schema: webhookSchema, partial: true },
+  conditional: true,
+  responses: { 200: { description: 'The changed webhook', schema: webhookSchema, headers: ETAG_HEADER } }
+}), requireRole('admin'), async (req, res) => {
+  const webhook = await findWebhook(req);
+  checkPrecondition(req, webhook, 'Webhook');
+  
+  const updatedWebhook = await writeDocument(webhooks, webhook.id, () => webhooks.update(webhook, req.body), 'Webhook');
+  if (!updatedWebhook) {
+    throw new NotFoundError('Webhook not found');
+  }
+  res.set('ETag', etagFor(updatedWebhook));
+  res.json(publicWebhook(updatedWebhook));
+});
+
+app.delete('/api/webhooks/:id', describe({
+  tags: ['Webhooks'],
+  summary: 'Delete a webhook and its delivery log',
+  params: { id: idParam('Webhook') },
+  conditional: true,
+  responses: { 200: { description: 'The deleted webhook', schema: webhookSchema } }
+}), requireRole('admin'), async (req, res) => {
+  const webhook = await findWebhook(req);
+  checkPrecondition(req, webhook, 'Webhook');
+  
+  const deletedWebhook = await writeDocument(webhooks, webhook.id, () => webhooks.remove(webhook), 'Webhook');
+  if (!deletedWebhook) {
+    throw new NotFoundError('Webhook not found');
+  }
+  res.json(publicWebhook(deletedWebhook));
+});
+
+app.get('/api/webhooks/:id/deliveries', describe({
+  tags: ['Webhooks'],
+  summary: 'Delivery log of a webhook',
+  description: 'The most recent deliveries with every attempt at them. Pending deliveries are waiting for a retry.',
+  params: { id: idParam('Webhook') },
+  responses: { 200: { description: 'Deliveries, newest first', schema: [webhookDeliverySchema] } }
+}), requireRole('admin'), async (req, res) => {
+  const webhook = await findWebhook(req);
+  res.json((await webhooks.deliveriesOf(webhook.id)).map(describeDelivery));
+});
+
+// Sent even to paused webhooks, to test a receiver before switching it on
+app.post('/api/webhooks/:id/ping', describe({
+  tags: ['Webhooks'],
+  summary: 'Send a ping event to a webhook now',
+  params: { id: idParam('Webhook') },
+  responses: { 200: { description: 'The delivery after its first attempt', schema: webhookDeliverySchema } }
+}), requireRole('admin'), async (req, res) => {
+  const webhook = await findWebhook(req);
+  res.json(describeDelivery(await webhooks.ping(webhook)));
+});
+
+// WebSocket connection handling. Sockets sign in with the same session as
+// the HTTP API; anonymous sockets still receive every broadcast.
+io.use(authenticateSocket(accounts));
+
+// Least role needed for each event a client may send; null lets anyone send
+// it. Unlisted events are refused (see authorizeSocketEvents).
+const SOCKET_EVENT_ROLES = {
+  requestRecipes: null
+};
+
+// Socket.IO events, for the API reference
+const SOCKET_EVENTS = {
+  server: {
+    recipeAdded: { description: 'A recipe was added, imported or restored from the trash', payload: recipeSchema },
+    recipeUpdated: { description: 'A recipe was changed', payload: recipeSchema },
+    recipeDeleted: { description: 'A recipe was moved to the trash', payload: { type: 'integer', description: 'Recipe id' } },
+    recipesList: { description: 'Every recipe, in reply to requestRecipes', payload: [recipeSchema] },
+    shoppingListAdded: { description: 'A shopping list was made', payload: shoppingListSchema },
+    shoppingListUpdated: { description: 'A shopping list was changed or an item checked off', payload: shoppingListSchema },
+    shoppingListDeleted: { description: 'A shopping list was deleted', payload: { type: 'integer', description: 'Shopping list id' } },
+    mealPlanEntryAdded: { description: 'A meal was planned', payload: mealPlanEntrySchema },
+    mealPlanEntryUpdated: { description: 'A planned meal was changed or moved', payload: mealPlanEntrySchema },
+    mealPlanEntryDeleted: { description: 'A planned meal was removed', payload: { type: 'integer', description: 'Meal plan entry id' } },
+    requestFailed: { description: 'An event this socket sent was refused; sent to that socket only', payload: errorSchema },
+    replay: {
+      description: 'Sent on every connection, before any change is. Recipe, shopping list and meal plan broadcasts carry { seq } as a second argument; ' +
+        'a client reconnecting with { epoch, lastSeq } in its handshake auth gets the broadcasts it missed here, oldest first',
+      payload: {
+        type: 'object',
+        properties: {
+          epoch: { type: 'string', description: 'Names this server run; sequence numbers from another run cannot be resumed' },
+          seq: { type: 'integer', description: 'Sequence number of the latest broadcast' },
+          events: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { seq: { type: 'integer' }, event: { type: 'string' }, payload: {} }
+            }
+          }
+        }
+      }
+    },
+    resync: {
+      description: 'Sent instead of replay when the missed broadcasts are no longer kept; the client should reload what it shows',
+      payload: {
+        type: 'object',
+        properties: {
+          epoch: { type: 'string' },
+          seq: { type: 'integer', description: 'Sequence number to resume from after reloading' },
+          reason: { type: 'string' }
+        }
+      }
+    }
+  },
+  client: {
+    requestRecipes: { description: 'Ask for every recipe; answered with recipesList' }
+  }
+};
+
+// Start a socket off with the broadcasts it missed. A new client sends no
+// auth.lastSeq and just learns where the sequence stands.
+function sendReplay(socket) {
+  const { auth } = socket.handshake;
+  const { epoch, seq } = replayLog;
+  if (!auth || auth.lastSeq === undefined || auth.lastSeq === null) {
+    socket.emit('replay', { epoch, seq, events: [] });
+    return;
+  }
+  const missed = replayLog.since(auth.epoch, auth.lastSeq);
+  if (missed.events) {
+    socket.emit('replay', { epoch, seq, events: missed.events });
+  } else {
+    socket.emit('resync', { epoch, seq, reason: missed.reason });
+  }
+}
+
 io.on('connection', (socket) => {
-  console.log('A user connected:', socket.id);
+  const { user } = socket.data;
+  socketLog.info('A user connected:', socket.id, user ? `(${user.username})` : '(anonymous)');
+  
+  socket.use(authorizeSocketEvents(socket, SOCKET_EVENT_ROLES));
+  socket.on('error', (error) => {
+    socket.emit('requestFailed', errorEnvelope(error));
+  });
   
   socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
+    socketLog.info('User disconnected:', socket.id);
   });
   
-  socket.on('requestRecipes', () => {
-    socket.emit('recipesList', recipes);
+  // Nothing is broadcast between joining and this, so the socket sees every
+  // change exactly once: in the replay or live after it
+  sendReplay(socket);
+  
+  socket.on('requestRecipes', async () => {
+    try {
+      socket.emit('recipesList', await recipeRepository.list());
+    } catch (error) {
+      console.error('Error listing recipes for a socket:', error);
+      socket.emit('requestFailed', errorEnvelope(new HttpError(500, 'INTERNAL_ERROR', 'Something went wrong')));
+    }
   });
 });
 
-// Terminal output capture (if enabled)
-if (config.useTerminalOutputCapture) {
-  const originalConsoleLog = console.log;
-  console.log = (...args) => {
-    let output = args.join(' ');
-    
-    if (config.useTerminalOutputAnsiStrip) {
-      // Strip ANSI codes
-      output = output.replace(/\x1b\[[0-9;]*m/g, '');
-    }
-    
-    if (config.useTerminalOutputToHtml) {
-      // Convert to HTML (basic implementation)
-      output = output.replace(/\n/g, '<br>');
+// Server log
+// Admins watch the log on its own namespace; the main one, open to anyone,
+// is sent none of it.
+const LOG_NAMESPACE = '/admin/logs';
+const logNamespace = attachLogNamespace(io, serverLog, { accounts, name: LOG_NAMESPACE });
+
+// The log namespace's events, for the API reference
+const LOG_NAMESPACE_EVENTS = {
+  description: 'The server log: entries with their level, time and source. Each filter, pause and resume is answered with logHistory.',
+  role: 'admin',
+  server: {
+    logHistory: {
+      description: 'On connecting, then in reply to each client event: the kept entries the filter lets through, oldest first',
+      payload: {
+        type: 'object',
+        properties: {
+          filter: logFilterSchema,
+          paused: { type: 'boolean' },
+          entries: [logEntrySchema]
+        }
+      }
+    },
+    logEntry: { description: 'A new entry the filter lets through, unless paused', payload: logEntrySchema },
+    requestFailed: { description: 'A filter was refused', payload: errorSchema }
+  },
+  client: {
+    setFilter: { description: 'Show only some entries; fields left out take their default', payload: logFilterSchema },
+    pause: { description: 'Stop sending new entries' },
+    resume: { description: 'Send new entries again' }
+  }
+};
+
+// GraphQL
+// /graphql reads and writes recipes through the same helpers as the REST
+// routes, so both check and record changes alike. Subscriptions are served
+// over WebSocket at the same path and fed by publishRecipeEvent().
+const graphqlApi = createGraphqlApi({
+  accounts,
+  events: recipeEvents,
+  listRecipes: () => recipeRepository.list(),
+  getRecipe: id => recipeRepository.get(id),
+  listUsers: () => accounts.listUsers(),
+  getUser: id => accounts.findById(id),
+  search: (q, options) => searchIndex.search(q, options),
+  async createRecipe(fields, user) {
+    const newRecipe = await insertRecipe(fields, user);
+    searchIndex.add(newRecipe);
+    publishRecipeEvent('recipeAdded', newRecipe);
+    return newRecipe;
+  },
+  async updateRecipe(recipe, changes, user) {
+    const updatedRecipe = await updateRecipe(recipe, changes, user);
+    if (updatedRecipe !== recipe) {
+      searchIndex.add(updatedRecipe);
+      publishRecipeEvent('recipeUpdated', updatedRecipe);
     }
-    
-    // Emit to connected clients
-    io.emit('terminalOutput', output);
-    
-    // Call original console.log
-    originalConsoleLog.apply(console, args);
-  };
-}
+    return updatedRecipe;
+  },
+  async trashRecipe(recipe, user) {
+    const deletedRecipe = await trashRecipe(recipe, user);
+    searchIndex.remove(deletedRecipe.id);
+    publishRecipeEvent('recipeDeleted', deletedRecipe);
+    return deletedRecipe;
+  }
+});
+
+app.use('/graphql', authenticate(accounts));
+app.get('/graphql', graphqlApi.handleRequest);
+app.post('/graphql', graphqlApi.handleRequest);
+graphqlApi.attachSubscriptions(server, '/graphql');
+
+// API reference
+// A document per API version, built on first request once every route is
+// registered
+const openApiDocuments = new Map();
+
+app.get('/api/openapi.json', describe({
+  tags: ['Reference'],
+  summary: 'This API as an OpenAPI 3.1 document',
+  description: 'Describes the version the call is made in. Socket.IO events are listed under x-socket-io.',
+  responses: { 200: { description: 'The document', content: { 'application/json': null } } }
+}), (req, res) => {
+  if (!openApiDocuments.has(req.apiVersion)) {
+    openApiDocuments.set(req.apiVersion, buildOpenApiDocument(app, {
+      info: {
+        title: `Food Recipe Hub API v${req.apiVersion}`,
+        version: require('./package.json').version,
+        description: 'Recipes, meal planning and shopping lists. Anyone may read; changes need a signed-in user with the role shown on each operation. ' +
+          `Versions ${API_VERSIONS.join(', ')} are served under /api/v1, /api/v2 and so on; calls to plain /api get version 1 and are deprecated.`
+      },
+      version: req.apiVersion,
+      server: `/api/v${req.apiVersion}`,
+      tags: [
+        { name: 'Accounts', description: 'Sign-in, sessions and user roles' },
+        { name: 'Recipes', description: 'Recipes, their photos, search and categories' },
+        { name: 'Revisions', description: 'Every write to a recipe is kept as a revision' },
+        { name: 'Trash', description: 'Deleted recipes, until they are restored or purged' },
+        { name: 'Import and export', description: 'Recipes from other apps and as files' },
+        { name: 'Shopping lists', description: 'Lists built from recipes' },
+        { name: 'Meal plan', description: 'Recipes planned for meals on given days' },
+        { name: 'Webhooks', description: 'Recipe events POSTed to other services' },
+        { name: 'Reference', description: 'This document' }
+      ],
+      schemas: [
+        recipeSchema,
+        shoppingListSchema,
+        mealPlanEntrySchema,
+        userSchema,
+        sessionSchema,
+        revisionSchema,
+        recipeDiffSchema,
+        trashEntrySchema,
+        nutritionSchema,
+        searchResultSchema,
+        plannedMealSchema,
+        mealPlanSchema,
+        importFormatSchema,
+        importPlanSchema,
+        importReportSchema,
+        apiUsageSchema,
+        webhookSchema,
+        webhookEventSchema,
+        webhookDeliverySchema,
+        logEntrySchema,
+        logFilterSchema
+      ],
+      socketEvents: { ...SOCKET_EVENTS, roles: SOCKET_EVENT_ROLES, namespaces: { [LOG_NAMESPACE]: LOG_NAMESPACE_EVENTS } }
+    }));
+  }
+  res.json(openApiDocuments.get(req.apiVersion));
+});
+
+// Who still calls the unversioned routes
+app.get('/api/usage/unversioned', describe({
+  tags: ['Reference'],
+  summary: 'Calls to the deprecated unversioned routes',
+  description: 'Counted per route since the routes were deprecated, with the last caller\'s User-Agent.',
+  responses: { 200: { description: 'Deprecation dates and the routes called, most used first', schema: apiUsageSchema } }
+}), requireRole('admin'), async (req, res) => {
+  res.json({
+    deprecatedAt: config.unversionedApiDeprecatedAt,
+    sunsetAt: config.unversionedApiSunsetAt,
+    routes: await apiUsage.list()
+  });
+});
+
+// Reference page reading the document above
+app.get('/docs', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'api-docs.html'));
+});
+
+// Server log page; the namespace it watches refuses everyone but admins
+app.get('/logs', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'logs.html'));
+});
 
 // Default route
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Start the web server
-server.listen(config.webServerPort, () => {
-  console.log(`🍳 Food Recipe Server is running on http://localhost:${config.webServerPort}`);
-  console.log(`🔌 WebSocket server is running on port ${config.webSocketPort}`);
-  console.log(`📁 Files directory: ${config.FilesDirectory}`);
+// JSON errors for the API
+app.use('/api', apiNotFound);
+app.use(errorHandler);
+
+// Open storage, then start the web server
+async function start() {
+  const storage = await createStorage({
+    backend: process.env.STORAGE_BACKEND || config.storageBackend,
+    directory: path.resolve(__dirname, config.storageDirectory)
+  });
+  recipeRepository = await storage.open('recipes', seedRecipes.map(withParsedIngredients));
+  await backfillParsedIngredients();
+  await revisionLog.open(storage);
+  await revisionLog.backfill(await recipeRepository.list());
+  await trashBin.open(storage);
+  (await recipeRepository.list()).forEach(recipe => searchIndex.add(recipe));
+  shoppingListRepository = await storage.open('shoppingLists');
+  mealPlanRepository = await storage.open('mealPlan');
+  await accounts.open(storage);
+  await apiUsage.open(storage);
+  await webhooks.open(storage);
+
+  // Purge expired trash now, then once an hour
+  await purgeExpiredTrash();
+  setInterval(() => {
+    purgeExpiredTrash().catch(error => console.error('Trash purge failed:', error));
+  }, TRASH_PURGE_INTERVAL_MS).unref();
+  setInterval(() => {
+    apiUsage.flush().catch(error => console.error('API usage flush failed:', error));
+  }, API_USAGE_FLUSH_INTERVAL_MS).unref();
+
+  const undocumented = findUndocumentedRoutes(app);
+  if (undocumented.length > 0) {
+    console.warn(`⚠️ Routes missing from the API reference: ${undocumented.join(', ')}`);
+  }
+
+  server.listen(config.webServerPort, () => {
+    console.log(`🍳 Food Recipe Server is running on http://localhost:${config.webServerPort}`);
+    console.log(`📖 API reference: http://localhost:${config.webServerPort}/docs`);
+    console.log(`🔗 GraphQL: http://localhost:${config.webServerPort}/graphql`);
+    console.log(`🔌 WebSocket server is running on port ${config.webSocketPort}`);
+    console.log(`📁 Files directory: ${config.FilesDirectory}`);
+    console.log(`💾 Recipe storage: ${storage.backend}`);
+  });
+}
+
+start().catch((error) => {
+  console.error('Failed to start server:', error);
+  process.exit(1);
 });
 
 // Start WebSocket on separate port if different from web server
@@ -229,10 +2116,11 @@ if (config.webSocketPort !== config.webServerPort) {
     }
   });
   
+  wsIo.use(authenticateSocket(accounts));
   wsIo.on('connection', (socket) => {
-    console.log('WebSocket user connected:', socket.id);
+    socketLog.info('WebSocket user connected:', socket.id);
     socket.on('disconnect', () => {
-      console.log('WebSocket user disconnected:', socket.id);
+      socketLog.info('WebSocket user disconnected:', socket.id);
     });
   });
   
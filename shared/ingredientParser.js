@@ -0,0 +1,328 @@
+/**
+ * IngredientParser - turns free-text ingredient lines into structured data
+ *
+ *   "2¼ cups all-purpose flour"      -> 2.25 cup "all-purpose flour"
+ *   "½ red onion, thinly sliced"      -> 0.5 "red onion", preparation "thinly sliced"
+ *   "2-3 tbsp olive oil"              -> 2 to 3 tablespoon "olive oil"
+ *   "Salt and pepper to taste"        -> "salt and pepper", toTaste
+ *   "1 cup + 2 tbsp sugar"            -> 1.125 cup "sugar"
+ *
+ * Shared by server.js (require) and the browser clients (plain <script>,
+ * exposed as window.IngredientParser).
+ */
+const IngredientParser = (() => {
+  const UNICODE_FRACTIONS = {
+    '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4,
+    '⅕': 1 / 5, '⅖': 2 / 5, '⅗': 3 / 5, '⅘': 4 / 5, '⅙': 1 / 6,
+    '⅚': 5 / 6, '⅐': 1 / 7, '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8,
+    '⅞': 7 / 8, '⅑': 1 / 9, '⅒': 1 / 10
+  };
+
+  const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+    half: 0.5, dozen: 12
+  };
+
+  /**
+   * Known units. `factor` converts one unit into the base unit of its type
+   * (millilitres for volume, grams for mass); count units have no factor.
+   */
+  const UNITS = [
+    { name: 'teaspoon', type: 'volume', factor: 4.92892, short: 'tsp', plural: 'tsp', aliases: ['teaspoon', 'teaspoons', 'tsp', 'tsps', 'tsp.', 'tspn', 't'] },
+    { name: 'tablespoon', type: 'volume', factor: 14.7868, short: 'tbsp', plural: 'tbsp', aliases: ['tablespoon', 'tablespoons', 'tbsp', 'tbsps', 'tbsp.', 'tbs', 'tbl', 'tbls', 'T'] },
+    { name: 'fluid ounce', type: 'volume', factor: 29.5735, short: 'fl oz', plural: 'fl oz', aliases: ['fluid ounce', 'fluid ounces', 'fl oz', 'fl. oz.', 'fl.oz.', 'floz'] },
+    { name: 'cup', type: 'volume', factor: 236.588, short: 'cup', plural: 'cups', aliases: ['cup', 'cups', 'c', 'c.'] },
+    { name: 'pint', type: 'volume', factor: 473.176, short: 'pint', plural: 'pints', aliases: ['pint', 'pints', 'pt', 'pts'] },
+    { name: 'quart', type: 'volume', factor: 946.353, short: 'quart', plural: 'quarts', aliases: ['quart', 'quarts', 'qt', 'qts'] },
+    { name: 'gallon', type: 'volume', factor: 3785.41, short: 'gallon', plural: 'gallons', aliases: ['gallon', 'gallons', 'gal'] },
+    { name: 'milliliter', type: 'volume', factor: 1, short: 'ml', plural: 'ml', aliases: ['milliliter', 'milliliters', 'millilitre', 'millilitres', 'ml', 'mls'] },
+    { name: 'centiliter', type: 'volume', factor: 10, short: 'cl', plural: 'cl', aliases: ['centiliter', 'centiliters', 'centilitre', 'centilitres', 'cl'] },
+    { name: 'deciliter', type: 'volume', factor: 100, short: 'dl', plural: 'dl', aliases: ['deciliter', 'deciliters', 'decilitre', 'decilitres', 'dl'] },
+    { name: 'liter', type: 'volume', factor: 1000, short: 'l', plural: 'l', aliases: ['liter', 'liters', 'litre', 'litres', 'l'] },
+    { name: 'pinch', type: 'volume', factor: 0.31, short: 'pinch', plural: 'pinches', aliases: ['pinch', 'pinches'] },
+    { name: 'dash', type: 'volume', factor: 0.62, short: 'dash', plural: 'dashes', aliases: ['dash', 'dashes'] },
+    { name: 'milligram', type: 'mass', factor: 0.001, short: 'mg', plural: 'mg', aliases: ['milligram', 'milligrams', 'milligramme', 'milligrammes', 'mg'] },
+    { name: 'gram', type: 'mass', factor: 1, short: 'g', plural: 'g', aliases: ['gram', 'grams', 'gramme', 'grammes', 'g', 'gr'] },
+    { name: 'kilogram', type: 'mass', factor: 1000, short: 'kg', plural: 'kg', aliases: ['kilogram', 'kilograms', 'kilogramme', 'kilogrammes', 'kg', 'kgs', 'kilo', 'kilos'] },
+    { name: 'ounce', type: 'mass', factor: 28.3495, short: 'oz', plural: 'oz', aliases: ['ounce', 'ounces', 'oz', 'oz.'] },
+    { name: 'pound', type: 'mass', factor: 453.592, short: 'lb', plural: 'lb', aliases: ['pound', 'pounds', 'lb', 'lbs', 'lb.', 'lbs.', '#'] },
+    { name: 'clove', type: 'count', short: 'clove', plural: 'cloves', aliases: ['clove', 'cloves'] },
+    { name: 'slice', type: 'count', short: 'slice', plural: 'slices', aliases: ['slice', 'slices'] },
+    { name: 'piece', type: 'count', short: 'piece', plural: 'pieces', aliases: ['piece', 'pieces', 'pc', 'pcs'] },
+    { name: 'can', type: 'count', short: 'can', plural: 'cans', aliases: ['can', 'cans', 'tin', 'tins'] },
+    { name: 'jar', type: 'count', short: 'jar', plural: 'jars', aliases: ['jar', 'jars'] },
+    { name: 'package', type: 'count', short: 'package', plural: 'packages', aliases: ['package', 'packages', 'pkg', 'pkgs', 'packet', 'packets'] },
+    { name: 'stick', type: 'count', short: 'stick', plural: 'sticks', aliases: ['stick', 'sticks'] },
+    { name: 'bunch', type: 'count', short: 'bunch', plural: 'bunches', aliases: ['bunch', 'bunches'] },
+    { name: 'head', type: 'count', short: 'head', plural: 'heads', aliases: ['head', 'heads'] },
+    { name: 'sprig', type: 'count', short: 'sprig', plural: 'sprigs', aliases: ['sprig', 'sprigs'] },
+    { name: 'handful', type: 'count', short: 'handful', plural: 'handfuls', aliases: ['handful', 'handfuls'] }
+  ];
+
+  // Aliases are matched case-insensitively, except single letters where
+  // "T" (tablespoon) and "t" (teaspoon) differ only by case
+  const unitsByAlias = new Map();
+  UNITS.forEach(unit => unit.aliases.forEach(alias => {
+    unitsByAlias.set(alias.length === 1 ? alias : alias.toLowerCase(), unit);
+  }));
+  const unitsByName = new Map(UNITS.map(unit => [unit.name, unit]));
+
+  const UNICODE_CLASS = `[${Object.keys(UNICODE_FRACTIONS).join('')}]`;
+  const AMOUNT = [
+    `\\d+\\s*-\\s*\\d+\\s*[/⁄]\\s*\\d+`,      // 1-1/2
+    `\\d+\\s+\\d+\\s*[/⁄]\\s*\\d+`,           // 1 1/2
+    `\\d+\\s*${UNICODE_CLASS}`,               // 2¼
+    `\\d+\\s*[/⁄]\\s*\\d+`,                   // 3/4
+    UNICODE_CLASS,                            // ½
+    `\\d+(?:\\.\\d+)?`,                       // 2, 0.5
+    `\\.\\d+`                                 // .5
+  ].join('|');
+  const QUANTITY_PATTERN = new RegExp(
+    `^(${AMOUNT})(?:\\s*(?:-|–|—|to|or)\\s*(${AMOUNT}))?(?![\\d/⁄])\\s*`, 'i'
+  );
+  const NUMBER_WORD_PATTERN = new RegExp(`^(${Object.keys(NUMBER_WORDS).join('|')})\\b\\s*`, 'i');
+  const TO_TASTE_PATTERN = /[,\s]*\b(to taste|as needed|as required)\b/i;
+
+  /**
+   * Value of one amount as written: "2¼", "1 1/2", "1-1/2", "3/4", "0.5".
+   * @param {string} text
+   * @returns {number|null}
+   */
+  function parseAmount(text) {
+    const source = text.trim();
+    let match;
+    if ((match = /^(\d+)\s*[-\s]\s*(\d+)\s*[/⁄]\s*(\d+)$/.exec(source))) {
+      return Number(match[3]) === 0 ? null : Number(match[1]) + Number(match[2]) / Number(match[3]);
+    }
+    if ((match = new RegExp(`^(\\d+)\\s*(${UNICODE_CLASS})$`).exec(source))) {
+      return Number(match[1]) + UNICODE_FRACTIONS[match[2]];
+    }
+    if ((match = /^(\d+)\s*[/⁄]\s*(\d+)$/.exec(source))) {
+      return Number(match[2]) === 0 ? null : Number(match[1]) / Number(match[2]);
+    }
+    if (UNICODE_FRACTIONS[source] !== undefined) {
+      return UNICODE_FRACTIONS[source];
+    }
+    const value = parseFloat(source);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * Read a leading quantity or range.
+   * @returns {{ quantity: number|null, quantityMax: number|null, rest: string }}
+   */
+  function readQuantity(text) {
+    const match = QUANTITY_PATTERN.exec(text);
+    if (match) {
+      const quantity = parseAmount(match[1]);
+      const quantityMax = match[2] ? parseAmount(match[2]) : null;
+      // "1/0 cup" has no amount; the line is kept whole as the item
+      if (quantity === null || (match[2] && quantityMax === null)) {
+        return { quantity: null, quantityMax: null, rest: text };
+      }
+      return { quantity, quantityMax, rest: text.slice(match[0].length) };
+    }
+    const word = NUMBER_WORD_PATTERN.exec(text);
+    if (word && word[0].length < text.length) {
+      // "half an onion" -> ½ onion
+      const rest = text.slice(word[0].length).replace(/^an?\s+/i, '');
+      return { quantity: NUMBER_WORDS[word[1].toLowerCase()], quantityMax: null, rest };
+    }
+    return { quantity: null, quantityMax: null, rest: text };
+  }
+
+  /**
+   * Read a leading unit ("cups", "tbsp.", "fl oz") and an optional "of".
+   * @param {string} text
+   * @param {boolean} [alone] - Whether the unit may be all there is ("10 g")
+   * @returns {{ unit: Object|null, rest: string }}
+   */
+  function readUnit(text, alone = false) {
+    const words = text.split(/\s+/);
+    for (const length of [2, 1]) {
+      if (words.length < length || (words.length === length && !alone)) continue;
+      const candidate = words.slice(0, length).join(' ');
+      const unit = unitsByAlias.get(candidate) ||
+        (candidate.length > 1 && unitsByAlias.get(candidate.toLowerCase()));
+      if (unit) {
+        const rest = words.slice(length).join(' ').replace(/^of\s+/i, '');
+        return { unit, rest };
+      }
+    }
+    return { unit: null, rest: text };
+  }
+
+  /**
+   * Read a leading quantity and the unit after it.
+   * @returns {{ quantity: number|null, quantityMax: number|null, unit: Object|null, rest: string }}
+   */
+  function readMeasurement(text) {
+    const { quantity, quantityMax, rest } = readQuantity(text);
+    const { unit, rest: afterUnit } = quantity !== null || /^[a-z]/i.test(rest)
+      ? readUnit(rest, quantity !== null)
+      : { unit: null, rest };
+    return { quantity, quantityMax, unit, rest: afterUnit };
+  }
+
+  /**
+   * "1 cup + 2 tbsp" as 1⅛ cup. Amounts that cannot be added up (ranges,
+   * counts, a volume plus a mass) leave the whole line as the item, with no
+   * quantity, so scaling and conversion keep it as written.
+   * @param {Object} first - Result of readMeasurement
+   * @param {Object} second - Result of readMeasurement on what follows the "+"
+   * @param {string} text - The line being parsed
+   */
+  function addMeasurements(first, second, text) {
+    const addable = first.unit && second.unit && second.quantity !== null &&
+      first.unit.factor && second.unit.factor && first.unit.type === second.unit.type &&
+      first.quantityMax === null && second.quantityMax === null;
+    if (!addable) return { quantity: null, quantityMax: null, unit: null, rest: text };
+    // The unit factors are only accurate to a few places, so the sum is
+    // rounded to four: 1 cup + 2 tbsp is 1.125 cups, not 1.1250004
+    const sum = first.quantity + second.quantity * second.unit.factor / first.unit.factor;
+    return {
+      quantity: Math.round(sum * 10000) / 10000,
+      quantityMax: null,
+      unit: first.unit,
+      rest: second.rest
+    };
+  }
+
+  /**
+   * Parse one ingredient line.
+   * @param {string} line - e.g. "1 cup butter, softened"
+   * @returns {{ original: string, quantity: number|null, quantityMax: number|null,
+   *   unit: string|null, item: string, preparation: string|null, note: string|null,
+   *   optional: boolean, toTaste: boolean }}
+   */
+  function parseIngredient(line) {
+    const original = String(line || '');
+    let text = original.replace(/\s+/g, ' ').trim();
+
+    // Parenthesised notes: "(optional)", "(14 oz)", "(about 2 cups)"
+    const notes = [];
+    let optional = false;
+    text = text.replace(/\s*\(([^)]*)\)/g, (whole, inner) => {
+      if (/^\s*optional\s*$/i.test(inner)) optional = true;
+      else if (inner.trim()) notes.push(inner.trim());
+      return '';
+    }).trim();
+
+    let toTaste = false;
+    if (TO_TASTE_PATTERN.test(text)) {
+      toTaste = true;
+      text = text.replace(TO_TASTE_PATTERN, '').trim();
+    }
+
+    let measurement = readMeasurement(text);
+    const plus = /^(?:\+|plus\b)\s*/i.exec(measurement.rest);
+    if (plus && measurement.quantity !== null) {
+      measurement = addMeasurements(measurement, readMeasurement(measurement.rest.slice(plus[0].length)), text);
+    }
+    const { quantity, quantityMax, unit, rest: afterUnit } = measurement;
+
+    // Everything after the first comma describes preparation
+    let [item, ...preparationParts] = afterUnit.split(',');
+    let preparation = preparationParts.map(part => part.trim()).filter(Boolean).join(', ');
+    if (/\boptional\b/i.test(preparation)) {
+      optional = true;
+      preparation = preparation.replace(/,?\s*\boptional\b\s*,?/i, ' ').trim().replace(/^,|,$/g, '').trim();
+    }
+
+    return {
+      original,
+      quantity,
+      quantityMax,
+      unit: unit ? unit.name : null,
+      item: item.trim().replace(/^of\s+/i, ''),
+      preparation: preparation || null,
+      note: notes.length > 0 ? notes.join('; ') : null,
+      optional,
+      toTaste
+    };
+  }
+
+  const DISPLAY_FRACTIONS = [
+    [1 / 8, '⅛'], [1 / 4, '¼'], [1 / 3, '⅓'], [3 / 8, '⅜'], [1 / 2, '½'],
+    [5 / 8, '⅝'], [2 / 3, '⅔'], [3 / 4, '¾'], [7 / 8, '⅞']
+  ];
+
+  /**
+   * Write a quantity the way a recipe would: 2.25 -> "2¼", 0.5 -> "½".
+   * Values that are not a common fraction keep up to two decimals.
+   * @param {number} value
+   * @returns {string}
+   */
+  function formatQuantity(value) {
+    if (value === null || value === undefined) return '';
+    const whole = Math.floor(value + 1e-9);
+    const fraction = value - whole;
+    if (fraction < 0.01) return String(whole);
+    if (fraction > 0.99) return String(whole + 1);
+
+    const glyph = DISPLAY_FRACTIONS.find(([amount]) => Math.abs(amount - fraction) < 0.01);
+    if (glyph) return (whole > 0 ? String(whole) : '') + glyph[1];
+    return String(Math.round(value * 100) / 100);
+  }
+
+  /**
+   * Short display name of a unit for a given quantity ("cup"/"cups", "tsp").
+   * @param {string} unitName - Canonical unit name
+   * @param {number|null} quantity
+   */
+  function formatUnit(unitName, quantity) {
+    const unit = unitsByName.get(unitName);
+    if (!unit) return unitName || '';
+    return quantity !== null && quantity > 1 ? unit.plural : unit.short;
+  }
+
+  /**
+   * Measurement part of a parsed ingredient: "2¼ cups", "2–3 tbsp", "To taste".
+   * @param {Object} parsed - Result of parseIngredient
+   */
+  function formatMeasurement(parsed) {
+    const parts = [];
+    if (parsed.quantity !== null) {
+      parts.push(formatQuantity(parsed.quantity) +
+        (parsed.quantityMax !== null ? `–${formatQuantity(parsed.quantityMax)}` : ''));
+    }
+    if (parsed.unit) parts.push(formatUnit(parsed.unit, parsed.quantityMax ?? parsed.quantity));
+    if (parts.length === 0 && parsed.toTaste) return 'To taste';
+    return parts.join(' ');
+  }
+
+  /**
+   * Write a parsed ingredient back out as a single line.
+   * @param {Object} parsed - Result of parseIngredient
+   */
+  function formatIngredient(parsed) {
+    const measurement = formatMeasurement(parsed);
+    let line = measurement && !(parsed.quantity === null && !parsed.unit)
+      ? `${measurement} ${parsed.item}`.trim()
+      : parsed.item;
+    if (parsed.note) line += ` (${parsed.note})`;
+    if (parsed.preparation) line += `, ${parsed.preparation}`;
+    if (parsed.toTaste) line += ' to taste';
+    if (parsed.optional) line += ' (optional)';
+    return line;
+  }
+
+  return {
+    UNITS,
+    parseIngredient,
+    parseAmount,
+    formatQuantity,
+    formatUnit,
+    formatMeasurement,
+    formatIngredient,
+    getUnit: (name) => unitsByName.get(name) || null
+  };
+})();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = IngredientParser;
+} else {
+  window.IngredientParser = IngredientParser;
+}
@@ -0,0 +1,142 @@
+/**
+ * NutrientTable - bundled nutrient values for common ingredients
+ *
+ * Values are per 100 g of the ingredient as bought (raw, dry or as sold),
+ * rounded from USDA FoodData Central entries. `per100g` follows the order
+ * of NUTRIENTS. Rows may also say what one item weighs (`each`), what a cup
+ * of it weighs when the shared density table has no entry (`gramsPerCup`),
+ * and weights for count units such as cloves or slices (`units`).
+ *
+ * Shared by server.js (require) and the browser clients (plain <script>,
+ * exposed as window.NutrientTable).
+ */
+const NutrientTable = (() => {
+  const NUTRIENTS = [
+    { key: 'calories', label: 'Calories', unit: 'kcal' },
+    { key: 'protein', label: 'Protein', unit: 'g' },
+    { key: 'fat', label: 'Total fat', unit: 'g' },
+    { key: 'carbohydrates', label: 'Carbohydrates', unit: 'g' },
+    { key: 'fiber', label: 'Dietary fiber', unit: 'g' },
+    { key: 'sugar', label: 'Sugars', unit: 'g' },
+    { key: 'sodium', label: 'Sodium', unit: 'mg' }
+  ];
+
+  // per100g: kcal, protein g, fat g, carbohydrates g, fiber g, sugars g, sodium mg
+  const FOODS = [
+    // Baking
+    { keywords: ['all-purpose flour', 'plain flour', 'flour'], per100g: [364, 10.3, 1.0, 76.3, 2.7, 0.3, 2] },
+    { keywords: ['bread flour'], per100g: [361, 12.0, 1.7, 72.5, 2.4, 0.3, 2] },
+    { keywords: ['whole wheat flour', 'wholemeal flour'], per100g: [340, 13.2, 2.5, 72.0, 10.7, 0.4, 2] },
+    { keywords: ['cornstarch', 'cornflour', 'corn starch'], per100g: [381, 0.3, 0.1, 91.3, 0.9, 0, 9] },
+    { keywords: ['granulated sugar', 'white sugar', 'caster sugar', 'sugar'], per100g: [387, 0, 0, 100, 0, 99.8, 1] },
+    { keywords: ['brown sugar'], per100g: [380, 0.1, 0, 98.1, 0, 97.0, 28] },
+    { keywords: ['powdered sugar', 'icing sugar', "confectioners' sugar", 'confectioners sugar'], per100g: [389, 0, 0, 99.8, 0, 97.8, 2] },
+    { keywords: ['honey'], per100g: [304, 0.3, 0, 82.4, 0.2, 82.1, 4] },
+    { keywords: ['maple syrup'], per100g: [260, 0, 0.1, 67.0, 0, 60.5, 12] },
+    { keywords: ['baking soda', 'bicarbonate of soda'], per100g: [0, 0, 0, 0, 0, 0, 27360] },
+    { keywords: ['baking powder'], per100g: [53, 0, 0, 27.7, 0.2, 0, 10600] },
+    { keywords: ['vanilla extract', 'vanilla'], per100g: [288, 0.1, 0.1, 12.7, 0, 12.7, 9] },
+    { keywords: ['chocolate chips', 'chocolate chunks', 'dark chocolate', 'chocolate'], per100g: [480, 4.2, 30.0, 63.0, 5.9, 54.5, 11] },
+    { keywords: ['cocoa powder', 'cocoa'], per100g: [228, 19.6, 13.7, 57.9, 37.0, 1.8, 21] },
+
+    // Dairy and eggs
+    { keywords: ['butter'], per100g: [717, 0.9, 81.1, 0.1, 0, 0.1, 11], units: { stick: 113 } },
+    { keywords: ['egg', 'eggs'], per100g: [143, 12.6, 9.5, 0.7, 0, 0.4, 142], each: 50 },
+    { keywords: ['milk', 'whole milk'], per100g: [61, 3.2, 3.3, 4.8, 0, 5.1, 43] },
+    { keywords: ['buttermilk'], per100g: [40, 3.3, 0.9, 4.8, 0, 4.8, 105] },
+    { keywords: ['heavy cream', 'double cream', 'whipping cream', 'cream'], per100g: [340, 2.8, 36.1, 2.7, 0, 2.9, 27] },
+    { keywords: ['cream cheese'], per100g: [342, 5.9, 34.2, 4.1, 0, 3.2, 321] },
+    { keywords: ['sour cream'], per100g: [198, 2.4, 19.4, 4.6, 0, 3.4, 31] },
+    { keywords: ['yogurt', 'yoghurt', 'greek yogurt'], per100g: [61, 3.5, 3.3, 4.7, 0, 4.7, 46] },
+    { keywords: ['cheese', 'cheddar', 'cheddar cheese'], per100g: [403, 24.9, 33.1, 1.3, 0, 0.5, 621] },
+    { keywords: ['mozzarella', 'mozzarella cheese'], per100g: [280, 27.5, 17.1, 3.1, 0, 1.0, 627] },
+    { keywords: ['parmesan', 'parmesan cheese'], per100g: [431, 38.5, 28.6, 4.1, 0, 0.9, 1529] },
+    { keywords: ['feta', 'feta cheese'], per100g: [264, 14.2, 21.3, 4.1, 0, 4.1, 1116] },
+
+    // Oils, vinegars and condiments
+    { keywords: ['olive oil', 'vegetable oil', 'canola oil', 'sunflower oil', 'oil'], per100g: [884, 0, 100, 0, 0, 0, 2] },
+    { keywords: ['red wine vinegar', 'white wine vinegar', 'balsamic vinegar', 'vinegar'], per100g: [19, 0, 0, 0.3, 0, 0, 8] },
+    { keywords: ['soy sauce'], per100g: [53, 8.1, 0.6, 4.9, 0.8, 0.4, 5493], gramsPerCup: 255 },
+    { keywords: ['peanut butter'], per100g: [588, 25.1, 50.4, 19.6, 6.0, 9.2, 459] },
+
+    // Seasonings
+    { keywords: ['salt', 'sea salt', 'kosher salt'], per100g: [0, 0, 0, 0, 0, 0, 38758] },
+    { keywords: ['black pepper', 'pepper'], per100g: [251, 10.4, 3.3, 64.0, 25.3, 0.6, 20], gramsPerCup: 110 },
+    { keywords: ['oregano', 'dried oregano'], per100g: [265, 9.0, 4.3, 68.9, 42.5, 4.1, 25], gramsPerCup: 48 },
+    { keywords: ['cinnamon', 'ground cinnamon'], per100g: [247, 4.0, 1.2, 80.6, 53.1, 2.2, 10], gramsPerCup: 125 },
+    { keywords: ['cumin', 'ground cumin'], per100g: [375, 17.8, 22.3, 44.2, 10.5, 2.3, 168], gramsPerCup: 96 },
+    { keywords: ['paprika'], per100g: [282, 14.1, 12.9, 54.0, 34.9, 10.3, 68], gramsPerCup: 110 },
+
+    // Grains and pantry
+    { keywords: ['pasta', 'spaghetti', 'penne', 'macaroni', 'noodles'], per100g: [371, 13.0, 1.5, 74.7, 3.2, 2.7, 6], gramsPerCup: 100 },
+    { keywords: ['rice', 'white rice'], per100g: [365, 7.1, 0.7, 80.0, 1.3, 0.1, 5] },
+    { keywords: ['rolled oats', 'oats'], per100g: [379, 13.2, 6.5, 67.7, 10.1, 1.0, 6] },
+    { keywords: ['bread'], per100g: [265, 9.0, 3.2, 49.0, 2.7, 5.0, 491], units: { slice: 30 } },
+    { keywords: ['breadcrumbs', 'bread crumbs'], per100g: [395, 13.4, 5.3, 71.9, 4.5, 6.2, 732] },
+    { keywords: ['black beans', 'kidney beans', 'beans'], per100g: [91, 6.0, 0.3, 16.6, 6.9, 0.3, 384], gramsPerCup: 172 },
+    { keywords: ['chickpeas', 'garbanzo beans'], per100g: [139, 7.0, 2.8, 22.5, 6.4, 0.7, 246], gramsPerCup: 164 },
+    { keywords: ['walnuts', 'pecans', 'nuts'], per100g: [654, 15.2, 65.2, 13.7, 6.7, 2.6, 2] },
+    { keywords: ['almonds'], per100g: [579, 21.2, 49.9, 21.6, 12.5, 4.4, 1] },
+    { keywords: ['raisins'], per100g: [299, 3.1, 0.5, 79.2, 3.7, 59.2, 11] },
+    { keywords: ['olives', 'kalamata olives', 'black olives'], per100g: [115, 0.8, 10.7, 6.3, 3.2, 0, 735], each: 4 },
+    { keywords: ['diced tomatoes', 'canned tomatoes', 'crushed tomatoes'], per100g: [24, 1.2, 0.2, 4.0, 1.9, 2.6, 186], gramsPerCup: 240 },
+    { keywords: ['tomato paste'], per100g: [82, 4.3, 0.5, 18.9, 4.1, 12.2, 59], gramsPerCup: 262 },
+    { keywords: ['chicken broth', 'chicken stock', 'vegetable broth', 'vegetable stock', 'broth', 'stock'], per100g: [6, 0.6, 0.2, 0.4, 0, 0.3, 343] },
+    { keywords: ['water'], per100g: [0, 0, 0, 0, 0, 0, 0] },
+
+    // Produce
+    { keywords: ['tomato', 'tomatoes'], per100g: [18, 0.9, 0.2, 3.9, 1.2, 2.6, 5], each: 120, gramsPerCup: 180 },
+    { keywords: ['cherry tomatoes', 'grape tomatoes'], per100g: [18, 0.9, 0.2, 3.9, 1.2, 2.6, 5], each: 17 },
+    { keywords: ['onion', 'onions', 'red onion', 'yellow onion', 'white onion'], per100g: [40, 1.1, 0.1, 9.3, 1.7, 4.2, 4], each: 110, gramsPerCup: 160 },
+    { keywords: ['green onions', 'scallions', 'spring onions'], per100g: [32, 1.8, 0.2, 7.3, 2.6, 2.3, 16], each: 15, gramsPerCup: 100 },
+    { keywords: ['garlic'], per100g: [149, 6.4, 0.5, 33.1, 2.1, 1.0, 17], units: { clove: 3, head: 40 }, gramsPerCup: 136 },
+    { keywords: ['carrot', 'carrots'], per100g: [41, 0.9, 0.2, 9.6, 2.8, 4.7, 69], each: 61, gramsPerCup: 128 },
+    { keywords: ['potato', 'potatoes'], per100g: [77, 2.0, 0.1, 17.5, 2.2, 0.8, 6], each: 213, gramsPerCup: 150 },
+    { keywords: ['bell pepper', 'red pepper', 'green pepper', 'bell peppers'], per100g: [26, 1.0, 0.3, 6.0, 2.1, 4.2, 4], each: 120, gramsPerCup: 150 },
+    { keywords: ['spinach', 'baby spinach'], per100g: [23, 2.9, 0.4, 3.6, 2.2, 0.4, 79], gramsPerCup: 30 },
+    { keywords: ['lettuce', 'romaine'], per100g: [15, 1.4, 0.2, 2.9, 1.3, 0.8, 28], units: { head: 600 }, gramsPerCup: 47 },
+    { keywords: ['cucumber', 'cucumbers'], per100g: [15, 0.7, 0.1, 3.6, 0.5, 1.7, 2], each: 300, gramsPerCup: 120 },
+    { keywords: ['mushrooms', 'mushroom'], per100g: [22, 3.1, 0.3, 3.3, 1.0, 2.0, 5], each: 18, gramsPerCup: 70 },
+    { keywords: ['lemon', 'lemons'], per100g: [29, 1.1, 0.3, 9.3, 2.8, 2.5, 2], each: 58 },
+    { keywords: ['lemon juice', 'lime juice'], per100g: [22, 0.4, 0.2, 6.9, 0.3, 2.5, 1] },
+    { keywords: ['banana', 'bananas'], per100g: [89, 1.1, 0.3, 22.8, 2.6, 12.2, 1], each: 118, gramsPerCup: 225 },
+    { keywords: ['apple', 'apples'], per100g: [52, 0.3, 0.2, 13.8, 2.4, 10.4, 1], each: 182, gramsPerCup: 125 },
+    { keywords: ['basil', 'fresh basil'], per100g: [23, 3.2, 0.6, 2.7, 1.6, 0.3, 4], units: { bunch: 60, sprig: 1, handful: 10 }, gramsPerCup: 24 },
+    { keywords: ['parsley', 'fresh parsley', 'cilantro'], per100g: [36, 3.0, 0.8, 6.3, 3.3, 0.9, 56], units: { bunch: 60, sprig: 1, handful: 10 }, gramsPerCup: 60 },
+
+    // Meat and fish
+    { keywords: ['chicken breast', 'chicken breasts', 'chicken'], per100g: [120, 22.5, 2.6, 0, 0, 0, 45], each: 200 },
+    { keywords: ['ground beef', 'beef mince', 'minced beef', 'beef'], per100g: [254, 17.2, 20.0, 0, 0, 0, 66] },
+    { keywords: ['bacon'], per100g: [417, 12.6, 39.7, 1.4, 0, 0, 662], units: { slice: 25 } },
+    { keywords: ['salmon', 'salmon fillet', 'salmon fillets'], per100g: [208, 20.4, 13.4, 0, 0, 0, 59], each: 170 },
+    { keywords: ['shrimp', 'prawns'], per100g: [85, 20.1, 0.5, 0, 0, 0, 119] }
+  ];
+
+  /**
+   * Table row for an ingredient name, preferring the most specific keyword
+   * ("peanut butter" over "butter").
+   * @param {string} item - Ingredient name, e.g. "red onion"
+   * @returns {Object|null}
+   */
+  function findFood(item) {
+    const name = String(item || '').toLowerCase();
+    let best = null;
+    let bestLength = 0;
+    FOODS.forEach(food => food.keywords.forEach(keyword => {
+      if (keyword.length > bestLength && new RegExp(`\\b${keyword}\\b`).test(name)) {
+        best = food;
+        bestLength = keyword.length;
+      }
+    }));
+    return best;
+  }
+
+  return { NUTRIENTS, FOODS, findFood };
+})();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NutrientTable;
+} else {
+  window.NutrientTable = NutrientTable;
+}
@@ -0,0 +1,130 @@
+/**
+ * NutritionCalculator - nutrition facts for a recipe
+ *
+ * Each parsed ingredient is matched against NutrientTable and weighed:
+ * weights directly, volumes through the ingredient's cup weight (or the
+ * shared density table), and counts through per-item weights ("2 eggs",
+ * "3 cloves garlic", "1 (14 oz) can"). Ingredients that cannot be matched
+ * or weighed are reported instead of guessed. "To taste" amounts are left
+ * out of the totals.
+ *
+ * Shared by server.js (require) and the browser clients (plain <script>
+ * after unitConverter.js and nutrientTable.js, exposed as
+ * window.NutritionCalculator).
+ */
+const NutritionCalculator = (() => {
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const Parser = isNode ? require('./ingredientParser') : window.IngredientParser;
+  const Scaler = isNode ? require('./recipeScaler') : window.RecipeScaler;
+  const Converter = isNode ? require('./unitConverter') : window.UnitConverter;
+  const Table = isNode ? require('./nutrientTable') : window.NutrientTable;
+
+  // What one can, jar or package holds when the line does not say
+  const PACKAGE_WEIGHTS = { can: 400, jar: 350, package: 450 };
+
+  // Weight of a pack size written as a note: "1 (14 oz) can", "1 (8-ounce) package"
+  function noteWeight(note) {
+    const match = /^(.+?)[\s-]*([a-z]+\.?)$/i.exec(note || '');
+    if (!match) return null;
+    const amount = Parser.parseAmount(match[1]);
+    const word = match[2].toLowerCase();
+    const unit = Parser.UNITS.find(candidate => candidate.aliases.includes(word));
+    return amount !== null && unit && unit.type === 'mass' ? amount * unit.factor : null;
+  }
+
+  /**
+   * Grams of an ingredient line, or null when it cannot be weighed.
+   * Ranges count at their midpoint.
+   * @param {Object} parsed - Result of IngredientParser.parseIngredient
+   * @param {Object} food - NutrientTable row
+   * @returns {number|null}
+   */
+  function weighIngredient(parsed, food) {
+    if (parsed.quantity === null) return null;
+    const amount = parsed.quantityMax !== null ? (parsed.quantity + parsed.quantityMax) / 2 : parsed.quantity;
+
+    if (!parsed.unit) return food.each ? amount * food.each : null;
+
+    const unit = Parser.getUnit(parsed.unit);
+    if (unit.type === 'mass') return amount * unit.factor;
+    if (unit.type === 'volume') {
+      const millilitres = amount * unit.factor;
+      if (food.gramsPerCup) return millilitres / Parser.getUnit('cup').factor * food.gramsPerCup;
+      return Converter.volumeToMass(millilitres, parsed.item);
+    }
+
+    const each = noteWeight(parsed.note) ||
+      (food.units && food.units[parsed.unit]) ||
+      PACKAGE_WEIGHTS[parsed.unit];
+    return each ? amount * each : null;
+  }
+
+  function emptyTotals() {
+    return Object.fromEntries(Table.NUTRIENTS.map(({ key }) => [key, 0]));
+  }
+
+  // Calories and sodium in whole units, everything else to 0.1 g
+  function roundTotals(totals) {
+    return Object.fromEntries(Object.entries(totals).map(([key, value]) =>
+      [key, key === 'calories' || key === 'sodium' ? Math.round(value) : Math.round(value * 10) / 10]
+    ));
+  }
+
+  /**
+   * Nutrition facts for a recipe.
+   * @param {Object} recipe - Recipe with ingredients (and parsedIngredients) and servings
+   * @returns {{ servings: number|null, perServing: Object|null, total: Object,
+   *   ingredients: Array, unmatched: Array<string> }} Nutrient amounts are
+   *   keyed by NutrientTable.NUTRIENTS keys
+   */
+  function calculateNutrition(recipe) {
+    const parsedIngredients = recipe.parsedIngredients || (recipe.ingredients || []).map(Parser.parseIngredient);
+    const total = emptyTotals();
+    const ingredients = [];
+    const unmatched = [];
+
+    parsedIngredients.forEach(parsed => {
+      const text = parsed.text || parsed.original;
+      if (parsed.toTaste && parsed.quantity === null) {
+        ingredients.push({ text, food: null, grams: 0 });
+        return;
+      }
+
+      const food = Table.findFood(parsed.item);
+      const grams = food ? weighIngredient(parsed, food) : null;
+      if (grams === null) {
+        ingredients.push({ text, food: food && food.keywords[0], grams: null });
+        unmatched.push(text);
+        return;
+      }
+
+      Table.NUTRIENTS.forEach(({ key }, index) => {
+        total[key] += food.per100g[index] * grams / 100;
+      });
+      ingredients.push({ text, food: food.keywords[0], grams: Math.round(grams) });
+    });
+
+    const servings = Scaler.parseServings(recipe.servings);
+    const count = servings ? servings.count : null;
+    const perServing = count
+      ? Object.fromEntries(Object.entries(total).map(([key, value]) => [key, value / count]))
+      : null;
+
+    return {
+      servings: count,
+      perServing: perServing && roundTotals(perServing),
+      total: roundTotals(total),
+      ingredients,
+      unmatched
+    };
+  }
+
+  return { weighIngredient, calculateNutrition };
+})();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NutritionCalculator;
+} else {
+  window.NutritionCalculator = NutritionCalculator;
+}
@@ -0,0 +1,185 @@
+/**
+ * RecipeScaler - scales ingredient quantities to a different number of servings
+ *
+ * Quantities are rounded the way a cook would measure them: US units to
+ * kitchen fractions (⅛, ¼, ⅓, ½, ⅔, ¾), metric units to whole grams or
+ * millilitres, and spoon/cup amounts are moved to a handier unit when they
+ * grow or shrink past one (48 tsp -> 1 cup).
+ *
+ * Shared by server.js (require) and the browser clients (plain <script>
+ * after ingredientParser.js, exposed as window.RecipeScaler).
+ */
+const RecipeScaler = (() => {
+  const Parser = typeof module !== 'undefined' && module.exports
+    ? require('./ingredientParser')
+    : window.IngredientParser;
+
+  const KITCHEN_FRACTIONS = [0, 1 / 8, 1 / 4, 1 / 3, 1 / 2, 2 / 3, 3 / 4, 1];
+  const METRIC_UNITS = ['milliliter', 'centiliter', 'deciliter', 'gram', 'milligram'];
+  const LARGE_METRIC_UNITS = ['liter', 'kilogram'];
+
+  // A servings amount: "4", "1.5", "1/2" or "1 1/2"
+  const SERVINGS_AMOUNT = '\\d+\\s+\\d+\\s*/\\s*\\d+|\\d+\\s*/\\s*\\d+|\\d+(?:\\.\\d+)?';
+  const SERVINGS_PATTERN = new RegExp(`(${SERVINGS_AMOUNT})(?:\\s*(?:-|–|to)\\s*(${SERVINGS_AMOUNT}))?\\s*(.*)$`);
+
+  /**
+   * Read a free-text servings value: "48 cookies", "6-8 people", "1 1/2
+   * loaves", 4. Amounts are read as IngredientParser reads quantities.
+   * @param {string|number} servings
+   * @returns {{ count: number, countMax: number|null, label: string }|null}
+   */
+  function parseServings(servings) {
+    if (typeof servings === 'number') {
+      return servings > 0 ? { count: servings, countMax: null, label: '' } : null;
+    }
+    const match = SERVINGS_PATTERN.exec(String(servings || ''));
+    if (!match) return null;
+    const count = Parser.parseAmount(match[1]);
+    const countMax = match[2] ? Parser.parseAmount(match[2]) : null;
+    if (!(count > 0) || (match[2] && countMax === null)) return null;
+    return { count, countMax, label: match[3].trim() };
+  }
+
+  /**
+   * Write a servings value back out, keeping its label: "24 cookies".
+   */
+  function formatServings(count, label) {
+    const amount = Parser.formatQuantity(count);
+    return label ? `${amount} ${label}` : amount;
+  }
+
+  /**
+   * Round a quantity to something measurable in the given unit.
+   * A non-zero amount never rounds down to nothing.
+   * @param {number} value
+   * @param {string|null} unitName - Canonical unit name
+   * @returns {number}
+   */
+  function roundToKitchenFraction(value, unitName) {
+    if (value <= 0) return 0;
+
+    if (METRIC_UNITS.includes(unitName)) {
+      if (value >= 100) return Math.round(value / 5) * 5;
+      return value >= 10 ? Math.round(value) : Math.max(0.5, Math.round(value * 2) / 2);
+    }
+    if (LARGE_METRIC_UNITS.includes(unitName)) {
+      return Math.max(0.05, Math.round(value * 20) / 20);
+    }
+    if (value >= 20) return Math.round(value);
+    if (value >= 10) return Math.round(value * 2) / 2;
+
+    const whole = Math.floor(value);
+    const fraction = value - whole;
+    const nearest = KITCHEN_FRACTIONS.reduce((best, candidate) =>
+      Math.abs(candidate - fraction) < Math.abs(best - fraction) ? candidate : best
+    );
+    return whole + nearest || KITCHEN_FRACTIONS[1];
+  }
+
+  /**
+   * Move spoon and cup amounts into the unit they are easiest to measure in.
+   * @returns {{ quantity: number, unit: string }}
+   */
+  function simplifyUnit(quantity, unitName) {
+    const unit = Parser.getUnit(unitName);
+    if (!unit || !['teaspoon', 'tablespoon', 'cup'].includes(unitName)) {
+      return { quantity, unit: unitName };
+    }
+    const millilitres = quantity * unit.factor;
+    const cup = Parser.getUnit('cup');
+    const tablespoon = Parser.getUnit('tablespoon');
+    const teaspoon = Parser.getUnit('teaspoon');
+
+    if (millilitres >= cup.factor / 4 - 0.01) return { quantity: millilitres / cup.factor, unit: 'cup' };
+    if (millilitres >= tablespoon.factor - 0.01) return { quantity: millilitres / tablespoon.factor, unit: 'tablespoon' };
+    return { quantity: millilitres / teaspoon.factor, unit: 'teaspoon' };
+  }
+
+  /**
+   * Make the last word of a counted item agree with its new quantity:
+   * "2 large eggs" halved is "1 large egg", "1 onion" doubled is "2 onions".
+   */
+  function agreeInNumber(item, from, to) {
+    const words = item.split(' ');
+    let last = words[words.length - 1];
+    if (!/^[a-z]+$/i.test(last) || (from > 1) === (to > 1)) return item;
+
+    if (to > 1 && !/s$/i.test(last)) {
+      last = /[^aeiou]y$/i.test(last) ? last.slice(0, -1) + 'ies'
+        : /(o|ch|sh|x)$/i.test(last) ? last + 'es'
+          : last + 's';
+    } else if (to <= 1 && /[^s]s$/i.test(last)) {
+      last = /ies$/i.test(last) ? last.slice(0, -3) + 'y'
+        : /(oes|ches|shes|xes)$/i.test(last) ? last.slice(0, -2)
+          : last.slice(0, -1);
+    }
+    words[words.length - 1] = last;
+    return words.join(' ');
+  }
+
+  /**
+   * Scale one parsed ingredient by a factor. Amounts without a quantity
+   * ("salt to taste") are left alone.
+   * @param {Object} parsed - Result of IngredientParser.parseIngredient
+   * @param {number} factor - Multiplier, e.g. 0.5 for half a batch
+   * @returns {Object} Parsed ingredient with scaled quantities and a `text` line
+   */
+  function scaleIngredient(parsed, factor) {
+    if (parsed.quantity === null || factor === 1) {
+      return { ...parsed, text: parsed.original };
+    }
+
+    let { quantity, unit } = simplifyUnit(parsed.quantity * factor, parsed.unit);
+    const ratio = parsed.unit ? quantity / (parsed.quantity * factor) : 1;
+    let quantityMax = parsed.quantityMax !== null ? parsed.quantityMax * factor * ratio : null;
+
+    quantity = roundToKitchenFraction(quantity, unit);
+    if (quantityMax !== null) quantityMax = roundToKitchenFraction(quantityMax, unit);
+    if (quantityMax === quantity) quantityMax = null;
+
+    const item = unit ? parsed.item : agreeInNumber(parsed.item, parsed.quantityMax ?? parsed.quantity, quantityMax ?? quantity);
+    const scaled = { ...parsed, quantity, quantityMax, unit, item };
+    return { ...scaled, text: Parser.formatIngredient(scaled) };
+  }
+
+  /**
+   * Scale a whole recipe to a number of servings.
+   * @param {Object} recipe - Recipe with servings and ingredients
+   * @param {number} servings - Servings wanted
+   * @returns {{ factor: number, originalServings: string, servings: string,
+   *   ingredients: Array<string>, parsedIngredients: Array<Object> }|null}
+   *   null when the recipe does not say how many servings it makes
+   */
+  function scaleRecipe(recipe, servings) {
+    const base = parseServings(recipe.servings);
+    if (!base) return null;
+
+    const factor = servings / base.count;
+    const parsedIngredients = (recipe.parsedIngredients || (recipe.ingredients || []).map(Parser.parseIngredient))
+      .map(parsed => scaleIngredient(parsed, factor));
+
+    return {
+      factor,
+      originalServings: String(recipe.servings),
+      servings: formatServings(servings, base.label),
+      ingredients: parsedIngredients.map(parsed => parsed.text),
+      parsedIngredients
+    };
+  }
+
+  return {
+    parseServings,
+    formatServings,
+    roundToKitchenFraction,
+    simplifyUnit,
+    scaleIngredient,
+    scaleRecipe
+  };
+})();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RecipeScaler;
+} else {
+  window.RecipeScaler = RecipeScaler;
+}
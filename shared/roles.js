@@ -0,0 +1,59 @@
+/**
+ * Roles - who may change what
+ *
+ *   viewer       reads everything, changes nothing
+ *   contributor  adds recipes, edits and deletes their own, plans meals and
+ *                keeps shopping lists
+ *   editor       also edits and deletes anyone's recipes
+ *   admin        also manages user roles
+ *
+ * Shared by server.js (require), which enforces the rules, and the browser
+ * clients (plain <script>, exposed as window.Roles), which use the same
+ * rules to hide what the user cannot do.
+ */
+const Roles = (() => {
+  // Each role may do everything the roles before it may
+  const ROLES = ['viewer', 'contributor', 'editor', 'admin'];
+  const DEFAULT_ROLE = 'contributor';
+
+  /**
+   * Role of a user. Accounts created before roles existed are contributors.
+   * @param {Object|null} user
+   * @returns {string|null} null for anonymous users
+   */
+  function roleOf(user) {
+    if (!user) return null;
+    return ROLES.includes(user.role) ? user.role : DEFAULT_ROLE;
+  }
+
+  /**
+   * @param {Object|null} user
+   * @param {string} role - Least role required
+   * @returns {boolean}
+   */
+  function hasRole(user, role) {
+    const own = roleOf(user);
+    return own !== null && ROLES.indexOf(own) >= ROLES.indexOf(role);
+  }
+
+  /**
+   * Recipes can be changed by their author or by an editor. Recipes without
+   * an author (the seed recipes) are left to editors.
+   * @param {Object|null} user
+   * @param {Object} recipe
+   * @returns {boolean}
+   */
+  function canEditRecipe(user, recipe) {
+    if (hasRole(user, 'editor')) return true;
+    return hasRole(user, 'contributor') && recipe.createdBy !== undefined && recipe.createdBy === user.id;
+  }
+
+  return { ROLES, DEFAULT_ROLE, roleOf, hasRole, canEditRecipe };
+})();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Roles;
+} else {
+  window.Roles = Roles;
+}
@@ -0,0 +1,299 @@
+/**
+ * UnitConverter - renders a recipe fully metric or fully US customary
+ *
+ * Ingredients are converted with IngredientParser's unit table. Dry goods
+ * such as flour, sugar and butter move between cups and grams through the
+ * density table below, since that is how each side of the Atlantic measures
+ * them; liquids stay volumes. Teaspoons and tablespoons are kept in both
+ * systems, as metric kitchens use 5 ml and 15 ml spoons.
+ *
+ * Instruction text is converted too: oven temperatures ("375°F (190°C)")
+ * and pan or cut sizes ("9x13-inch pan", "2 cm cubes").
+ *
+ * Shared by server.js (require) and the browser clients (plain <script>
+ * after recipeScaler.js, exposed as window.UnitConverter).
+ */
+const UnitConverter = (() => {
+  const isNode = typeof module !== 'undefined' && module.exports;
+  const Parser = isNode ? require('./ingredientParser') : window.IngredientParser;
+  const Scaler = isNode ? require('./recipeScaler') : window.RecipeScaler;
+
+  const SYSTEMS = ['metric', 'us'];
+  const ML_PER_CUP = 236.588;
+  const GRAMS_PER_OUNCE = 28.3495;
+  const CM_PER_INCH = 2.54;
+
+  const METRIC_UNITS = ['milliliter', 'centiliter', 'deciliter', 'liter', 'milligram', 'gram', 'kilogram'];
+  const SPOON_UNITS = ['teaspoon', 'tablespoon', 'pinch', 'dash'];
+
+  /**
+   * Grams per US cup of common ingredients. `weigh` marks ingredients that
+   * metric recipes give by weight rather than by volume.
+   */
+  const DENSITIES = [
+    { keywords: ['all-purpose flour', 'plain flour', 'flour'], gramsPerCup: 125, weigh: true },
+    { keywords: ['bread flour'], gramsPerCup: 127, weigh: true },
+    { keywords: ['whole wheat flour', 'wholemeal flour'], gramsPerCup: 120, weigh: true },
+    { keywords: ['cake flour'], gramsPerCup: 114, weigh: true },
+    { keywords: ['cornstarch', 'cornflour', 'corn starch'], gramsPerCup: 128, weigh: true },
+    { keywords: ['granulated sugar', 'caster sugar', 'white sugar', 'sugar'], gramsPerCup: 200, weigh: true },
+    { keywords: ['brown sugar'], gramsPerCup: 220, weigh: true },
+    { keywords: ['powdered sugar', 'icing sugar', "confectioners' sugar", 'confectioners sugar'], gramsPerCup: 120, weigh: true },
+    { keywords: ['cocoa powder', 'cocoa'], gramsPerCup: 85, weigh: true },
+    { keywords: ['chocolate chips', 'chocolate chunks'], gramsPerCup: 170, weigh: true },
+    { keywords: ['butter'], gramsPerCup: 227, weigh: true },
+    { keywords: ['peanut butter'], gramsPerCup: 258, weigh: true },
+    { keywords: ['honey'], gramsPerCup: 340, weigh: true },
+    { keywords: ['rolled oats', 'oats'], gramsPerCup: 90, weigh: true },
+    { keywords: ['rice'], gramsPerCup: 185, weigh: true },
+    { keywords: ['breadcrumbs', 'bread crumbs'], gramsPerCup: 110, weigh: true },
+    { keywords: ['walnuts', 'pecans', 'almonds', 'nuts'], gramsPerCup: 120, weigh: true },
+    { keywords: ['raisins'], gramsPerCup: 150, weigh: true },
+    { keywords: ['cheese', 'cheddar', 'mozzarella'], gramsPerCup: 113, weigh: true },
+    { keywords: ['parmesan', 'parmesan cheese'], gramsPerCup: 100, weigh: true },
+    { keywords: ['feta', 'feta cheese'], gramsPerCup: 150, weigh: true },
+    { keywords: ['olives', 'kalamata olives'], gramsPerCup: 135, weigh: true },
+    { keywords: ['cherry tomatoes', 'tomatoes'], gramsPerCup: 150, weigh: true },
+    { keywords: ['yogurt', 'yoghurt'], gramsPerCup: 245, weigh: true },
+    { keywords: ['salt'], gramsPerCup: 288, weigh: true },
+    { keywords: ['baking soda', 'bicarbonate of soda'], gramsPerCup: 230, weigh: true },
+    { keywords: ['baking powder'], gramsPerCup: 192, weigh: true },
+    { keywords: ['water', 'stock', 'broth'], gramsPerCup: 237, weigh: false },
+    { keywords: ['milk', 'buttermilk'], gramsPerCup: 245, weigh: false },
+    { keywords: ['cream', 'heavy cream', 'sour cream'], gramsPerCup: 238, weigh: false },
+    { keywords: ['oil', 'olive oil', 'vegetable oil'], gramsPerCup: 218, weigh: false },
+    { keywords: ['vinegar', 'red wine vinegar'], gramsPerCup: 239, weigh: false },
+    { keywords: ['juice', 'lemon juice', 'lime juice'], gramsPerCup: 242, weigh: false },
+    { keywords: ['maple syrup', 'syrup'], gramsPerCup: 315, weigh: false },
+    { keywords: ['vanilla extract', 'vanilla'], gramsPerCup: 208, weigh: false }
+  ];
+
+  /**
+   * Density entry for an ingredient name, preferring the most specific
+   * keyword ("brown sugar" over "sugar").
+   * @param {string} item - Ingredient name, e.g. "all-purpose flour"
+   * @returns {{ gramsPerCup: number, weigh: boolean }|null}
+   */
+  function findDensity(item) {
+    const name = String(item || '').toLowerCase();
+    let best = null;
+    let bestLength = 0;
+    DENSITIES.forEach(entry => entry.keywords.forEach(keyword => {
+      if (keyword.length > bestLength && new RegExp(`\\b${keyword}\\b`).test(name)) {
+        best = entry;
+        bestLength = keyword.length;
+      }
+    }));
+    return best;
+  }
+
+  // Metric amounts step up to kilograms and litres past 1000
+  function metricMass(grams) {
+    return grams >= 1000 ? { quantity: grams / 1000, unit: 'kilogram' } : { quantity: grams, unit: 'gram' };
+  }
+
+  function metricVolume(millilitres) {
+    return millilitres >= 1000 ? { quantity: millilitres / 1000, unit: 'liter' } : { quantity: millilitres, unit: 'milliliter' };
+  }
+
+  // US weights use pounds from one pound up
+  function usMass(grams) {
+    const ounces = grams / GRAMS_PER_OUNCE;
+    return ounces >= 16 ? { quantity: ounces / 16, unit: 'pound' } : { quantity: ounces, unit: 'ounce' };
+  }
+
+  function usVolume(millilitres) {
+    return Scaler.simplifyUnit(millilitres / ML_PER_CUP, 'cup');
+  }
+
+  /**
+   * Express an amount in grams or millilitres in the most readable unit of
+   * a system.
+   * @param {number} amount - Grams for mass, millilitres for volume
+   * @param {string} type - "mass" or "volume"
+   * @param {string} system - "metric" or "us"
+   * @returns {{ quantity: number, unit: string }}
+   */
+  function fromBase(amount, type, system) {
+    if (system === 'metric') return type === 'mass' ? metricMass(amount) : metricVolume(amount);
+    return type === 'mass' ? usMass(amount) : usVolume(amount);
+  }
+
+  /**
+   * Weight of a volume of an ingredient, through the density table.
+   * @param {number} millilitres
+   * @param {string} item - Ingredient name
+   * @returns {number|null} Grams, or null for ingredients not in the table
+   */
+  function volumeToMass(millilitres, item) {
+    const density = findDensity(item);
+    return density ? millilitres / ML_PER_CUP * density.gramsPerCup : null;
+  }
+
+  /**
+   * Whether a unit belongs to the metric system.
+   * @param {string} unitName - Canonical unit name, e.g. "gram"
+   */
+  function isMetricUnit(unitName) {
+    return METRIC_UNITS.includes(unitName);
+  }
+
+  /**
+   * Target quantity and unit for one amount, or null when it is already
+   * expressed the way the target system measures it.
+   */
+  function convertAmount(quantity, unitName, item, system) {
+    const unit = Parser.getUnit(unitName);
+    if (!unit || unit.type === 'count') return null;
+
+    const base = quantity * unit.factor;
+    const density = findDensity(item);
+    const isMetric = isMetricUnit(unitName);
+
+    if (system === 'metric') {
+      if (isMetric || SPOON_UNITS.includes(unitName)) return null;
+      if (unit.type === 'mass') return metricMass(base);
+      return density && density.weigh
+        ? metricMass(volumeToMass(base, item))
+        : metricVolume(base);
+    }
+
+    if (!isMetric) return null;
+    if (unit.type === 'volume') return usVolume(base);
+    return density && density.weigh
+      ? usVolume(base / density.gramsPerCup * ML_PER_CUP)
+      : usMass(base);
+  }
+
+  // A converted "59 ml" is really a quarter cup; round to the nearest 5
+  function roundConverted(value, unitName) {
+    if (['gram', 'milliliter'].includes(unitName) && value >= 20 && value < 100) {
+      return Math.round(value / 5) * 5;
+    }
+    return Scaler.roundToKitchenFraction(value, unitName);
+  }
+
+  /**
+   * Convert one parsed ingredient to a unit system.
+   * @param {Object} parsed - Result of IngredientParser.parseIngredient
+   * @param {string} system - "metric" or "us"
+   * @returns {Object} Parsed ingredient in the target units, with a `text` line
+   */
+  function convertIngredient(parsed, system) {
+    const text = parsed.text || parsed.original;
+    if (parsed.quantity === null || !parsed.unit) return { ...parsed, text };
+
+    const converted = convertAmount(parsed.quantity, parsed.unit, parsed.item, system);
+    if (!converted) return { ...parsed, text };
+
+    const ratio = converted.quantity / parsed.quantity;
+    const quantity = roundConverted(converted.quantity, converted.unit);
+    let quantityMax = parsed.quantityMax !== null
+      ? roundConverted(parsed.quantityMax * ratio, converted.unit)
+      : null;
+    if (quantityMax === quantity) quantityMax = null;
+
+    const result = { ...parsed, quantity, quantityMax, unit: converted.unit };
+    return { ...result, text: Parser.formatIngredient(result) };
+  }
+
+  // Oven temperatures read best in round numbers
+  function roundTemperature(value, scale) {
+    if (scale === 'C') return value >= 100 ? Math.round(value / 10) * 10 : Math.round(value);
+    return value >= 200 ? Math.round(value / 25) * 25 : Math.round(value);
+  }
+
+  function formatLength(value, unit) {
+    if (unit === 'cm') return String(value < 10 ? Math.round(value * 2) / 2 : Math.round(value));
+    return Parser.formatQuantity(value >= 4 ? Math.round(value) : Math.round(value * 4) / 4);
+  }
+
+  const TEMPERATURE = '(\\d+(?:\\.\\d+)?)\\s*(?:°|º|degrees?)\\s*([CF])\\b';
+  const LENGTH_UNIT = '(inch(?:es)?|in\\.|"|cm|centimet(?:er|re)s?)';
+
+  /**
+   * Convert temperatures and lengths inside instruction text.
+   * @param {string} text - e.g. "Preheat oven to 375°F (190°C)"
+   * @param {string} system - "metric" or "us"
+   * @returns {string}
+   */
+  function convertText(text, system) {
+    const target = system === 'metric' ? 'C' : 'F';
+    let result = String(text);
+
+    // "375°F (190°C)" already names both; keep only the target one
+    result = result.replace(new RegExp(`${TEMPERATURE}\\s*\\(\\s*${TEMPERATURE}\\s*\\)`, 'gi'),
+      (whole, first, firstScale, second, secondScale) => {
+        const [value, scale] = firstScale.toUpperCase() === target ? [first, firstScale] : [second, secondScale];
+        return `${value}°${scale.toUpperCase()}`;
+      });
+
+    result = result.replace(new RegExp(TEMPERATURE, 'gi'), (whole, value, scale) => {
+      const from = scale.toUpperCase();
+      if (from === target) return whole;
+      const degrees = Number(value);
+      const converted = from === 'F' ? (degrees - 32) * 5 / 9 : degrees * 9 / 5 + 32;
+      return `${roundTemperature(converted, target)}°${target}`;
+    });
+
+    // Pan and cut sizes: "9x13-inch", "8 x 8 inch", "23 x 33 cm", "1-inch"
+    const toUnit = system === 'metric' ? 'cm' : 'inch';
+    const sizePattern = new RegExp(
+      `(\\d+(?:\\.\\d+)?)(?:\\s*(?:x|×|by)\\s*(\\d+(?:\\.\\d+)?))?(?:\\s*(?:x|×)\\s*(\\d+(?:\\.\\d+)?))?(\\s*-?\\s*)${LENGTH_UNIT}(?![a-z])`,
+      'gi'
+    );
+    result = result.replace(sizePattern, (whole, a, b, c, separator, unitText) => {
+      const fromUnit = /^c/i.test(unitText) ? 'cm' : 'inch';
+      if (fromUnit === toUnit) return whole;
+      const factor = toUnit === 'cm' ? CM_PER_INCH : 1 / CM_PER_INCH;
+      const dimensions = [a, b, c].filter(Boolean).map(value => formatLength(Number(value) * factor, toUnit));
+      // "9x13-inch pan" reads naturally; "23 x 33-cm pan" does not
+      return toUnit === 'cm'
+        ? `${dimensions.join(' x ')} cm`
+        : `${dimensions.join(' x ')}${separator.includes('-') ? '-' : ' '}inch`;
+    });
+
+    return result;
+  }
+
+  /**
+   * Render a recipe in one unit system. Only the fields the recipe carries
+   * are converted, so projected list items keep their shape.
+   * @param {Object} recipe - Recipe with ingredients (and parsedIngredients)
+   * @param {string} system - "metric" or "us"
+   * @returns {Object} Copy of the recipe with converted ingredients and instructions
+   */
+  function convertRecipe(recipe, system) {
+    const converted = { ...recipe };
+
+    if (Array.isArray(recipe.ingredients)) {
+      const parsedIngredients = (recipe.parsedIngredients || recipe.ingredients.map(Parser.parseIngredient))
+        .map(parsed => convertIngredient(parsed, system));
+      converted.ingredients = parsedIngredients.map(parsed => parsed.text);
+      if (recipe.parsedIngredients) converted.parsedIngredients = parsedIngredients;
+    }
+    if (Array.isArray(recipe.instructions)) {
+      converted.instructions = recipe.instructions.map(step => convertText(step, system));
+    }
+    return converted;
+  }
+
+  return {
+    SYSTEMS,
+    DENSITIES,
+    findDensity,
+    fromBase,
+    volumeToMass,
+    isMetricUnit,
+    convertIngredient,
+    convertText,
+    convertRecipe
+  };
+})();
+
+// Export for use in other files
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = UnitConverter;
+} else {
+  window.UnitConverter = UnitConverter;
+}
@@ -12,6 +12,77 @@ class RecipeDetailScreen {
     this.navigation = window.webNavigation; // React Native-style navigation prop
     this.favoriteRecipes = this.getFavoriteRecipes();
     this.isFavorite = this.checkIsFavorite();
+
+    // Servings stepper state (useState equivalent)
+    this.baseServings = window.RecipeScaler
+      ? window.RecipeScaler.parseServings(this.recipe.servings || 4)
+      : null;
+    this.servings = this.baseServings ? this.baseServings.count : null;
+
+    // Unit preference, remembered across recipes ("metric", "us" or "" as written)
+    this.unitSystem = localStorage.getItem('unitSystem') || '';
+
+    // Nutrition facts (useMemo equivalent), computed on first render
+    this.nutrition = undefined;
+  }
+
+  /**
+   * Nutrition facts for the recipe, computed locally with the shared
+   * NutritionCalculator, the same code behind the server's
+   * /api/recipes/:id/nutrition endpoint.
+   * @returns {Object|null} Nutrition facts, or null when unavailable
+   */
+  getNutrition() {
+    if (this.nutrition !== undefined) return this.nutrition;
+    if (!window.NutritionCalculator || !Array.isArray(this.recipe.ingredients)) {
+      this.nutrition = null;
+      return this.nutrition;
+    }
+
+    const ingredients = this.recipe.ingredients.map(ingredient =>
+      typeof ingredient === 'string' ? ingredient : `${ingredient.measurement} ${ingredient.name}`
+    );
+    this.nutrition = window.NutritionCalculator.calculateNutrition({
+      ingredients,
+      servings: this.recipe.servings || 4
+    });
+    return this.nutrition;
+  }
+
+  /**
+   * Multiplier from the recipe's own servings to the servings selected
+   * @returns {Number} Scale factor, 1 when the recipe is shown as written
+   */
+  getScaleFactor() {
+    return this.baseServings ? this.servings / this.baseServings.count : 1;
+  }
+
+  /**
+   * Step the servings up or down and re-render the scaled ingredients.
+   * Scaling uses the shared RecipeScaler, the same code behind the
+   * server's /api/recipes/:id?servings=N endpoint.
+   * @param {Number} direction - 1 for more servings, -1 for fewer
+   */
+  changeServings(direction) {
+    if (!this.baseServings) return;
+
+    const servings = Math.max(1, this.servings + direction);
+    if (servings === this.servings) return;
+
+    this.servings = servings;
+    this.render();
+  }
+
+  /**
+   * Switch the ingredients and instructions to another unit system and
+   * remember the choice. Conversion uses the shared UnitConverter, the same
+   * code behind the server's /api/recipes/:id?units= option.
+   * @param {String} system - "metric", "us" or "" for the recipe as written
+   */
+  setUnitSystem(system) {
+    this.unitSystem = system;
+    localStorage.setItem('unitSystem', system);
+    this.render();
   }
 
   /**
@@ -188,14 +259,14 @@ class RecipeDetailScreen {
           <div class="misc-item">
             <span class="misc-icon">👥</span>
             <span class="misc-label">Servings</span>
-            <span class="misc-value">${this.recipe.servings || '4'}</span>
+            ${this.renderServingsStepper()}
           </div>
           
           <!-- Calories -->
           <div class="misc-item">
             <span class="misc-icon">🔥</span>
             <span class="misc-label">Calories</span>
-            <span class="misc-value">${this.recipe.calories || '250'}</span>
+            <span class="misc-value">${this.renderCalories()}</span>
           </div>
           
           <!-- Type -->
@@ -209,6 +280,131 @@ class RecipeDetailScreen {
     `;
   }
 
+  /**
+   * Convert an ingredient into the { name, measurement } pair the list shows,
+   * scaled to the selected servings and converted to the selected unit
+   * system. Plain text lines ("2 cups flour") are split with the shared
+   * IngredientParser.
+   * @param {Object|String} ingredient - Ingredient object or free-text line
+   * @returns {Object} Ingredient with name and measurement
+   */
+  toDisplayIngredient(ingredient) {
+    const factor = this.getScaleFactor();
+    if (typeof ingredient !== 'string' && factor === 1 && !this.unitSystem) {
+      return ingredient;
+    }
+    if (!window.IngredientParser) {
+      return typeof ingredient === 'string' ? { name: ingredient, measurement: '' } : ingredient;
+    }
+
+    const line = typeof ingredient === 'string'
+      ? ingredient
+      : `${ingredient.measurement} ${ingredient.name}`;
+    let parsed = window.IngredientParser.parseIngredient(line);
+    if (factor !== 1 && window.RecipeScaler) {
+      parsed = window.RecipeScaler.scaleIngredient(parsed, factor);
+    }
+    if (this.unitSystem && window.UnitConverter) {
+      parsed = window.UnitConverter.convertIngredient(parsed, this.unitSystem);
+    }
+    let name = parsed.item;
+    if (parsed.preparation) name += `, ${parsed.preparation}`;
+    if (parsed.optional) name += ' (optional)';
+    return { name, measurement: window.IngredientParser.formatMeasurement(parsed) };
+  }
+
+  /**
+   * Render the servings value, with - / + buttons when it can be scaled
+   */
+  renderServingsStepper() {
+    if (!this.baseServings) {
+      return `<span class="misc-value">${this.recipe.servings || '4'}</span>`;
+    }
+
+    const label = window.RecipeScaler.formatServings(this.servings, this.baseServings.label);
+    return `
+            <div class="servings-stepper">
+              <button class="stepper-button"
+                      onclick="window.currentRecipeDetail.changeServings(-1)"
+                      aria-label="Fewer servings">−</button>
+              <span class="misc-value">${label}</span>
+              <button class="stepper-button"
+                      onclick="window.currentRecipeDetail.changeServings(1)"
+                      aria-label="More servings">+</button>
+            </div>
+    `;
+  }
+
+  /**
+   * Render the As written / Metric / US switch for the ingredients section
+   */
+  renderUnitToggle() {
+    if (!window.UnitConverter) return '';
+
+    const options = [['', 'As written'], ['metric', 'Metric'], ['us', 'US']];
+    const buttons = options.map(([system, label]) => `
+            <button class="unit-button ${this.unitSystem === system ? 'unit-active' : ''}"
+                    onclick="window.currentRecipeDetail.setUnitSystem('${system}')"
+                    aria-pressed="${this.unitSystem === system}">${label}</button>
+    `).join('');
+    return `<div class="unit-toggle" role="group" aria-label="Units">${buttons}</div>`;
+  }
+
+  /**
+   * Calories per serving, from the nutrition facts when they could be computed
+   */
+  renderCalories() {
+    const nutrition = this.getNutrition();
+    if (nutrition && nutrition.perServing) {
+      return nutrition.perServing.calories;
+    }
+    return this.recipe.calories || '250';
+  }
+
+  /**
+   * Render Nutrition Section
+   * View component with testID="nutritionLabel"
+   */
+  renderNutritionSection() {
+    const nutrition = this.getNutrition();
+    if (!nutrition) return '';
+
+    // Unmatched lines are the recipe's own ingredient text; escapeHtml is
+    // script.js's
+    const values = nutrition.perServing || nutrition.total;
+    const basis = nutrition.perServing ? `Per serving (1 of ${nutrition.servings})` : 'Whole recipe';
+    const rows = window.NutrientTable.NUTRIENTS
+      .filter(nutrient => nutrient.key !== 'calories')
+      .map(nutrient => `
+          <div class="nutrition-row">
+            <span>${escapeHtml(nutrient.label)}</span>
+            <span>${values[nutrient.key]} ${nutrient.unit}</span>
+          </div>
+      `).join('');
+    const unmatched = nutrition.unmatched.length > 0
+      ? `<p class="nutrition-note">Not included: ${escapeHtml(nutrition.unmatched.join('; '))}</p>`
+      : '';
+
+    return `
+      <!-- Nutrition Section Container -->
+      <div class="view-container" data-testid="sectionContainer">
+        <div class="section-header">
+          <h2 class="section-title">Nutrition</h2>
+        </div>
+
+        <div class="nutrition-label" data-testid="nutritionLabel">
+          <div class="nutrition-basis">${basis}</div>
+          <div class="nutrition-calories">
+            <span>Calories</span>
+            <span>${values.calories}</span>
+          </div>
+          ${rows}
+          ${unmatched}
+        </div>
+      </div>
+    `;
+  }
+
   /**
    * Render Ingredients Section
    * View component with testID="sectionContainer" for ingredients
@@ -218,21 +414,21 @@ class RecipeDetailScreen {
     let ingredients = [];
     
     if (this.recipe.ingredients && Array.isArray(this.recipe.ingredients)) {
-      ingredients = this.recipe.ingredients;
+      ingredients = this.recipe.ingredients.map(ingredient => this.toDisplayIngredient(ingredient));
     } else {
       // Create default ingredients from recipe data
       ingredients = [
         { name: 'Main Ingredient', measurement: '2 cups' },
         { name: 'Secondary Ingredient', measurement: '1 cup' },
         { name: 'Seasoning', measurement: 'To taste' }
-      ];
+      ].map(ingredient => this.toDisplayIngredient(ingredient));
     }
 
     const ingredientsList = ingredients.map((ingredient, index) => `
       <div class="ingredient-item" data-key="${index}">
         <div class="ingredient-content">
-          <span class="ingredient-name">${ingredient.name}</span>
-          <span class="ingredient-measurement">${ingredient.measurement}</span>
+          <span class="ingredient-name">${escapeHtml(ingredient.name)}</span>
+          <span class="ingredient-measurement">${escapeHtml(ingredient.measurement)}</span>
         </div>
       </div>
     `).join('');
@@ -242,6 +438,7 @@ class RecipeDetailScreen {
       <div class="view-container" data-testid="sectionContainer">
         <div class="section-header">
           <h2 class="section-title">Ingredients</h2>
+          ${this.renderUnitToggle()}
         </div>
         
         <!-- Ingredients List -->
@@ -259,9 +456,14 @@ class RecipeDetailScreen {
    * View component with testID="sectionContainer" for instructions
    */
   renderInstructionsSection() {
-    const instructions = this.recipe.recipeInstructions || 
+    let instructions = this.recipe.recipeInstructions || 
       'Follow these step-by-step instructions to prepare this delicious recipe. Cook with care and enjoy!';
 
+    // Oven temperatures and pan sizes follow the unit preference
+    if (this.unitSystem && window.UnitConverter) {
+      instructions = window.UnitConverter.convertText(instructions, this.unitSystem);
+    }
+
     return `
       <!-- Instructions Section Container -->
       <div class="view-container" data-testid="sectionContainer">
@@ -304,6 +506,9 @@ class RecipeDetailScreen {
           <!-- Ingredients Section -->
           ${this.renderIngredientsSection()}
           
+          <!-- Nutrition Section -->
+          ${this.renderNutritionSection()}
+          
           <!-- Instructions Section -->
           ${this.renderInstructionsSection()}
           
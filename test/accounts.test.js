@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { Accounts } = require('../lib/auth');
+const { startServer } = require('./helpers/server');
+
+test('a session stops working once it expires', async () => {
+  const storage = await createStorage({ backend: 'memory' });
+  const accounts = new Accounts({ sessionMaxAgeMs: 0 });
+  await accounts.open(storage);
+  const user = await accounts.register({ username: 'cook', password: 'correct horse' });
+
+  const { token } = await accounts.startSession(user);
+  assert.equal(await accounts.userForToken(token), null);
+  assert.deepEqual(await (await storage.open('sessions')).list(), []);
+});
+
+test('expired sessions are dropped when the accounts are opened again', async () => {
+  const storage = await createStorage({ backend: 'memory' });
+  const sessions = await storage.open('sessions');
+  await sessions.insert({ tokenHash: 'x', userId: 1, expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+  await new Accounts({ sessionMaxAgeMs: 60000 }).open(storage);
+  assert.deepEqual(await sessions.list(), []);
+});
+
+let server;
+let admin;
+let editor;
+let author;
+let other;
+let viewer;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.signUp('admin');
+  editor = await server.signUp('editor', { role: 'editor', promotedBy: admin.token });
+  author = await server.signUp('author');
+  other = await server.signUp('other');
+  viewer = await server.signUp('viewer', { role: 'viewer', promotedBy: admin.token });
+});
+
+after(() => server.stop());
+
+test('the first account is an admin and the rest start as contributors', () => {
+  assert.equal(admin.user.role, 'admin');
+  assert.equal(author.user.role, 'contributor');
+});
+
+test('POST /api/auth/login signs in with the right password only', async () => {
+  const wrong = await server.request('POST', '/api/auth/login', { body: { username: 'author', password: 'wrong horse' } });
+  assert.equal(wrong.status, 401);
+  const unknown = await server.request('POST', '/api/auth/login', { body: { username: 'nobody', password: 'correct horse' } });
+  assert.equal(unknown.status, 401);
+
+  const login = await server.request('POST', '/api/auth/login', { body: { username: 'AUTHOR', password: 'correct horse' } });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.user.id, author.user.id);
+  assert.equal('passwordHash' in login.body.user, false);
+  assert.match(login.headers.get('set-cookie'), /^sid=[^;]+;.*HttpOnly/i);
+
+  const byCookie = await server.request('GET', '/api/me', { headers: { Cookie: `sid=${login.body.token}` } });
+  assert.equal(byCookie.body.username, 'author');
+});
+
+test('POST /api/auth/logout ends the session', async () => {
+  const { body: session } = await server.request('POST', '/api/auth/login', { body: { username: 'other', password: 'correct horse' } });
+  assert.equal((await server.request('GET', '/api/me', { token: session.token })).status, 200);
+  assert.equal((await server.request('POST', '/api/auth/logout', { token: session.token })).status, 204);
+  assert.equal((await server.request('GET', '/api/me', { token: session.token })).status, 401);
+});
+
+test('anonymous users and viewers may read but not write', async () => {
+  assert.equal((await server.request('GET', '/api/recipes')).status, 200);
+  const anonymous = await server.request('POST', '/api/recipes', { body: {} });
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.headers.get('www-authenticate'), 'Bearer');
+  assert.equal((await server.request('POST', '/api/recipes', { token: viewer.token, body: {} })).status, 403);
+});
+
+test('a recipe is changed by its author or an editor, not another contributor', async () => {
+  const { recipe } = await server.createRecipe(author.token);
+  const path = `/api/recipes/${recipe.id}`;
+
+  assert.equal((await server.request('PUT', path, { token: other.token, body: { title: 'Taken' } })).status, 403);
+  assert.equal((await server.request('DELETE', path, { token: other.token })).status, 403);
+  assert.equal((await server.request('PUT', path, { token: author.token, body: { title: 'Mine' } })).status, 200);
+  assert.equal((await server.request('PUT', path, { token: editor.token, body: { title: 'Edited' } })).status, 200);
+  // The seed recipes have no author
+  assert.equal((await server.request('PUT', '/api/recipes/1', { token: author.token, body: { title: 'Seed' } })).status, 403);
+});
+
+test('only admins manage roles, and the last admin stays one', async () => {
+  assert.equal((await server.request('GET', '/api/users', { token: editor.token })).status, 403);
+  assert.equal((await server.request('PATCH', `/api/users/${other.user.id}`, { token: editor.token, body: { role: 'editor' } })).status, 403);
+
+  const users = await server.request('GET', '/api/users', { token: admin.token });
+  assert.equal(users.status, 200);
+  assert.equal(users.body.length, 5);
+
+  const demote = await server.request('PATCH', `/api/users/${admin.user.id}`, { token: admin.token, body: { role: 'editor' } });
+  assert.equal(demote.status, 409);
+});
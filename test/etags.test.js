@@ -0,0 +1,71 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { etagFor, ifMatchSatisfied } = require('../lib/etag');
+const { startServer } = require('./helpers/server');
+
+test('ETags change with the version', () => {
+  assert.equal(etagFor({ id: 3, version: 2 }), '"3-2"');
+  assert.equal(etagFor({ id: 3 }), '"3-1"');
+});
+
+test('If-Match takes a list or *, and never a weak tag', () => {
+  const document = { id: 3, version: 2 };
+  assert.equal(ifMatchSatisfied(undefined, document), true);
+  assert.equal(ifMatchSatisfied('*', document), true);
+  assert.equal(ifMatchSatisfied('"3-1", "3-2"', document), true);
+  assert.equal(ifMatchSatisfied('"3-1"', document), false);
+  assert.equal(ifMatchSatisfied('W/"3-2"', document), false);
+});
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await server.signUp('cook'));
+});
+
+after(() => server.stop());
+
+function createRecipe(title) {
+  return server.createRecipe(token, { title });
+}
+
+test('GET /api/recipes/:id answers 304 to a matching If-None-Match', async () => {
+  const { recipe, etag } = await createRecipe('Scones');
+  assert.equal(etag, `"${recipe.id}-1"`);
+
+  const fresh = await server.request('GET', `/api/recipes/${recipe.id}`, { headers: { 'If-None-Match': etag } });
+  assert.equal(fresh.status, 304);
+
+  const stale = await server.request('GET', `/api/recipes/${recipe.id}`, { headers: { 'If-None-Match': `"${recipe.id}-0"` } });
+  assert.equal(stale.status, 200);
+  assert.equal(stale.headers.get('etag'), etag);
+});
+
+test('PUT /api/recipes/:id with a matching If-Match saves and returns the new ETag', async () => {
+  const { recipe, etag } = await createRecipe('Muffins');
+  const { status, body, headers } = await server.request('PUT', `/api/recipes/${recipe.id}`, {
+    token,
+    headers: { 'If-Match': etag },
+    body: { title: 'Blueberry muffins' }
+  });
+  assert.equal(status, 200);
+  assert.equal(body.version, 2);
+  assert.equal(headers.get('etag'), `"${recipe.id}-2"`);
+});
+
+test('a stale If-Match answers 412 with the current ETag and changes nothing', async () => {
+  const { recipe, etag } = await createRecipe('Flapjacks');
+  await server.request('PUT', `/api/recipes/${recipe.id}`, { token, headers: { 'If-Match': etag }, body: { title: 'Oat flapjacks' } });
+
+  const put = await server.request('PUT', `/api/recipes/${recipe.id}`, { token, headers: { 'If-Match': etag }, body: { title: 'Mine' } });
+  assert.equal(put.status, 412);
+  assert.equal(put.headers.get('etag'), `"${recipe.id}-2"`);
+
+  const remove = await server.request('DELETE', `/api/recipes/${recipe.id}`, { token, headers: { 'If-Match': etag } });
+  assert.equal(remove.status, 412);
+
+  const current = await server.request('GET', `/api/recipes/${recipe.id}`);
+  assert.equal(current.body.title, 'Oat flapjacks');
+});
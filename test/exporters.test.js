@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseExportFormat, exportFilename } = require('../lib/exporters');
+const { BadRequestError } = require('../lib/errors');
+
+test('reads a known export format', () => {
+  const format = parseExportFormat({ format: 'markdown' });
+  assert.equal(format.name, 'markdown');
+  assert.equal(format.extension, 'md');
+  assert.equal(typeof format.render, 'function');
+});
+
+test('refuses missing, unknown and inherited formats', () => {
+  for (const format of [undefined, ['csv'], 'pdf', 'constructor', 'toString', '__proto__']) {
+    assert.throws(() => parseExportFormat({ format }), error => error instanceof BadRequestError && error.details[0].field === 'format', String(format));
+  }
+});
+
+test('names the file after the label', () => {
+  assert.equal(exportFilename('Banana Bread!', { extension: 'md' }), 'banana-bread.md');
+  assert.equal(exportFilename('???', { extension: 'csv' }), 'recipes.csv');
+});
@@ -0,0 +1,144 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+const START_TIMEOUT_MS = 20000;
+
+// A port nothing listens on right now
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start a copy of the server with its files, and its data for the json and
+ * sqlite backends, in a temporary directory. stop() ends it and removes the
+ * directory.
+ * @param {Object} [options]
+ * @param {string} [options.backend] - Storage backend
+ * @returns {Promise<{ url: string, storageDirectory: string, request: Function,
+ *   signUp: Function, createRecipe: Function, stop: Function }>}
+ */
+async function startServer({ backend = 'memory' } = {}) {
+  const port = await freePort();
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'foodrecipe-server-'));
+  const storageDirectory = path.join(directory, 'data');
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORAGE_BACKEND: backend,
+      STORAGE_DIRECTORY: storageDirectory,
+      FILES_DIRECTORY: path.join(directory, 'files')
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+  async function stop() {
+    child.kill();
+    await exited;
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('is running on')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  }).catch(async (error) => {
+    await stop();
+    throw error;
+  });
+
+  const url = `http://localhost:${port}`;
+
+  /**
+   * Send a request; JSON bodies are sent and read as JSON.
+   * @param {string} method
+   * @param {string} pathname - e.g. "/api/recipes"
+   * @param {Object} [options]
+   * @param {*} [options.body]
+   * @param {string} [options.token] - Session token, sent as a bearer token
+   * @param {Object} [options.headers]
+   * @returns {Promise<{ status: number, headers: Headers, body: * }>}
+   */
+  async function request(method, pathname, { body, token, headers = {} } = {}) {
+    const response = await fetch(url + pathname, {
+      method,
+      // The default mode sends "Cache-Control: no-cache" with If-None-Match,
+      // which makes the server answer in full instead of 304
+      cache: 'no-cache',
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    const isJson = /json/.test(response.headers.get('content-type') || '');
+    return { status: response.status, headers: response.headers, body: isJson && text ? JSON.parse(text) : text };
+  }
+
+  /**
+   * Register an account and return its session token. The first account is
+   * an admin; an admin token given as `promotedBy` sets any other role.
+   * @param {string} username
+   * @param {Object} [options]
+   * @param {string} [options.role]
+   * @param {string} [options.promotedBy] - An admin's token
+   * @returns {Promise<{ token: string, user: Object }>}
+   */
+  async function signUp(username, { role, promotedBy } = {}) {
+    const { status, body } = await request('POST', '/api/auth/register', { body: { username, password: 'correct horse' } });
+    if (status !== 201) throw new Error(`Registering ${username} answered ${status}`);
+    let { user } = body;
+    if (role && role !== user.role) {
+      const changed = await request('PATCH', `/api/users/${user.id}`, { token: promotedBy, body: { role } });
+      if (changed.status !== 200) throw new Error(`Making ${username} ${role} answered ${changed.status}`);
+      user = changed.body;
+    }
+    return { token: body.token, user };
+  }
+
+  /**
+   * Add a recipe, failing unless the server takes it.
+   * @param {string} token - Session token of a contributor or above
+   * @param {Object} [fields] - Override the defaults
+   * @returns {Promise<{ recipe: Object, etag: string }>}
+   */
+  async function createRecipe(token, fields = {}) {
+    const { status, body, headers } = await request('POST', '/api/recipes', {
+      token,
+      body: { title: 'Test recipe', description: 'For the tests', ingredients: ['1 cup flour'], instructions: ['Bake'], ...fields }
+    });
+    if (status !== 201) throw new Error(`Adding a recipe answered ${status}: ${JSON.stringify(body)}`);
+    return { recipe: body, etag: headers.get('etag') };
+  }
+
+  return { url, storageDirectory, request, signUp, createRecipe, stop };
+}
+
+module.exports = { startServer };
@@ -0,0 +1,51 @@
+const zlib = require('zlib');
+
+/**
+ * A zip archive of the given files, deflated, for importer tests.
+ * @param {Array<{ name: string, data: Buffer }>} files
+ * @returns {Buffer}
+ */
+function makeZip(files) {
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  for (const { name, data } of files) {
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+    locals.push(local, nameBuffer, compressed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt32LE(compressed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(nameBuffer.length, 28);
+    entry.writeUInt32LE(offset, 42);
+    directory.push(entry, nameBuffer);
+
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const directorySize = directory.reduce((total, part) => total + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...directory, end]);
+}
+
+module.exports = { makeZip };
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIngredient, formatIngredient } = require('../shared/ingredientParser');
+
+function measure(line) {
+  const { quantity, quantityMax, unit, item, preparation } = parseIngredient(line);
+  return { quantity, quantityMax, unit, item, preparation };
+}
+
+test('reads quantity, unit, item and preparation', () => {
+  assert.deepEqual(measure('2¼ cups all-purpose flour'), { quantity: 2.25, quantityMax: null, unit: 'cup', item: 'all-purpose flour', preparation: null });
+  assert.deepEqual(measure('2-3 tbsp olive oil'), { quantity: 2, quantityMax: 3, unit: 'tablespoon', item: 'olive oil', preparation: null });
+  assert.deepEqual(measure('½ red onion, thinly sliced'), { quantity: 0.5, quantityMax: null, unit: null, item: 'red onion', preparation: 'thinly sliced' });
+  assert.deepEqual(measure('1 1/2 tsp salt'), { quantity: 1.5, quantityMax: null, unit: 'teaspoon', item: 'salt', preparation: null });
+});
+
+test('keeps notes, optional and to taste apart from the item', () => {
+  const parsed = parseIngredient('1 can (14 oz) tomatoes (optional)');
+  assert.equal(parsed.unit, 'can');
+  assert.equal(parsed.item, 'tomatoes');
+  assert.equal(parsed.note, '14 oz');
+  assert.equal(parsed.optional, true);
+
+  const seasoning = parseIngredient('Salt and pepper to taste');
+  assert.equal(seasoning.quantity, null);
+  assert.equal(seasoning.item, 'Salt and pepper');
+  assert.equal(seasoning.toTaste, true);
+});
+
+test('reads a unit with nothing after it', () => {
+  for (const line of ['10 g', '10g']) {
+    assert.deepEqual(measure(line), { quantity: 10, quantityMax: null, unit: 'gram', item: '', preparation: null }, line);
+  }
+  assert.equal(formatIngredient(parseIngredient('10 g')), '10 g');
+  // Without a quantity a lone word is the item
+  assert.equal(measure('Pinch').unit, null);
+});
+
+test('adds up compound amounts in the first unit', () => {
+  for (const line of ['1 cup + 2 tbsp flour', '1 cup plus 2 tablespoons flour']) {
+    const parsed = parseIngredient(line);
+    assert.equal(parsed.unit, 'cup', line);
+    assert.equal(parsed.quantity, 1.125, line);
+    assert.equal(parsed.item, 'flour', line);
+  }
+});
+
+test('leaves compound amounts it cannot add up unparsed', () => {
+  for (const line of ['1 cup + 2 oz flour', '2-3 cups + 1 tbsp milk', '2 cloves + 1 tsp garlic']) {
+    assert.deepEqual(measure(line), { quantity: null, quantityMax: null, unit: null, item: line, preparation: null }, line);
+  }
+});
+
+test('keeps a line whose amount divides by zero as written', () => {
+  for (const line of ['1/0 cup flour', '1-2/0 cups flour']) {
+    assert.deepEqual(measure(line), { quantity: null, quantityMax: null, unit: null, item: line, preparation: null }, line);
+    assert.equal(formatIngredient(parseIngredient(line)), line);
+  }
+});
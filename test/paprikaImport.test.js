@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const paprika = require('../lib/importers/paprika');
+const { PayloadTooLargeError } = require('../lib/errors');
+const { makeZip } = require('./helpers/zip');
+
+function recipeFile(name, extra = {}) {
+  return zlib.gzipSync(JSON.stringify({ name, ingredients: '1 cup flour', directions: 'Mix', ...extra }));
+}
+
+test('reads the recipes of an archive and skips other files', () => {
+  const buffer = makeZip([
+    { name: 'Pancakes.paprikarecipe', data: recipeFile('Pancakes') },
+    { name: 'notes.txt', data: Buffer.from('hello') }
+  ]);
+  const { recipes, warnings, failures } = paprika.read({ buffer });
+  assert.deepEqual(recipes.map(entry => entry.recipe.title), ['Pancakes']);
+  assert.deepEqual(failures, []);
+  assert.equal(warnings.length, 1);
+});
+
+test('refuses an archive with too many files', () => {
+  const files = Array.from({ length: paprika.MAX_ARCHIVE_ENTRIES + 1 }, (_, index) => ({ name: `${index}.txt`, data: Buffer.alloc(0) }));
+  assert.throws(() => paprika.read({ buffer: makeZip(files) }), error => error instanceof PayloadTooLargeError && error.status === 413);
+});
+
+test('refuses an archive whose recipes unpack to more than the budget', () => {
+  // Each recipe is just under the per-recipe limit, but together they are over the archive's
+  const photo = 'A'.repeat(19 * 1024 * 1024);
+  const file = recipeFile('Big', { photo_data: photo });
+  const count = Math.ceil(paprika.MAX_ARCHIVE_BYTES / photo.length) + 1;
+  const buffer = makeZip(Array.from({ length: count }, (_, index) => ({ name: `${index}.paprikarecipe`, data: file })));
+  assert.throws(() => paprika.read({ buffer }), error => error instanceof PayloadTooLargeError && error.status === 413);
+});
+
+test('reports a single oversized recipe as a failure without refusing the archive', () => {
+  const huge = recipeFile('Huge', { photo_data: 'A'.repeat(21 * 1024 * 1024) });
+  const buffer = makeZip([
+    { name: 'Huge.paprikarecipe', data: huge },
+    { name: 'Small.paprikarecipe', data: recipeFile('Small') }
+  ]);
+  const { recipes, failures } = paprika.read({ buffer });
+  assert.deepEqual(recipes.map(entry => entry.recipe.title), ['Small']);
+  assert.equal(failures.length, 1);
+  assert.equal(failures[0].entry, 'Huge.paprikarecipe');
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseListQuery, paginateRecipes } = require('../lib/recipeQuery');
+const { BadRequestError } = require('../lib/errors');
+
+const recipes = [
+  { id: 1, title: 'Waffles', cookTime: '30 minutes' },
+  { id: 2, title: 'apple pie', cookTime: '1 hour' },
+  { id: 3, title: 'Salad' }
+];
+
+test('sorts by a known key, missing values last', () => {
+  const options = parseListQuery({ sort: '-cookTime' }, []);
+  assert.deepEqual(paginateRecipes(recipes, options).items.map(recipe => recipe.id), [2, 1, 3]);
+});
+
+test('refuses sort keys inherited from Object.prototype', () => {
+  for (const sort of ['__proto__', 'constructor', 'toString', '-hasOwnProperty']) {
+    assert.throws(() => parseListQuery({ sort }, []), error => error instanceof BadRequestError && error.details[0].field === 'sort', sort);
+  }
+});
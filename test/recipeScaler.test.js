@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIngredient } = require('../shared/ingredientParser');
+const { parseServings, roundToKitchenFraction, scaleIngredient, scaleRecipe } = require('../shared/recipeScaler');
+
+function scale(line, factor) {
+  return scaleIngredient(parseIngredient(line), factor).text;
+}
+
+test('reads servings with their label', () => {
+  assert.deepEqual(parseServings('6-8 people'), { count: 6, countMax: 8, label: 'people' });
+  assert.deepEqual(parseServings(4), { count: 4, countMax: null, label: '' });
+  assert.deepEqual(parseServings('1/2'), { count: 0.5, countMax: null, label: '' });
+  assert.deepEqual(parseServings('1 1/2 loaves'), { count: 1.5, countMax: null, label: 'loaves' });
+  assert.equal(parseServings('1/0 cakes'), null);
+  assert.equal(parseServings('a few'), null);
+  assert.equal(parseServings(0), null);
+});
+
+test('scales a recipe to a number of servings', () => {
+  const recipe = { servings: '4 people', ingredients: ['2 large eggs', '1 tsp salt', '2-3 tbsp olive oil', '250 g flour'] };
+  const scaled = scaleRecipe(recipe, 2);
+  assert.equal(scaled.factor, 0.5);
+  assert.equal(scaled.servings, '2 people');
+  assert.deepEqual(scaled.ingredients, ['1 large egg', '½ tsp salt', '1–1½ tbsp olive oil', '125 g flour']);
+  assert.equal(scaleRecipe({ ingredients: recipe.ingredients }, 2), null);
+});
+
+test('rounds to what a cook can measure', () => {
+  assert.equal(roundToKitchenFraction(0.3, 'cup'), 1 / 3);
+  assert.equal(roundToKitchenFraction(0.01, 'teaspoon'), 1 / 8);
+  assert.equal(roundToKitchenFraction(123, 'gram'), 125);
+  assert.equal(roundToKitchenFraction(0.1, 'gram'), 0.5);
+});
+
+test('moves spoon amounts into a handier unit', () => {
+  assert.equal(scale('16 tsp sugar', 3), '1 cup sugar');
+  assert.equal(scale('1 cup milk', 1 / 8), '2 tbsp milk');
+});
+
+test('leaves lines without a quantity as written', () => {
+  assert.equal(scale('Salt and pepper to taste', 3), 'Salt and pepper to taste');
+  assert.equal(scale('1 cup + 2 oz flour', 2), '1 cup + 2 oz flour');
+  assert.equal(scale('1 cup + 2 tbsp flour', 2), '2¼ cups flour');
+});
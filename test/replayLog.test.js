@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ReplayLog = require('../lib/replayLog');
+
+function appendAll(log, count) {
+  for (let n = 1; n <= count; n++) {
+    log.append(n % 2 ? 'recipeAdded' : 'recipeUpdated', { id: n });
+  }
+}
+
+test('numbers broadcasts in order', () => {
+  const log = new ReplayLog();
+  assert.equal(log.append('recipeAdded', { id: 1 }), 1);
+  assert.equal(log.append('recipeDeleted', { id: 1 }), 2);
+  assert.equal(log.seq, 2);
+  assert.deepEqual(log.since(log.epoch, 0).events, [
+    { seq: 1, event: 'recipeAdded', payload: { id: 1 } },
+    { seq: 2, event: 'recipeDeleted', payload: { id: 1 } }
+  ]);
+});
+
+test('resumes after the last sequence number a client saw', () => {
+  const log = new ReplayLog();
+  appendAll(log, 5);
+  assert.deepEqual(log.since(log.epoch, 3).events.map(entry => entry.seq), [4, 5]);
+  assert.deepEqual(log.since(log.epoch, 5).events, []);
+});
+
+test('replays in order across the wrap of the ring buffer', () => {
+  const log = new ReplayLog({ capacity: 4 });
+  appendAll(log, 10);
+  const { events } = log.since(log.epoch, 6);
+  assert.deepEqual(events.map(entry => entry.seq), [7, 8, 9, 10]);
+  assert.deepEqual(events.map(entry => entry.payload.id), [7, 8, 9, 10]);
+});
+
+test('refuses what it cannot replay', () => {
+  const log = new ReplayLog({ capacity: 4 });
+  appendAll(log, 10);
+  assert.deepEqual(log.since(log.epoch, 5), { reason: 'Too many changes were missed' });
+  assert.deepEqual(log.since(log.epoch, 11), { reason: 'Unknown sequence number' });
+  assert.deepEqual(log.since(log.epoch, -1), { reason: 'Unknown sequence number' });
+  assert.deepEqual(log.since(log.epoch, '6'), { reason: 'Unknown sequence number' });
+  assert.deepEqual(log.since(new ReplayLog().epoch, 6), { reason: 'The server restarted' });
+});
@@ -0,0 +1,103 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+const { RevisionLog, diffSnapshots } = require('../lib/revisions');
+const { startServer } = require('./helpers/server');
+
+const pancakes = { id: 7, version: 1, title: 'Pancakes', description: 'Fluffy', ingredients: ['1 cup flour'], instructions: ['Fry'] };
+
+async function openLog(storage) {
+  const log = new RevisionLog();
+  await log.open(storage);
+  return log;
+}
+
+test('records each write with the fields it changed', async () => {
+  const log = await openLog(await createStorage({ backend: 'memory' }));
+  await log.record(pancakes, { action: 'create', authorId: 1 });
+  await log.record({ ...pancakes, version: 2, title: 'Crepes', ingredients: ['1 cup flour', '2 eggs'] }, { action: 'update', authorId: 2 });
+  await log.record({ ...pancakes, id: 8 }, { action: 'create' });
+
+  const revisions = await log.list(7);
+  assert.deepEqual(revisions.map(revision => [revision.revision, revision.action, revision.authorId]), [[1, 'create', 1], [2, 'update', 2]]);
+  assert.deepEqual(revisions[1].changedFields, ['title', 'ingredients']);
+  assert.equal((await log.get(7, 1)).recipe.title, 'Pancakes');
+  assert.equal((await log.latest(7)).recipe.title, 'Crepes');
+  assert.equal(await log.get(7, 3), null);
+  assert.deepEqual(await log.list(99), []);
+});
+
+test('reads and adds to a history without scanning the collection', async () => {
+  const storage = await createStorage({ backend: 'memory' });
+  const log = await openLog(storage);
+  let scans = 0;
+  const list = log.repository.list.bind(log.repository);
+  log.repository.list = () => {
+    scans++;
+    return list();
+  };
+
+  await log.record(pancakes, { action: 'create' });
+  await log.record({ ...pancakes, version: 2, title: 'Crepes' }, { action: 'update' });
+  await log.list(7);
+  await log.latest(7);
+  assert.equal(scans, 0);
+});
+
+test('finds the history again after reopening, and forgets it on removeAll', async () => {
+  const storage = await createStorage({ backend: 'memory' });
+  await (await openLog(storage)).record(pancakes, { action: 'create' });
+
+  const log = await openLog(storage);
+  assert.equal((await log.latest(7)).revision, 1);
+  await log.backfill([pancakes, { ...pancakes, id: 8 }]);
+  assert.equal((await log.list(7)).length, 1);
+  assert.equal((await log.list(8)).length, 1);
+
+  await log.removeAll(7);
+  assert.deepEqual(await log.list(7), []);
+  assert.deepEqual((await (await openLog(storage)).list(7)), []);
+});
+
+test('diffs list which lines were added and removed', () => {
+  const changes = diffSnapshots({ title: 'A', ingredients: ['flour', 'milk'] }, { title: 'A', ingredients: ['flour', 'eggs'], cookTime: '5 minutes' });
+  assert.deepEqual(changes, [
+    { field: 'ingredients', from: ['flour', 'milk'], to: ['flour', 'eggs'], added: ['eggs'], removed: ['milk'] },
+    { field: 'cookTime', from: undefined, to: '5 minutes' }
+  ]);
+});
+
+let server;
+let token;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await server.signUp('cook'));
+});
+
+after(() => server.stop());
+
+test('reverting writes an old revision back as a new one', async () => {
+  const { recipe } = await server.createRecipe(token, { title: 'Soda bread', cookTime: '45 minutes' });
+  const path = `/api/recipes/${recipe.id}`;
+  await server.request('PUT', path, { token, body: { title: 'Treacle bread', cookTime: null } });
+
+  const diff = await server.request('GET', `${path}/diff?from=1`);
+  assert.deepEqual(diff.body.changes.map(change => change.field), ['title', 'cookTime']);
+
+  const revert = await server.request('POST', `${path}/revisions/1/revert`, { token });
+  assert.equal(revert.status, 200);
+  assert.equal(revert.body.title, 'Soda bread');
+  assert.equal(revert.body.cookTime, '45 minutes');
+  assert.equal(revert.body.version, 3);
+
+  const history = await server.request('GET', `${path}/revisions`);
+  assert.deepEqual(history.body.map(revision => [revision.revision, revision.action, revision.revertedTo]), [
+    [3, 'revert', 1],
+    [2, 'update', undefined],
+    [1, 'create', undefined]
+  ]);
+  assert.equal((await server.request('GET', `${path}/revisions/2`)).body.recipe.title, 'Treacle bread');
+  assert.equal((await server.request('GET', `${path}/revisions/9`)).status, 404);
+  assert.equal((await server.request('GET', `${path}/revisions/zero`)).status, 400);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { roleOf, hasRole, canEditRecipe } = require('../shared/roles');
+const { assertRole, requireRole, requireRoleForWrites, authorizeSocketEvents } = require('../lib/auth');
+const { ForbiddenError, UnauthorizedError } = require('../lib/errors');
+
+const viewer = { id: 1, role: 'viewer' };
+const author = { id: 2, role: 'contributor' };
+const other = { id: 3, role: 'contributor' };
+const editor = { id: 4, role: 'editor' };
+const admin = { id: 5, role: 'admin' };
+
+test('each role may do what the roles below it may', () => {
+  assert.equal(hasRole(admin, 'editor'), true);
+  assert.equal(hasRole(editor, 'admin'), false);
+  assert.equal(hasRole(viewer, 'contributor'), false);
+  assert.equal(hasRole(null, 'viewer'), false);
+  // Accounts from before roles existed
+  assert.equal(roleOf({ id: 6 }), 'contributor');
+});
+
+test('recipes are changed by their author or an editor', () => {
+  const recipe = { id: 1, createdBy: author.id };
+  assert.equal(canEditRecipe(author, recipe), true);
+  assert.equal(canEditRecipe(editor, recipe), true);
+  assert.equal(canEditRecipe(other, recipe), false);
+  assert.equal(canEditRecipe({ ...author, role: 'viewer' }, recipe), false);
+  assert.equal(canEditRecipe(null, recipe), false);
+});
+
+test('recipes without an author are left to editors', () => {
+  const seed = { id: 1 };
+  assert.equal(canEditRecipe(author, seed), false);
+  assert.equal(canEditRecipe({ role: 'contributor' }, seed), false);
+  assert.equal(canEditRecipe(editor, seed), true);
+});
+
+test('assertRole answers 401 to nobody and 403 to a lower role', () => {
+  assert.throws(() => assertRole(null, 'viewer'), UnauthorizedError);
+  assert.throws(() => assertRole(author, 'editor'), ForbiddenError);
+  assert.doesNotThrow(() => assertRole(admin, 'editor'));
+});
+
+test('requireRoleForWrites lets anyone read', () => {
+  const guard = requireRoleForWrites('contributor');
+  let called = 0;
+  guard({ method: 'GET', user: null }, {}, () => called++);
+  assert.throws(() => guard({ method: 'POST', user: viewer }, {}, () => called++), ForbiddenError);
+  guard({ method: 'DELETE', user: author }, {}, () => called++);
+  assert.equal(called, 2);
+  assert.throws(() => requireRole('admin')({ method: 'GET', user: editor }, {}, () => called++), ForbiddenError);
+});
+
+test('socket events missing from the table need an admin', () => {
+  const errors = [];
+  const check = (user, event) => authorizeSocketEvents({ data: { user } }, { requestRecipes: null, addRecipe: 'contributor' })([event], error => errors.push(error));
+  check(null, 'requestRecipes');
+  check(author, 'addRecipe');
+  check(editor, 'somethingNew');
+  check(admin, 'somethingNew');
+  assert.deepEqual(errors.map(error => error && error.status), [undefined, undefined, 403, undefined]);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validate, mergeChanges } = require('../lib/schema');
+const recipeSchema = require('../lib/schemas/recipe');
+
+const recipe = {
+  id: 1,
+  title: 'Pancakes',
+  description: 'Fluffy',
+  category: 'Breakfast',
+  cookTime: '20 minutes',
+  ingredients: ['1 cup flour'],
+  instructions: ['Mix', 'Fry']
+};
+
+test('partial update leaves absent fields alone', () => {
+  const { value, errors } = validate(recipeSchema, { title: '  Crepes ' }, { partial: true });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { title: 'Crepes' });
+  assert.equal(mergeChanges(recipe, value).cookTime, '20 minutes');
+});
+
+test('null in a partial update clears an optional field', () => {
+  const { value, errors } = validate(recipeSchema, { cookTime: null }, { partial: true });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { cookTime: null });
+
+  const merged = mergeChanges(recipe, value);
+  assert.equal('cookTime' in merged, false);
+  assert.equal(merged.title, 'Pancakes');
+});
+
+test('null in a partial update resets a field with a default', () => {
+  const { value, errors } = validate(recipeSchema, { category: null }, { partial: true });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(value, { category: 'Other' });
+});
+
+test('null in a partial update cannot clear a required field', () => {
+  const { errors } = validate(recipeSchema, { title: null }, { partial: true });
+  assert.deepEqual(errors, [{ field: 'title', message: 'Title is required' }]);
+});
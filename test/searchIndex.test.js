@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SearchIndex = require('../lib/search/searchIndex');
+
+function buildIndex() {
+  const index = new SearchIndex();
+  index.add({ id: 1, title: 'Chocolate cake', category: 'Dessert', ingredients: ['200 g chocolate', '3 eggs'], description: 'Rich and dark' });
+  index.add({ id: 2, title: 'Banana bread', category: 'Baking', ingredients: ['3 bananas', '1 tsp chocolate chips'], description: 'Moist loaf' });
+  index.add({ id: 3, title: '<script>alert(1)</script> Tomato soup', category: 'Soup', ingredients: ['tomatoes & basil'], description: 'Quick "weeknight" soup' });
+  return index;
+}
+
+function ids(result) {
+  return result.results.map(found => found.id);
+}
+
+test('ranks title matches above ingredient matches', () => {
+  const result = buildIndex().search('chocolate');
+  assert.deepEqual(ids(result), [1, 2]);
+  assert.equal(result.total, 2);
+  assert.ok(result.results[0].score > result.results[1].score);
+});
+
+test('every query word must match', () => {
+  const index = buildIndex();
+  assert.deepEqual(ids(index.search('chocolate banana')), [2]);
+  assert.deepEqual(ids(index.search('chocolate soup')), []);
+});
+
+test('matches prefixes and typos below exact matches', () => {
+  const index = buildIndex();
+  const exact = index.search('chocolate').results[0].score;
+  const prefix = index.search('chocolat').results[0].score;
+  const typo = index.search('choclate').results[0].score;
+  assert.deepEqual(ids(index.search('banan')), [2]);
+  assert.deepEqual(ids(index.search('tomatos')), [3]);
+  assert.ok(exact > prefix && prefix > typo);
+  // Short words must match exactly
+  assert.deepEqual(ids(index.search('egs')), []);
+});
+
+test('filters by category and limits the results', () => {
+  const index = buildIndex();
+  assert.deepEqual(ids(index.search('chocolate', { category: 'BAKING' })), [2]);
+  const limited = index.search('chocolate', { limit: 1 });
+  assert.deepEqual(ids(limited), [1]);
+  assert.equal(limited.total, 2);
+  assert.deepEqual(ids(index.search('')), [1, 2, 3]);
+});
+
+test('forgets removed recipes and replaces re-added ones', () => {
+  const index = buildIndex();
+  index.remove(1);
+  assert.equal(index.size, 2);
+  assert.deepEqual(ids(index.search('cake')), []);
+
+  index.add({ id: 2, title: 'Banana cake', ingredients: ['3 bananas'] });
+  assert.deepEqual(ids(index.search('cake')), [2]);
+  assert.deepEqual(ids(index.search('bread')), []);
+});
+
+test('highlights matches and escapes the rest of the text', () => {
+  const index = buildIndex();
+  const { highlights } = index.search('tomato script').results[0];
+  assert.equal(highlights.title, '&lt;<mark>script</mark>&gt;alert(1)&lt;/<mark>script</mark>&gt; <mark>Tomato</mark> soup');
+  assert.deepEqual(highlights.ingredients, ['<mark>tomatoes</mark> &amp; basil']);
+
+  const soup = index.search('weeknight').results[0].highlights;
+  assert.equal(soup.description, 'Quick &quot;<mark>weeknight</mark>&quot; soup');
+  assert.equal('title' in soup, false);
+});
+
+test('cuts long descriptions to a snippet around the first match', () => {
+  const index = new SearchIndex();
+  index.add({ id: 1, title: 'Stock', description: `${'simmer '.repeat(40)}<b>saffron</b> ${'stir '.repeat(60)}` });
+  const { description } = index.search('saffron').results[0].highlights;
+  assert.match(description, /^…simmer /);
+  assert.match(description, /&lt;b&gt;<mark>saffron<\/mark>&lt;\/b&gt;/);
+  assert.match(description, /…$/);
+  assert.ok(description.length < 250);
+});
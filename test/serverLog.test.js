@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { io } = require('socket.io-client');
+const { ansiToHtml, stripAnsi } = require('../lib/serverLog/ansi');
+const { startServer } = require('./helpers/server');
+
+test('strips colours, cursor moves and OSC sequences', () => {
+  assert.equal(stripAnsi('\x1b[1;31merror\x1b[0m \x1b[2Kdone'), 'error done');
+  assert.equal(stripAnsi('\x1b]0;window title\x07ready'), 'ready');
+  assert.equal(stripAnsi('see \x1b]8;;https://example.com\x1b\\the docs\x1b]8;;\x1b\\'), 'see the docs');
+});
+
+test('turns colours into spans and drops other sequences from HTML', () => {
+  assert.equal(
+    ansiToHtml('\x1b]8;;https://example.com\x07<b>\x1b[1;32mok\x1b[0m\nnext'),
+    '&lt;b&gt;<span style="color: green; font-weight: bold">ok</span><br>next'
+  );
+});
+
+let server;
+let admin;
+
+before(async () => {
+  server = await startServer();
+  admin = await server.signUp('admin');
+});
+
+after(() => server.stop());
+
+// Connect to the log namespace; resolves with the first logHistory or
+// rejects with the connect_error
+function watchLog(token) {
+  const socket = io(`${server.url}/admin/logs`, { auth: { token }, transports: ['websocket'], reconnection: false });
+  const history = new Promise((resolve, reject) => {
+    socket.once('logHistory', resolve);
+    socket.once('connect_error', reject);
+  });
+  return { socket, history };
+}
+
+test('sends admins the log history', async () => {
+  const { socket, history } = watchLog(admin.token);
+  try {
+    const { filter, paused, entries } = await history;
+    assert.equal(paused, false);
+    assert.equal(typeof filter, 'object');
+    assert.ok(entries.some(entry => /is running on/.test(entry.message)));
+  } finally {
+    socket.disconnect();
+  }
+});
+
+test('refuses anyone who is not an admin', async () => {
+  const editor = await server.signUp('editor', { role: 'editor', promotedBy: admin.token });
+  for (const token of [undefined, 'not-a-session', editor.token]) {
+    const { socket, history } = watchLog(token);
+    const error = await history.then(() => assert.fail('connected'), error => error);
+    socket.disconnect();
+    assert.equal(error.data.error.status, token === editor.token ? 403 : 401);
+  }
+});
+
+test('disconnects an admin who loses the role', async () => {
+  const deputy = await server.signUp('deputy', { role: 'admin', promotedBy: admin.token });
+  const { socket, history } = watchLog(deputy.token);
+  await history;
+  const disconnected = new Promise(resolve => socket.once('disconnect', resolve));
+
+  const { status } = await server.request('PATCH', `/api/users/${deputy.user.id}`, { token: admin.token, body: { role: 'editor' } });
+  assert.equal(status, 200);
+  assert.equal(await disconnected, 'io server disconnect');
+});
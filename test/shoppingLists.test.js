@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeIngredients, buildItems } = require('../lib/shoppingList');
+const { parseIngredient } = require('../shared/ingredientParser');
+const { startServer } = require('./helpers/server');
+
+function entry(id, lines) {
+  return { recipe: { id, title: `Recipe ${id}` }, parsedIngredients: lines.map(parseIngredient) };
+}
+
+test('merges like ingredients across recipes', () => {
+  const items = mergeIngredients([
+    entry(1, ['1 tsp salt', '2 large eggs', '100 g butter']),
+    entry(2, ['Salt and pepper to taste', '1 egg', '1 cup butter'])
+  ]);
+  assert.deepEqual(items.map(item => [item.id, item.aisle, item.text]), [
+    ['butter', 'Dairy & Eggs', '11½ oz butter'],
+    ['egg', 'Dairy & Eggs', '3 eggs'],
+    ['pepper', 'Spices & Seasonings', 'pepper (to taste)'],
+    ['salt', 'Spices & Seasonings', '1 tsp salt, plus more to taste']
+  ]);
+  assert.deepEqual(items[1].sources.map(source => source.recipeId), [1, 2]);
+});
+
+test('keeps items checked when a list is rebuilt', () => {
+  const entries = [entry(1, ['2 eggs', '1 cup milk'])];
+  const previous = buildItems(entries).map(item => ({ ...item, checked: item.id === 'egg' }));
+  const rebuilt = buildItems(entries, previous);
+  assert.deepEqual(rebuilt.map(item => [item.id, item.checked]), [['egg', true], ['milk', false]]);
+});
+
+let server;
+let token;
+let list;
+
+before(async () => {
+  server = await startServer();
+  ({ token } = await server.signUp('cook'));
+  ({ body: list } = await server.request('POST', '/api/shopping-lists', {
+    token,
+    body: { name: 'Baking day', recipes: [{ recipeId: 1 }, { recipeId: 1, servings: 48 }] }
+  }));
+});
+
+after(() => server.stop());
+
+test('POST /api/shopping-lists adds up the recipes it is given', () => {
+  const flour = list.items.find(item => item.id === 'all-purpose-flour');
+  assert.equal(flour.text, '4½ cups all-purpose flour');
+  assert.equal(flour.sources.length, 2);
+});
+
+test('GET /api/shopping-lists/:id downloads text and Markdown', async () => {
+  const text = await server.request('GET', `/api/shopping-lists/${list.id}?format=text`);
+  assert.equal(text.status, 200);
+  assert.match(text.headers.get('content-type'), /^text\/plain/);
+  assert.match(text.headers.get('content-disposition'), /shopping-list-\d+\.txt/);
+  assert.match(text.body, /^Baking day\n/);
+  assert.match(text.body, /\[ \] 4½ cups all-purpose flour/);
+
+  const markdown = await server.request('GET', `/api/shopping-lists/${list.id}?format=markdown`);
+  assert.match(markdown.headers.get('content-type'), /^text\/markdown/);
+  assert.match(markdown.body, /^# Baking day/);
+  assert.match(markdown.body, /- \[ \] 4½ cups all-purpose flour/);
+});
+
+test('GET /api/shopping-lists/:id refuses unknown and inherited formats', async () => {
+  for (const format of ['pdf', 'constructor', 'toString', '__proto__']) {
+    const { status, body } = await server.request('GET', `/api/shopping-lists/${list.id}?format=${format}`);
+    assert.equal(status, 400, format);
+    assert.equal(body.error.details[0].field, 'format');
+  }
+});
@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage, BACKENDS, VersionConflictError } = require('../lib/storage');
+const SqlDatabase = require('../lib/storage/sqlDatabase');
+const SqlRepository = require('../lib/storage/sqlRepository');
+
+function tempDirectory(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'foodrecipe-storage-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+}
+
+for (const backend of BACKENDS) {
+  test(`${backend}: inserts, reads, updates and removes documents`, async (t) => {
+    const storage = await createStorage({ backend, directory: tempDirectory(t) });
+    t.after(() => storage.close());
+    const repository = await storage.open('things', [{ id: 1, name: 'seed' }]);
+
+    const inserted = await repository.insert({ name: 'new' });
+    assert.equal(inserted.id, 2);
+    assert.equal(inserted.version, 1);
+    assert.deepEqual((await repository.list()).map(doc => doc.name).sort(), ['new', 'seed']);
+
+    const updated = await repository.update(2, { ...inserted, name: 'changed' }, { expectedVersion: 1 });
+    assert.equal(updated.name, 'changed');
+    assert.equal(updated.version, 2);
+    assert.equal((await repository.get(2)).name, 'changed');
+
+    assert.equal((await repository.remove(2, { expectedVersion: 2 })).name, 'changed');
+    assert.equal(await repository.get(2), null);
+    assert.equal(await repository.update(2, { name: 'gone' }), null);
+  });
+
+  test(`${backend}: starts every seed document at version 1`, async (t) => {
+    const storage = await createStorage({ backend, directory: tempDirectory(t) });
+    t.after(() => storage.close());
+    const repository = await storage.open('things', [{ id: 1, name: 'first' }, { id: 2, name: 'second' }]);
+    assert.deepEqual((await repository.list()).map(doc => doc.version), [1, 1]);
+    assert.equal((await repository.update(1, { name: 'changed' }, { expectedVersion: 1 })).version, 2);
+  });
+
+  test(`${backend}: reads a document stored without a version as version 1`, async (t) => {
+    const storage = await createStorage({ backend, directory: tempDirectory(t) });
+    t.after(() => storage.close());
+    const repository = await storage.open('things');
+    await repository.insert({ id: 1, name: 'old' }, { version: 0 });
+    assert.equal((await repository.update(1, { name: 'new' }, { expectedVersion: 0 })).version, 2);
+  });
+
+  test(`${backend}: never hands out an id twice`, async (t) => {
+    const storage = await createStorage({ backend, directory: tempDirectory(t) });
+    t.after(() => storage.close());
+    const repository = await storage.open('things');
+
+    const first = await repository.insert({ name: 'first' });
+    await repository.remove(first.id);
+    const second = await repository.insert({ name: 'second' });
+    assert.notEqual(second.id, first.id);
+  });
+
+  test(`${backend}: refuses writes based on a stale version`, async (t) => {
+    const storage = await createStorage({ backend, directory: tempDirectory(t) });
+    t.after(() => storage.close());
+    const repository = await storage.open('things');
+
+    const doc = await repository.insert({ name: 'doc' });
+    await repository.update(doc.id, { ...doc, name: 'theirs' }, { expectedVersion: 1 });
+
+    await assert.rejects(repository.update(doc.id, { ...doc, name: 'mine' }, { expectedVersion: 1 }), VersionConflictError);
+    await assert.rejects(repository.remove(doc.id, { expectedVersion: 1 }), VersionConflictError);
+    const stored = await repository.get(doc.id);
+    assert.equal(stored.name, 'theirs');
+    assert.equal(stored.version, 2);
+  });
+}
+
+for (const backend of BACKENDS.filter(name => name !== 'memory')) {
+  test(`${backend}: keeps documents across a restart`, async (t) => {
+    const directory = tempDirectory(t);
+    const before = await createStorage({ backend, directory });
+    await (await before.open('things')).insert({ name: 'kept' });
+    await before.close();
+
+    const after = await createStorage({ backend, directory });
+    t.after(() => after.close());
+    const repository = await after.open('things');
+    assert.deepEqual((await repository.list()).map(doc => doc.name), ['kept']);
+    assert.equal((await repository.insert({ name: 'next' })).id, 2);
+  });
+}
+
+test('sqlite: a write that cannot be saved is undone in memory too', async (t) => {
+  const directory = tempDirectory(t);
+  const filePath = path.join(directory, 'test.sqlite');
+  const database = await SqlDatabase.open(filePath);
+  t.after(() => database.close());
+  const repository = new SqlRepository(database, 'things');
+  await repository.initialize([]);
+  await repository.insert({ name: 'saved' });
+
+  // A path under a plain file cannot be written
+  fs.writeFileSync(path.join(directory, 'file'), '');
+  database.filePath = path.join(directory, 'file', 'test.sqlite');
+  await assert.rejects(repository.insert({ name: 'lost' }));
+
+  database.filePath = filePath;
+  assert.deepEqual((await repository.list()).map(doc => doc.name), ['saved']);
+  assert.equal((await repository.insert({ name: 'next' })).id, 2);
+});
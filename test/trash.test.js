@@ -0,0 +1,86 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const TrashBin = require('../lib/trashBin');
+const { createStorage } = require('../lib/storage');
+const { startServer } = require('./helpers/server');
+
+test('entries expire once their retention period is over', async () => {
+  const trashBin = new TrashBin({ retentionMs: 60000 });
+  await trashBin.open(await createStorage({ backend: 'memory' }));
+  const entry = await trashBin.add({ id: 4, title: 'Stew' }, { deletedBy: 1 });
+  assert.equal(Date.parse(entry.purgeAt) - Date.parse(entry.deletedAt), 60000);
+
+  assert.deepEqual(await trashBin.expired(), []);
+  assert.deepEqual((await trashBin.expired(new Date(Date.parse(entry.purgeAt)))).map(expired => expired.id), [4]);
+});
+
+let server;
+let token;
+let other;
+
+before(async () => {
+  server = await startServer({ backend: 'json' });
+  ({ token } = await server.signUp('cook'));
+  other = await server.signUp('other');
+});
+
+after(() => server.stop());
+
+async function trashedRecipe(title) {
+  const { recipe } = await server.createRecipe(token, { title });
+  const deleted = await server.request('DELETE', `/api/recipes/${recipe.id}`, { token });
+  assert.equal(deleted.status, 200);
+  assert.equal(deleted.headers.get('location'), `/api/trash/${recipe.id}`);
+  return recipe;
+}
+
+function storedRevisions(recipeId) {
+  const file = JSON.parse(fs.readFileSync(path.join(server.storageDirectory, 'recipeRevisions.json'), 'utf8'));
+  return file.documents.filter(revision => revision.recipeId === recipeId);
+}
+
+test('a trashed recipe is hidden from the list and from search', async () => {
+  const recipe = await trashedRecipe('Quince paste');
+
+  assert.equal((await server.request('GET', `/api/recipes/${recipe.id}`)).status, 404);
+  const list = await server.request('GET', '/api/recipes?limit=100');
+  assert.equal(list.body.some(listed => listed.id === recipe.id), false);
+  const search = await server.request('GET', '/api/search?q=quince');
+  assert.deepEqual(search.body, []);
+
+  const trash = await server.request('GET', '/api/trash', { token });
+  assert.deepEqual(trash.body.map(entry => entry.id), [recipe.id]);
+  // Only those who could edit the recipe see it in the trash
+  assert.deepEqual((await server.request('GET', '/api/trash', { token: other.token })).body, []);
+  assert.equal((await server.request('POST', `/api/trash/${recipe.id}/restore`, { token: other.token })).status, 403);
+});
+
+test('restoring brings the recipe back under its id with a newer version', async () => {
+  const recipe = await trashedRecipe('Membrillo');
+
+  const restored = await server.request('POST', `/api/trash/${recipe.id}/restore`, { token });
+  assert.equal(restored.status, 200);
+  assert.equal(restored.body.id, recipe.id);
+  assert.equal(restored.body.version, 2);
+  assert.equal(restored.headers.get('etag'), `"${recipe.id}-2"`);
+
+  assert.equal((await server.request('GET', `/api/recipes/${recipe.id}`)).body.title, 'Membrillo');
+  assert.deepEqual((await server.request('GET', '/api/search?q=membrillo')).body.map(found => found.id), [recipe.id]);
+  assert.equal((await server.request('GET', `/api/trash/${recipe.id}`, { token })).status, 404);
+  assert.deepEqual(storedRevisions(recipe.id).map(revision => revision.action), ['create', 'restore']);
+});
+
+test('purging removes the recipe and its revisions for good', async () => {
+  const recipe = await trashedRecipe('Medlar jelly');
+  assert.equal(storedRevisions(recipe.id).length, 1);
+
+  const purged = await server.request('DELETE', `/api/trash/${recipe.id}`, { token });
+  assert.equal(purged.status, 200);
+  assert.equal(purged.body.recipe.title, 'Medlar jelly');
+
+  assert.equal((await server.request('GET', `/api/trash/${recipe.id}`, { token })).status, 404);
+  assert.equal((await server.request('POST', `/api/trash/${recipe.id}/restore`, { token })).status, 404);
+  assert.deepEqual(storedRevisions(recipe.id), []);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseIngredient } = require('../shared/ingredientParser');
+const { convertIngredient, convertText, convertRecipe, findDensity } = require('../shared/unitConverter');
+
+function convert(line, system) {
+  return convertIngredient(parseIngredient(line), system).text;
+}
+
+test('weighs dry goods and measures liquids in metric', () => {
+  assert.equal(convert('1 cup flour', 'metric'), '125 g flour');
+  assert.equal(convert('1 cup milk', 'metric'), '235 ml milk');
+  assert.equal(convert('1 lb beef', 'metric'), '455 g beef');
+});
+
+test('goes back to cups and pounds in US units', () => {
+  assert.equal(convert('250 g flour', 'us'), '2 cups flour');
+  assert.equal(convert('2 kg potatoes', 'us'), '4⅓ lb potatoes');
+});
+
+test('keeps spoons, counts and lines already in the target system', () => {
+  assert.equal(convert('1 tbsp olive oil', 'metric'), '1 tbsp olive oil');
+  assert.equal(convert('2 eggs', 'metric'), '2 eggs');
+  assert.equal(convert('200 g sugar', 'metric'), '200 g sugar');
+  assert.equal(convert('1 cup + 2 oz flour', 'metric'), '1 cup + 2 oz flour');
+});
+
+test('prefers the most specific density', () => {
+  assert.equal(findDensity('light brown sugar').gramsPerCup, 220);
+  assert.equal(findDensity('gravel'), null);
+});
+
+test('converts oven temperatures and pan sizes in instructions', () => {
+  assert.equal(convertText('Preheat oven to 350°F.', 'metric'), 'Preheat oven to 180°C.');
+  assert.equal(convertText('Bake at 375°F (190°C)', 'metric'), 'Bake at 190°C');
+  assert.equal(convertText('Use a 9x13-inch pan', 'metric'), 'Use a 23 x 33 cm pan');
+  assert.equal(convertText('Bake at 180°C in a 23 x 33 cm tin', 'us'), 'Bake at 350°F in a 9 x 13 inch tin');
+});
+
+test('converts only the fields a recipe carries', () => {
+  const converted = convertRecipe({ title: 'Cake', ingredients: ['1 cup sugar'] }, 'metric');
+  assert.deepEqual(converted, { title: 'Cake', ingredients: ['200 g sugar'] });
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createStorage } = require('../lib/storage');
+const { Webhooks, signatureHeader, verifySignature } = require('../lib/webhooks');
+
+const SECRET = 'whsec_test';
+
+/**
+ * A local receiver that answers each request with the next of `statuses`
+ * (the last one repeats) and keeps what it was sent.
+ */
+async function startReceiver(t, statuses = [200]) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body, at: Date.now() });
+      res.statusCode = statuses[Math.min(received.length, statuses.length) - 1];
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
+
+async function openWebhooks(options) {
+  const webhooks = new Webhooks(options);
+  await webhooks.open(await createStorage({ backend: 'memory' }));
+  return webhooks;
+}
+
+// A webhook with a known secret
+async function addWebhook(webhooks, url) {
+  const webhook = await webhooks.create({ url, events: ['recipe.created'], categories: [], active: true }, { createdBy: 1 });
+  return webhooks.repository.update(webhook.id, { ...webhook, secret: SECRET });
+}
+
+// The newest delivery of a webhook once it reaches `status`
+async function waitForStatus(webhooks, webhookId, status, timeoutMs = 2000) {
+  const started = Date.now();
+  for (;;) {
+    const [delivery] = await webhooks.deliveriesOf(webhookId);
+    if (delivery && delivery.status === status) return delivery;
+    if (Date.now() - started > timeoutMs) throw new Error(`Delivery did not become ${status}`);
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('signs the timestamp and exact body with the secret', () => {
+  const body = '{"event":"ping"}';
+  const header = signatureHeader(SECRET, body, 1700000000000);
+  assert.equal(header, 't=1700000000,v1=aa8efe37b751e71157c508c5ac4acb1e9fe5225db98355dfc00f4b680afbc447');
+
+  const now = 1700000000000;
+  assert.equal(verifySignature(SECRET, body, header, { now }), true);
+  assert.equal(verifySignature(SECRET, `${body} `, header, { now }), false);
+  assert.equal(verifySignature('whsec_other', body, header, { now }), false);
+  assert.equal(verifySignature(SECRET, body, header, { now: now + 301 * 1000 }), false);
+});
+
+test('sends each delivery with a signature over its body', async (t) => {
+  const receiver = await startReceiver(t);
+  const webhooks = await openWebhooks();
+  const webhook = await addWebhook(webhooks, receiver.url);
+
+  const delivery = await webhooks.ping(webhook);
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(receiver.received.length, 1);
+
+  const [{ headers, body }] = receiver.received;
+  assert.equal(body, delivery.body);
+  assert.equal(headers['x-webhook-event'], 'ping');
+  assert.equal(headers['x-webhook-delivery'], delivery.deliveryId);
+  assert.equal(verifySignature(SECRET, body, headers['x-webhook-signature']), true);
+  assert.equal(JSON.parse(body).data.webhook.id, webhook.id);
+});
+
+test('retries a failed delivery after a growing wait', async (t) => {
+  const receiver = await startReceiver(t, [500, 503, 200]);
+  const webhooks = await openWebhooks({ retryBaseMs: 50, maxAttempts: 3 });
+  const webhook = await addWebhook(webhooks, receiver.url);
+
+  const first = await webhooks.ping(webhook);
+  assert.equal(first.status, 'pending');
+  assert.deepEqual(first.attempts.map(attempt => attempt.error), ['Receiver answered 500']);
+  assert.ok(Date.parse(first.nextAttemptAt) >= Date.parse(first.attempts[0].at) + 50);
+
+  const delivery = await waitForStatus(webhooks, webhook.id, 'succeeded');
+  assert.deepEqual(delivery.attempts.map(attempt => attempt.status), [500, 503, 200]);
+  assert.equal(delivery.nextAttemptAt, null);
+
+  // Every attempt sends the same body, signed afresh, after retryBaseMs and then twice that
+  const [one, two, three] = receiver.received;
+  assert.ok(one.body === two.body && two.body === three.body);
+  assert.ok(two.at - one.at >= 50);
+  assert.ok(three.at - two.at >= 100);
+  for (const { headers, body } of receiver.received) {
+    assert.equal(verifySignature(SECRET, body, headers['x-webhook-signature']), true);
+  }
+});
+
+test('gives up after maxAttempts', async (t) => {
+  const receiver = await startReceiver(t, [500]);
+  const webhooks = await openWebhooks({ retryBaseMs: 10, maxAttempts: 2 });
+  const webhook = await addWebhook(webhooks, receiver.url);
+
+  await webhooks.ping(webhook);
+  const delivery = await waitForStatus(webhooks, webhook.id, 'failed');
+  assert.equal(delivery.attempts.length, 2);
+  assert.equal(receiver.received.length, 2);
+  assert.equal(webhooks.retries.size, 0);
+});